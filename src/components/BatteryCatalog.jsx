@@ -0,0 +1,135 @@
+import { createCustomBatteryProduct } from '../data/initialState';
+import { getBatteryProducts } from '../utils/calculations';
+
+const CUSTOM_FIELDS = [
+  ['manufacturer', 'Manufacturer', 'text'],
+  ['name', 'Product', 'text'],
+  ['usableKWh', 'Usable kWh', 'number'],
+  ['continuousKW', 'Cont. kW', 'number'],
+  ['peakKW', 'Peak kW', 'number'],
+  ['motorStartLRA', 'LRA', 'number'],
+  ['maxLeaders', 'Max Units', 'number'],
+];
+
+// Battery product registry: enable/disable products for sizing and manage custom products
+export default function BatteryCatalog({ project, updateProject }) {
+  const { battery } = project;
+  const disabled = battery.disabledProducts || [];
+  const products = getBatteryProducts(battery, true);
+
+  const updateBattery = (field, updater) => {
+    updateProject(prev => ({
+      ...prev,
+      battery: { ...prev.battery, [field]: updater(prev.battery[field] || []) },
+    }));
+  };
+
+  const toggleProduct = (id, enabled) => {
+    updateBattery('disabledProducts', list => (enabled ? list.filter(x => x !== id) : [...list, id]));
+  };
+
+  const addCustom = () => updateBattery('customProducts', list => [...list, createCustomBatteryProduct()]);
+
+  const removeCustom = (id) => {
+    updateBattery('customProducts', list => list.filter(p => p.id !== id));
+    updateBattery('disabledProducts', list => list.filter(x => x !== id));
+  };
+
+  const updateCustom = (id, field, value) => {
+    updateBattery('customProducts', list => list.map(p => (p.id === id ? { ...p, [field]: value } : p)));
+  };
+
+  const customProducts = battery.customProducts || [];
+
+  return (
+    <div>
+      <div className="table-scroll">
+        <table className="data-table" style={{ fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th>Use</th>
+              <th>Manufacturer</th>
+              <th>Product</th>
+              <th>Usable kWh</th>
+              <th>Cont. / Peak kW</th>
+              <th>LRA</th>
+              <th>Max Config</th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.filter(p => !p.isCustom).map(p => (
+              <tr key={p.id} style={{ opacity: disabled.includes(p.id) ? 0.5 : 1 }}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={!disabled.includes(p.id)}
+                    onChange={e => toggleProduct(p.id, e.target.checked)}
+                  />
+                </td>
+                <td>{p.manufacturer}</td>
+                <td>{p.name}</td>
+                <td>{p.leader.usableKWh}{p.expansion ? ` + ${p.expansion.usableKWh}` : ''}</td>
+                <td>{p.leader.continuousKW} / {p.leader.peakKW}</td>
+                <td>{p.leader.motorStartLRA ? `${p.leader.motorStartLRA}A` : 'Not rated'}</td>
+                <td>
+                  {p.maxLeaders}x {p.leader.shortName}
+                  {p.expansion && (p.maxExpansionsPerLeader
+                    ? ` + ${p.maxExpansionsPerLeader}/leader ${p.expansion.shortName}`
+                    : ` + ${p.maxExpansions}x ${p.expansion.shortName}`)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="mt-4">Custom Products</h4>
+      {customProducts.length > 0 && (
+        <div className="table-scroll">
+          <table className="data-table" style={{ fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th>Use</th>
+                {CUSTOM_FIELDS.map(([, label]) => <th key={label}>{label}</th>)}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {customProducts.map(p => (
+                <tr key={p.id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={!disabled.includes(p.id)}
+                      onChange={e => toggleProduct(p.id, e.target.checked)}
+                    />
+                  </td>
+                  {CUSTOM_FIELDS.map(([field, , type]) => (
+                    <td key={field}>
+                      <input
+                        type={type}
+                        value={p[field] ?? ''}
+                        onChange={e => updateCustom(p.id, field, type === 'number'
+                          ? (e.target.value === '' ? null : Number(e.target.value))
+                          : e.target.value)}
+                        min={type === 'number' ? 0 : undefined}
+                        style={{ width: type === 'number' ? 70 : 120 }}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <button className="btn btn-ghost btn-sm" onClick={() => removeCustom(p.id)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button className="btn btn-secondary btn-sm mt-2" onClick={addCustom}>+ Add Custom Product</button>
+      <p className="text-xs text-muted mt-2">
+        Custom products are sized as a single module stacked up to Max Units. Leave LRA blank when motor start is not rated.
+      </p>
+    </div>
+  );
+}
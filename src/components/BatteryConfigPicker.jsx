@@ -0,0 +1,47 @@
+// Product and unit-count inputs for a chosen battery configuration
+// (config: {productId, leaders, expansions}); renders inside a form-row
+export default function BatteryConfigPicker({ config, products, maxExpansions, onChange }) {
+  const update = (field, value) => onChange({ ...config, [field]: value });
+  const product = products.find(p => p.id === config.productId);
+
+  return (
+    <>
+      <div className="form-group">
+        <label>Battery Product</label>
+        <select
+          value={config.productId}
+          onChange={e => onChange({ ...config, productId: e.target.value, leaders: 1, expansions: 0 })}
+          style={{ width: 260 }}
+        >
+          {products.map(p => <option key={p.id} value={p.id}>{p.manufacturer} {p.name}</option>)}
+        </select>
+      </div>
+      {product && (
+        <div className="form-group">
+          <label>{product.leader.shortName} Units</label>
+          <input
+            type="number"
+            value={config.leaders}
+            onChange={e => update('leaders', Math.min(product.maxLeaders, Math.max(1, Math.round(Number(e.target.value) || 1))))}
+            min={1}
+            max={product.maxLeaders}
+            style={{ width: 90 }}
+          />
+        </div>
+      )}
+      {product?.expansion && (
+        <div className="form-group">
+          <label>{product.expansion.shortName} Units</label>
+          <input
+            type="number"
+            value={config.expansions}
+            onChange={e => update('expansions', Math.max(0, Math.round(Number(e.target.value) || 0)))}
+            min={0}
+            max={maxExpansions}
+            style={{ width: 90 }}
+          />
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,78 @@
+const usd = (v) => `$${Math.round(v).toLocaleString()}`;
+
+// Lowest-cost configuration from optimizeBatteryCost, with runner-ups and cost deltas
+export default function BatteryCostRanking({ optimization }) {
+  const { recommended, ranked, unpriced, infeasible, unratedMotorStart = [] } = optimization;
+
+  if (!recommended) {
+    return (
+      <div className="hint-panel warning">
+        No enabled battery product can meet the energy, power and motor-start requirements.
+      </div>
+    );
+  }
+
+  return (
+    <div className="result-panel">
+      <h4>Cost-Optimal Configuration</h4>
+      <div className="result-grid">
+        <div className="result-item">
+          <div className="value">{usd(recommended.cost.total)}</div>
+          <div className="label">{recommended.manufacturer} {recommended.name}</div>
+          <div className="sub">{recommended.displayUnits}</div>
+        </div>
+        <div className="result-item">
+          <div className="value">{recommended.effectiveKWh}</div>
+          <div className="label">Effective kWh</div>
+          <div className="sub">{recommended.totalKWh} kWh usable</div>
+        </div>
+        <div className="result-item">
+          <div className="value">{recommended.totalKW}</div>
+          <div className="label">Continuous kW</div>
+        </div>
+      </div>
+      <p className="text-xs text-muted mt-2">
+        Equipment {usd(recommended.cost.equipment)} + labor {usd(recommended.cost.labor)}
+        {recommended.cost.adders.map(a => ` + ${a.label}${a.qty > 1 ? ` ×${a.qty}` : ''} ${usd(a.amount)}`).join('')}
+      </p>
+
+      {ranked.length > 1 && (
+        <div className="table-scroll mt-2">
+          <table className="data-table" style={{ fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th>Rank</th>
+                <th>Product</th>
+                <th>Configuration</th>
+                <th>Effective kWh</th>
+                <th>kW</th>
+                <th>Total Cost</th>
+                <th>vs. Best</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ranked.map((r, i) => (
+                <tr key={r.productId} style={i === 0 ? { fontWeight: 600 } : undefined}>
+                  <td>{i === 0 ? <span className="badge badge-ok">Best</span> : i + 1}</td>
+                  <td>{r.manufacturer} {r.name}</td>
+                  <td>{r.displayUnits}</td>
+                  <td>{r.effectiveKWh}</td>
+                  <td>{r.totalKW}</td>
+                  <td>{usd(r.cost.total)}</td>
+                  <td>{i === 0 ? '--' : `+${usd(r.deltaCost)}`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {(unpriced.length > 0 || infeasible.length > 0 || unratedMotorStart.length > 0) && (
+        <p className="text-xs text-muted mt-2">
+          {unpriced.length > 0 && `Not priced (add to the price book): ${unpriced.join(', ')}. `}
+          {infeasible.length > 0 && `Cannot meet requirements within max configuration: ${infeasible.join(', ')}. `}
+          {unratedMotorStart.length > 0 && `No motor-start rating for the largest motor load: ${unratedMotorStart.join(', ')}.`}
+        </p>
+      )}
+    </div>
+  );
+}
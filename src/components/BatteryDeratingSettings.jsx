@@ -0,0 +1,125 @@
+import { getEffectiveUsableKWh, getBatteryModules } from '../utils/calculations';
+
+// Blank override fields fall back on each battery's spec default
+const overrideValue = (v) => (v === null || v === undefined ? '' : v);
+const parseOverride = (raw, max) => (raw === '' ? null : Math.min(max, Math.max(0, Number(raw) || 0)));
+
+// Round-trip efficiency, backup reserve, cold derate and capacity fade used to
+// turn nameplate usable kWh into effective energy for sizing
+export default function BatteryDeratingSettings({ derating, products, onChange }) {
+  const update = (field, value) => onChange({ ...derating, [field]: value });
+
+  return (
+    <div className="result-panel">
+      <label className="checkbox-label mb-2">
+        <input
+          type="checkbox"
+          checked={derating.enabled}
+          onChange={e => update('enabled', e.target.checked)}
+        />
+        Size on effective energy (efficiency, reserve, temperature and fade)
+      </label>
+
+      {derating.enabled && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Round-Trip Efficiency (%)</label>
+              <input
+                type="number"
+                placeholder="Spec default"
+                value={overrideValue(derating.efficiencyPercent)}
+                onChange={e => update('efficiencyPercent', parseOverride(e.target.value, 100))}
+                min={50}
+                max={100}
+                style={{ width: 120 }}
+              />
+            </div>
+            <div className="form-group">
+              <label>Backup Reserve (%)</label>
+              <input
+                type="number"
+                placeholder="Spec default"
+                value={overrideValue(derating.reservePercent)}
+                onChange={e => update('reservePercent', parseOverride(e.target.value, 80))}
+                min={0}
+                max={80}
+                style={{ width: 120 }}
+              />
+            </div>
+            <div className="form-group">
+              <label>Size for Year</label>
+              <input
+                type="number"
+                value={derating.sizeForYear || 0}
+                onChange={e => update('sizeForYear', Math.min(20, Math.max(0, Math.round(Number(e.target.value) || 0))))}
+                min={0}
+                max={20}
+                style={{ width: 120 }}
+              />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group" style={{ display: 'flex', alignItems: 'end', gap: 12 }}>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={derating.coldInstall}
+                  onChange={e => update('coldInstall', e.target.checked)}
+                />
+                Cold location (unheated garage / outdoor)
+              </label>
+              {derating.coldInstall && (
+                <input
+                  type="number"
+                  placeholder="Spec default %"
+                  value={overrideValue(derating.coldDeratePercent)}
+                  onChange={e => update('coldDeratePercent', parseOverride(e.target.value, 50))}
+                  min={0}
+                  max={50}
+                  style={{ width: 140 }}
+                />
+              )}
+            </div>
+          </div>
+
+          <div className="table-scroll">
+            <table className="data-table" style={{ fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th>Battery</th>
+                  <th>Usable (Gross)</th>
+                  <th>Efficiency</th>
+                  <th>Reserve</th>
+                  <th>Cold</th>
+                  <th>Fade</th>
+                  <th>Effective</th>
+                </tr>
+              </thead>
+              <tbody>
+                {getBatteryModules(products).map(module => {
+                  const eff = getEffectiveUsableKWh(module, derating);
+                  return (
+                    <tr key={module.key}>
+                      <td>{module.name}</td>
+                      <td>{eff.grossKWh} kWh</td>
+                      <td>{eff.efficiencyPercent}%</td>
+                      <td>{eff.reservePercent}%</td>
+                      <td>{eff.coldDeratePercent}%</td>
+                      <td>{eff.fadePercent.toFixed(1)}%</td>
+                      <td style={{ fontWeight: 600 }}>{eff.effectiveKWh} kWh</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-muted mt-2">
+            Blank fields use each battery&apos;s spec default. Fade is linear from the warranty end-of-life
+            capacity; &quot;Size for Year&quot; 10 sizes so the system still covers the backup window after 10 years.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { describeOutageSurvival } from '../utils/calculations';
+
+// Result card for one sized battery product (from sizeBatteryProduct)
+export default function BatteryProductCard({ data, recommended = false }) {
+  const isFeasible = !data.notFeasible;
+  return (
+    <div className={`battery-card ${recommended && isFeasible ? 'recommended' : ''}`}
+      style={data.notFeasible ? { opacity: 0.6, borderColor: '#dc2626' } : undefined}
+    >
+      {recommended && isFeasible && <div className="badge-recommended">Recommended</div>}
+      {data.notFeasible && (
+        <div style={{
+          background: '#fee2e2', color: '#dc2626', fontSize: 11, fontWeight: 600,
+          padding: '2px 8px', borderRadius: 4, marginBottom: 8, textAlign: 'center',
+        }}>
+          NOT FEASIBLE
+        </div>
+      )}
+      <h4>{data.name}</h4>
+      <div className="text-xs text-muted mb-2">{data.manufacturer}{data.isCustom ? ' (custom)' : ''}</div>
+      <div className="battery-stat">
+        <span className="stat-label">Units</span>
+        <span className="stat-value">{data.displayUnits}</span>
+      </div>
+      {data.outage && data.count > 0 && (
+        <p className="text-sm mb-2" style={{ fontWeight: 600, color: data.outage.survives ? '#16a34a' : '#dc2626' }}>
+          {describeOutageSurvival(data.outage)}
+        </p>
+      )}
+      <div className="battery-stat">
+        <span className="stat-label">Usable (Gross)</span>
+        <span className="stat-value">{data.totalKWh} kWh</span>
+      </div>
+      <div className="battery-stat">
+        <span className="stat-label">Effective Energy</span>
+        <span className="stat-value">{data.effectiveKWh} kWh</span>
+      </div>
+      <div className="battery-stat">
+        <span className="stat-label">Continuous Power</span>
+        <span className="stat-value">{data.totalKW.toFixed(1)} kW</span>
+      </div>
+      {data.peakKW > 0 && (
+        <div className="battery-stat">
+          <span className="stat-label">Peak Power (10 s)</span>
+          <span className="stat-value">{data.peakKW.toFixed(1)} kW</span>
+        </div>
+      )}
+      <div className="battery-stat">
+        <span className="stat-label">Limited By</span>
+        <span className="stat-value" style={{ textTransform: 'capitalize' }}>{data.limitedBy}</span>
+      </div>
+      {data.forEnergy !== undefined && (
+        <div className="battery-stat">
+          <span className="stat-label">For Energy</span>
+          <span className="stat-value">{data.forEnergy} units</span>
+        </div>
+      )}
+      {data.forPower !== undefined && (
+        <div className="battery-stat">
+          <span className="stat-label">For Power</span>
+          <span className="stat-value">{data.forPower} units</span>
+        </div>
+      )}
+      {data.forMotorStart > 0 && (
+        <div className="battery-stat">
+          <span className="stat-label">For Motor Start</span>
+          <span className="stat-value">{data.forMotorStart} units</span>
+        </div>
+      )}
+      {data.forSurge > 0 && (
+        <div className="battery-stat">
+          <span className="stat-label">For Surge</span>
+          <span className="stat-value">{data.forSurge} units</span>
+        </div>
+      )}
+      {data.surgePasses !== null && data.surgePasses !== undefined && (
+        <div className="battery-stat">
+          <span className="stat-label">Surge Check</span>
+          <span className="stat-value" style={{ color: data.surgePasses ? '#16a34a' : '#dc2626' }}>
+            {data.surgeKW} / {data.peakKW.toFixed(1)} kW {data.surgePasses ? 'OK' : 'FAIL'}
+          </span>
+        </div>
+      )}
+      {data.motorStartWarning && (
+        <p className="text-xs text-muted mt-2" style={{ color: '#d97706' }}>
+          {data.motorStartWarning}
+        </p>
+      )}
+      {data.surgeWarning && (
+        <p className="text-xs text-muted mt-2" style={{ color: '#d97706' }}>
+          {data.surgeWarning}
+        </p>
+      )}
+      {data.notFeasible && data.reason && (
+        <p className="text-xs mt-2" style={{ color: '#dc2626' }}>
+          {data.reason}
+        </p>
+      )}
+    </div>
+  );
+}
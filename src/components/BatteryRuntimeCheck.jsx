@@ -0,0 +1,96 @@
+import { describeRuntime } from '../utils/calculations';
+import BatteryConfigPicker from './BatteryConfigPicker';
+
+const checkBadge = (passes) => {
+  if (passes === null) return <span className="badge badge-warning">Not Rated</span>;
+  return passes ? <span className="badge badge-ok">OK</span> : <span className="badge badge-danger">Fails</span>;
+};
+
+// Inverse sizing: pick a product and quantity, see how long it lasts on the
+// step's load set and whether it meets power, motor start and surge
+export default function BatteryRuntimeCheck({ config, products, result, onChange }) {
+  return (
+    <div className="result-panel">
+      <div className="form-row">
+        <BatteryConfigPicker config={config} products={products} maxExpansions={result?.maxExpansions} onChange={onChange} />
+      </div>
+
+      {result && (
+        <>
+          <div className="result-grid">
+            <div className="result-item">
+              <div className="value" style={{ color: result.withSolar || result.meetsTarget ? undefined : '#dc2626' }}>
+                {describeRuntime(result.withoutSolar)}
+              </div>
+              <div className="label">Runtime, No Solar</div>
+              <div className="sub">{result.displayUnits}, {result.effectiveKWh} kWh effective</div>
+            </div>
+            <div className="result-item">
+              <div className="value" style={{ color: result.withSolar ? (result.meetsTarget ? '#16a34a' : '#dc2626') : undefined }}>
+                {result.withSolar ? describeRuntime(result.withSolar) : '--'}
+              </div>
+              <div className="label">Runtime With Solar</div>
+              <div className="sub">{result.withSolar ? 'Solar recharges each day' : 'No solar offset configured'}</div>
+            </div>
+            <div className="result-item">
+              <div className="value">{result.dailyLoadKWh}</div>
+              <div className="label">kWh/day Load</div>
+              <div className="sub">{result.loadCount} loads, target {result.targetHours} h</div>
+            </div>
+          </div>
+
+          <div className="table-scroll mt-2">
+            <table className="data-table" style={{ fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th>Check</th>
+                  <th>Needed</th>
+                  <th>Configuration</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>Continuous power</td>
+                  <td>{result.power.neededKW} kW</td>
+                  <td>{result.power.availableKW} kW</td>
+                  <td>{checkBadge(result.power.passes)}</td>
+                </tr>
+                <tr>
+                  <td>Motor start</td>
+                  <td>{result.motorStart.largestLRA > 0 ? `${result.motorStart.largestLRA} A LRA` : 'No motor LRA'}</td>
+                  <td>{result.motorStart.ratedLRA ? `${result.motorStart.ratedLRA} A` : '--'}</td>
+                  <td>{checkBadge(result.motorStart.passes)}</td>
+                </tr>
+                {result.surge && (
+                  <tr>
+                    <td>Surge (10 s)</td>
+                    <td>{result.surge.surgeKW} kW</td>
+                    <td>{result.surge.peakKW ? `${result.surge.peakKW} kW` : '--'}</td>
+                    <td>{checkBadge(result.surge.passes)}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {!result.meetsTarget && result.dropLoads.length > 0 && (
+            <div className={`hint-panel mt-2 ${result.dropReachesTarget ? '' : 'warning'}`} style={{ marginBottom: 0 }}>
+              <strong>To reach {result.targetHours} h{result.withSolar ? ' with solar' : ''}, drop:</strong>
+              <ol style={{ margin: '4px 0 0 20px' }}>
+                {result.dropLoads.map(d => (
+                  <li key={d.loadId}>{d.name} ({d.dailyKWh} kWh/day) &rarr; {d.runtimeHours} h</li>
+                ))}
+              </ol>
+              {!result.dropReachesTarget && <div>Dropping every load still falls short of the target.</div>}
+            </div>
+          )}
+        </>
+      )}
+      <p className="text-xs text-muted mt-2">
+        Runtime is simulated hour by hour from full charge on the step&apos;s load set, up to {result ? result.horizonHours / 24 : 7} days.
+        Loads to drop are the largest daily energy users first; the target is the backup duration above.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { LOCKED_ROTOR_POWER_FACTOR } from '../data/loadLibrary';
+
+// Motor-start surge check: worst-hour running load plus motor inrush against
+// each product's 10-second peak rating
+export default function BatterySurgeSettings({ surge, result, onChange }) {
+  const update = (field, value) => onChange({ ...surge, [field]: value });
+
+  return (
+    <div className="result-panel">
+      <label className="checkbox-label mb-2">
+        <input
+          type="checkbox"
+          checked={surge.enabled}
+          onChange={e => update('enabled', e.target.checked)}
+        />
+        Check motor-start surge against each battery&apos;s 10-second peak rating
+      </label>
+
+      {surge.enabled && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Motors Starting Together</label>
+              <select
+                value={surge.simultaneousStarts}
+                onChange={e => update('simultaneousStarts', Number(e.target.value))}
+                style={{ width: 220 }}
+              >
+                <option value={1}>Largest motor only</option>
+                <option value={2}>Two largest motors together</option>
+              </select>
+            </div>
+          </div>
+
+          {result && (
+            <div className="result-grid">
+              <div className="result-item">
+                <div className="value">{result.runningKW}</div>
+                <div className="label">Running kW (worst hour)</div>
+              </div>
+              <div className="result-item">
+                <div className="value">{result.inrushKVA}</div>
+                <div className="label">Inrush kVA</div>
+                <div className="sub">{result.startingLoads.join(' + ') || 'No motor LRA entered'}</div>
+              </div>
+              <div className="result-item">
+                <div className="value">{result.surgeKW}</div>
+                <div className="label">Surge kW (10 s)</div>
+                <div className="sub">running + {result.inrushKW} kW inrush</div>
+              </div>
+            </div>
+          )}
+          <p className="text-xs text-muted mt-2">
+            Inrush kVA = start LRA &times; circuit voltage (after any soft starter), converted to kW at a
+            locked-rotor power factor of {LOCKED_ROTOR_POWER_FACTOR}. Batteries are sized so their combined peak rating covers the surge.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { BACKUP_PRIORITIES } from '../data/loadLibrary';
+import BatteryConfigPicker from './BatteryConfigPicker';
+
+const tierLabel = (value) => BACKUP_PRIORITIES.find(t => t.value === value)?.label || value;
+
+// Fill a chosen battery configuration with the highest-priority loads that fit,
+// then write the set back to the Step 6 selection
+export default function CriticalLoadOptimizer({ config, products, result, backupDays, onChange, onApply }) {
+  return (
+    <div className="result-panel">
+      <div className="form-row">
+        <BatteryConfigPicker config={config} products={products} maxExpansions={result?.maxExpansions} onChange={onChange} />
+        <div className="form-group">
+          <label>Target Days</label>
+          <input
+            type="number"
+            placeholder={String(backupDays)}
+            value={config.targetDays ?? ''}
+            onChange={e => onChange({ ...config, targetDays: e.target.value === '' ? null : Math.min(14, Math.max(0.25, Number(e.target.value) || 1)) })}
+            min={0.25}
+            max={14}
+            step={0.25}
+            style={{ width: 90 }}
+          />
+        </div>
+      </div>
+
+      {result && (
+        <>
+          <div className="result-grid">
+            {result.tiers.map(t => (
+              <div className="result-item" key={t.value}>
+                <div className="value">{t.included} / {t.total}</div>
+                <div className="label">{t.label}</div>
+              </div>
+            ))}
+            <div className="result-item">
+              <div className="value">{result.energyKWh}</div>
+              <div className="label">kWh of {result.effectiveKWh}</div>
+              <div className="sub">{result.backupDays} day{result.backupDays !== 1 ? 's' : ''}, peak {result.peakKW} of {result.totalKW} kW</div>
+            </div>
+          </div>
+
+          {result.skipped.length > 0 && (
+            <div className="table-scroll mt-2">
+              <table className="data-table" style={{ fontSize: 13 }}>
+                <thead>
+                  <tr>
+                    <th>Left Out</th>
+                    <th>Priority</th>
+                    <th>kWh/Day</th>
+                    <th>Would Exceed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.skipped.map(s => (
+                    <tr key={s.loadId}>
+                      <td>{s.name}</td>
+                      <td>{tierLabel(s.priority)}</td>
+                      <td>{s.dailyKWh}</td>
+                      <td>{s.exceeded.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {result.motorStartUnrated && (
+            <p className="text-xs mt-2" style={{ color: '#d97706' }}>
+              No motor-start rating for this product; the LRA limit was not applied.
+            </p>
+          )}
+
+          <button className="btn btn-primary mt-2" onClick={() => onApply(result.includeIds)}>
+            Apply to Load Selection ({result.includeIds.length} loads)
+          </button>
+        </>
+      )}
+      <p className="text-xs text-muted mt-2">
+        Loads are added Essential first, then Important, then Nice-to-have (smallest kWh/day first within a tier)
+        while the set fits the configuration&apos;s effective energy, continuous kW, motor-start LRA and surge.
+        Applying replaces the ticks below; they can still be edited by hand.
+      </p>
+    </div>
+  );
+}
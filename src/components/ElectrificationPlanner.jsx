@@ -0,0 +1,95 @@
+import { ELECTRIFICATION_CONVERSIONS } from '../data/loadLibrary';
+
+const statusBadge = (status) => {
+  if (status === 'OK') return <span className="badge badge-ok">OK</span>;
+  if (status === 'Borderline') return <span className="badge badge-warning">Borderline</span>;
+  return <span className="badge badge-danger">Undersized</span>;
+};
+
+const recommendedUnits = (battery) =>
+  (battery.recommended.length > 0
+    ? battery.recommended.map(p => `${p.manufacturer} ${p.name} (${p.displayUnits})`).join(' / ')
+    : 'None feasible');
+
+const upgradeLabel = (upgrade) => {
+  if (!upgrade) return 'None needed';
+  const { amps, scope } = upgrade.recommended;
+  return amps ? `${amps} A (${scope})` : scope;
+};
+
+// Gas-to-electric what-if: toggle conversions and compare service adequacy,
+// panel slots and whole-home battery sizing before and after
+export default function ElectrificationPlanner({ conversions, result, onToggle }) {
+  const { before, after } = result;
+  const rows = [
+    ['Loads', before.loadCount, after.loadCount],
+    ['NEC Method', before.service.methodLabel, after.service.methodLabel],
+    ['Service Demand', `${before.service.serviceAmps} A (${before.service.ratio}%)`, `${after.service.serviceAmps} A (${after.service.ratio}%)`],
+    ['Service Status', statusBadge(before.service.status), statusBadge(after.service.status)],
+    ['Service Upgrade', upgradeLabel(before.serviceUpgrade), upgradeLabel(after.serviceUpgrade)],
+    ['Modeled Slots', before.modeledSlots, after.modeledSlots],
+    ['Open Slots (Main Panel)', before.openSlots, after.openSlots],
+    ['Battery kWh Needed', before.battery.totalEnergyNeededKWh, after.battery.totalEnergyNeededKWh],
+    ['Battery Peak kW', before.battery.peakPowerKW, after.battery.peakPowerKW],
+    ['Largest Motor LRA', before.battery.largestLRA, after.battery.largestLRA],
+    ['Recommended Battery', recommendedUnits(before.battery), recommendedUnits(after.battery)],
+  ];
+
+  return (
+    <div className="result-panel">
+      {ELECTRIFICATION_CONVERSIONS.map(c => {
+        const applied = result.conversions.find(a => a.id === c.id);
+        return (
+          <div key={c.id} className="mb-2">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!conversions[c.id]}
+                onChange={e => onToggle(c.id, e.target.checked)}
+              />
+              {c.label}
+            </label>
+            {applied && (
+              <div className="text-xs text-muted" style={{ marginLeft: 24 }}>
+                Adds {applied.added.map(l => `${l.description} (${l.usage.assumedWatts} W, ${l.breaker.poles}P/${l.breaker.amps}A)`).join(', ')}
+                {applied.removed.length > 0 && <>; removes {applied.removed.map(l => l.description || l.category).join(', ')}</>}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="table-scroll mt-2">
+        <table className="data-table" style={{ fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th></th>
+              <th>Before</th>
+              <th>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([label, b, a]) => (
+              <tr key={label}>
+                <td>{label}</td>
+                <td>{b}</td>
+                <td style={{ fontWeight: 600 }}>{a}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {after.slotShortfall > 0 && (
+        <p className="text-xs mt-2" style={{ color: '#d97706' }}>
+          The main panel is {after.slotShortfall} space{after.slotShortfall !== 1 ? 's' : ''} short after the conversions;
+          plan tandems, a subpanel or a larger panel.
+        </p>
+      )}
+      <p className="text-xs text-muted mt-2">
+        Conversions add library loads flagged as new (NEC 220.83 when the optional method is selected) and remove the
+        loads they replace: the furnace blower, AC condenser and air handler for a heat pump, or an existing electric
+        water heater, range or dryer. Battery sizing uses the whole-home settings from Step 5.
+      </p>
+    </div>
+  );
+}
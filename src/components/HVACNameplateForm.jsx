@@ -0,0 +1,56 @@
+const NAMEPLATE_FIELDS = [
+  ['compressorRLA', 'Compressor RLA', 0.1],
+  ['compressorLRA', 'Compressor LRA', 1],
+  ['fanFLA', 'Fan FLA', 0.1],
+  ['mca', 'MCA', 0.1],
+  ['mocp', 'MOCP', 5],
+  ['tonnage', 'Tons', 0.5],
+  ['seer2', 'SEER2', 0.1],
+  ['hspf2', 'HSPF2', 0.1],
+];
+
+// AC condenser / heat pump nameplate on a Step 3 row: running watts, the
+// 220.82 HVAC VA, breaker vs. MOCP and battery motor start come from these fields
+export default function HVACNameplateForm({ hvac, breakerAmps, result, onChange }) {
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', alignItems: 'end' }}>
+        {NAMEPLATE_FIELDS.map(([field, label, step]) => (
+          <div key={field} className="form-group" style={{ marginBottom: 0 }}>
+            <label style={{ fontSize: 11 }}>{label}</label>
+            <input
+              type="number"
+              value={hvac[field] ?? ''}
+              onChange={e => onChange(field, e.target.value === '' ? null : Math.max(0, Number(e.target.value) || 0))}
+              className="lra-input"
+              min={0}
+              step={step}
+            />
+          </div>
+        ))}
+        <label className="checkbox-label" style={{ fontSize: 12 }}>
+          <input
+            type="checkbox"
+            checked={!!hvac.inverter}
+            onChange={e => onChange('inverter', e.target.checked)}
+          />
+          Inverter-driven compressor
+        </label>
+      </div>
+      {result && (
+        <div className="text-xs mt-2">
+          {result.va !== null
+            ? <>Running: {result.runningAmps} A &rarr; {result.va.toLocaleString()} VA ({result.basis}). </>
+            : <span className="text-muted">Enter RLA + fan FLA, MCA, or tons + SEER2 for running watts. </span>}
+          {result.breakerOK === false && (
+            <span style={{ color: '#dc2626', fontWeight: 600 }}>Breaker {breakerAmps}A exceeds MOCP {result.mocp}A. </span>
+          )}
+          {result.breakerOK && <span style={{ color: '#16a34a' }}>Breaker {breakerAmps}A &le; MOCP {result.mocp}A. </span>}
+          <span className="text-muted">
+            {hvac.inverter ? 'No locked-rotor inrush for battery sizing.' : hvac.compressorLRA ? `Battery motor start uses ${hvac.compressorLRA} A LRA.` : 'No compressor LRA entered; the LRA column is used.'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+const passBadge = (pass) => (
+  <span className={`badge ${pass ? 'badge-ok' : 'badge-danger'}`}>{pass ? 'Pass' : 'Fail'}</span>
+);
+
+// NEC 705.12(B) busbar results for a load-side PV / battery connection
+export default function InterconnectionCheck({ result }) {
+  const { rule120, sumOfBreakers, derate } = result;
+  const loadSideOK = rule120.pass || sumOfBreakers.pass;
+
+  return (
+    <div className="result-panel">
+      <h4>Busbar Interconnection Check (NEC 705.12)</h4>
+      <div className="result-grid">
+        <div className="result-item">
+          <div className="label">Inverter Output</div>
+          <div className="value">{result.inverterOutputAmps}A</div>
+        </div>
+        <div className="result-item">
+          <div className="label">Backfeed Breaker</div>
+          <div className="value">{result.backfeedBreakerAmps}A</div>
+        </div>
+        <div className="result-item">
+          <div className="label">Bus / Main</div>
+          <div className="value">{result.busRatingAmps}A / {result.mainBreakerAmps}A</div>
+        </div>
+      </div>
+      <table className="data-table mt-2" style={{ fontSize: 13 }}>
+        <tbody>
+          <tr>
+            <td>120% rule: main + 125% inverter ≤ 120% bus</td>
+            <td>{result.mainBreakerAmps}A + {(result.inverterOutputAmps * 1.25).toFixed(1)}A = {rule120.total}A ≤ {rule120.limit}A</td>
+            <td>{passBadge(rule120.pass)}</td>
+          </tr>
+          <tr>
+            <td>Sum of breakers (excl. main) ≤ bus</td>
+            <td>{sumOfBreakers.total}A ≤ {sumOfBreakers.limit}A</td>
+            <td>{passBadge(sumOfBreakers.pass)}</td>
+          </tr>
+          <tr>
+            <td>Derate main breaker</td>
+            <td>
+              {derate.mainAmps
+                ? `${derate.mainAmps}A main → service calc ${derate.serviceResult.serviceAmps}A (${derate.serviceResult.status})`
+                : 'No standard main size satisfies the 120% rule'}
+            </td>
+            <td>{derate.mainAmps ? passBadge(derate.pass) : '--'}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className={`hint-panel mt-2 ${loadSideOK ? '' : derate.pass ? 'warning' : 'danger'}`} style={{ marginBottom: 0 }}>
+        <strong>Recommended: {result.recommendation}</strong>
+        {loadSideOK && <div className="text-xs mt-2">{result.positionNote}</div>}
+      </div>
+    </div>
+  );
+}
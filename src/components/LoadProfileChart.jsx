@@ -0,0 +1,85 @@
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const PAD = { top: 12, right: 8, bottom: 22, left: 36 };
+
+const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+
+// 24-hour simulated demand with the coincident peak hour highlighted.
+// Bars are average kW per hour; the dashed line is the coincident peak.
+export default function LoadProfileChart({ profile, outageStartHour, onOutageStartChange }) {
+  const { hourlyKW, coincidentPeakKW, peakHour } = profile;
+  const maxKW = Math.max(coincidentPeakKW, ...hourlyKW, 0.1);
+  const plotW = CHART_WIDTH - PAD.left - PAD.right;
+  const plotH = CHART_HEIGHT - PAD.top - PAD.bottom;
+  const barW = plotW / 24;
+  const y = (kw) => PAD.top + plotH - (kw / maxKW) * plotH;
+  const ticks = [0, maxKW / 2, maxKW];
+
+  return (
+    <div className="result-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8, marginBottom: 8 }}>
+        <h4 style={{ marginBottom: 0 }}>Simulated Daily Load Profile</h4>
+        {onOutageStartChange && (
+          <label className="text-xs text-muted" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            Outage starts at
+            <select value={outageStartHour} onChange={e => onOutageStartChange(Number(e.target.value))}>
+              {hourlyKW.map((_, h) => <option key={h} value={h}>{hourLabel(h)}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img"
+        aria-label="Hourly load profile chart"
+      >
+        {ticks.map(kw => (
+          <g key={kw}>
+            <line x1={PAD.left} x2={CHART_WIDTH - PAD.right} y1={y(kw)} y2={y(kw)} stroke="var(--gray-300)" strokeWidth={0.5} />
+            <text x={PAD.left - 4} y={y(kw) + 3} fontSize={9} textAnchor="end" fill="var(--gray-400)">{kw.toFixed(1)}</text>
+          </g>
+        ))}
+        {hourlyKW.map((kw, h) => (
+          <rect
+            key={h}
+            x={PAD.left + h * barW + 1}
+            y={y(kw)}
+            width={barW - 2}
+            height={Math.max(0, PAD.top + plotH - y(kw))}
+            fill={h === peakHour ? '#d97706' : 'var(--blue-accent)'}
+            opacity={h === outageStartHour ? 1 : 0.8}
+          >
+            <title>{`${hourLabel(h)}: ${kw.toFixed(2)} kW avg`}</title>
+          </rect>
+        ))}
+        <line x1={PAD.left} x2={CHART_WIDTH - PAD.right} y1={y(coincidentPeakKW)} y2={y(coincidentPeakKW)}
+          stroke="#d97706" strokeDasharray="4 3" strokeWidth={1}
+        />
+        {[0, 6, 12, 18].map(h => (
+          <text key={h} x={PAD.left + h * barW} y={CHART_HEIGHT - 6} fontSize={9} fill="var(--gray-400)">{hourLabel(h)}</text>
+        ))}
+        <text x={PAD.left + outageStartHour * barW + barW / 2} y={PAD.top - 2} fontSize={9} textAnchor="middle" fill="var(--gray-400)">▼</text>
+      </svg>
+      <div className="result-grid mt-2">
+        <div className="result-item">
+          <div className="value">{profile.windowKWh}</div>
+          <div className="label">Backup Window kWh</div>
+          <div className="sub">{profile.windowHours} h from {hourLabel(profile.outageStartHour)}</div>
+        </div>
+        <div className="result-item">
+          <div className="value">{coincidentPeakKW}</div>
+          <div className="label">Coincident Peak kW</div>
+          <div className="sub">at {hourLabel(peakHour)}</div>
+        </div>
+        <div className="result-item">
+          <div className="value">{profile.worstHourKWh}</div>
+          <div className="label">Worst Hour kWh</div>
+          <div className="sub">{hourLabel(profile.worstHour)}-{hourLabel((profile.worstHour + 1) % 24)}</div>
+        </div>
+      </div>
+      <p className="text-xs text-muted mt-2">
+        Each load's hrs/day is spread over a default profile for its category (e.g. AC afternoon peak,
+        water heater morning/evening, refrigerator constant). Coincident peak = worst hourly average plus
+        the largest load cycling on for the rest of that hour. Planning estimate only.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { SHED_ACTIONS } from '../data/loadLibrary';
+import { describeOutageSurvival } from '../utils/calculations';
+
+const hourOptions = Array.from({ length: 24 }, (_, h) => h);
+const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+
+// Smart-panel load-shedding plan for whole-home backup and the managed unit
+// counts next to the unmanaged sizing
+export default function LoadSheddingPlan({ plan, result, unmanagedProducts, onChange }) {
+  const update = (field, value) => onChange({ ...plan, [field]: value });
+  const setAction = (loadId, action) => onChange({ ...plan, actions: { ...plan.actions, [loadId]: action } });
+
+  return (
+    <div className="result-panel">
+      <label className="checkbox-label mb-2">
+        <input
+          type="checkbox"
+          checked={plan.enabled}
+          onChange={e => update('enabled', e.target.checked)}
+        />
+        Size for a managed whole home (smart panel / load controller sheds loads)
+      </label>
+
+      {plan.enabled && result && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Shed Below SoC (%)</label>
+              <input
+                type="number"
+                value={plan.shedBelowPercent}
+                onChange={e => update('shedBelowPercent', Math.min(95, Math.max(5, Number(e.target.value) || 0)))}
+                min={5}
+                max={95}
+                step={5}
+                style={{ width: 100 }}
+              />
+            </div>
+            <div className="form-group" style={{ display: 'flex', alignItems: 'end', gap: 8 }}>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={plan.hvacRestricted}
+                  onChange={e => update('hvacRestricted', e.target.checked)}
+                />
+                Restrict HVAC to
+              </label>
+              <select value={plan.hvacStartHour} disabled={!plan.hvacRestricted} onChange={e => update('hvacStartHour', Number(e.target.value))}>
+                {hourOptions.map(h => <option key={h} value={h}>{hourLabel(h)}</option>)}
+              </select>
+              <span className="text-sm">to</span>
+              <select value={plan.hvacEndHour} disabled={!plan.hvacRestricted} onChange={e => update('hvacEndHour', Number(e.target.value))}>
+                {hourOptions.map(h => <option key={h} value={h}>{hourLabel(h)}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="table-scroll">
+            <table className="data-table" style={{ fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th>Load</th>
+                  <th>During Outage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.schedule.map(row => (
+                  <tr key={row.loadId}>
+                    <td>{row.name}</td>
+                    <td>
+                      <select value={row.action} onChange={e => setAction(row.loadId, e.target.value)}>
+                        {SHED_ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                      </select>
+                      {row.hvacLimited && (
+                        <span className="text-xs text-muted" style={{ marginLeft: 8 }}>
+                          {hourLabel(plan.hvacStartHour)}-{hourLabel(plan.hvacEndHour)} only
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="result-grid mt-2">
+            <div className="result-item">
+              <div className="value">{result.summary.totalEnergyNeededKWh}</div>
+              <div className="label">kWh Needed (Managed)</div>
+              <div className="sub">{result.summary.unmanagedWindowKWh} kWh if nothing is shed</div>
+            </div>
+            <div className="result-item">
+              <div className="value">{result.summary.peakPowerKW}</div>
+              <div className="label">Peak kW (Managed)</div>
+              <div className="sub">Loads left on before shedding</div>
+            </div>
+          </div>
+
+          <div className="table-scroll mt-2">
+            <table className="data-table" style={{ fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th>System</th>
+                  <th>Unmanaged</th>
+                  <th>Managed</th>
+                  <th>Managed Outage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.products.map(p => {
+                  const unmanaged = unmanagedProducts.find(u => u.productId === p.productId);
+                  return (
+                    <tr key={p.productId}>
+                      <td>{p.manufacturer} {p.name}</td>
+                      <td>{unmanaged ? `${unmanaged.displayUnits}${unmanaged.notFeasible ? ' (not feasible)' : ''}` : '--'}</td>
+                      <td style={{ fontWeight: 600 }}>{p.displayUnits}{p.notFeasible ? ' (not feasible)' : ''}</td>
+                      <td>
+                        {p.count > 0 ? describeOutageSurvival(p.outage) : '--'}
+                        {p.outage.shedAt && <span className="text-xs text-muted"> &middot; sheds day {p.outage.shedAt.day} {hourLabel(p.outage.shedAt.hour)}</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+      <p className="text-xs text-muted mt-2">
+        Defaults follow each load&apos;s backup priority: Essential always on, Important shed at low SoC,
+        Nice-to-have off during the outage. Managed sizing always uses the hourly load profile and is the smallest
+        battery that lasts the backup window with the plan applied.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const PAD = { top: 12, right: 8, bottom: 22, left: 36 };
+
+const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+
+// State of charge through the outage window for one sized configuration
+export default function OutageSoCChart({ products, recommendedIds = [], simulation }) {
+  const candidates = products.filter(p => p.count > 0);
+  const defaultId = candidates.find(p => recommendedIds.includes(p.productId))?.productId || candidates[0]?.productId;
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = candidates.find(p => p.productId === selectedId) || candidates.find(p => p.productId === defaultId);
+  if (!selected) return null;
+
+  const { outage } = selected;
+  const plotW = CHART_WIDTH - PAD.left - PAD.right;
+  const plotH = CHART_HEIGHT - PAD.top - PAD.bottom;
+  const x = (i) => PAD.left + (i / Math.max(1, simulation.windowHours)) * plotW;
+  const y = (pct) => PAD.top + plotH - (pct / 100) * plotH;
+  const points = outage.socPercent.map((pct, i) => `${x(i)},${y(pct)}`).join(' ');
+  // Day boundaries (midnight) after the outage starts
+  const midnights = [];
+  for (let i = (24 - simulation.startHour) % 24 || 24; i < simulation.windowHours; i += 24) midnights.push(i);
+
+  return (
+    <div className="result-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8, marginBottom: 8 }}>
+        <h4 style={{ marginBottom: 0 }}>Outage State of Charge</h4>
+        <select value={selected.productId} onChange={e => setSelectedId(e.target.value)}>
+          {candidates.map(p => (
+            <option key={p.productId} value={p.productId}>{p.manufacturer} {p.name} ({p.displayUnits})</option>
+          ))}
+        </select>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img"
+        aria-label="Battery state of charge during the outage"
+      >
+        {[0, 50, 100].map(pct => (
+          <g key={pct}>
+            <line x1={PAD.left} x2={CHART_WIDTH - PAD.right} y1={y(pct)} y2={y(pct)} stroke="var(--gray-300)" strokeWidth={0.5} />
+            <text x={PAD.left - 4} y={y(pct) + 3} fontSize={9} textAnchor="end" fill="var(--gray-400)">{pct}%</text>
+          </g>
+        ))}
+        {midnights.map(i => (
+          <g key={i}>
+            <line x1={x(i)} x2={x(i)} y1={PAD.top} y2={PAD.top + plotH} stroke="var(--gray-300)" strokeDasharray="2 3" strokeWidth={0.5} />
+            <text x={x(i) + 2} y={CHART_HEIGHT - 6} fontSize={9} fill="var(--gray-400)">Day {Math.floor((simulation.startHour + i) / 24) + 1}</text>
+          </g>
+        ))}
+        <polyline points={points} fill="none" stroke={outage.survives ? 'var(--blue-accent)' : '#dc2626'} strokeWidth={1.5} />
+        {outage.emptyAtHour !== null && (
+          <circle cx={x(outage.hoursSurvived)} cy={y(0)} r={3} fill="#dc2626">
+            <title>{`Empty after ${outage.hoursSurvived} h`}</title>
+          </circle>
+        )}
+        <text x={PAD.left} y={CHART_HEIGHT - 6} fontSize={9} fill="var(--gray-400)">{hourLabel(simulation.startHour)}</text>
+      </svg>
+      <div className="result-grid mt-2">
+        <div className="result-item">
+          <div className="value" style={{ color: outage.survives ? '#16a34a' : '#dc2626' }}>
+            {outage.survives ? outage.windowDays : outage.daysSurvived} / {outage.windowDays}
+          </div>
+          <div className="label">Days Survived</div>
+          <div className="sub">
+            {outage.survives ? 'Never runs empty' : `Empty day ${outage.emptyAt.day} at ${hourLabel(outage.emptyAt.hour)}`}
+          </div>
+        </div>
+        <div className="result-item">
+          <div className="value">{outage.minSoCPercent}%</div>
+          <div className="label">Minimum SoC</div>
+          <div className="sub">Ends at {outage.endSoCPercent}%</div>
+        </div>
+        {simulation.hasSolar && (
+          <div className="result-item">
+            <div className="value">{outage.curtailedKWh}</div>
+            <div className="label">Solar kWh Unused</div>
+            <div className="sub">Battery full or at charge limit</div>
+          </div>
+        )}
+      </div>
+      {outage.powerLimitedHours > 0 && (
+        <p className="text-xs mt-2" style={{ color: '#d97706' }}>
+          Load exceeds the configuration&apos;s continuous kW in {outage.powerLimitedHours} hour(s).
+        </p>
+      )}
+      <p className="text-xs text-muted mt-2">
+        Hour-by-hour from full charge: load from the daily profile (flat when the simulation is off){simulation.hasSolar ? ', solar serves load and recharges the battery (within its kW rating and round-trip losses)' : ''}.
+        SoC is a percentage of effective (deliverable) energy.
+      </p>
+    </div>
+  );
+}
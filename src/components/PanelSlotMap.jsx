@@ -0,0 +1,233 @@
+import { useMemo, useState } from 'react';
+import { buildProjectPanelMap, getPanelMapLoads, getPanelConfig, canPlaceBreaker, autoAssignCircuits, MAIN_PANEL_ID } from '../utils/calculations';
+
+const LEG_COLORS = { L1: '#dbeafe', L2: '#fef3c7', L3: '#d1fae5' };
+
+// Two-column panel layout driven by circuitNumber. Drag a breaker onto an open
+// position to move it, or onto a same-size breaker to swap them. Subpanel
+// feeder breakers appear in their parent panel's map.
+export default function PanelSlotMap({ project, updateProject }) {
+  const subpanels = project.subpanels || [];
+  const [selectedPanelId, setSelectedPanelId] = useState(MAIN_PANEL_ID);
+  const panelId = subpanels.some(sp => sp.id === selectedPanelId) ? selectedPanelId : MAIN_PANEL_ID;
+  const panel = getPanelConfig(project, panelId);
+  const mapLoads = useMemo(() => getPanelMapLoads(project, panelId), [project, panelId]);
+  const map = useMemo(() => buildProjectPanelMap(project, panelId), [project, panelId]);
+  const [dragLoadId, setDragLoadId] = useState(null);
+  const rows = Math.ceil(map.positions.length / 2);
+
+  const loadById = (id) => mapLoads.find(l => l.id === id);
+
+  // Feeder breakers store their position on the subpanel they feed
+  const setCircuits = (updates) => {
+    const feederUpdates = Object.fromEntries(mapLoads
+      .filter(l => l.feederFor && updates[l.id] !== undefined)
+      .map(l => [l.feederFor, updates[l.id]]));
+    updateProject(prev => ({
+      ...prev,
+      loads: prev.loads.map(l => (updates[l.id] !== undefined ? { ...l, circuitNumber: updates[l.id] } : l)),
+      subpanels: (prev.subpanels || []).map(sp => (
+        feederUpdates[sp.id] !== undefined ? { ...sp, feederCircuitNumber: feederUpdates[sp.id] } : sp
+      )),
+    }));
+  };
+
+  const handleDrop = (position) => {
+    const loadId = dragLoadId;
+    setDragLoadId(null);
+    const source = map.breakers.find(b => b.loadId === loadId) || map.unplaced.find(u => u.loadId === loadId);
+    if (!source) return;
+    if (canPlaceBreaker(map, loadId, source.poles, position)) {
+      setCircuits({ [loadId]: String(position) });
+      return;
+    }
+    const target = map.breakers.find(b => b.span.includes(position));
+    if (target && source.start && target.poles === source.poles) {
+      setCircuits({ [loadId]: String(target.start), [target.loadId]: String(source.start) });
+    }
+  };
+
+  const autoAssign = () => {
+    const assigned = autoAssignCircuits(mapLoads, panel, project.service);
+    setCircuits(Object.fromEntries(assigned
+      .filter((l, i) => l.circuitNumber !== mapLoads[i].circuitNumber)
+      .map(l => [l.id, l.circuitNumber])));
+  };
+
+  const dropProps = (position) => ({
+    onDragOver: e => e.preventDefault(),
+    onDrop: e => { e.preventDefault(); handleDrop(position); },
+  });
+
+  const breakerLabel = (load) => (
+    <>
+      <div style={{ fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+        {load.description || load.category}
+      </div>
+      <div className="text-xs text-muted">{load.breaker.amps}A · {load.usage.assumedWatts}W</div>
+    </>
+  );
+
+  const renderBreaker = (b) => {
+    const load = loadById(b.loadId);
+    const row = Math.floor((b.start - 1) / 2);
+    return (
+      <div
+        key={b.loadId}
+        draggable
+        onDragStart={() => setDragLoadId(b.loadId)}
+        {...dropProps(b.start)}
+        style={{
+          gridColumn: b.start % 2 === 1 ? 1 : 3,
+          gridRow: `${row + 1} / span ${b.poles}`,
+          border: '1px solid var(--gray-400)',
+          borderRadius: 4,
+          background: '#fff',
+          padding: '4px 6px',
+          fontSize: 12,
+          cursor: 'grab',
+          display: 'flex',
+          gap: 6,
+          minWidth: 0,
+        }}
+        title={`Circuit ${b.span.join('/')}${b.poles > 1 ? ` (${b.poles}-pole)` : ''}`}
+      >
+        <span className="text-xs text-muted">{b.span.join('/')}</span>
+        {b.isTandem && load.tandemCircuitB ? (
+          <div style={{ display: 'flex', gap: 4, flex: 1, minWidth: 0 }}>
+            <div style={{ flex: 1, minWidth: 0 }}>{breakerLabel(load)}</div>
+            <div style={{ flex: 1, minWidth: 0, borderLeft: '1px dashed var(--gray-300)', paddingLeft: 4 }}>
+              <div style={{ fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {load.tandemCircuitB.description || 'Circuit B'}
+              </div>
+              <div className="text-xs text-muted">{load.tandemCircuitB.amps}A · {load.tandemCircuitB.assumedWatts || 0}W</div>
+            </div>
+          </div>
+        ) : (
+          <div style={{ flex: 1, minWidth: 0 }}>{breakerLabel(load)}</div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Panel Slot Map</h3>
+        {map.unplaced.length > 0 && (
+          <button className="btn btn-secondary btn-sm" onClick={autoAssign}>
+            Auto-assign {map.unplaced.length} unplaced
+          </button>
+        )}
+      </div>
+      {subpanels.length > 0 && (
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 8 }}>
+          {[{ id: MAIN_PANEL_ID, name: 'Main Panel' }, ...subpanels].map(p => (
+            <button
+              key={p.id}
+              className={`btn btn-sm ${panelId === p.id ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setSelectedPanelId(p.id)}
+            >
+              {p.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <p className="text-sm text-muted mb-4">
+        Positions follow circuit numbers: odd on the left, even on the right. Drag a breaker to an open
+        position to move it, or onto a same-size breaker to swap.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 40px 1fr', gridTemplateRows: `repeat(${rows}, minmax(40px, auto))`, gap: 4, maxWidth: 640 }}>
+        {Array.from({ length: rows }, (_, row) => (
+          <div
+            key={`leg_${row}`}
+            style={{ gridColumn: 2, gridRow: row + 1, background: LEG_COLORS[map.positions[row * 2].leg], borderRadius: 4, display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: 11, fontWeight: 600 }}
+          >
+            {map.positions[row * 2].leg}
+          </div>
+        ))}
+        {map.positions.filter(p => !p.loadId).map(p => (
+          <div
+            key={`open_${p.position}`}
+            {...dropProps(p.position)}
+            style={{
+              gridColumn: p.position % 2 === 1 ? 1 : 3,
+              gridRow: Math.floor((p.position - 1) / 2) + 1,
+              border: '1px dashed var(--gray-300)',
+              borderRadius: 4,
+              fontSize: 11,
+              color: 'var(--gray-400)',
+              display: 'flex',
+              alignItems: 'center',
+              padding: '0 6px',
+            }}
+          >
+            {p.position} · open
+          </div>
+        ))}
+        {map.breakers.map(renderBreaker)}
+      </div>
+
+      {map.unplaced.length > 0 && (
+        <div className="mt-4">
+          <div className="text-sm" style={{ fontWeight: 600, marginBottom: 4 }}>Unplaced breakers (drag onto the map)</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+            {map.unplaced.map(u => {
+              const load = loadById(u.loadId);
+              return (
+                <span
+                  key={u.loadId}
+                  draggable
+                  onDragStart={() => setDragLoadId(u.loadId)}
+                  className={`badge ${u.conflict ? 'badge-warning' : 'badge-info'}`}
+                  style={{ cursor: 'grab' }}
+                  title={u.conflict ? `Circuit ${load.circuitNumber} overlaps another breaker or is outside the panel` : undefined}
+                >
+                  {load.description || load.category} ({u.poles}P{u.conflict ? `, ckt ${load.circuitNumber}` : ''})
+                </span>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="result-grid mt-4">
+        {map.legLoads.map(l => (
+          <div className="result-item" key={l.leg}>
+            <div className="value">{l.demandAmps}A</div>
+            <div className="label">{l.leg} Demand</div>
+            <div className="sub">{l.connectedAmps}A connected ({(l.connectedVA / 1000).toFixed(1)} kVA)</div>
+          </div>
+        ))}
+        <div className="result-item">
+          <div className="value">{map.openSlots}</div>
+          <div className="label">Open Slots</div>
+          <div className="sub">{map.usedSlots} of {panel.totalSlots} used</div>
+        </div>
+      </div>
+
+      <div className="form-row mt-4" style={{ alignItems: 'center' }}>
+        <div className="form-group" style={{ marginBottom: 0, maxWidth: 220 }}>
+          <label>Imbalance Flag Threshold (%)</label>
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={map.thresholdPercent}
+            onChange={e => updateProject(prev => ({
+              ...prev,
+              panel: { ...prev.panel, imbalanceThresholdPercent: Math.max(1, Number(e.target.value) || 1) },
+            }))}
+          />
+        </div>
+        <div className={`hint-panel ${map.imbalanced ? 'warning' : ''}`} style={{ marginBottom: 0, flex: 1 }}>
+          Leg imbalance: <strong>{map.imbalancePercent}%</strong>
+          {map.imbalanced
+            ? ` exceeds ${map.thresholdPercent}%. Move large 1-pole loads to the lighter leg.`
+            : ` within ${map.thresholdPercent}%.`}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { DEFAULT_PRICE_BOOK } from '../data/loadLibrary';
+import { getBatteryProducts, getBatteryModules } from '../utils/calculations';
+
+// Price book: per-unit equipment and labor, plus gateway/controller adders per product
+export default function PriceBookEditor({ battery, onChange }) {
+  const priceBook = battery.priceBook || DEFAULT_PRICE_BOOK;
+  const products = getBatteryProducts(battery, true);
+  const isDefault = !battery.priceBook;
+
+  const updateModule = (key, field, value) => {
+    const current = priceBook.modules[key] || { equipment: 0, labor: 0 };
+    onChange({
+      ...priceBook,
+      modules: { ...priceBook.modules, [key]: { ...current, [field]: Math.max(0, Number(value) || 0) } },
+    });
+  };
+
+  const updateAdder = (productId, index, value) => {
+    const adders = (priceBook.adders[productId] || []).map((a, i) =>
+      (i === index ? { ...a, amount: Math.max(0, Number(value) || 0) } : a));
+    onChange({ ...priceBook, adders: { ...priceBook.adders, [productId]: adders } });
+  };
+
+  return (
+    <div>
+      <div className="table-scroll">
+        <table className="data-table" style={{ fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th>Module</th>
+              <th>Equipment $/unit</th>
+              <th>Install Labor $/unit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {getBatteryModules(products).map(m => {
+              const price = priceBook.modules[m.key] || { equipment: 0, labor: 0 };
+              return (
+                <tr key={m.key}>
+                  <td>{m.name}</td>
+                  {['equipment', 'labor'].map(field => (
+                    <td key={field}>
+                      <input
+                        type="number"
+                        value={price[field] || 0}
+                        onChange={e => updateModule(m.key, field, e.target.value)}
+                        min={0}
+                        step={100}
+                        style={{ width: 110 }}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="mt-4">Gateway / Controller Adders</h4>
+      <div className="table-scroll">
+        <table className="data-table" style={{ fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Item</th>
+              <th>Charged</th>
+              <th>Amount $</th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.flatMap(p => (priceBook.adders[p.id] || []).map((a, i) => (
+              <tr key={`${p.id}_${i}`}>
+                <td>{p.manufacturer} {p.name}</td>
+                <td>{a.label}</td>
+                <td>{a.groupSize ? `Per ${a.groupSize} ${p.leader.shortName}` : 'Per system'}</td>
+                <td>
+                  <input
+                    type="number"
+                    value={a.amount || 0}
+                    onChange={e => updateAdder(p.id, i, e.target.value)}
+                    min={0}
+                    step={100}
+                    style={{ width: 110 }}
+                  />
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }} className="mt-2">
+        <button className="btn btn-ghost btn-sm" disabled={isDefault} onClick={() => onChange(null)}>
+          Reset to Default Prices
+        </button>
+        <span className="text-xs text-muted">
+          Planning prices only. Products with an unpriced module are left out of the cost ranking.
+        </span>
+      </div>
+    </div>
+  );
+}
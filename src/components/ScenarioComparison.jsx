@@ -0,0 +1,35 @@
+// Side-by-side results of the base project and each scenario; values that
+// differ from the base are highlighted
+export default function ScenarioComparison({ comparison }) {
+  if (comparison.columns.length < 2) {
+    return <p className="text-sm text-muted">Add a scenario to compare it against the base project.</p>;
+  }
+
+  return (
+    <div className="table-scroll">
+      <table className="data-table" style={{ fontSize: 13 }}>
+        <thead>
+          <tr>
+            <th></th>
+            {comparison.columns.map(c => <th key={c.id}>{c.name}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.rows.map(row => (
+            <tr key={row.label}>
+              <td style={{ fontWeight: 600 }}>{row.label}</td>
+              {row.values.map((value, i) => (
+                <td
+                  key={comparison.columns[i].id}
+                  style={row.changed[i] ? { background: '#fef3c7', fontWeight: 600 } : undefined}
+                >
+                  {value ?? '--'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
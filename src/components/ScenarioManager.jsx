@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { createScenario } from '../data/initialState';
+import { LOAD_LIBRARY, EV_CHARGER_OPTIONS, MAIN_BREAKER_OPTIONS } from '../data/loadLibrary';
+import { buildLibraryLoad } from '../utils/calculations';
+
+// Tri-state select value for a boolean override: '' keeps the base value
+const toggleValue = (value) => (value === undefined ? '' : value ? 'on' : 'off');
+const fromToggle = (raw) => (raw === '' ? undefined : raw === 'on');
+
+// Create, name and edit what-if scenarios: overrides on the base project's
+// service size, loads, EV charger and battery settings
+export default function ScenarioManager({ project, updateProject }) {
+  const scenarios = project.scenarios || [];
+  const [addCategory, setAddCategory] = useState(LOAD_LIBRARY[0].category);
+
+  const updateScenarios = (updater) => {
+    updateProject(prev => ({ ...prev, scenarios: updater(prev.scenarios || []) }));
+  };
+
+  const addScenario = () => {
+    updateScenarios(list => [...list, createScenario({ name: `Scenario ${list.length + 1}` })]);
+  };
+
+  const removeScenario = (id) => updateScenarios(list => list.filter(s => s.id !== id));
+
+  const updateScenario = (id, updater) => {
+    updateScenarios(list => list.map(s => (s.id === id ? updater(s) : s)));
+  };
+
+  // Set (or with undefined, clear) one override field within a section
+  const setOverride = (id, section, field, value) => {
+    updateScenario(id, s => {
+      const next = { ...s.overrides[section], [field]: value };
+      if (value === undefined) delete next[field];
+      return { ...s, overrides: { ...s.overrides, [section]: next } };
+    });
+  };
+
+  const setBatteryOverride = (id, part, field, value) => {
+    updateScenario(id, s => {
+      const nextPart = { ...s.overrides.battery?.[part], [field]: value };
+      if (value === undefined) delete nextPart[field];
+      return { ...s, overrides: { ...s.overrides, battery: { ...s.overrides.battery, [part]: nextPart } } };
+    });
+  };
+
+  const setServiceSize = (id, raw) => {
+    updateScenario(id, s => ({
+      ...s,
+      overrides: { ...s.overrides, service: raw === '' ? {} : { mainBreakerAmps: Number(raw), busRatingAmps: Number(raw) } },
+    }));
+  };
+
+  const setBackupDays = (id, raw) => {
+    updateScenario(id, s => {
+      const { backupMode: _mode, customDays: _days, ...rest } = s.overrides.battery?.wholeHome || {};
+      const days = raw === '' ? null : Math.min(14, Math.max(0.25, Number(raw) || 1));
+      const wholeHome = days === null ? rest
+        : days === 1 || days === 2 ? { ...rest, backupMode: String(days) }
+        : { ...rest, backupMode: 'custom', customDays: days };
+      return { ...s, overrides: { ...s.overrides, battery: { ...s.overrides.battery, wholeHome } } };
+    });
+  };
+
+  const setCharger = (id, raw) => {
+    const chargerOption = raw === '' ? undefined : raw === 'none' ? null : EV_CHARGER_OPTIONS.find(o => o.label === raw);
+    setOverride(id, 'ev', 'chargerOption', chargerOption);
+  };
+
+  const setEVEMS = (id, raw) => {
+    const enabled = fromToggle(raw);
+    setOverride(id, 'ev', 'loadManagement', enabled === undefined ? undefined : { ...project.ev.loadManagement, enabled });
+  };
+
+  const toggleRemovedLoad = (id, loadId, removed) => {
+    updateScenario(id, s => {
+      const list = s.overrides.removedLoadIds || [];
+      return { ...s, overrides: { ...s.overrides, removedLoadIds: removed ? [...list, loadId] : list.filter(x => x !== loadId) } };
+    });
+  };
+
+  const addLoad = (id) => {
+    const load = buildLibraryLoad({ category: addCategory }, project.service);
+    updateScenario(id, s => ({ ...s, overrides: { ...s.overrides, addedLoads: [...(s.overrides.addedLoads || []), load] } }));
+  };
+
+  const removeAddedLoad = (id, loadId) => {
+    updateScenario(id, s => ({ ...s, overrides: { ...s.overrides, addedLoads: s.overrides.addedLoads.filter(l => l.id !== loadId) } }));
+  };
+
+  return (
+    <div>
+      {scenarios.map(s => {
+        const { service = {}, ev = {}, battery = {} } = s.overrides;
+        const wholeHome = battery.wholeHome || {};
+        const backupDays = wholeHome.backupMode === 'custom' ? wholeHome.customDays : wholeHome.backupMode;
+        const chargerValue = ev.chargerOption === undefined ? '' : ev.chargerOption === null ? 'none' : ev.chargerOption.label;
+        const removedIds = s.overrides.removedLoadIds || [];
+        const addedLoads = s.overrides.addedLoads || [];
+        return (
+          <div key={s.id} className="result-panel mb-2">
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+              <input
+                type="text"
+                value={s.name}
+                onChange={e => updateScenario(s.id, prev => ({ ...prev, name: e.target.value }))}
+                style={{ flex: 1, maxWidth: 320, fontWeight: 600 }}
+              />
+              <button className="btn btn-ghost btn-sm" onClick={() => removeScenario(s.id)} title="Delete scenario">
+                Remove
+              </button>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Service Size</label>
+                <select value={service.mainBreakerAmps ?? ''} onChange={e => setServiceSize(s.id, e.target.value)}>
+                  <option value="">Base ({project.service.mainBreakerAmps}A)</option>
+                  {MAIN_BREAKER_OPTIONS.map(a => <option key={a} value={a}>{a}A main + bus</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>EV Charger</label>
+                <select value={chargerValue} onChange={e => setCharger(s.id, e.target.value)}>
+                  <option value="">Base ({project.ev.chargerOption?.label || 'None'})</option>
+                  <option value="none">None</option>
+                  {EV_CHARGER_OPTIONS.filter(o => !o.isCustom).map(o => <option key={o.label} value={o.label}>{o.label}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Chargers</label>
+                <input
+                  type="number"
+                  placeholder={String(project.ev.chargerCount || 1)}
+                  value={ev.chargerCount ?? ''}
+                  onChange={e => setOverride(s.id, 'ev', 'chargerCount', e.target.value === '' ? undefined : Math.min(4, Math.max(1, Number(e.target.value) || 1)))}
+                  min={1}
+                  max={4}
+                  style={{ width: 70 }}
+                />
+              </div>
+              <div className="form-group">
+                <label>EV Load Manager</label>
+                <select value={toggleValue(ev.loadManagement?.enabled)} onChange={e => setEVEMS(s.id, e.target.value)}>
+                  <option value="">Base ({project.ev.loadManagement?.enabled ? 'On' : 'Off'})</option>
+                  <option value="on">On</option>
+                  <option value="off">Off</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Whole-Home Backup Days</label>
+                <input
+                  type="number"
+                  placeholder="Base"
+                  value={backupDays ?? ''}
+                  onChange={e => setBackupDays(s.id, e.target.value)}
+                  min={0.25}
+                  max={14}
+                  step={0.25}
+                  style={{ width: 90 }}
+                />
+              </div>
+              <div className="form-group">
+                <label>Partial-Home Backup</label>
+                <select value={toggleValue(battery.partialHome?.enabled)} onChange={e => setBatteryOverride(s.id, 'partialHome', 'enabled', fromToggle(e.target.value))}>
+                  <option value="">Base ({project.battery.partialHome.enabled ? 'On' : 'Off'})</option>
+                  <option value="on">On</option>
+                  <option value="off">Off</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Smart-Panel Load Shedding</label>
+                <select value={toggleValue(battery.loadShedding?.enabled)} onChange={e => setBatteryOverride(s.id, 'loadShedding', 'enabled', fromToggle(e.target.value))}>
+                  <option value="">Base ({project.battery.loadShedding?.enabled ? 'On' : 'Off'})</option>
+                  <option value="on">On</option>
+                  <option value="off">Off</option>
+                </select>
+              </div>
+            </div>
+
+            <details>
+              <summary className="text-sm" style={{ cursor: 'pointer' }}>
+                Loads ({removedIds.length} removed, {addedLoads.length} added)
+              </summary>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '2px 16px', marginTop: 8 }}>
+                {project.loads.map(l => (
+                  <label key={l.id} className="checkbox-label text-sm">
+                    <input
+                      type="checkbox"
+                      checked={removedIds.includes(l.id)}
+                      onChange={e => toggleRemovedLoad(s.id, l.id, e.target.checked)}
+                    />
+                    Remove {l.description || l.category}
+                  </label>
+                ))}
+              </div>
+              {addedLoads.map(l => (
+                <div key={l.id} className="text-sm mt-2">
+                  + {l.description} ({l.usage.assumedWatts} W, {l.breaker.poles}P/{l.breaker.amps}A)
+                  <button className="btn btn-ghost btn-sm" onClick={() => removeAddedLoad(s.id, l.id)} title="Remove added load">&times;</button>
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center' }} className="mt-2">
+                <select value={addCategory} onChange={e => setAddCategory(e.target.value)}>
+                  {LOAD_LIBRARY.map(lib => <option key={lib.category} value={lib.category}>{lib.description}</option>)}
+                </select>
+                <button className="btn btn-secondary btn-sm" onClick={() => addLoad(s.id)}>Add Load</button>
+              </div>
+            </details>
+          </div>
+        );
+      })}
+      <button className="btn btn-secondary" onClick={addScenario}>+ Add Scenario</button>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+const BREAKDOWN_LABELS = [
+  ['generalAndSmallAppliance', 'General + Small Appliance'],
+  ['fixedAppliances', 'Fixed Appliances'],
+  ['cooking', 'Cooking'],
+  ['dryer', 'Dryer'],
+  ['hvac', 'HVAC (largest)'],
+  ['otherLarge', 'Other Large Loads'],
+  ['ev', 'EV Chargers'],
+  ['largestMotor', '25% of Largest Motor'],
+];
+
+// NEC 220.87 rows, shown only when measured data is available
+const MEASURED_LABELS = [
+  ['measuredPeak', '12-Month Measured Peak'],
+  ['measuredExisting', 'Existing Demand (peak × 125%)'],
+  ['newLoad', 'New Loads'],
+];
+
+const kva = (va) => `${(va / 1000).toFixed(1)} kVA`;
+
+// Optional (220.82/220.83), Standard (Part III) and, when entered, Measured
+// (220.87) side by side, with a selector for which result drives adequacy status
+export default function ServiceMethodComparison({ comparison, onSelect }) {
+  const { optional, standard, measured, selected } = comparison;
+  const columns = [
+    { key: 'optional', label: 'Optional Method', result: optional },
+    { key: 'standard', label: 'Standard Method', result: standard },
+  ];
+  if (measured) columns.push({ key: 'measured', label: 'Measured Demand', result: measured });
+  const rows = measured ? [...MEASURED_LABELS, ...BREAKDOWN_LABELS] : BREAKDOWN_LABELS;
+  const cell = (result, key) => (result.breakdown[key] === undefined ? '--' : kva(result.breakdown[key]));
+
+  return (
+    <div className="result-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8, marginBottom: 8 }}>
+        <h4 style={{ marginBottom: 0 }}>NEC Method Comparison</h4>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <span className="text-xs text-muted">Adequacy status uses:</span>
+          {columns.map(col => (
+            <button
+              key={col.key}
+              className={`btn btn-sm ${selected === col.key ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => onSelect(col.key)}
+            >
+              {col.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="table-scroll">
+        <table className="data-table" style={{ fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th></th>
+              {columns.map(col => (
+                <th key={col.key} style={selected === col.key ? { color: 'var(--blue-accent)' } : undefined}>
+                  {col.result.methodLabel}{selected === col.key ? ' ✓' : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([key, label]) => (
+              <tr key={key}>
+                <td className="text-muted">{label}</td>
+                {columns.map(col => <td key={col.key}>{cell(col.result, key)}</td>)}
+              </tr>
+            ))}
+            <tr style={{ fontWeight: 600 }}>
+              <td>Total Demand</td>
+              {columns.map(col => <td key={col.key}>{kva(col.result.totalDemandVA)}</td>)}
+            </tr>
+            <tr style={{ fontWeight: 600 }}>
+              <td>Service Amps</td>
+              {columns.map(col => <td key={col.key}>{col.result.serviceAmps}A ({col.result.ratio}%)</td>)}
+            </tr>
+            <tr>
+              <td>Status</td>
+              {columns.map(col => <td key={col.key}>{col.result.status}</td>)}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-muted mt-2">
+        Optional-method line items for 220.83 are at nameplate before the 8 kVA / 40% demand factor.
+        Some AHJs and utilities require the Standard Method — select it above when they do.
+        {measured?.dataIncomplete && ` Measured demand uses only ${measured.monthsOfData} month(s) of data; NEC 220.87 requires 12.`}
+      </p>
+    </div>
+  );
+}
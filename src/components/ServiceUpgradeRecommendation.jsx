@@ -0,0 +1,45 @@
+const sizeLabel = (option) => {
+  if (!option.amps) return 'Over 400A';
+  return option.meterMain ? `${option.amps}A (meter-main, 400A class)` : `${option.amps}A`;
+};
+
+const scopeBadge = (scope) => {
+  if (scope === 'No change needed') return <span className="badge badge-ok">{scope}</span>;
+  if (scope === 'Main breaker swap') return <span className="badge badge-warning">{scope}</span>;
+  return <span className="badge badge-danger">{scope}</span>;
+};
+
+// Next standard service size when the current service is borderline or undersized
+export default function ServiceUpgradeRecommendation({ upgrade, title = 'Service Upgrade Recommendation' }) {
+  const rows = [
+    ['Minimum (under 100%)', upgrade.minimum],
+    ['Recommended (under 80%)', upgrade.recommended],
+  ];
+  const needsSwap = rows.some(([, option]) => option.scope === 'Main breaker swap');
+
+  return (
+    <div className={`hint-panel ${upgrade.minimum.scope === 'No change needed' ? 'warning' : 'danger'}`}>
+      <strong>{title}</strong>
+      <div className="text-sm mt-2">
+        Calculated demand {upgrade.demandAmps}A on a {upgrade.currentAmps}A main ({upgrade.busRatingAmps}A bus).
+      </div>
+      <table className="data-table mt-2" style={{ fontSize: 13 }}>
+        <tbody>
+          {rows.map(([label, option]) => (
+            <tr key={label}>
+              <td>{label}</td>
+              <td style={{ fontWeight: 600 }}>{sizeLabel(option)}</td>
+              <td>{option.ratio !== null ? `${option.ratio}%` : '--'}</td>
+              <td>{scopeBadge(option.scope)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {needsSwap && (
+        <div className="text-xs mt-2">
+          A main breaker swap also requires service conductors and the meter base to be rated for the new size.
+        </div>
+      )}
+    </div>
+  );
+}
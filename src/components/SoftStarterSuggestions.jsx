@@ -0,0 +1,27 @@
+const usd = (v) => `$${Math.round(v).toLocaleString()}`;
+
+// "Add a soft starter to X" suggestions from calculateBatterySizing
+export default function SoftStarterSuggestions({ suggestions }) {
+  if (!suggestions || suggestions.length === 0) return null;
+
+  return (
+    <div className="hint-panel">
+      <strong>Soft starter opportunities</strong>
+      <ul style={{ margin: '6px 0 0', paddingLeft: 18 }}>
+        {suggestions.map(s => (
+          <li key={s.loadIds.join('_')} className="text-sm">
+            Add a soft starter to {s.loadNames.join(' + ')} (largest start {s.largestLRABefore}A → {s.largestLRAAfter}A):
+            {s.maxUnitsSaved > 0 && ` saves up to ${s.maxUnitsSaved} batter${s.maxUnitsSaved === 1 ? 'y' : 'ies'}`}
+            {' '}({s.savings.map(x => (x.becomesFeasible
+              ? `${x.name} becomes feasible`
+              : `${x.name} −${x.unitsSaved}`)).join(', ')})
+            {s.costSaved > 0 && `, about ${usd(s.costSaved)} lower cost-optimal price`}.
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-muted mt-2">
+        Each line soft-starts the loads listed, largest LRA first. Set the start method in the Load Table to apply one.
+      </p>
+    </div>
+  );
+}
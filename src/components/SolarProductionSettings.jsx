@@ -0,0 +1,143 @@
+import { MONTH_NAMES, PV_DEFAULT_LOSSES_PERCENT } from '../data/solarResource';
+
+const numberOrNull = (raw) => (raw === '' ? null : Number(raw));
+
+// PV array inputs for the offline production model, with the estimated daily
+// production and (once sized) the battery energy it offsets
+export default function SolarProductionSettings({ pvSystem, production, applied, onChange }) {
+  const update = (field, value) => onChange({ ...pvSystem, [field]: value });
+
+  return (
+    <div className="result-panel">
+      <div className="form-row">
+        <div className="form-group">
+          <label>PV System (kW DC)</label>
+          <input
+            type="number"
+            value={pvSystem.systemKWdc || ''}
+            onChange={e => update('systemKWdc', Math.max(0, Number(e.target.value) || 0))}
+            min={0}
+            step={0.1}
+            style={{ width: 100 }}
+          />
+        </div>
+        <div className="form-group">
+          <label>Tilt (°)</label>
+          <input
+            type="number"
+            value={pvSystem.tiltDeg}
+            onChange={e => update('tiltDeg', Math.min(90, Math.max(0, Number(e.target.value) || 0)))}
+            min={0}
+            max={90}
+            style={{ width: 80 }}
+          />
+        </div>
+        <div className="form-group">
+          <label>Azimuth (°, 180 = S)</label>
+          <input
+            type="number"
+            value={pvSystem.azimuthDeg}
+            onChange={e => update('azimuthDeg', Math.min(360, Math.max(0, Number(e.target.value) || 0)))}
+            min={0}
+            max={360}
+            style={{ width: 80 }}
+          />
+        </div>
+        <div className="form-group">
+          <label>System Losses (%)</label>
+          <input
+            type="number"
+            placeholder={String(PV_DEFAULT_LOSSES_PERCENT)}
+            value={pvSystem.lossesPercent ?? ''}
+            onChange={e => update('lossesPercent', e.target.value === '' ? null : Math.min(50, Math.max(0, Number(e.target.value) || 0)))}
+            min={0}
+            max={50}
+            style={{ width: 80 }}
+          />
+        </div>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label>ZIP Code</label>
+          <input
+            type="text"
+            value={pvSystem.zip}
+            onChange={e => update('zip', e.target.value.replace(/[^0-9]/g, '').slice(0, 5))}
+            placeholder="e.g. 02139"
+            style={{ width: 100 }}
+          />
+        </div>
+        <div className="form-group">
+          <label>Latitude</label>
+          <input
+            type="number"
+            value={pvSystem.latitude ?? ''}
+            onChange={e => update('latitude', numberOrNull(e.target.value))}
+            step={0.1}
+            placeholder="optional"
+            style={{ width: 90 }}
+          />
+        </div>
+        <div className="form-group">
+          <label>Longitude</label>
+          <input
+            type="number"
+            value={pvSystem.longitude ?? ''}
+            onChange={e => update('longitude', numberOrNull(e.target.value))}
+            step={0.1}
+            placeholder="optional"
+            style={{ width: 90 }}
+          />
+        </div>
+        <div className="form-group">
+          <label>Production Day</label>
+          <select
+            value={pvSystem.month ?? 'worst'}
+            onChange={e => update('month', e.target.value === 'worst' ? 'worst' : Number(e.target.value))}
+            style={{ width: 200 }}
+          >
+            <option value="worst">Worst-case winter (lowest month)</option>
+            {MONTH_NAMES.map((name, m) => <option key={name} value={m}>{name} average day</option>)}
+          </select>
+        </div>
+      </div>
+
+      {production ? (
+        <>
+          <div className="result-grid">
+            <div className="result-item">
+              <div className="value">{production.dailyKWh}</div>
+              <div className="label">kWh/day PV (AC)</div>
+              <div className="sub">{production.monthLabel}, {production.poaKWhPerM2} kWh/m² on array</div>
+            </div>
+            {applied && (
+              <>
+                <div className="result-item">
+                  <div className="value">{applied.offsetKWh}</div>
+                  <div className="label">kWh Offset</div>
+                  <div className="sub">{applied.offsetPercent}% of backup-window energy</div>
+                </div>
+                <div className="result-item">
+                  <div className="value">{applied.overnightKWh}</div>
+                  <div className="label">Overnight kWh</div>
+                  <div className="sub">Carried by the battery alone</div>
+                </div>
+              </>
+            )}
+          </div>
+          <p className="text-xs text-muted mt-2">
+            {production.location.source} ({production.location.latitude}, {production.location.longitude}),
+            irradiance from {production.station}. Monthly kWh/day:{' '}
+            {production.monthlyKWh.map((kWh, m) => `${MONTH_NAMES[m]} ${kWh}`).join(', ')}.
+          </p>
+        </>
+      ) : (
+        <p className="text-xs text-muted">Enter the array size and a ZIP code or latitude/longitude to estimate production.</p>
+      )}
+      <p className="text-xs text-muted mt-2">
+        Production recharges the battery each day of a multi-day outage, but the battery still carries the
+        sunset-to-sunrise load on its own. Does NOT reduce peak power requirements. Planning estimate only.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import { useMemo } from 'react';
+import { STANDARD_OCPD_AMPS, SUBPANEL_BUS_OPTIONS, SUBPANEL_SPACE_OPTIONS } from '../data/loadLibrary';
+import { createSubpanel } from '../data/initialState';
+import { calculateSubpanelChecks, MAIN_PANEL_ID } from '../utils/calculations';
+
+const statusBadge = (status) => {
+  if (status === 'OK') return <span className="badge badge-ok">OK</span>;
+  if (status === 'Borderline') return <span className="badge badge-warning">Borderline</span>;
+  return <span className="badge badge-danger">Undersized</span>;
+};
+
+// Subpanel tree, feeder checks and load-to-panel assignment
+export default function SubpanelManager({ project, updateProject }) {
+  const subpanels = project.subpanels || [];
+  const checks = useMemo(() => calculateSubpanelChecks(project), [project]);
+
+  const updateSubpanel = (id, field, value) => {
+    updateProject(prev => ({
+      ...prev,
+      subpanels: prev.subpanels.map(sp => (sp.id === id ? { ...sp, [field]: value } : sp)),
+    }));
+  };
+
+  const addSubpanel = () => {
+    updateProject(prev => ({
+      ...prev,
+      subpanels: [...(prev.subpanels || []), createSubpanel({ name: `Subpanel ${(prev.subpanels || []).length + 1}` })],
+    }));
+  };
+
+  // Loads and child subpanels of a removed subpanel move up to its parent
+  const removeSubpanel = (id) => {
+    updateProject(prev => {
+      const removed = prev.subpanels.find(sp => sp.id === id);
+      return {
+        ...prev,
+        subpanels: prev.subpanels
+          .filter(sp => sp.id !== id)
+          .map(sp => (sp.parentId === id ? { ...sp, parentId: removed.parentId, feederCircuitNumber: '' } : sp)),
+        loads: prev.loads.map(l => (l.panelId === id ? { ...l, panelId: removed.parentId, circuitNumber: '' } : l)),
+      };
+    });
+  };
+
+  const assignLoad = (loadId, panelId) => {
+    updateProject(prev => ({
+      ...prev,
+      loads: prev.loads.map(l => (l.id === loadId ? { ...l, panelId, circuitNumber: '' } : l)),
+    }));
+  };
+
+  // A subpanel cannot be fed from itself or from anything downstream of it
+  const isDownstreamOf = (candidateId, id) => {
+    let current = subpanels.find(sp => sp.id === candidateId);
+    while (current) {
+      if (current.id === id) return true;
+      current = subpanels.find(sp => sp.id === current.parentId);
+    }
+    return false;
+  };
+
+  const panelOptions = [{ id: MAIN_PANEL_ID, name: 'Main Panel' }, ...subpanels];
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>Panels &amp; Feeders</h3>
+        <button className="btn btn-secondary btn-sm" onClick={addSubpanel}>+ Add Subpanel</button>
+      </div>
+      <p className="text-sm text-muted mb-4">
+        Model garage, ADU or backup-loads subpanels. Each feeder is checked against its subpanel's loads
+        (NEC 215.2, Article 220 Part III) and occupies a 2-pole space in its parent panel.
+      </p>
+
+      {checks.map(({ subpanel: sp, parentName, feeder, busOK, conductors, openSlots, unplacedCount }) => (
+        <div key={sp.id} className="result-panel">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Name</label>
+              <input type="text" value={sp.name} onChange={e => updateSubpanel(sp.id, 'name', e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label>Fed From</label>
+              <select value={sp.parentId} onChange={e => updateSubpanel(sp.id, 'parentId', e.target.value)}>
+                {panelOptions.filter(p => p.id === MAIN_PANEL_ID || !isDownstreamOf(p.id, sp.id)).map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Spaces</label>
+              <select value={sp.totalSlots} onChange={e => updateSubpanel(sp.id, 'totalSlots', Number(e.target.value))}>
+                {SUBPANEL_SPACE_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Bus Rating</label>
+              <select value={sp.busRatingAmps} onChange={e => updateSubpanel(sp.id, 'busRatingAmps', Number(e.target.value))}>
+                {SUBPANEL_BUS_OPTIONS.map(a => <option key={a} value={a}>{a}A</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Feeder Breaker</label>
+              <select value={sp.feederBreakerAmps} onChange={e => updateSubpanel(sp.id, 'feederBreakerAmps', Number(e.target.value))}>
+                {STANDARD_OCPD_AMPS.filter(a => a >= 30 && a <= 225).map(a => <option key={a} value={a}>{a}A</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="result-grid">
+            <div className="result-item">
+              <div className="value">{feeder.serviceAmps}A</div>
+              <div className="label">Feeder Demand</div>
+              <div className="sub">{feeder.ratio}% of {sp.feederBreakerAmps}A {statusBadge(feeder.status)}</div>
+            </div>
+            <div className="result-item">
+              <div className="value">{openSlots}</div>
+              <div className="label">Open Spaces</div>
+              <div className="sub">{unplacedCount > 0 ? `${unplacedCount} breaker(s) not yet placed` : `of ${sp.totalSlots}`}</div>
+            </div>
+            <div className="result-item">
+              <div className="value">{conductors.copper || '--'}</div>
+              <div className="label">Feeder Conductor (Cu 75°C)</div>
+              <div className="sub">Al: {conductors.aluminum || '--'}</div>
+            </div>
+          </div>
+          {!busOK && (
+            <div className="hint-panel danger mt-2" style={{ marginBottom: 0 }}>
+              Feeder breaker ({sp.feederBreakerAmps}A) exceeds the {sp.busRatingAmps}A bus rating.
+            </div>
+          )}
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }} className="mt-2">
+            <span className="text-xs text-muted">Fed from {parentName}</span>
+            <button className="btn btn-ghost btn-sm" onClick={() => removeSubpanel(sp.id)}>Remove</button>
+          </div>
+        </div>
+      ))}
+
+      {subpanels.length > 0 && (
+        <div className="table-scroll mt-4">
+          <table className="data-table" style={{ fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th>Load</th>
+                <th>Breaker</th>
+                <th>Panel</th>
+              </tr>
+            </thead>
+            <tbody>
+              {project.loads.map(l => (
+                <tr key={l.id}>
+                  <td>{l.description || l.category}</td>
+                  <td>{l.breaker.amps}A {l.breaker.poles}P{l.breaker.type === 'Tandem' ? ' tandem' : ''}</td>
+                  <td>
+                    <select value={l.panelId || MAIN_PANEL_ID} onChange={e => assignLoad(l.id, e.target.value)}>
+                      {panelOptions.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
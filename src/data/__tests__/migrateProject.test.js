@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, migrateProject } from '../initialState';
+
+// A project saved before serviceType and the battery settings, 220.87,
+// interconnection and EVEMS sections existed
+const legacyProject = () => {
+  const current = createInitialProject();
+  const rest = { ...current };
+  ['interconnection', 'electrification', 'scenarios'].forEach(key => delete rest[key]);
+  return {
+    ...rest,
+    service: { serviceVoltage: 240, mainBreakerAmps: 100, busRatingAmps: 125 },
+    ev: { includeInBackupDefault: false, chargerOption: null, customContinuousAmps: null, chargerCount: 1 },
+    battery: {
+      wholeHome: { backupDays: 2, backupMode: '2', customDays: 1, includeEV: false, solarOffsetPercent: 20, solarOffsetEnabled: true },
+      partialHome: { enabled: true, backupDays: 1, backupMode: '1', customDays: 1, selections: { load_1: { include: true, hoursPerDay: 3 } } },
+    },
+  };
+};
+
+describe('migrateProject', () => {
+  it('keeps saved values', () => {
+    const project = migrateProject(legacyProject());
+    expect(project.service.mainBreakerAmps).toBe(100);
+    expect(project.battery.wholeHome.backupMode).toBe('2');
+    expect(project.battery.wholeHome.solarOffsetPercent).toBe(20);
+    expect(project.battery.partialHome.selections).toEqual({ load_1: { include: true, hoursPerDay: 3 } });
+  });
+
+  it('derives the service type from the saved service voltage', () => {
+    expect(migrateProject(legacyProject()).service.serviceType).toBe('120/240-1ph');
+    const network = legacyProject();
+    network.service = { ...network.service, serviceVoltage: 208 };
+    const { service } = migrateProject(network);
+    expect(service.serviceType).toBe('208Y/120-network');
+    expect(service.serviceVoltage).toBe(208);
+  });
+
+  it('keeps sizing features that change results off for old projects', () => {
+    const { battery } = migrateProject(legacyProject());
+    expect(battery.loadProfile.enabled).toBe(false);
+    expect(battery.loadProfile.outageStartHour).toBe(0);
+    expect(battery.derating.enabled).toBe(false);
+    expect(battery.surge.enabled).toBe(false);
+  });
+
+  it('fills sections added since the project was saved', () => {
+    const defaults = createInitialProject();
+    const project = migrateProject(legacyProject());
+    expect(project.battery.pvSystem).toEqual(defaults.battery.pvSystem);
+    expect(project.battery.runtimeCheck).toEqual(defaults.battery.runtimeCheck);
+    expect(project.battery.loadShedding).toEqual(defaults.battery.loadShedding);
+    expect(project.battery.partialHome.optimizer).toEqual(defaults.battery.partialHome.optimizer);
+    expect(project.battery.wholeHome.solarOffsetSource).toBe('manual');
+    expect(project.service.necMethod).toBe('optional');
+    expect(project.service.measuredDemand).toEqual(defaults.service.measuredDemand);
+    expect(project.interconnection).toEqual(defaults.interconnection);
+    expect(project.ev.loadManagement).toEqual(defaults.ev.loadManagement);
+    expect(project.electrification).toEqual({ conversions: {} });
+    expect(project.scenarios).toEqual([]);
+    expect(project.subpanels).toEqual([]);
+  });
+
+  it('leaves a current project unchanged', () => {
+    const current = createInitialProject();
+    expect(migrateProject(current)).toEqual(current);
+  });
+});
@@ -1,3 +1,5 @@
+import { getServiceType } from '../utils/calculations';
+
 // Initial project state
 export function createInitialProject() {
   return {
@@ -9,13 +11,24 @@ export function createInitialProject() {
       updatedAt: new Date().toISOString(),
     },
     service: {
-      serviceVoltage: 240,
+      serviceType: '120/240-1ph',
+      serviceVoltage: 240, // line-to-line voltage of serviceType
       mainBreakerAmps: 200,
       busRatingAmps: 200,
+      necMethod: 'optional', // 'optional' (220.82/220.83), 'standard' (Art. 220 Part III) or 'measured' (220.87)
+      // NEC 220.87: 12 months of utility billing peaks or a parsed interval CSV
+      measuredDemand: {
+        source: 'billing', // 'billing' or 'interval'
+        monthlyPeakKW: Array(12).fill(''),
+        interval: null, // { peakKW, peakAt, intervalMinutes, readingCount, monthlyPeaks, fileName }
+      },
     },
+    // Subpanels fed from the main panel (or from another subpanel); see createSubpanel
+    subpanels: [],
     panel: {
       totalSlots: 40,
       usedSlots: 20,
+      imbalanceThresholdPercent: 20, // L1/L2 imbalance flag on the panel slot map
       tandemSlotsUsed: 0, // tandem slots currently occupied (each hosts 2 circuits)
       tandemsAllowed: 'Unknown',
       tandemPolicy: {
@@ -23,6 +36,13 @@ export function createInitialProject() {
         customMaxTandemSlots: null,
       },
     },
+    // PV / battery interconnection (NEC 705.12 busbar check)
+    interconnection: {
+      enabled: false,
+      inverterOutputAmps: 0, // combined continuous output of PV + AC-coupled battery inverters
+      backfeedBreakerAmps: null, // null = 125% of inverter output, next standard size
+      centerFed: false,
+    },
     loadEntryPath: null, // 'manual' or 'guided'
     guidedComplete: false,
     loads: [],
@@ -31,8 +51,66 @@ export function createInitialProject() {
       chargerOption: null,
       customContinuousAmps: null,
       chargerCount: 1,
+      // EVEMS (NEC 625.42 / 750.30) load management
+      loadManagement: {
+        enabled: false,
+        mode: 'dynamic', // 'fixed' (current cap) or 'dynamic' (limit from service demand)
+        fixedCapAmps: 32, // total EV amps across all chargers
+        targetUtilizationPercent: 100, // dynamic: keep service demand under this % of main
+      },
     },
     battery: {
+      // Hourly load-profile simulation (replaces flat hoursPerDay × all-loads-at-once peak)
+      loadProfile: {
+        enabled: true,
+        outageStartHour: 0, // hour of day the backup window begins
+      },
+      // Battery product catalog: ids hidden from sizing, plus user-defined products
+      disabledProducts: [],
+      customProducts: [],
+      priceBook: null, // null uses DEFAULT_PRICE_BOOK; edited copies are stored here
+      // Effective usable energy; null uses the battery spec default
+      derating: {
+        enabled: true,
+        efficiencyPercent: null,
+        reservePercent: null,
+        coldInstall: false, // apply cold-temperature capacity derate
+        coldDeratePercent: null,
+        sizeForYear: 0, // size for capacity after N years of fade
+      },
+      // 10-second surge check: worst-hour running load + motor inrush vs peak kW
+      surge: {
+        enabled: true,
+        simultaneousStarts: 1, // largest motor alone, or the 2 largest starting together
+      },
+      // PV array for the modeled solar offset (solarOffsetSource: 'pv')
+      pvSystem: {
+        systemKWdc: 0,
+        tiltDeg: 20,
+        azimuthDeg: 180, // compass degrees, 180 = south
+        zip: '',
+        latitude: null, // lat/long override the ZIP when both are set
+        longitude: null,
+        lossesPercent: null, // null = PV_DEFAULT_LOSSES_PERCENT
+        month: 'worst', // 'worst' (lowest-production month) or 0-11
+      },
+      // Smart-panel load shedding for managed whole-home sizing; actions maps
+      // load id to a SHED_ACTIONS value (missing = default for its priority tier)
+      loadShedding: {
+        enabled: false,
+        shedBelowPercent: 50, // 'shed' loads drop out below this state of charge
+        hvacRestricted: false,
+        hvacStartHour: 8, // HVAC allowed from start to end hour (wraps past midnight)
+        hvacEndHour: 22,
+        actions: {},
+      },
+      // Inverse sizing: runtime of a chosen configuration instead of a unit count
+      runtimeCheck: {
+        enabled: false,
+        productId: 'teslaPW3',
+        leaders: 2,
+        expansions: 0,
+      },
       wholeHome: {
         backupDays: 1,
         backupMode: '1', // '1', '2', 'custom'
@@ -40,17 +118,78 @@ export function createInitialProject() {
         includeEV: false,
         solarOffsetPercent: 0,
         solarOffsetEnabled: false,
+        solarOffsetSource: 'manual', // 'manual' percent or 'pv' production model
       },
       partialHome: {
         enabled: false,
         backupDays: 1,
         backupMode: '1',
         customDays: 1,
-        selections: {},
+        selections: {}, // per circuit: { include, hoursPerDay, priority } (priority null = category default)
+        // Automatic critical-load selection: configuration to fill, targetDays null = backup duration
+        optimizer: {
+          productId: 'teslaPW3',
+          leaders: 1,
+          expansions: 0,
+          targetDays: null,
+        },
         solarOffsetPercent: 0,
         solarOffsetEnabled: false,
+        solarOffsetSource: 'manual', // 'manual' percent or 'pv' production model
       },
     },
+    // Electrification what-if: ELECTRIFICATION_CONVERSIONS ids toggled on
+    electrification: {
+      conversions: {},
+    },
+    // Named what-if scenarios, see createScenario
+    scenarios: [],
+  };
+}
+
+// Sizing features that are on in new projects but stay off in projects saved
+// before they existed, so reopening an old project keeps its results
+const LEGACY_BATTERY_SETTINGS = {
+  loadProfile: { enabled: false },
+  derating: { enabled: false },
+  surge: { enabled: false },
+};
+
+const isSection = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Bring a saved or imported project up to the current shape: settings added
+// since it was saved get their defaults, everything saved is kept
+export function migrateProject(saved) {
+  const defaults = createInitialProject();
+  const savedBattery = saved.battery || {};
+  const battery = { ...defaults.battery, ...savedBattery };
+  Object.entries(defaults.battery).filter(([, value]) => isSection(value)).forEach(([key, value]) => {
+    battery[key] = savedBattery[key]
+      ? { ...value, ...savedBattery[key] }
+      : { ...value, ...LEGACY_BATTERY_SETTINGS[key] };
+  });
+  battery.partialHome.optimizer = { ...defaults.battery.partialHome.optimizer, ...savedBattery.partialHome?.optimizer };
+
+  return {
+    ...defaults,
+    ...saved,
+    metadata: { ...defaults.metadata, ...saved.metadata },
+    service: {
+      ...defaults.service,
+      ...saved.service,
+      // Projects saved before serviceType existed only have serviceVoltage (208 = network)
+      serviceType: saved.service?.serviceType || getServiceType(saved.service || defaults.service).value,
+      measuredDemand: { ...defaults.service.measuredDemand, ...saved.service?.measuredDemand },
+    },
+    panel: { ...defaults.panel, ...saved.panel },
+    interconnection: { ...defaults.interconnection, ...saved.interconnection },
+    ev: {
+      ...defaults.ev,
+      ...saved.ev,
+      loadManagement: { ...defaults.ev.loadManagement, ...saved.ev?.loadManagement },
+    },
+    battery,
+    electrification: { ...defaults.electrification, ...saved.electrification },
   };
 }
 
@@ -64,6 +203,8 @@ export function createLoadEntry(overrides = {}) {
     description: '',
     category: 'Other',
     isNECBaseline: false,
+    isNewLoad: false, // NEC 220.83: load being added to the existing dwelling
+    panelId: 'main', // 'main' or a subpanel id
     breaker: {
       poles: 1,
       amps: 15,
@@ -80,16 +221,38 @@ export function createLoadEntry(overrides = {}) {
     },
     motor: {
       isMotor: false,
-      nameplateKnown: false,
+      nameplateKnown: false, // hp / code letter / lra / rla taken from the nameplate
+      hp: null, // horsepower: FLA from NEC Table 430.248 / 430.250
+      codeLetter: null, // NEC 430.7(B) locked-rotor code letter
       lra: null,
+      rla: null,
+      startType: 'direct', // see MOTOR_START_TYPES
+      softStarterReductionPercent: null, // null = DEFAULT_SOFT_STARTER_REDUCTION_PERCENT
       notes: '',
     },
+    hvac: null, // AC condenser / heat pump nameplate, see createHVACNameplate
     sourceTag: 'Assumed',
     _wattsManuallySet: false,
     ...overrides,
   };
 }
 
+// HVAC nameplate for an AC condenser or heat pump row (amps, tons; null = not entered)
+export function createHVACNameplate(overrides = {}) {
+  return {
+    compressorRLA: null,
+    compressorLRA: null,
+    fanFLA: null,
+    mca: null, // minimum circuit ampacity
+    mocp: null, // maximum overcurrent protection
+    tonnage: null,
+    seer2: null,
+    hspf2: null,
+    inverter: false, // inverter-driven (variable-speed) compressor: no locked-rotor inrush
+    ...overrides,
+  };
+}
+
 // Create NEC baseline loads from square footage
 export function createNECBaselineLoads(sqFt) {
   const sqFtNum = Number(sqFt) || 1500;
@@ -134,6 +297,59 @@ export function createNECBaselineLoads(sqFt) {
   ];
 }
 
+let nextSubpanelId = 1;
+
+// Create a subpanel fed by a 2-pole feeder breaker in its parent panel
+export function createSubpanel(overrides = {}) {
+  return {
+    id: `subpanel_${nextSubpanelId++}_${Date.now()}`,
+    name: 'Subpanel',
+    parentId: 'main',
+    totalSlots: 12,
+    busRatingAmps: 100,
+    feederBreakerAmps: 60,
+    feederCircuitNumber: '', // position of the feeder breaker in the parent panel
+    ...overrides,
+  };
+}
+
+let nextScenarioId = 1;
+
+// Named scenario: overrides on top of the base project. Empty overrides keep
+// the base values.
+export function createScenario(overrides = {}) {
+  return {
+    id: `scenario_${nextScenarioId++}_${Date.now()}`,
+    name: 'Scenario',
+    overrides: {
+      service: {}, // mainBreakerAmps, busRatingAmps
+      removedLoadIds: [],
+      addedLoads: [], // createLoadEntry rows
+      ev: {}, // chargerOption, chargerCount, loadManagement
+      battery: {}, // { wholeHome, partialHome, loadShedding } partial sections
+    },
+    ...overrides,
+  };
+}
+
+let nextCustomBatteryId = 1;
+
+// User-defined battery product: a single module stacked up to maxLeaders units
+export function createCustomBatteryProduct(overrides = {}) {
+  return {
+    id: `custom_battery_${nextCustomBatteryId++}_${Date.now()}`,
+    manufacturer: 'Custom',
+    name: 'Custom Battery',
+    usableKWh: 10,
+    continuousKW: 5,
+    peakKW: 7.5,
+    motorStartLRA: null,
+    maxLeaders: 10,
+    roundTripEfficiency: 0.9,
+    ...overrides,
+  };
+}
+
 export function resetLoadIdCounter() {
   nextLoadId = 1;
 }
@@ -17,6 +17,7 @@ export const LOAD_CATEGORIES = {
   AC_CONDENSER: 'AC Condenser',
   AIR_HANDLER: 'Air Handler',
   HEAT_PUMP: 'Heat Pump',
+  HEAT_STRIPS: 'Electric Heat Strips',
   WELL_PUMP: 'Well Pump',
   SUMP_PUMP: 'Sump Pump',
   DEHUMIDIFIER: 'Dehumidifier',
@@ -212,6 +213,17 @@ export const LOAD_LIBRARY = [
     hint: 'Heat pump outdoor unit. Similar to AC condenser in electrical characteristics.',
     defaultLRA: 65,
   },
+  {
+    category: LOAD_CATEGORIES.HEAT_STRIPS,
+    description: 'Heat Pump Backup Heat Strips',
+    poles: 2,
+    amps: 60,
+    utilizationFactor: 0.8,
+    assumedWatts: 10000,
+    hoursPerDay: 2,
+    isMotor: false,
+    hint: 'Resistance backup/auxiliary heat in the air handler. 5-15 kW typical; runs in defrost and below the balance point.',
+  },
   {
     category: LOAD_CATEGORIES.WELL_PUMP,
     description: 'Well Pump',
@@ -331,45 +343,464 @@ export const EV_CHARGER_OPTIONS = [
   },
 ];
 
-// Battery specifications from datasheets
+// Motor start methods. Soft starters cut locked-rotor inrush by a configurable
+// percentage; inverter-driven (variable-speed) compressors ramp up with no LRA.
+export const MOTOR_START_TYPES = [
+  { value: 'direct', label: 'Direct (full LRA)' },
+  { value: 'softStarterInstalled', label: 'Soft starter (installed)' },
+  { value: 'softStarterProposed', label: 'Soft starter (proposed)' },
+  { value: 'inverter', label: 'Inverter / variable-speed' },
+];
+
+export const DEFAULT_SOFT_STARTER_REDUCTION_PERCENT = 65;
+
+// Typical locked-rotor power factor for residential compressors and pumps
+// (0.3-0.5); converts motor inrush kVA to the kW a battery's peak rating covers
+export const LOCKED_ROTOR_POWER_FACTOR = 0.4;
+
+// Categories with an HVAC nameplate entry (compressor RLA/LRA, fan FLA, MCA, MOCP)
+export const HVAC_NAMEPLATE_CATEGORIES = [LOAD_CATEGORIES.AC_CONDENSER, LOAD_CATEGORIES.HEAT_PUMP];
+
+// Rated-condition EER2 as a fraction of SEER2, for estimating running watts
+// from tonnage when the electrical nameplate is not available
+export const SEER2_TO_EER2 = 0.875;
+
+// NEC Table 430.248: full-load current (A) of single-phase AC motors by
+// horsepower, at the table's rated motor voltages
+export const MOTOR_FLA_VOLTAGES_SINGLE_PHASE = [115, 200, 208, 230];
+export const MOTOR_FLA_SINGLE_PHASE = [
+  { hp: 1 / 6, label: '1/6', amps: [4.4, 2.5, 2.4, 2.2] },
+  { hp: 0.25, label: '1/4', amps: [5.8, 3.3, 3.2, 2.9] },
+  { hp: 1 / 3, label: '1/3', amps: [7.2, 4.1, 4.0, 3.6] },
+  { hp: 0.5, label: '1/2', amps: [9.8, 5.6, 5.4, 4.9] },
+  { hp: 0.75, label: '3/4', amps: [13.8, 7.9, 7.6, 6.9] },
+  { hp: 1, label: '1', amps: [16, 9.2, 8.8, 8.0] },
+  { hp: 1.5, label: '1-1/2', amps: [20, 11.5, 11.0, 10] },
+  { hp: 2, label: '2', amps: [24, 13.8, 13.2, 12] },
+  { hp: 3, label: '3', amps: [34, 19.6, 18.7, 17] },
+  { hp: 5, label: '5', amps: [56, 32.2, 30.8, 28] },
+  { hp: 7.5, label: '7-1/2', amps: [80, 46, 44, 40] },
+  { hp: 10, label: '10', amps: [100, 57.5, 55, 50] },
+];
+
+// NEC Table 430.250: full-load current (A) of three-phase induction motors;
+// null where the table has no 115V rating
+export const MOTOR_FLA_VOLTAGES_THREE_PHASE = [115, 200, 208, 230, 460, 575];
+export const MOTOR_FLA_THREE_PHASE = [
+  { hp: 0.5, label: '1/2', amps: [4.4, 2.5, 2.4, 2.2, 1.1, 0.9] },
+  { hp: 0.75, label: '3/4', amps: [6.4, 3.7, 3.5, 3.2, 1.6, 1.3] },
+  { hp: 1, label: '1', amps: [8.4, 4.8, 4.6, 4.2, 2.1, 1.7] },
+  { hp: 1.5, label: '1-1/2', amps: [12.0, 6.9, 6.6, 6.0, 3.0, 2.4] },
+  { hp: 2, label: '2', amps: [13.6, 7.8, 7.5, 6.8, 3.4, 2.7] },
+  { hp: 3, label: '3', amps: [null, 11.0, 10.6, 9.6, 4.8, 3.9] },
+  { hp: 5, label: '5', amps: [null, 17.5, 16.7, 15.2, 7.6, 6.1] },
+  { hp: 7.5, label: '7-1/2', amps: [null, 25.3, 24.2, 22, 11, 9] },
+  { hp: 10, label: '10', amps: [null, 32.2, 30.8, 28, 14, 11] },
+  { hp: 15, label: '15', amps: [null, 48.3, 46.2, 42, 21, 17] },
+  { hp: 20, label: '20', amps: [null, 62.1, 59.4, 54, 27, 22] },
+  { hp: 25, label: '25', amps: [null, 78.2, 74.8, 68, 34, 27] },
+  { hp: 30, label: '30', amps: [null, 92, 88, 80, 40, 32] },
+];
+
+// NEC Table 430.7(B): locked-rotor kVA per horsepower by nameplate code letter
+// (maxKVAPerHP null = open-ended top band)
+export const LOCKED_ROTOR_CODE_LETTERS = [
+  { letter: 'A', minKVAPerHP: 0, maxKVAPerHP: 3.14 },
+  { letter: 'B', minKVAPerHP: 3.15, maxKVAPerHP: 3.54 },
+  { letter: 'C', minKVAPerHP: 3.55, maxKVAPerHP: 3.99 },
+  { letter: 'D', minKVAPerHP: 4.0, maxKVAPerHP: 4.49 },
+  { letter: 'E', minKVAPerHP: 4.5, maxKVAPerHP: 4.99 },
+  { letter: 'F', minKVAPerHP: 5.0, maxKVAPerHP: 5.59 },
+  { letter: 'G', minKVAPerHP: 5.6, maxKVAPerHP: 6.29 },
+  { letter: 'H', minKVAPerHP: 6.3, maxKVAPerHP: 7.09 },
+  { letter: 'J', minKVAPerHP: 7.1, maxKVAPerHP: 7.99 },
+  { letter: 'K', minKVAPerHP: 8.0, maxKVAPerHP: 8.99 },
+  { letter: 'L', minKVAPerHP: 9.0, maxKVAPerHP: 9.99 },
+  { letter: 'M', minKVAPerHP: 10.0, maxKVAPerHP: 11.19 },
+  { letter: 'N', minKVAPerHP: 11.2, maxKVAPerHP: 12.49 },
+  { letter: 'P', minKVAPerHP: 12.5, maxKVAPerHP: 13.99 },
+  { letter: 'R', minKVAPerHP: 14.0, maxKVAPerHP: 15.99 },
+  { letter: 'S', minKVAPerHP: 16.0, maxKVAPerHP: 17.99 },
+  { letter: 'T', minKVAPerHP: 18.0, maxKVAPerHP: 19.99 },
+  { letter: 'U', minKVAPerHP: 20.0, maxKVAPerHP: 22.39 },
+  { letter: 'V', minKVAPerHP: 22.4, maxKVAPerHP: null },
+];
+
+// Default hourly usage shapes for the battery load-profile simulation.
+// Relative weights by hour (0 = midnight); a load's daily hoursPerDay is spread
+// across the day in proportion to its shape.
+const profileShape = (base, peaks) => Array.from({ length: 24 }, (_, h) => peaks[h] ?? base);
+
+export const LOAD_PROFILES = {
+  constant: profileShape(1, {}),
+  daytime: profileShape(0.2, { 7: 0.6, 8: 0.8, 9: 1, 10: 1, 11: 1, 12: 1, 13: 1, 14: 1, 15: 1, 16: 1, 17: 1, 18: 0.8, 19: 0.6, 20: 0.5, 21: 0.4 }),
+  cooling: profileShape(0.3, { 10: 0.5, 11: 0.7, 12: 0.9, 13: 1.1, 14: 1.4, 15: 1.6, 16: 1.7, 17: 1.7, 18: 1.5, 19: 1.2, 20: 0.9, 21: 0.7, 22: 0.5 }),
+  heating: profileShape(0.6, { 5: 1.2, 6: 1.6, 7: 1.6, 8: 1.2, 17: 1, 18: 1.2, 19: 1.2, 20: 1.1, 21: 1, 22: 0.9 }),
+  waterHeating: profileShape(0.2, { 6: 1.5, 7: 2, 8: 1.5, 9: 0.8, 12: 0.5, 18: 1, 19: 1.5, 20: 1.5, 21: 1 }),
+  lighting: profileShape(0.1, { 6: 0.5, 7: 0.6, 8: 0.4, 16: 0.5, 17: 0.8, 18: 1, 19: 1, 20: 1, 21: 1, 22: 0.7, 23: 0.3 }),
+  cooking: profileShape(0, { 7: 0.8, 8: 0.5, 12: 0.6, 17: 1, 18: 1.5, 19: 0.8 }),
+  laundry: profileShape(0, { 9: 0.6, 10: 1, 11: 1, 12: 0.6, 18: 0.6, 19: 1, 20: 0.8 }),
+  dishwashing: profileShape(0, { 8: 0.4, 19: 0.6, 20: 1, 21: 1, 22: 0.6 }),
+  evCharging: profileShape(0, { 0: 1, 1: 1, 2: 1, 3: 1, 4: 1, 5: 0.8, 22: 0.6, 23: 1 }),
+  pool: profileShape(0, { 9: 1, 10: 1, 11: 1, 12: 1, 13: 1, 14: 1, 15: 1, 16: 1 }),
+  spa: profileShape(0.5, { 19: 1.5, 20: 2, 21: 2, 22: 1 }),
+};
+
+export const CATEGORY_PROFILES = {
+  [LOAD_CATEGORIES.LIGHTING]: 'lighting',
+  [LOAD_CATEGORIES.DRYER]: 'laundry',
+  [LOAD_CATEGORIES.RANGE]: 'cooking',
+  [LOAD_CATEGORIES.COOKTOP]: 'cooking',
+  [LOAD_CATEGORIES.MICROWAVE]: 'cooking',
+  [LOAD_CATEGORIES.DISHWASHER]: 'dishwashing',
+  [LOAD_CATEGORIES.DISPOSAL]: 'cooking',
+  [LOAD_CATEGORIES.REFRIGERATOR]: 'constant',
+  [LOAD_CATEGORIES.FREEZER]: 'constant',
+  [LOAD_CATEGORIES.WASHER]: 'laundry',
+  [LOAD_CATEGORIES.WATER_HEATER]: 'waterHeating',
+  [LOAD_CATEGORIES.FURNACE_BLOWER]: 'heating',
+  [LOAD_CATEGORIES.AC_CONDENSER]: 'cooling',
+  [LOAD_CATEGORIES.AIR_HANDLER]: 'cooling',
+  [LOAD_CATEGORIES.HEAT_PUMP]: 'cooling',
+  [LOAD_CATEGORIES.HEAT_STRIPS]: 'heating',
+  [LOAD_CATEGORIES.WELL_PUMP]: 'daytime',
+  [LOAD_CATEGORIES.SUMP_PUMP]: 'constant',
+  [LOAD_CATEGORIES.DEHUMIDIFIER]: 'constant',
+  [LOAD_CATEGORIES.POOL_EQUIPMENT]: 'pool',
+  [LOAD_CATEGORIES.HOT_TUB]: 'spa',
+  [LOAD_CATEGORIES.WORKSHOP]: 'daytime',
+  [LOAD_CATEGORIES.EV_CHARGER]: 'evCharging',
+  [LOAD_CATEGORIES.OTHER]: 'daytime',
+};
+
+// Backup priority tiers for automatic critical-load selection, highest first
+export const BACKUP_PRIORITIES = [
+  { value: 'essential', label: 'Essential' },
+  { value: 'important', label: 'Important' },
+  { value: 'niceToHave', label: 'Nice-to-have' },
+];
+
+// Default tier by category; categories not listed are nice-to-have
+export const CATEGORY_BACKUP_PRIORITY = {
+  [LOAD_CATEGORIES.REFRIGERATOR]: 'essential',
+  [LOAD_CATEGORIES.FREEZER]: 'essential',
+  [LOAD_CATEGORIES.FURNACE_BLOWER]: 'essential',
+  [LOAD_CATEGORIES.WELL_PUMP]: 'essential',
+  [LOAD_CATEGORIES.SUMP_PUMP]: 'essential',
+  [LOAD_CATEGORIES.LIGHTING]: 'important',
+  [LOAD_CATEGORIES.MICROWAVE]: 'important',
+  [LOAD_CATEGORIES.WASHER]: 'important',
+  [LOAD_CATEGORIES.AC_CONDENSER]: 'important',
+  [LOAD_CATEGORIES.AIR_HANDLER]: 'important',
+  [LOAD_CATEGORIES.HEAT_PUMP]: 'important',
+  [LOAD_CATEGORIES.DEHUMIDIFIER]: 'important',
+};
+
+// Smart-panel load-shedding actions for managed whole-home backup
+export const SHED_ACTIONS = [
+  { value: 'keep', label: 'Always on' },
+  { value: 'shed', label: 'Shed at low SoC' },
+  { value: 'off', label: 'Off during outage' },
+];
+
+// Default shed action for each backup priority tier
+export const PRIORITY_SHED_ACTION = {
+  essential: 'keep',
+  important: 'shed',
+  niceToHave: 'off',
+};
+
+// Gas-to-electric conversions for the electrification planner. Each removes the
+// loads in its `replaces` categories (the gas appliance's blower or an electric
+// unit it supersedes) and adds library loads by category, with overrides.
+// `evCharger` adds a charger from EV_CHARGER_OPTIONS at the service's EV voltage.
+export const ELECTRIFICATION_CONVERSIONS = [
+  {
+    id: 'heatPump',
+    label: 'Gas furnace → heat pump with backup heat strips',
+    replaces: [LOAD_CATEGORIES.FURNACE_BLOWER, LOAD_CATEGORIES.AC_CONDENSER, LOAD_CATEGORIES.AIR_HANDLER],
+    adds: [
+      { category: LOAD_CATEGORIES.HEAT_PUMP },
+      { category: LOAD_CATEGORIES.AIR_HANDLER },
+      { category: LOAD_CATEGORIES.HEAT_STRIPS },
+    ],
+  },
+  {
+    id: 'heatPumpWaterHeater',
+    label: 'Gas water heater → heat pump water heater',
+    replaces: [LOAD_CATEGORIES.WATER_HEATER],
+    // Nameplate is the backup element; heat-pump mode uses ~1/3 of the energy
+    adds: [{ category: LOAD_CATEGORIES.WATER_HEATER, description: 'Heat Pump Water Heater', hoursPerDay: 1 }],
+  },
+  {
+    id: 'induction',
+    label: 'Gas range → induction range',
+    replaces: [LOAD_CATEGORIES.RANGE, LOAD_CATEGORIES.COOKTOP],
+    adds: [{ category: LOAD_CATEGORIES.RANGE, description: 'Induction Range', amps: 50, assumedWatts: 11000, hoursPerDay: 1 }],
+  },
+  {
+    id: 'heatPumpDryer',
+    label: 'Gas dryer → heat pump dryer',
+    replaces: [LOAD_CATEGORIES.DRYER],
+    adds: [{ category: LOAD_CATEGORIES.DRYER, description: 'Heat Pump Dryer', amps: 20, assumedWatts: 2500, hoursPerDay: 1.5 }],
+  },
+  {
+    id: 'secondEV',
+    label: 'Add a second EV charger',
+    replaces: [],
+    adds: [{ category: LOAD_CATEGORIES.EV_CHARGER, description: 'EV Charger (Second EV)', evCharger: 'Level 2 EVSE - 40A' }],
+  },
+];
+
+// Battery modules from datasheets (planning values; verify against the current datasheet).
+// peakKW is the short-duration (~10 s) surge rating.
+// roundTripEfficiency / minReservePercent / coldDeratePercent / annualFadePercent are the
+// defaults for effective-energy sizing; the project can override each one
 export const BATTERY_SPECS = {
   enphase5P: {
     name: 'Enphase IQ Battery 5P',
     shortName: '5P',
     usableKWh: 5.0,
     continuousKW: 3.84,
+    peakKW: 7.68,
     motorStartLRA: null, // not explicitly rated
-    maxUnits: 20,
+    roundTripEfficiency: 0.90,
+    minReservePercent: 10,
+    coldDeratePercent: 10,
+    annualFadePercent: 2.0, // 70% at 15 years warranty
   },
   enphase10C: {
     name: 'Enphase IQ Battery 10C',
     shortName: '10C',
     usableKWh: 10.0,
     continuousKW: 7.68,
+    peakKW: 11.5,
     motorStartLRA: 90,
-    maxUnits: 20,
+    roundTripEfficiency: 0.90,
+    minReservePercent: 10,
+    coldDeratePercent: 10,
+    annualFadePercent: 2.0, // 70% at 15 years warranty
   },
   teslaPW3: {
     name: 'Tesla Powerwall 3',
     shortName: 'PW3',
     usableKWh: 13.5,
     continuousKW: 11.5,
+    peakKW: 15.4,
     motorStartLRA: 185,
-    maxLeaders: 4,
-    maxExpansionsPerLeader: 3,
-    maxTotalUnits: 4, // 4 leaders max
+    roundTripEfficiency: 0.89,
+    minReservePercent: 5,
+    coldDeratePercent: 10,
+    annualFadePercent: 3.0, // 70% at 10 years warranty
   },
   teslaPW3Expansion: {
     name: 'Tesla PW3 Expansion Pack',
     shortName: 'PW3 Exp',
     usableKWh: 13.5,
     continuousKW: 0, // energy-only, no additional inverter
-    maxPerLeader: 3,
+    peakKW: 0,
+    motorStartLRA: null,
+    roundTripEfficiency: 0.89,
+    minReservePercent: 5,
+    coldDeratePercent: 10,
+    annualFadePercent: 3.0,
+  },
+  franklinAPower2: {
+    name: 'FranklinWH aPower 2',
+    shortName: 'aPower 2',
+    usableKWh: 15.0,
+    continuousKW: 10.0,
+    peakKW: 15.0,
+    motorStartLRA: 185,
+    roundTripEfficiency: 0.89,
+    minReservePercent: 5,
+    coldDeratePercent: 10,
+    annualFadePercent: 2.4, // 70% at 12.5 years warranty
+  },
+  solarEdgeHomeBattery: {
+    name: 'SolarEdge Home Battery 400V',
+    shortName: 'SE HB',
+    usableKWh: 9.7,
+    continuousKW: 5.0,
+    peakKW: 7.5,
+    motorStartLRA: null, // not explicitly rated
+    roundTripEfficiency: 0.90,
+    minReservePercent: 10,
+    coldDeratePercent: 10,
+    annualFadePercent: 3.0, // 70% at 10 years warranty
+  },
+  generacPWRcellM6: {
+    name: 'Generac PWRcell M6 Cabinet',
+    shortName: 'PWRcell M6',
+    usableKWh: 17.1,
+    continuousKW: 9.0,
+    peakKW: 12.6,
+    motorStartLRA: 50,
+    roundTripEfficiency: 0.96,
+    minReservePercent: 10,
+    coldDeratePercent: 10,
+    annualFadePercent: 3.0, // 70% at 10 years warranty
+  },
+};
+
+// Battery product registry. A product is a leader module (inverter power + energy)
+// plus an optional expansion module that adds energy (and power when continuousKW > 0).
+// Leaders cover power and motor start; expansions fill the remaining energy.
+// maxExpansionsPerLeader limits expansions per leader; maxExpansions is a system-wide cap.
+export const BATTERY_PRODUCTS = [
+  {
+    id: 'enphase5P',
+    manufacturer: 'Enphase',
+    name: 'IQ Battery 5P Only',
+    leader: 'enphase5P',
+    maxLeaders: 20,
+  },
+  {
+    id: 'enphase10C',
+    manufacturer: 'Enphase',
+    name: 'IQ Battery 10C Only',
+    leader: 'enphase10C',
+    maxLeaders: 20,
+  },
+  {
+    id: 'enphaseMixed',
+    manufacturer: 'Enphase',
+    name: 'Mixed (10C + 5P)',
+    leader: 'enphase10C',
+    expansion: 'enphase5P',
+    maxLeaders: 20,
+    maxExpansions: 20,
+    note: '10C units cover power and motor start; 5P units add the remaining energy.',
+  },
+  {
+    id: 'teslaPW3',
+    manufacturer: 'Tesla',
+    name: 'Powerwall 3 Only',
+    leader: 'teslaPW3',
+    maxLeaders: 4,
+  },
+  {
+    id: 'teslaPW3Expansion',
+    manufacturer: 'Tesla',
+    name: 'PW3 + Expansion Packs',
+    leader: 'teslaPW3',
+    expansion: 'teslaPW3Expansion',
+    maxLeaders: 4,
+    maxExpansionsPerLeader: 3,
+    note: 'PW3 Expansion packs add energy only (no additional inverter power). Max 3 expansions per PW3 leader. Max 4 PW3 leaders total.',
+  },
+  {
+    id: 'franklinAPower2',
+    manufacturer: 'FranklinWH',
+    name: 'aPower 2',
+    leader: 'franklinAPower2',
+    maxLeaders: 15,
+    note: 'Up to 15 aPower units per aGate.',
+  },
+  {
+    id: 'solarEdgeHomeBattery',
+    manufacturer: 'SolarEdge',
+    name: 'Home Battery 400V',
+    leader: 'solarEdgeHomeBattery',
+    maxLeaders: 9,
+    note: 'Up to 3 batteries per Home Hub inverter, 3 inverters max. Backup power may be limited by inverter size.',
+  },
+  {
+    id: 'generacPWRcell',
+    manufacturer: 'Generac',
+    name: 'PWRcell M6',
+    leader: 'generacPWRcellM6',
+    maxLeaders: 2,
+    note: 'One or two M6 cabinets per PWRcell inverter.',
+  },
+];
+
+// Default battery price book (USD, planning figures; edit per current distributor pricing).
+// modules: per-unit equipment and install labor. adders: per-product gateway/controller
+// items, charged once per system or once per groupSize leader units.
+const ENPHASE_ADDERS = [{ label: 'IQ System Controller 3 + IQ Combiner 5', amount: 2800 }];
+const TESLA_ADDERS = [{ label: 'Backup Gateway 3', amount: 1800 }];
+
+export const DEFAULT_PRICE_BOOK = {
+  modules: {
+    enphase5P: { equipment: 3800, labor: 700 },
+    enphase10C: { equipment: 7200, labor: 900 },
+    teslaPW3: { equipment: 9300, labor: 1500 },
+    teslaPW3Expansion: { equipment: 6500, labor: 800 },
+    franklinAPower2: { equipment: 9500, labor: 1300 },
+    solarEdgeHomeBattery: { equipment: 6800, labor: 900 },
+    generacPWRcellM6: { equipment: 12500, labor: 1500 },
+  },
+  adders: {
+    enphase5P: ENPHASE_ADDERS,
+    enphase10C: ENPHASE_ADDERS,
+    enphaseMixed: ENPHASE_ADDERS,
+    teslaPW3: TESLA_ADDERS,
+    teslaPW3Expansion: TESLA_ADDERS,
+    franklinAPower2: [{ label: 'aGate', amount: 2500 }],
+    solarEdgeHomeBattery: [
+      { label: 'Backup Interface', amount: 1800 },
+      { label: 'Home Hub inverter', amount: 3200, groupSize: 3 },
+    ],
+    generacPWRcell: [
+      { label: 'PWRcell inverter', amount: 4200, groupSize: 2 },
+      { label: 'PWRview + SMM', amount: 600 },
+    ],
   },
 };
 
 // Main breaker size options
-export const MAIN_BREAKER_OPTIONS = [60, 100, 125, 150, 200, 225, 400];
+export const MAIN_BREAKER_OPTIONS = [60, 100, 125, 150, 200, 225, 320, 400];
+
+// Sizes only available as a meter-main / service replacement (320A continuous, 400A class)
+export const METER_MAIN_SIZES = [320];
+
+// Service types. lineVoltage feeds 2/3-pole loads, phaseVoltage feeds 1-pole loads;
+// 3-phase services convert VA to amps with √3.
+export const SERVICE_TYPES = [
+  { value: '120/240-1ph', label: '120/240V Single-Phase (Standard Residential)', phases: 1, lineVoltage: 240, phaseVoltage: 120 },
+  { value: '208Y/120-network', label: '208Y/120V Network (Condo / Multi-family)', phases: 1, lineVoltage: 208, phaseVoltage: 120 },
+  { value: '208Y/120-3ph', label: '208Y/120V Three-Phase', phases: 3, lineVoltage: 208, phaseVoltage: 120 },
+  { value: '480Y/277-3ph', label: '480Y/277V Three-Phase', phases: 3, lineVoltage: 480, phaseVoltage: 277 },
+];
+
+// Resistive-element loads whose 240V nameplate watts drop by (208/240)² on a 208V service
+export const RESISTIVE_HEATING_CATEGORIES = [
+  LOAD_CATEGORIES.DRYER,
+  LOAD_CATEGORIES.RANGE,
+  LOAD_CATEGORIES.COOKTOP,
+  LOAD_CATEGORIES.WATER_HEATER,
+  LOAD_CATEGORIES.HEAT_STRIPS,
+  LOAD_CATEGORIES.HOT_TUB,
+];
+
+// NEC 310.16 75°C conductor ampacities for feeder sizing (small conductors
+// limited per 240.4(D))
+export const CONDUCTOR_AMPACITY_75C = [
+  { size: '12 AWG', copper: 20, aluminum: 15 },
+  { size: '10 AWG', copper: 30, aluminum: 25 },
+  { size: '8 AWG', copper: 50, aluminum: 40 },
+  { size: '6 AWG', copper: 65, aluminum: 50 },
+  { size: '4 AWG', copper: 85, aluminum: 65 },
+  { size: '3 AWG', copper: 100, aluminum: 75 },
+  { size: '2 AWG', copper: 115, aluminum: 90 },
+  { size: '1 AWG', copper: 130, aluminum: 100 },
+  { size: '1/0 AWG', copper: 150, aluminum: 120 },
+  { size: '2/0 AWG', copper: 175, aluminum: 135 },
+  { size: '3/0 AWG', copper: 200, aluminum: 155 },
+  { size: '4/0 AWG', copper: 230, aluminum: 180 },
+  { size: '250 kcmil', copper: 255, aluminum: 205 },
+  { size: '300 kcmil', copper: 285, aluminum: 230 },
+  { size: '350 kcmil', copper: 310, aluminum: 250 },
+  { size: '500 kcmil', copper: 380, aluminum: 310 },
+];
+
+// Common subpanel sizes used when proposing a new subpanel
+export const SUBPANEL_SPACE_OPTIONS = [8, 12, 16, 20, 24, 30, 40];
+export const SUBPANEL_BUS_OPTIONS = [70, 100, 125, 150, 200, 225];
+
+// NEC 240.6(A) standard OCPD ampere ratings (backfeed breakers, main derates)
+export const STANDARD_OCPD_AMPS = [15, 20, 25, 30, 35, 40, 45, 50, 60, 70, 80, 90, 100, 110, 125, 150, 175, 200, 225, 250, 300, 350, 400];
 
 // Standard breaker amp sizes
 export const BREAKER_AMP_OPTIONS = [15, 20, 25, 30, 35, 40, 45, 50, 60, 70, 80, 90, 100, 125, 150, 200];
@@ -0,0 +1,115 @@
+// Offline solar resource for PV production estimates. Planning use only.
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// PVWatts-style defaults: DC system losses (soiling, wiring, mismatch, temperature),
+// inverter efficiency and ground reflectance (albedo)
+export const PV_DEFAULT_LOSSES_PERCENT = 14;
+export const PV_INVERTER_EFFICIENCY = 0.96;
+export const GROUND_REFLECTANCE = 0.2;
+
+// Approximate long-term average global horizontal irradiance (kWh/m²/day) by
+// month, Jan..Dec, for reference stations; a site uses the nearest station
+export const SOLAR_STATIONS = [
+  { name: 'Anchorage, AK', lat: 61.2, lon: -149.8, ghi: [0.3, 1.0, 2.3, 3.8, 4.9, 5.2, 4.6, 3.4, 2.2, 1.0, 0.4, 0.1] },
+  { name: 'Honolulu, HI', lat: 21.3, lon: -157.9, ghi: [4.0, 4.8, 5.5, 6.0, 6.5, 6.8, 6.8, 6.6, 6.0, 5.1, 4.2, 3.8] },
+  { name: 'Seattle, WA', lat: 47.4, lon: -122.3, ghi: [0.9, 1.6, 2.7, 4.0, 5.2, 5.8, 6.3, 5.3, 3.8, 2.2, 1.1, 0.8] },
+  { name: 'Portland, OR', lat: 45.6, lon: -122.6, ghi: [1.1, 1.8, 2.9, 4.2, 5.4, 6.0, 6.7, 5.8, 4.3, 2.5, 1.3, 0.9] },
+  { name: 'Boise, ID', lat: 43.6, lon: -116.2, ghi: [1.7, 2.7, 4.0, 5.4, 6.6, 7.4, 7.7, 6.7, 5.3, 3.6, 2.0, 1.5] },
+  { name: 'San Francisco, CA', lat: 37.6, lon: -122.4, ghi: [2.2, 3.0, 4.3, 5.8, 6.7, 7.2, 7.3, 6.5, 5.3, 3.8, 2.5, 2.0] },
+  { name: 'Sacramento, CA', lat: 38.5, lon: -121.5, ghi: [1.9, 2.9, 4.4, 6.0, 7.3, 8.1, 8.0, 7.1, 5.8, 4.1, 2.4, 1.7] },
+  { name: 'Los Angeles, CA', lat: 33.9, lon: -118.4, ghi: [2.9, 3.7, 4.9, 6.1, 6.5, 6.8, 7.2, 6.7, 5.5, 4.3, 3.3, 2.7] },
+  { name: 'Las Vegas, NV', lat: 36.1, lon: -115.2, ghi: [3.0, 4.0, 5.4, 6.9, 7.8, 8.3, 7.8, 7.1, 6.1, 4.7, 3.4, 2.8] },
+  { name: 'Phoenix, AZ', lat: 33.4, lon: -112.0, ghi: [3.3, 4.3, 5.6, 7.1, 7.9, 8.2, 7.3, 6.8, 6.1, 4.9, 3.7, 3.1] },
+  { name: 'Salt Lake City, UT', lat: 40.8, lon: -111.9, ghi: [2.0, 3.0, 4.3, 5.6, 6.7, 7.6, 7.5, 6.6, 5.4, 3.8, 2.4, 1.8] },
+  { name: 'Billings, MT', lat: 45.8, lon: -108.5, ghi: [1.7, 2.6, 3.8, 5.0, 6.0, 6.8, 7.0, 6.0, 4.5, 3.0, 1.9, 1.4] },
+  { name: 'Denver, CO', lat: 39.8, lon: -104.9, ghi: [2.5, 3.4, 4.6, 5.8, 6.5, 7.2, 7.0, 6.2, 5.2, 3.9, 2.7, 2.2] },
+  { name: 'Albuquerque, NM', lat: 35.0, lon: -106.6, ghi: [3.2, 4.2, 5.5, 7.0, 7.8, 8.2, 7.6, 6.9, 5.9, 4.7, 3.5, 2.9] },
+  { name: 'Minneapolis, MN', lat: 44.9, lon: -93.2, ghi: [1.9, 2.8, 4.0, 4.9, 5.8, 6.3, 6.3, 5.4, 4.2, 2.8, 1.8, 1.5] },
+  { name: 'Omaha, NE', lat: 41.3, lon: -95.9, ghi: [2.1, 2.9, 4.0, 5.0, 5.9, 6.5, 6.5, 5.7, 4.6, 3.3, 2.2, 1.8] },
+  { name: 'Kansas City, MO', lat: 39.3, lon: -94.7, ghi: [2.3, 3.1, 4.1, 5.2, 6.0, 6.6, 6.7, 5.9, 4.8, 3.6, 2.5, 2.0] },
+  { name: 'Oklahoma City, OK', lat: 35.4, lon: -97.6, ghi: [2.8, 3.6, 4.8, 5.8, 6.3, 6.9, 7.0, 6.3, 5.2, 4.1, 3.0, 2.5] },
+  { name: 'Dallas, TX', lat: 32.9, lon: -97.0, ghi: [2.8, 3.6, 4.6, 5.5, 6.1, 6.8, 6.9, 6.3, 5.2, 4.1, 3.0, 2.6] },
+  { name: 'Houston, TX', lat: 30.0, lon: -95.4, ghi: [2.7, 3.4, 4.3, 5.1, 5.7, 6.1, 6.0, 5.6, 4.9, 4.1, 3.0, 2.5] },
+  { name: 'New Orleans, LA', lat: 30.0, lon: -90.3, ghi: [2.8, 3.5, 4.5, 5.5, 6.0, 6.1, 5.8, 5.5, 4.9, 4.2, 3.1, 2.6] },
+  { name: 'Chicago, IL', lat: 41.8, lon: -87.8, ghi: [1.8, 2.6, 3.6, 4.7, 5.8, 6.3, 6.2, 5.4, 4.3, 3.0, 1.8, 1.5] },
+  { name: 'St. Louis, MO', lat: 38.7, lon: -90.4, ghi: [2.1, 2.9, 3.9, 5.1, 6.0, 6.5, 6.5, 5.8, 4.7, 3.5, 2.3, 1.8] },
+  { name: 'Nashville, TN', lat: 36.1, lon: -86.7, ghi: [2.2, 3.0, 4.0, 5.3, 5.9, 6.3, 6.1, 5.6, 4.6, 3.6, 2.4, 2.0] },
+  { name: 'Detroit, MI', lat: 42.2, lon: -83.3, ghi: [1.6, 2.5, 3.5, 4.7, 5.7, 6.2, 6.2, 5.4, 4.2, 2.8, 1.7, 1.3] },
+  { name: 'Pittsburgh, PA', lat: 40.5, lon: -80.2, ghi: [1.6, 2.4, 3.4, 4.6, 5.4, 5.9, 5.8, 5.2, 4.1, 2.9, 1.8, 1.3] },
+  { name: 'Atlanta, GA', lat: 33.6, lon: -84.4, ghi: [2.5, 3.3, 4.4, 5.6, 6.0, 6.2, 6.0, 5.6, 4.7, 3.8, 2.8, 2.3] },
+  { name: 'Charlotte, NC', lat: 35.2, lon: -80.9, ghi: [2.5, 3.3, 4.4, 5.6, 6.0, 6.2, 6.0, 5.4, 4.5, 3.7, 2.7, 2.3] },
+  { name: 'Orlando, FL', lat: 28.4, lon: -81.3, ghi: [3.4, 4.2, 5.3, 6.3, 6.5, 6.1, 6.0, 5.7, 5.1, 4.4, 3.6, 3.1] },
+  { name: 'Miami, FL', lat: 25.8, lon: -80.3, ghi: [3.5, 4.3, 5.2, 6.1, 6.2, 5.8, 6.0, 5.6, 5.0, 4.4, 3.6, 3.2] },
+  { name: 'Washington, DC', lat: 38.9, lon: -77.0, ghi: [2.1, 2.9, 3.9, 5.0, 5.7, 6.2, 6.1, 5.4, 4.4, 3.2, 2.2, 1.8] },
+  { name: 'New York, NY', lat: 40.8, lon: -73.9, ghi: [1.9, 2.7, 3.8, 4.8, 5.6, 6.0, 6.0, 5.3, 4.2, 3.0, 1.9, 1.6] },
+  { name: 'Boston, MA', lat: 42.4, lon: -71.0, ghi: [1.8, 2.7, 3.8, 4.7, 5.6, 6.0, 6.0, 5.3, 4.2, 2.9, 1.8, 1.5] },
+  { name: 'Burlington, VT', lat: 44.5, lon: -73.2, ghi: [1.6, 2.6, 3.7, 4.6, 5.5, 5.9, 6.0, 5.1, 3.9, 2.5, 1.5, 1.2] },
+];
+
+// Approximate site coordinates by 3-digit ZIP prefix range [from, to, lat, lon]
+export const ZIP3_LOCATIONS = [
+  [5, 5, 40.8, -73.0], // Holtsville, NY
+  [6, 9, 18.4, -66.1], // Puerto Rico / USVI
+  [10, 27, 42.3, -71.4], // MA
+  [28, 29, 41.8, -71.4], // RI
+  [30, 38, 43.0, -71.5], // NH
+  [39, 49, 44.0, -70.3], // ME
+  [50, 59, 44.3, -72.8], // VT
+  [60, 69, 41.6, -72.7], // CT
+  [70, 89, 40.4, -74.4], // NJ
+  [100, 119, 40.8, -73.9], // NYC / Long Island
+  [120, 149, 42.9, -76.0], // Upstate NY
+  [150, 168, 40.4, -80.0], // Western PA
+  [169, 196, 40.3, -76.5], // Eastern PA
+  [197, 199, 39.2, -75.5], // DE
+  [200, 205, 38.9, -77.0], // DC
+  [206, 219, 39.1, -76.8], // MD
+  [220, 246, 37.8, -77.9], // VA
+  [247, 268, 38.6, -80.9], // WV
+  [270, 289, 35.6, -79.4], // NC
+  [290, 299, 34.0, -81.0], // SC
+  [300, 319, 33.6, -84.0], // GA
+  [320, 329, 29.5, -82.0], // North FL
+  [330, 334, 26.0, -80.3], // South FL
+  [335, 349, 27.9, -82.3], // Central FL
+  [350, 369, 33.0, -86.7], // AL
+  [370, 385, 35.9, -86.4], // TN
+  [386, 397, 32.6, -89.7], // MS
+  [398, 399, 31.5, -84.2], // GA
+  [400, 427, 37.8, -85.3], // KY
+  [430, 459, 40.3, -82.8], // OH
+  [460, 479, 39.9, -86.3], // IN
+  [480, 499, 42.8, -84.2], // MI
+  [500, 528, 41.9, -93.4], // IA
+  [530, 549, 44.1, -89.0], // WI
+  [550, 567, 45.2, -93.5], // MN
+  [569, 569, 38.9, -77.0], // DC
+  [570, 577, 43.9, -99.0], // SD
+  [580, 588, 47.1, -98.0], // ND
+  [590, 599, 46.4, -110.0], // MT
+  [600, 629, 41.3, -88.4], // IL
+  [630, 658, 38.4, -92.2], // MO
+  [660, 679, 38.5, -97.4], // KS
+  [680, 693, 41.2, -97.4], // NE
+  [700, 714, 30.7, -91.3], // LA
+  [716, 729, 34.9, -92.4], // AR
+  [730, 749, 35.6, -97.0], // OK
+  [750, 769, 32.8, -97.0], // North TX
+  [770, 779, 29.8, -95.4], // Houston
+  [780, 789, 29.5, -98.5], // South TX
+  [790, 799, 33.2, -101.9], // West TX
+  [800, 816, 39.5, -105.0], // CO
+  [820, 831, 42.3, -106.5], // WY
+  [832, 838, 43.6, -115.6], // ID
+  [840, 847, 40.6, -111.9], // UT
+  [850, 865, 33.5, -112.0], // AZ
+  [870, 884, 35.0, -106.4], // NM
+  [885, 885, 31.8, -106.4], // El Paso, TX
+  [889, 898, 36.2, -115.2], // NV
+  [900, 935, 34.0, -118.0], // Southern CA
+  [936, 961, 38.0, -121.5], // Northern CA
+  [967, 968, 21.3, -157.9], // HI
+  [970, 979, 45.2, -122.8], // OR
+  [980, 994, 47.4, -122.1], // WA
+  [995, 999, 61.2, -149.8], // AK
+];
@@ -1,7 +1,15 @@
-import { MAIN_BREAKER_OPTIONS } from '../data/loadLibrary';
+import { MAIN_BREAKER_OPTIONS, SERVICE_TYPES, LOAD_LIBRARY } from '../data/loadLibrary';
+import { getMeasuredPeak, calculateInterconnection, nextStandardOCPD, getServiceType, getLibraryWatts, getMainPanelSlots, describeIntervalLengthWarning } from '../utils/calculations';
+import { importIntervalCSV } from '../utils/exportUtils';
+import InterconnectionCheck from '../components/InterconnectionCheck';
 
-export default function Step1Service({ project, updateProject, goNext }) {
-  const { service, panel, metadata } = project;
+export default function Step1Service({ project, updateProject, goNext, showToast }) {
+  const { service, panel, metadata, interconnection } = project;
+  const { measuredDemand } = service;
+  const measuredPeak = getMeasuredPeak(measuredDemand);
+  const serviceType = getServiceType(service);
+  const mainSlots = getMainPanelSlots(project);
+  const interconnectionResult = calculateInterconnection(project);
 
   const update = (section, field, value) => {
     updateProject(prev => ({
@@ -27,6 +35,61 @@ export default function Step1Service({ project, updateProject, goNext }) {
     }));
   };
 
+  // NEC 220.87 measured demand data
+  const updateMeasured = (field, value) => {
+    updateProject(prev => ({
+      ...prev,
+      service: {
+        ...prev.service,
+        measuredDemand: { ...prev.service.measuredDemand, [field]: value },
+      },
+    }));
+  };
+
+  const setMonthlyPeak = (index, value) => {
+    const monthlyPeakKW = [...measuredDemand.monthlyPeakKW];
+    monthlyPeakKW[index] = value;
+    updateMeasured('monthlyPeakKW', monthlyPeakKW);
+  };
+
+  const handleIntervalFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const interval = await importIntervalCSV(file);
+      updateMeasured('interval', interval);
+      showToast(`Interval data loaded: ${interval.readingCount} readings`);
+    } catch (err) {
+      showToast('Failed to load interval data: ' + err.message);
+    }
+    e.target.value = '';
+  };
+
+  // Service type sets line voltage; assumed library watts are re-derived so
+  // resistive heating defaults follow the 208V derate
+  const setServiceType = (value) => {
+    updateProject(prev => {
+      const type = SERVICE_TYPES.find(t => t.value === value);
+      const service = { ...prev.service, serviceType: value, serviceVoltage: type.lineVoltage };
+      return {
+        ...prev,
+        service,
+        loads: prev.loads.map(l => {
+          const lib = LOAD_LIBRARY.find(lib => lib.category === l.category);
+          if (!lib || l.sourceTag !== 'Assumed' || l._wattsManuallySet || l.breaker.poles !== lib.poles) return l;
+          return { ...l, usage: { ...l.usage, assumedWatts: getLibraryWatts(lib, service) } };
+        }),
+      };
+    });
+  };
+
+  const updateInterconnection = (field, value) => {
+    updateProject(prev => ({
+      ...prev,
+      interconnection: { ...prev.interconnection, [field]: value },
+    }));
+  };
+
   const updateMeta = (field, value) => {
     updateProject(prev => ({
       ...prev,
@@ -34,9 +97,6 @@ export default function Step1Service({ project, updateProject, goNext }) {
     }));
   };
 
-  // Derived: physical slots still available after regular + tandem breakers
-  const totalAvailableSlots = Math.max(0, panel.totalSlots - (panel.usedSlots + (panel.tandemSlotsUsed || 0)));
-
   // A2: Compute max tandem-capable slots for validation warnings
   const maxTandemSlots = panel.tandemsAllowed === 'Allowed'
     ? (panel.tandemPolicy.allowedPositions === 'All slots' ? panel.totalSlots
@@ -106,14 +166,21 @@ export default function Step1Service({ project, updateProject, goNext }) {
         <h3>Electrical Service</h3>
         <div className="form-row">
           <div className="form-group">
-            <label>Service Voltage</label>
+            <label>Service Type</label>
             <select
-              value={service.serviceVoltage}
-              onChange={e => update('service', 'serviceVoltage', Number(e.target.value))}
+              value={serviceType.value}
+              onChange={e => setServiceType(e.target.value)}
             >
-              <option value={240}>240V (Standard Residential)</option>
-              <option value={208}>208V (Multi-family / Commercial)</option>
+              {SERVICE_TYPES.map(t => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
             </select>
+            <div className="text-xs text-muted mt-2">
+              {serviceType.phases === 3
+                ? `3-phase: amps = VA ÷ (√3 × ${serviceType.lineVoltage}V). 3-pole breakers available.`
+                : `Amps = VA ÷ ${serviceType.lineVoltage}V.`}
+              {serviceType.lineVoltage === 208 && ' 240V heating elements and EV chargers deliver less power at 208V.'}
+            </div>
           </div>
           <div className="form-group">
             <label>Main Breaker (Amps)</label>
@@ -151,6 +218,70 @@ export default function Step1Service({ project, updateProject, goNext }) {
 
       </div>
 
+      <div className="card">
+        <h3>Measured Demand (NEC 220.87) — Optional</h3>
+        <p className="text-sm text-muted mb-4">
+          For existing homes, the highest demand over the last 12 months &times; 125% plus the new load can replace
+          the calculated existing load. Enter monthly billing peaks or load a 15-minute interval CSV from the utility.
+        </p>
+        <div className="form-group">
+          <label>Data Source</label>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              className={`btn btn-sm ${measuredDemand.source !== 'interval' ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => updateMeasured('source', 'billing')}
+            >
+              Monthly Billing Peaks
+            </button>
+            <button
+              className={`btn btn-sm ${measuredDemand.source === 'interval' ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => updateMeasured('source', 'interval')}
+            >
+              Interval Data CSV
+            </button>
+          </div>
+        </div>
+
+        {measuredDemand.source !== 'interval' ? (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))', gap: 8 }}>
+            {measuredDemand.monthlyPeakKW.map((kw, i) => (
+              <div className="form-group" key={i} style={{ marginBottom: 0 }}>
+                <label>Month {i + 1} (kW)</label>
+                <input
+                  type="number"
+                  min={0}
+                  step={0.1}
+                  value={kw}
+                  onChange={e => setMonthlyPeak(i, e.target.value === '' ? '' : Math.max(0, Number(e.target.value) || 0))}
+                  placeholder="Peak kW"
+                />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="form-group">
+            <label>Utility Interval CSV (15-minute)</label>
+            <input type="file" accept=".csv,text/csv" onChange={handleIntervalFile} />
+            {measuredDemand.interval && (
+              <div className="text-xs text-muted mt-2">
+                {measuredDemand.interval.fileName}: {measuredDemand.interval.readingCount} readings at {measuredDemand.interval.intervalMinutes}-min intervals
+                {' '}across {measuredDemand.interval.monthlyPeaks.length} month(s). Peak {measuredDemand.interval.peakKW} kW
+                {measuredDemand.interval.peakAt ? ` on ${new Date(measuredDemand.interval.peakAt).toLocaleString()}` : ''}.
+              </div>
+            )}
+          </div>
+        )}
+
+        {measuredPeak && (
+          <div className={`hint-panel mt-4 ${measuredPeak.months < 12 || measuredPeak.intervalTooLong ? 'warning' : ''}`} style={{ marginBottom: 0 }}>
+            <strong>12-month peak: {measuredPeak.peakKW} kW</strong> &rarr; existing demand {(measuredPeak.peakKW * 1.25).toFixed(1)} kVA (125%).
+            {measuredPeak.months < 12 && ` Only ${measuredPeak.months} month(s) of data — NEC 220.87 requires a full 12 months.`}
+            {measuredPeak.intervalTooLong && ` ${describeIntervalLengthWarning(measuredPeak.intervalMinutes)}`}
+            {' '}Select "Measured Demand" in the Step 3 method comparison to drive service adequacy with this data.
+          </div>
+        )}
+      </div>
+
       <div className="card">
         <h3>Panel Configuration</h3>
         <div className="form-row">
@@ -260,16 +391,74 @@ export default function Step1Service({ project, updateProject, goNext }) {
           <label>Total Available Panel Slots</label>
           <input
             type="number"
-            value={totalAvailableSlots}
+            value={mainSlots.openSlots}
             disabled
             style={{ background: '#f3f4f6', maxWidth: 200 }}
           />
           <div className="text-xs text-muted mt-2">
-            = Total Panel Spaces ({panel.totalSlots}) − Used Spaces ({panel.usedSlots}) − Tandem Slots Used ({panel.tandemSlotsUsed || 0})
+            {mainSlots.fromMap
+              ? `From the panel slot map (Step 3): ${mainSlots.usedSlots} of ${panel.totalSlots} spaces used by the entered circuits.`
+              : `= Total Panel Spaces (${panel.totalSlots}) − Used Spaces (${panel.usedSlots}) − Tandem Slots Used (${panel.tandemSlotsUsed || 0}). The panel slot map takes over once loads are entered.`}
           </div>
         </div>
       </div>
 
+      <div className="card">
+        <h3>PV / Battery Interconnection (NEC 705.12) — Optional</h3>
+        <label className="checkbox-label mb-4">
+          <input
+            type="checkbox"
+            checked={interconnection.enabled}
+            onChange={e => updateInterconnection('enabled', e.target.checked)}
+          />
+          Solar or AC-coupled battery backfeeds this panel
+        </label>
+        {interconnection.enabled && (
+          <>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Inverter Output Current (Amps)</label>
+                <input
+                  type="number"
+                  min={0}
+                  step={0.1}
+                  value={interconnection.inverterOutputAmps}
+                  onChange={e => updateInterconnection('inverterOutputAmps', Math.max(0, Number(e.target.value) || 0))}
+                />
+                <div className="text-xs text-muted mt-2">Combined continuous output of all PV and battery inverters on this bus</div>
+              </div>
+              <div className="form-group">
+                <label>Backfeed Breaker (Amps)</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={interconnection.backfeedBreakerAmps ?? ''}
+                  placeholder={interconnection.inverterOutputAmps > 0 ? `Auto: ${nextStandardOCPD(interconnection.inverterOutputAmps * 1.25)}` : 'Auto'}
+                  onChange={e => updateInterconnection('backfeedBreakerAmps', e.target.value === '' ? null : Math.max(0, Number(e.target.value) || 0))}
+                />
+                <div className="text-xs text-muted mt-2">Blank = 125% of inverter output, next standard size</div>
+              </div>
+            </div>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={interconnection.centerFed}
+                onChange={e => updateInterconnection('centerFed', e.target.checked)}
+              />
+              Center-fed panelboard
+            </label>
+            {interconnectionResult && (
+              <>
+                <InterconnectionCheck result={interconnectionResult} />
+                <p className="text-xs text-muted mt-2">
+                  Sum of breakers and the derate check use the loads entered in Steps 2–3.
+                </p>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
       <div className="step-nav">
         <div />
         <button className="btn btn-primary btn-lg" onClick={goNext}>
@@ -1,6 +1,7 @@
 import { useState, useCallback, useMemo } from 'react';
 import { LOAD_LIBRARY, LOAD_CATEGORIES } from '../data/loadLibrary';
 import { createLoadEntry, createNECBaselineLoads } from '../data/initialState';
+import { getLibraryWatts } from '../utils/calculations';
 
 export default function Step2LoadEntry({ project, updateProject, goNext, goPrev }) {
   const { loadEntryPath } = project;
@@ -31,7 +32,7 @@ export default function Step2LoadEntry({ project, updateProject, goNext, goPrev
           voltageOverride: null,
         },
         usage: {
-          assumedWatts: lib.assumedWatts,
+          assumedWatts: getLibraryWatts(lib, project.service),
           hoursPerDay: lib.hoursPerDay,
           includeInServiceCalc: true,
           includeInBatteryCalc: cat !== LOAD_CATEGORIES.EV_CHARGER,
@@ -46,7 +47,7 @@ export default function Step2LoadEntry({ project, updateProject, goNext, goPrev
       }));
     }
     return newLoads;
-  }, [project.metadata.squareFootage]);
+  }, [project.metadata.squareFootage, project.service]);
 
   // B1: Check if any loads exist (manual edits or non-NEC) before completing guided
   // Shows confirmation modal whenever user has existing work that would be affected
@@ -1,11 +1,16 @@
 import { useState, useMemo, useCallback, useEffect } from 'react';
-import { LOAD_LIBRARY, LOAD_CATEGORIES, BREAKER_AMP_OPTIONS } from '../data/loadLibrary';
-import { createLoadEntry, createNECBaselineLoads } from '../data/initialState';
-import { calculateNECOptionalMethod, calculatePracticalLoad, calculateModeledSlots, getLoadVoltage } from '../utils/calculations';
+import { LOAD_LIBRARY, LOAD_CATEGORIES, BREAKER_AMP_OPTIONS, MOTOR_START_TYPES, DEFAULT_SOFT_STARTER_REDUCTION_PERCENT, LOCKED_ROTOR_CODE_LETTERS, HVAC_NAMEPLATE_CATEGORIES } from '../data/loadLibrary';
+import { createLoadEntry, createNECBaselineLoads, createHVACNameplate } from '../data/initialState';
+import { calculateServiceLoad, compareServiceMethods, calculatePracticalLoad, getMainPanelSlots, getLoadVoltsPerAmp, getLibraryWatts, getServiceType, expandTandemLoads, calculateServiceUpgrade, calculateMotorFromHP, getMotorHPOptions, calculateHVACNameplate, getHVACNameplate, getMotorStart } from '../utils/calculations';
+import ServiceMethodComparison from '../components/ServiceMethodComparison';
+import ServiceUpgradeRecommendation from '../components/ServiceUpgradeRecommendation';
+import PanelSlotMap from '../components/PanelSlotMap';
+import SubpanelManager from '../components/SubpanelManager';
+import HVACNameplateForm from '../components/HVACNameplateForm';
 
 // Shared function: apply category-level assumed defaults to a load row.
 // Called when a row is created via addLoad AND when the category dropdown changes.
-function applyCategoryDefaults(load, categoryKey) {
+function applyCategoryDefaults(load, categoryKey, service) {
   const lib = LOAD_LIBRARY.find(l => l.category === categoryKey);
   if (!lib) return load; // unknown category — leave as-is
 
@@ -16,22 +21,51 @@ function applyCategoryDefaults(load, categoryKey) {
       ...load.breaker,
       poles: lib.poles,
       amps: lib.amps,
-      type: lib.poles === 2 ? 'Standard' : load.breaker.type,
+      type: lib.poles >= 2 ? 'Standard' : load.breaker.type,
     },
     usage: {
       ...load.usage,
-      assumedWatts: lib.assumedWatts,
+      assumedWatts: getLibraryWatts(lib, service),
       hoursPerDay: lib.hoursPerDay,
     },
     motor: {
       ...load.motor,
       isMotor: lib.isMotor,
+      hp: null,
+      codeLetter: null,
       lra: lib.defaultLRA || null,
     },
     sourceTag: 'Assumed',
     _wattsManuallySet: false,
     // Clear tandem B if switching to 2-pole
-    tandemCircuitB: lib.poles === 2 ? null : load.tandemCircuitB,
+    tandemCircuitB: lib.poles >= 2 ? null : load.tandemCircuitB,
+  };
+}
+
+// HP-based motor entry: watts at the supply voltage and, with a code letter,
+// the LRA. HP and code letter both from the nameplate tag the row Nameplate.
+function applyMotorHP(load, service) {
+  const derived = calculateMotorFromHP(load, service);
+  if (!derived) return load;
+  return {
+    ...load,
+    usage: { ...load.usage, assumedWatts: derived.watts },
+    motor: derived.lra ? { ...load.motor, lra: derived.lra } : load.motor,
+    sourceTag: load.motor.nameplateKnown && load.motor.codeLetter ? 'Nameplate' : 'User-entered',
+    _wattsManuallySet: true,
+  };
+}
+
+// HVAC nameplate entry: the running VA (RLA + FLA, MCA or tonnage) becomes the
+// row's watts
+function applyHVACNameplate(load, service) {
+  const derived = calculateHVACNameplate(load, service);
+  if (derived?.va == null) return load;
+  return {
+    ...load,
+    usage: { ...load.usage, assumedWatts: derived.va },
+    sourceTag: 'Nameplate',
+    _wattsManuallySet: true,
   };
 }
 
@@ -66,8 +100,10 @@ function getFieldDefaults(category) {
 
 export default function Step3LoadTable({ project, updateProject, goNext, goPrev }) {
   const { loads, service, panel } = project;
+  const serviceType = getServiceType(service);
   const [showAddMenu, setShowAddMenu] = useState(false);
   const [tooltipLoad, setTooltipLoad] = useState(null);
+  const [hvacOpen, setHvacOpen] = useState({});
 
   // C2: Ensure exactly 4 NEC baseline loads exist — deduplicate on every mount/navigation
   useEffect(() => {
@@ -117,7 +153,7 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
 
         // When category changes, apply shared defaults
         if (field === 'category') {
-          return applyCategoryDefaults(updated, value);
+          return applyCategoryDefaults(updated, value, prev.service);
         }
 
         if (field.startsWith('breaker.')) {
@@ -129,13 +165,21 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
           if (!updated._wattsManuallySet && (key === 'amps' || key === 'poles')) {
             const lib = LOAD_LIBRARY.find(lib => lib.category === updated.category);
             const uf = lib ? lib.utilizationFactor : 0.5;
-            const volts = getLoadVoltage(updated, prev.service.serviceVoltage);
+            const voltsPerAmp = getLoadVoltsPerAmp(updated, prev.service);
             updated.usage = {
               ...updated.usage,
-              assumedWatts: Math.round(volts * updated.breaker.amps * uf),
+              assumedWatts: Math.round(voltsPerAmp * updated.breaker.amps * uf),
             };
           }
 
+          // HP-based motors follow the new supply (voltage, single/three-phase)
+          if (updated.motor.hp && (key === 'poles' || key === 'voltageOverride')) {
+            return applyMotorHP(updated, prev.service);
+          }
+          if (getHVACNameplate(updated) && (key === 'poles' || key === 'voltageOverride')) {
+            return applyHVACNameplate(updated, prev.service);
+          }
+
           // If changing to tandem and it's 1P, auto-create tandemCircuitB if missing
           if (key === 'type' && value === 'Tandem' && updated.breaker.poles === 1 && !updated.tandemCircuitB) {
             updated.tandemCircuitB = {
@@ -152,9 +196,9 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
           if (key === 'type' && value === 'Standard') {
             updated.tandemCircuitB = null;
           }
-          // Force Standard if switching to 2P
-          if (key === 'poles' && value === 2) {
-            updated.breaker = { ...updated.breaker, poles: 2, type: 'Standard' };
+          // Force Standard if switching to 2P/3P
+          if (key === 'poles' && value >= 2) {
+            updated.breaker = { ...updated.breaker, poles: value, type: 'Standard' };
             updated.tandemCircuitB = null;
           }
         } else if (field.startsWith('usage.')) {
@@ -169,12 +213,40 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
           const key = field.split('.')[1];
           updated.motor = { ...updated.motor, [key]: value };
           // Direct edits to motor/LRA => USER
-          if (key === 'isMotor' || key === 'lra') {
+          if (key === 'isMotor' || key === 'lra' || key === 'rla' || key === 'startType' || key === 'nameplateKnown') {
             updated.sourceTag = 'User-entered';
           }
+          if (updated.motor.hp && (key === 'hp' || key === 'codeLetter' || key === 'nameplateKnown')) {
+            return applyMotorHP(updated, prev.service);
+          }
+        } else if (field.startsWith('hvac.')) {
+          const key = field.split('.')[1];
+          updated.hvac = { ...(updated.hvac || createHVACNameplate()), [key]: value };
+          updated.motor = { ...updated.motor, isMotor: true };
+          return applyHVACNameplate(updated, prev.service);
         } else if (field.startsWith('tandemB.')) {
           const key = field.split('.')[1];
-          updated.tandemCircuitB = { ...(updated.tandemCircuitB || {}), [key]: value };
+          const prevB = updated.tandemCircuitB || {};
+          if (key === 'category') {
+            // Circuit B is a first-class load — apply library defaults like Circuit A
+            const lib = LOAD_LIBRARY.find(l => l.category === value);
+            updated.tandemCircuitB = lib
+              ? {
+                  ...prevB,
+                  category: value,
+                  assumedWatts: lib.assumedWatts,
+                  hoursPerDay: lib.hoursPerDay,
+                  isMotor: lib.isMotor,
+                  lra: lib.defaultLRA || null,
+                  sourceTag: 'Assumed',
+                }
+              : { ...prevB, category: value };
+          } else {
+            updated.tandemCircuitB = { ...prevB, [key]: value };
+            if (key === 'assumedWatts' || key === 'hoursPerDay' || key === 'isMotor' || key === 'lra') {
+              updated.tandemCircuitB.sourceTag = 'User-entered';
+            }
+          }
         } else {
           updated[field] = value;
         }
@@ -201,19 +273,19 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
           category: lib.category,
           breaker: { poles: lib.poles, amps: lib.amps, type: 'Standard', voltageOverride: null },
           usage: {
-            assumedWatts: lib.assumedWatts,
+            assumedWatts: getLibraryWatts(lib, service),
             hoursPerDay: lib.hoursPerDay,
             includeInServiceCalc: true,
             includeInBatteryCalc: category !== LOAD_CATEGORIES.EV_CHARGER,
           },
-          motor: { isMotor: lib.isMotor, nameplateKnown: false, lra: lib.defaultLRA || null, notes: '' },
+          motor: { isMotor: lib.isMotor, nameplateKnown: false, lra: lib.defaultLRA || null, rla: null, startType: 'direct', softStarterReductionPercent: null, notes: '' },
           sourceTag: 'Assumed',
         })
       : createLoadEntry({ category });
 
     updateProject(prev => ({ ...prev, loads: [...prev.loads, entry] }));
     setShowAddMenu(false);
-  }, [updateProject]);
+  }, [updateProject, service]);
 
   const addCustomLoad = useCallback(() => {
     const entry = createLoadEntry({
@@ -225,14 +297,26 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
 
   // Compute results
   const necResult = useMemo(() =>
-    calculateNECOptionalMethod(loads, service), [loads, service]);
+    calculateServiceLoad(loads, service), [loads, service]);
+  const methodComparison = useMemo(() =>
+    compareServiceMethods(loads, service), [loads, service]);
+  const serviceUpgrade = useMemo(() =>
+    calculateServiceUpgrade(necResult, service), [necResult, service]);
+
+  const setNecMethod = useCallback((method) => {
+    updateProject(prev => ({
+      ...prev,
+      service: { ...prev.service, necMethod: method },
+    }));
+  }, [updateProject]);
   const practicalResult = useMemo(() =>
     calculatePracticalLoad(loads), [loads]);
+  // Every circuit including tandem Circuit B — used for motor/LRA checks
+  const allCircuits = useMemo(() => expandTandemLoads(loads), [loads]);
 
-  // Slot validation: compare modeled slots to Page 1 Total Available Panel Slots
-  const modeledSlots = useMemo(() => calculateModeledSlots(loads), [loads]);
-  const totalAvailableSlots = Math.max(0, panel.totalSlots - (panel.usedSlots + (panel.tandemSlotsUsed || 0)));
-  const slotDelta = modeledSlots - totalAvailableSlots;
+  // Slot validation: compare the panel map's used spaces to the Page 1 entry
+  const mainSlots = useMemo(() => getMainPanelSlots(project), [project]);
+  const slotDelta = mainSlots.usedSlots - mainSlots.enteredUsedSlots;
 
   // A2: Panel configuration warnings (shared logic with Step 1)
   const panelWarnings = useMemo(() => {
@@ -274,7 +358,10 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
     <>
       <div className="card">
         <div className="hint-panel" style={{ marginBottom: 12 }}>
-          2-pole loads use {service.serviceVoltage}V (service voltage). 1-pole loads use 120V. You can override voltage per circuit below.
+          2-pole loads use {serviceType.lineVoltage}V (service voltage). 1-pole loads use {serviceType.phaseVoltage}V.
+          {serviceType.phases === 3 && ' 3-pole loads draw watts ÷ (√3 × line voltage) per phase.'}
+          {serviceType.lineVoltage === 208 && ' Resistive heating defaults are derated to 75% of their 240V nameplate.'}
+          {' '}You can override voltage per circuit below.
         </div>
 
         <div className="card-header">
@@ -333,6 +420,7 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                   <th>kWh/Day</th>
                   <th>Motor</th>
                   <th>LRA</th>
+                  <th title="Load being added to the existing dwelling (NEC 220.83)">New</th>
                   <th className="sticky-right"></th>
                 </tr>
               </thead>
@@ -343,6 +431,10 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                   const catTooltip = CATEGORY_TOOLTIPS[load.category];
                   const isNECEdited = load.isNECBaseline && load._necEdited;
                   const fieldDefs = getFieldDefaults(load.category); // C3: per-field tooltips
+                  const hasHVACNameplate = HVAC_NAMEPLATE_CATEGORIES.includes(load.category);
+                  const hvac = getHVACNameplate(load);
+                  const hvacResult = calculateHVACNameplate(load, service);
+                  const motorStart = getMotorStart(load);
                   return [
                     <tr key={load.id} style={load.isNECBaseline ? { background: isNECEdited ? '#fefce8' : '#f0fdf4' } : undefined}>
                       <td>
@@ -369,6 +461,16 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                             &#9432;
                           </span>
                         )}
+                        {hasHVACNameplate && (
+                          <button
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => setHvacOpen(o => ({ ...o, [load.id]: !o[load.id] }))}
+                            style={{ fontSize: 11, padding: '0 4px', display: 'block' }}
+                            title="Enter RLA, LRA, MCA, MOCP and tonnage from the outdoor unit nameplate"
+                          >
+                            {hvacOpen[load.id] ? '▾' : '▸'} Nameplate
+                          </button>
+                        )}
                       </td>
                       <td>
                         <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
@@ -383,7 +485,7 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                             ))}
                           </select>
                           <span className={sourceTagClass(load.sourceTag)} style={{ flexShrink: 0 }}>
-                            {load.isNECBaseline ? 'NEC' : load.sourceTag === 'User-entered' ? 'USER' : 'ASSU'}
+                            {load.isNECBaseline ? 'NEC' : load.sourceTag === 'User-entered' ? 'USER' : load.sourceTag === 'Nameplate' ? 'NAME' : 'ASSU'}
                           </span>
                         </div>
                       </td>
@@ -395,6 +497,7 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                         >
                           <option value={1}>1P</option>
                           <option value={2}>2P</option>
+                          {(serviceType.phases === 3 || load.breaker.poles === 3) && <option value={3}>3P</option>}
                         </select>
                       </td>
                       <td>
@@ -423,6 +526,11 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                             <option key={a} value={a}>{a}</option>
                           ))}
                         </select>
+                        {hvacResult?.breakerOK === false && (
+                          <span style={{ fontSize: 9, color: '#dc2626', display: 'block', lineHeight: 1.2 }} title={`Nameplate MOCP is ${hvacResult.mocp}A`}>
+                            &gt; MOCP
+                          </span>
+                        )}
                       </td>
                       <td>
                         <input
@@ -457,25 +565,113 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                       <td className="lra-cell">
                         {load.motor.isMotor ? (
                           <>
-                            <input
-                              type="number"
-                              value={load.motor.lra || ''}
-                              onChange={e => updateLoad(load.id, 'motor.lra', e.target.value ? Number(e.target.value) : null)}
+                            <select
+                              value={load.motor.hp ?? ''}
+                              onChange={e => updateLoad(load.id, 'motor.hp', e.target.value === '' ? null : Number(e.target.value))}
                               className="lra-input"
-                              min={0}
-                              placeholder="LRA"
-                              title={fieldDefs.lra}
-                            />
-                            {!load.motor.lra && (
-                              <span style={{ fontSize: 9, color: '#d97706', display: 'block', lineHeight: 1.2 }}>
-                                est.
+                              style={{ display: 'block', marginBottom: 2 }}
+                              title="Nameplate horsepower: watts from NEC Table 430.248 / 430.250 full-load current"
+                            >
+                              <option value="">HP</option>
+                              {getMotorHPOptions(load, service).map(r => <option key={r.label} value={r.hp}>{r.label} HP</option>)}
+                            </select>
+                            {load.motor.hp && motorStart.startType !== 'inverter' && (
+                              <select
+                                value={load.motor.codeLetter || ''}
+                                onChange={e => updateLoad(load.id, 'motor.codeLetter', e.target.value || null)}
+                                className="lra-input"
+                                style={{ display: 'block', marginBottom: 2 }}
+                                title="Locked-rotor code letter: LRA from NEC Table 430.7(B)"
+                              >
+                                <option value="">Code</option>
+                                {LOCKED_ROTOR_CODE_LETTERS.map(c => <option key={c.letter} value={c.letter}>Code {c.letter}</option>)}
+                              </select>
+                            )}
+                            {hvac && (hvac.inverter || hvac.compressorLRA) ? (
+                              <span style={{ fontSize: 11, display: 'block' }} title="From the HVAC nameplate">
+                                {hvac.inverter ? 'Inverter' : `${hvac.compressorLRA} LRA`}
                               </span>
+                            ) : motorStart.startType === 'inverter' ? (
+                              <span className="text-muted" style={{ fontSize: 11, display: 'block' }} title="Inverter-driven compressors ramp up with no locked-rotor inrush">
+                                No LRA
+                              </span>
+                            ) : (
+                              <>
+                                <input
+                                  type="number"
+                                  value={load.motor.lra || ''}
+                                  onChange={e => updateLoad(load.id, 'motor.lra', e.target.value ? Number(e.target.value) : null)}
+                                  className="lra-input"
+                                  min={0}
+                                  placeholder="LRA"
+                                  title={fieldDefs.lra}
+                                />
+                                {!load.motor.lra && (
+                                  <span style={{ fontSize: 9, color: '#d97706', display: 'block', lineHeight: 1.2 }}>
+                                    est.
+                                  </span>
+                                )}
+                              </>
+                            )}
+                            {!hvac?.inverter && (
+                              <select
+                                value={load.motor.startType || 'direct'}
+                                onChange={e => updateLoad(load.id, 'motor.startType', e.target.value)}
+                                className="lra-input"
+                                style={{ display: 'block', marginTop: 2 }}
+                                title="Motor start method"
+                              >
+                                {MOTOR_START_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                              </select>
+                            )}
+                            {(motorStart.startType === 'softStarterInstalled' || motorStart.startType === 'softStarterProposed') && (
+                              <input
+                                type="number"
+                                value={load.motor.softStarterReductionPercent ?? ''}
+                                onChange={e => updateLoad(load.id, 'motor.softStarterReductionPercent', e.target.value === '' ? null : Math.min(90, Math.max(0, Number(e.target.value) || 0)))}
+                                className="lra-input"
+                                style={{ display: 'block', marginTop: 2 }}
+                                min={0}
+                                max={90}
+                                placeholder={`-${DEFAULT_SOFT_STARTER_REDUCTION_PERCENT}%`}
+                                title="Soft starter LRA reduction (%)"
+                              />
+                            )}
+                            <label style={{ fontSize: 10, display: 'flex', alignItems: 'center', gap: 2, marginTop: 2 }} title="HP, code letter, LRA / RLA read from the equipment nameplate">
+                              <input
+                                type="checkbox"
+                                checked={!!load.motor.nameplateKnown}
+                                onChange={e => updateLoad(load.id, 'motor.nameplateKnown', e.target.checked)}
+                              />
+                              Nameplate
+                            </label>
+                            {load.motor.nameplateKnown && (
+                              <input
+                                type="number"
+                                value={load.motor.rla || ''}
+                                onChange={e => updateLoad(load.id, 'motor.rla', e.target.value ? Number(e.target.value) : null)}
+                                className="lra-input"
+                                style={{ display: 'block', marginTop: 2 }}
+                                min={0}
+                                step={0.1}
+                                placeholder="RLA"
+                                title="Rated Load Amps from the nameplate"
+                              />
                             )}
                           </>
                         ) : (
                           <span className="text-muted" style={{ fontSize: 11 }}>--</span>
                         )}
                       </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={!!load.isNewLoad}
+                          onChange={e => updateLoad(load.id, 'isNewLoad', e.target.checked)}
+                          disabled={load.isNECBaseline}
+                          title="New load being added (NEC 220.83)"
+                        />
+                      </td>
                       <td className="sticky-right" style={load.isNECBaseline ? { background: isNECEdited ? '#fefce8' : '#f0fdf4' } : undefined}>
                         {!load.isNECBaseline ? (
                           <button
@@ -496,6 +692,20 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                         )}
                       </td>
                     </tr>,
+                    // HVAC nameplate sub-row
+                    hasHVACNameplate && hvacOpen[load.id] ? (
+                      <tr key={`${load.id}_hvac`} style={{ background: '#fafafa' }}>
+                        <td colSpan={11} style={{ paddingLeft: 32 }}>
+                          <HVACNameplateForm
+                            hvac={hvac || createHVACNameplate()}
+                            breakerAmps={load.breaker.amps}
+                            result={hvacResult}
+                            onChange={(f, v) => updateLoad(load.id, `hvac.${f}`, v)}
+                          />
+                        </td>
+                        <td className="sticky-right" style={{ background: '#fafafa' }}></td>
+                      </tr>
+                    ) : null,
                     // Tandem sub-row showing second circuit — editable
                     isTandem && load.tandemCircuitB ? (
                       <tr key={`${load.id}_tandemB`} style={{ background: '#fafafa', fontSize: 12 }}>
@@ -560,7 +770,44 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                             ? (load.tandemCircuitB.assumedWatts * load.tandemCircuitB.hoursPerDay / 1000).toFixed(1)
                             : '--'}
                         </td>
-                        <td colSpan={3}></td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={!!load.tandemCircuitB.isMotor}
+                            onChange={e => updateLoad(load.id, 'tandemB.isMotor', e.target.checked)}
+                          />
+                        </td>
+                        <td className="lra-cell">
+                          {load.tandemCircuitB.isMotor ? (
+                            <>
+                              <input
+                                type="number"
+                                value={load.tandemCircuitB.lra || ''}
+                                onChange={e => updateLoad(load.id, 'tandemB.lra', e.target.value ? Number(e.target.value) : null)}
+                                className="lra-input"
+                                min={0}
+                                placeholder="LRA"
+                                title={getFieldDefaults(load.tandemCircuitB.category).lra}
+                              />
+                              {!load.tandemCircuitB.lra && (
+                                <span style={{ fontSize: 9, color: '#d97706', display: 'block', lineHeight: 1.2 }}>
+                                  est.
+                                </span>
+                              )}
+                            </>
+                          ) : (
+                            <span className="text-muted" style={{ fontSize: 11 }}>--</span>
+                          )}
+                        </td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={!!load.tandemCircuitB.isNewLoad}
+                            onChange={e => updateLoad(load.id, 'tandemB.isNewLoad', e.target.checked)}
+                            title="New load being added (NEC 220.83)"
+                          />
+                        </td>
+                        <td className="sticky-right" style={{ background: '#fafafa' }}></td>
                       </tr>
                     ) : null,
                   ];
@@ -572,7 +819,7 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
                   <td>{practicalResult.totalRunningWatts.toLocaleString()}W</td>
                   <td></td>
                   <td>{practicalResult.totalDailyKWh.toFixed(1)}</td>
-                  <td colSpan={3}></td>
+                  <td colSpan={4}></td>
                 </tr>
               </tfoot>
             </table>
@@ -586,17 +833,17 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
           </div>
         )}
 
-        {/* Slot Check: compare modeled slots to Page 1 Total Available Panel Slots */}
+        {/* Slot Check: compare the panel map's used spaces to the Page 1 entry */}
         {loads.length > 0 && (
           <div className="mt-4">
             <div className={`hint-panel ${slotDelta !== 0 ? 'warning' : ''}`} style={{ marginBottom: 0 }}>
               {slotDelta === 0 ? (
-                <strong>Slot Check: Matches Page 1 Total Available Panel Slots.</strong>
+                <strong>Slot Check: Panel map matches the Used Spaces entered on Page 1.</strong>
               ) : (
                 <>
-                  <strong>Slot Check: Does NOT match Page 1 Total Available Panel Slots</strong>
-                  {' '}(Modeled: {modeledSlots} | Expected: {totalAvailableSlots} | &Delta; = {Math.abs(slotDelta)}).
-                  {' '}Please double check panel info and load entries.
+                  <strong>Slot Check: Panel map does NOT match the Used Spaces entered on Page 1</strong>
+                  {' '}(Panel map: {mainSlots.usedSlots} | Page 1: {mainSlots.enteredUsedSlots} | &Delta; = {Math.abs(slotDelta)}).
+                  {' '}Open slots ({mainSlots.openSlots}) come from the panel map; check for missing circuits or update Page 1.
                 </>
               )}
             </div>
@@ -613,18 +860,32 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
           </div>
         )}
 
-        {loads.some(l => l.motor.isMotor) && (
+        {allCircuits.some(l => l.motor.isMotor) && (
           <div className="hint-panel mt-4" style={{ marginBottom: 0 }}>
             <strong>Motor loads detected.</strong> Enter LRA (Locked Rotor Amps) in the LRA column for accurate battery motor-start sizing.
-            {loads.filter(l => l.motor.isMotor && !l.motor.lra).length > 0 && (
+            {' '}Set the start method for soft-started or inverter-driven (variable-speed) equipment.
+            {allCircuits.filter(l => l.motor.isMotor && getMotorStart(l).startType !== 'inverter' && !getMotorStart(l).lra).length > 0 && (
               <span style={{ color: '#d97706' }}>
-                {' '}{loads.filter(l => l.motor.isMotor && !l.motor.lra).length} motor load(s) missing LRA — conservative estimates will be used.
+                {' '}{allCircuits.filter(l => l.motor.isMotor && getMotorStart(l).startType !== 'inverter' && !getMotorStart(l).lra).length} motor load(s) missing LRA — conservative estimates will be used.
               </span>
             )}
           </div>
         )}
+
+        {loads.some(l => calculateHVACNameplate(l, service)?.breakerOK === false) && (
+          <div className="hint-panel warning mt-4" style={{ marginBottom: 0 }}>
+            <strong>⚠ Breaker exceeds nameplate MOCP:</strong>{' '}
+            {loads.filter(l => calculateHVACNameplate(l, service)?.breakerOK === false)
+              .map(l => `${l.description || l.category} (${l.breaker.amps}A > ${l.hvac.mocp}A)`).join(', ')}
+            . Size the breaker at or below the Maximum Overcurrent Protection on the unit&apos;s nameplate.
+          </div>
+        )}
       </div>
 
+      {loads.length > 0 && <SubpanelManager project={project} updateProject={updateProject} />}
+
+      {loads.length > 0 && <PanelSlotMap project={project} updateProject={updateProject} />}
+
       {/* Service Adequacy Results */}
       {loads.length > 0 && (
         <div className="card">
@@ -634,7 +895,7 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
             <div className="result-item">
               <div className="value">{necResult.totalDemandKVA.toFixed(1)}</div>
               <div className="label">kVA Demand (NEC)</div>
-              <div className="sub">Optional Method</div>
+              <div className="sub">{necResult.methodLabel}</div>
             </div>
             <div className="result-item">
               <div className="value">{necResult.serviceAmps}A</div>
@@ -653,23 +914,70 @@ export default function Step3LoadTable({ project, updateProject, goNext, goPrev
             </div>
           </div>
 
-          <div className="result-panel">
-            <h4>NEC Optional Method Breakdown</h4>
-            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 24px', fontSize: 13 }}>
-              <span className="text-muted">General + Small Appliance:</span>
-              <span>{(necResult.breakdown.generalAndSmallAppliance / 1000).toFixed(1)} kVA</span>
-              <span className="text-muted">Fixed Appliances:</span>
-              <span>{(necResult.breakdown.fixedAppliances / 1000).toFixed(1)} kVA</span>
-              <span className="text-muted">Cooking:</span>
-              <span>{(necResult.breakdown.cooking / 1000).toFixed(1)} kVA</span>
-              <span className="text-muted">Dryer:</span>
-              <span>{(necResult.breakdown.dryer / 1000).toFixed(1)} kVA</span>
-              <span className="text-muted">HVAC (largest):</span>
-              <span>{(necResult.breakdown.hvac / 1000).toFixed(1)} kVA</span>
-              <span className="text-muted">Other Large Loads:</span>
-              <span>{(necResult.breakdown.otherLarge / 1000).toFixed(1)} kVA</span>
+          {necResult.method === '220.87' ? (
+            <div className="result-panel">
+              <h4>{necResult.methodLabel} Breakdown</h4>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 24px', fontSize: 13 }}>
+                <span className="text-muted">12-Month Measured Peak:</span>
+                <span>{(necResult.breakdown.measuredPeak / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">Existing Demand (× 125%):</span>
+                <span>{(necResult.breakdown.measuredExisting / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">New Loads:</span>
+                <span>{((necResult.breakdown.newLoad + necResult.breakdown.ev) / 1000).toFixed(1)} kVA</span>
+              </div>
             </div>
-          </div>
+          ) : (
+            <div className="result-panel">
+              <h4>{necResult.methodLabel} Breakdown</h4>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 24px', fontSize: 13 }}>
+                <span className="text-muted">General + Small Appliance:</span>
+                <span>{(necResult.breakdown.generalAndSmallAppliance / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">Fixed Appliances:</span>
+                <span>{(necResult.breakdown.fixedAppliances / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">Cooking:</span>
+                <span>{(necResult.breakdown.cooking / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">Dryer:</span>
+                <span>{(necResult.breakdown.dryer / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">HVAC (largest):</span>
+                <span>{(necResult.breakdown.hvac / 1000).toFixed(1)} kVA</span>
+                <span className="text-muted">Other Large Loads:</span>
+                <span>{(necResult.breakdown.otherLarge / 1000).toFixed(1)} kVA</span>
+                {necResult.method === 'standard' && (
+                  <>
+                    <span className="text-muted">EV Chargers:</span>
+                    <span>{(necResult.breakdown.ev / 1000).toFixed(1)} kVA</span>
+                    <span className="text-muted">25% of Largest Motor:</span>
+                    <span>{(necResult.breakdown.largestMotor / 1000).toFixed(1)} kVA</span>
+                  </>
+                )}
+                {necResult.method.startsWith('220.83') && (
+                  <>
+                    <span className="text-muted">EV Chargers:</span>
+                    <span>{(necResult.breakdown.ev / 1000).toFixed(1)} kVA</span>
+                    <span className="text-muted">First 8 kVA @ 100%:</span>
+                    <span>{(necResult.breakdown.first8kVA / 1000).toFixed(1)} kVA</span>
+                    <span className="text-muted">Remainder @ 40%:</span>
+                    <span>{(necResult.breakdown.remainderAt40 / 1000).toFixed(1)} kVA</span>
+                    {necResult.method === '220.83(B)' && (
+                      <>
+                        <span className="text-muted">New HVAC @ 100%:</span>
+                        <span>{(necResult.breakdown.hvacAt100 / 1000).toFixed(1)} kVA</span>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+              {necResult.method.startsWith('220.83') && (
+                <p className="text-xs text-muted mt-2">
+                  Loads are flagged as new, so NEC 220.83 (existing dwelling adding load) applies. Line items above are at nameplate before demand factors.
+                </p>
+              )}
+            </div>
+          )}
+
+          <ServiceMethodComparison comparison={methodComparison} onSelect={setNecMethod} />
+
+          {serviceUpgrade && <ServiceUpgradeRecommendation upgrade={serviceUpgrade} />}
 
           <div className="hint-panel">
             Estimate for planning purposes. Verify per NEC and local code amendments by a qualified electrician.
@@ -1,9 +1,12 @@
 import { useMemo, useState } from 'react';
 import { EV_CHARGER_OPTIONS } from '../data/loadLibrary';
-import { calculateEVFeasibility, calculatePanelSlots } from '../utils/calculations';
+import { calculateEVFeasibility, calculatePanelSlots, getEVVoltage, EVEMS_MIN_CHARGING_AMPS } from '../utils/calculations';
+import ServiceUpgradeRecommendation from '../components/ServiceUpgradeRecommendation';
+import { createSubpanel } from '../data/initialState';
 
 export default function Step4EV({ project, updateProject, goNext, goPrev }) {
   const { ev, service, panel } = project;
+  const evVoltage = getEVVoltage(service);
   const [tandemOverride, setTandemOverride] = useState(0);
 
   const selectCharger = (option) => {
@@ -28,9 +31,39 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
     }));
   };
 
+  // EVEMS load management settings
+  const { loadManagement } = ev;
+  const updateLoadManagement = (field, value) => {
+    updateProject(prev => ({
+      ...prev,
+      ev: {
+        ...prev.ev,
+        loadManagement: { ...prev.ev.loadManagement, [field]: value },
+      },
+    }));
+  };
+
   const evResult = useMemo(() =>
     calculateEVFeasibility(project), [project]);
 
+  // Create the proposed subpanel and move the relocated circuits into it
+  const addProposedSubpanel = () => {
+    const proposal = evResult.subpanelProposal;
+    const subpanel = createSubpanel({
+      name: 'EV Subpanel',
+      totalSlots: proposal.totalSlots,
+      busRatingAmps: proposal.busRatingAmps,
+      feederBreakerAmps: proposal.feederBreakerAmps,
+    });
+    updateProject(prev => ({
+      ...prev,
+      subpanels: [...(prev.subpanels || []), subpanel],
+      loads: prev.loads.map(l => (
+        proposal.relocatedLoadIds.includes(l.id) ? { ...l, panelId: subpanel.id, circuitNumber: '' } : l
+      )),
+    }));
+  };
+
   const panelSlots = useMemo(() =>
     calculatePanelSlots(panel), [panel]);
 
@@ -38,6 +71,8 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
     switch (rec) {
       case 'Add as-is':
         return <span className="badge badge-ok">Add As-Is</span>;
+      case 'Feasible with load management':
+        return <span className="badge badge-ok">Load Managed</span>;
       case 'Feasible but borderline capacity':
         return <span className="badge badge-warning">Borderline</span>;
       case 'Requires tandems to free space':
@@ -86,7 +121,7 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
                   <br />
                   {option.recommendedBreakerAmps}A breaker (2P)
                   <br />
-                  {(option.continuousAmps * service.serviceVoltage / 1000).toFixed(1)} kW
+                  {(option.continuousAmps * evVoltage / 1000).toFixed(1)} kW
                 </p>
               ) : (
                 <p>Enter your own continuous amps</p>
@@ -138,6 +173,64 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
           </div>
         )}
 
+        {/* EVEMS: load management instead of a service upgrade */}
+        {ev.chargerOption && (
+          <div className="result-panel mt-4">
+            <h4>Load Management (EVEMS)</h4>
+            <label className="checkbox-label mb-2">
+              <input
+                type="checkbox"
+                checked={loadManagement.enabled}
+                onChange={e => updateLoadManagement('enabled', e.target.checked)}
+              />
+              Model an EV energy management system (NEC 625.42 / 750.30)
+            </label>
+            {loadManagement.enabled && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Control Mode</label>
+                  <select
+                    value={loadManagement.mode}
+                    onChange={e => updateLoadManagement('mode', e.target.value)}
+                  >
+                    <option value="dynamic">Dynamic limit (smart panel / meter collar)</option>
+                    <option value="fixed">Fixed charger current cap</option>
+                  </select>
+                </div>
+                {loadManagement.mode === 'fixed' ? (
+                  <div className="form-group">
+                    <label>Total EV Current Cap (A)</label>
+                    <input
+                      type="number"
+                      value={loadManagement.fixedCapAmps || ''}
+                      onChange={e => updateLoadManagement('fixedCapAmps', Math.max(0, Number(e.target.value) || 0))}
+                      min={0}
+                      max={200}
+                    />
+                    <div className="text-xs text-muted mt-2">
+                      Setpoint shared across all chargers. NEC 625.42 sizes the EV load at this setpoint.
+                    </div>
+                  </div>
+                ) : (
+                  <div className="form-group">
+                    <label>Target Service Utilization (%)</label>
+                    <input
+                      type="number"
+                      value={loadManagement.targetUtilizationPercent || 100}
+                      onChange={e => updateLoadManagement('targetUtilizationPercent', Math.max(50, Math.min(100, Number(e.target.value) || 100)))}
+                      min={50}
+                      max={100}
+                    />
+                    <div className="text-xs text-muted mt-2">
+                      Charging is limited to the headroom between computed service demand and this share of the main breaker.
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Rev 7: Existing EV note */}
         <div className="hint-panel mt-4">
           <strong>Existing EV charger?</strong> If the home already has an EV charger, add it as a
@@ -162,7 +255,7 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
               <div className="sub">
                 {(ev.chargerCount || 1) > 1
                   ? `${(evResult.evWattsEach / 1000).toFixed(1)} kW each × ${ev.chargerCount}`
-                  : `at ${service.serviceVoltage}V`}
+                  : `at ${evVoltage}V`}
               </div>
             </div>
             <div className="result-item">
@@ -189,9 +282,41 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
               <span>{evResult.necWithEV.serviceAmps}A ({evResult.necWithEV.status})</span>
               <span className="text-muted">Capacity Status:</span>
               <span>{evResult.necWithEV.status === 'OK' ? 'Sufficient' : evResult.necWithEV.status}</span>
+              <span className="text-muted">Calculation Method:</span>
+              <span>{evResult.necWithEV.methodLabel}</span>
             </div>
+            <p className="text-xs text-muted mt-2">
+              {evResult.necWithEV.method === '220.87'
+                ? 'Existing demand is the 12-month measured peak × 125% (NEC 220.87); the proposed charger and any new loads are added at nameplate.'
+                : evResult.necWithEV.method.startsWith('220.83')
+                  ? 'The proposed charger is a new load on an existing dwelling, so service capacity with EV uses NEC 220.83.'
+                  : 'Service capacity with EV uses the NEC Standard Method selected in Step 3.'}
+            </p>
           </div>
 
+          {/* EVEMS managed result */}
+          {evResult.loadManagement && (
+            <div className="result-panel">
+              <h4>Managed Charging ({evResult.loadManagement.mode === 'fixed' ? 'Fixed Cap' : 'Dynamic Limit'})</h4>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 24px', fontSize: 13 }}>
+                <span className="text-muted">Allowed Charging Amps:</span>
+                <span>
+                  {evResult.loadManagement.allowedAmpsEach}A{(ev.chargerCount || 1) > 1 ? ` each (${evResult.loadManagement.allowedAmpsTotal}A total)` : ''}
+                  {' '}of {evResult.continuousAmps}A
+                </span>
+                <span className="text-muted">Managed EV Load:</span>
+                <span>{(evResult.loadManagement.managedWattsTotal / 1000).toFixed(1)} kW</span>
+                <span className="text-muted">Service w/ Managed EV:</span>
+                <span>{evResult.loadManagement.necManaged.serviceAmps}A ({evResult.loadManagement.necManaged.status})</span>
+              </div>
+              {evResult.loadManagement.allowedAmpsEach < EVEMS_MIN_CHARGING_AMPS && (
+                <p className="text-xs mt-2" style={{ color: '#dc2626' }}>
+                  Less than {EVEMS_MIN_CHARGING_AMPS}A per charger is available — load management alone is not a practical solution.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Space check */}
           <div className="result-panel">
             <h4>Panel Space Assessment</h4>
@@ -248,11 +373,43 @@ export default function Step4EV({ project, updateProject, goNext, goPrev }) {
             </div>
             <p className="text-sm text-muted">
               {evResult.recommendation === 'Add as-is' && 'Panel has capacity and space for the selected EV charger.'}
+              {evResult.recommendation === 'Feasible with load management' && `Unmanaged charging would exceed service capacity. An EVEMS limiting charging to ${evResult.loadManagement.allowedAmpsEach}A${(ev.chargerCount || 1) > 1 ? ' per charger' : ''} keeps the service within its rating without an upgrade.`}
               {evResult.recommendation === 'Feasible but borderline capacity' && 'Panel can physically accommodate but service utilization is high (>80%). Monitor other loads.'}
               {evResult.recommendation === 'Requires tandems to free space' && 'No open slots, but tandems can create space. Verify panel label for tandem-eligible positions.'}
               {evResult.recommendation === 'Subpanel recommended' && 'No open slots and no tandem option. A subpanel may be needed if capacity allows.'}
               {evResult.recommendation === 'Service upgrade recommended' && 'Adding the EV charger would exceed service capacity. Upgrade main service or consider load management.'}
             </p>
+            {evResult.serviceUpgrade && (
+              <ServiceUpgradeRecommendation upgrade={evResult.serviceUpgrade} title="Service Upgrade Needed With EV" />
+            )}
+            {evResult.subpanelProposal && (
+              <div className="hint-panel warning" style={{ marginBottom: 0 }}>
+                {evResult.subpanelProposal.type === 'existing' ? (
+                  <strong>Install the charger in {evResult.subpanelProposal.name}</strong>
+                ) : (
+                  <strong>
+                    Proposed: {evResult.subpanelProposal.totalSlots}-space {evResult.subpanelProposal.busRatingAmps}A subpanel off the main,
+                    {' '}{evResult.subpanelProposal.feederBreakerAmps}A {evResult.subpanelProposal.feederPoles}-pole feeder
+                  </strong>
+                )}
+                <div className="text-sm mt-2">
+                  Feeder demand with EV: {evResult.subpanelProposal.feeder.serviceAmps}A on a {evResult.subpanelProposal.feederBreakerAmps}A feeder
+                  {' '}({evResult.subpanelProposal.conductors.copper} Cu / {evResult.subpanelProposal.conductors.aluminum} Al at 75°C).
+                  {evResult.subpanelProposal.relocatedLoadIds.length > 0 && (
+                    ` Relocate ${evResult.subpanelProposal.relocatedLoadIds.length} circuit(s) to the subpanel to make room for the feeder breaker: `
+                    + evResult.subpanelProposal.relocatedLoadIds.map(id => project.loads.find(l => l.id === id)?.description).join(', ') + '.'
+                  )}
+                  {evResult.subpanelProposal.mainSlotShortfall > 0 && (
+                    ` ${evResult.subpanelProposal.mainSlotShortfall} more space(s) must be freed in the main panel for the feeder breaker.`
+                  )}
+                </div>
+                {evResult.subpanelProposal.type === 'new' && (
+                  <button className="btn btn-secondary btn-sm mt-2" onClick={addProposedSubpanel}>
+                    Add this subpanel to the project
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         </div>
       )}
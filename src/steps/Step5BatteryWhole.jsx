@@ -1,9 +1,25 @@
 import { useMemo } from 'react';
-import { calculateBatterySizing } from '../utils/calculations';
+import { DEFAULT_PRICE_BOOK } from '../data/loadLibrary';
+import { calculateBatterySizing, getBatteryProducts, getRecommendedBatteryIds, getSolarSizingOptions, estimateSolarProduction, calculateBatteryRuntime, calculateManagedBatterySizing, getEffectiveBackupDays, buildProposedEVLoads } from '../utils/calculations';
+import LoadProfileChart from '../components/LoadProfileChart';
+import OutageSoCChart from '../components/OutageSoCChart';
+import BatteryDeratingSettings from '../components/BatteryDeratingSettings';
+import BatterySurgeSettings from '../components/BatterySurgeSettings';
+import SolarProductionSettings from '../components/SolarProductionSettings';
+import BatteryCostRanking from '../components/BatteryCostRanking';
+import SoftStarterSuggestions from '../components/SoftStarterSuggestions';
+import BatteryRuntimeCheck from '../components/BatteryRuntimeCheck';
+import LoadSheddingPlan from '../components/LoadSheddingPlan';
+import BatteryProductCard from '../components/BatteryProductCard';
+import BatteryCatalog from '../components/BatteryCatalog';
+import PriceBookEditor from '../components/PriceBookEditor';
+
+const NO_SOLAR = { solarOffsetPercent: 0 };
 
 export default function Step5BatteryWhole({ project, updateProject, goNext, goPrev }) {
   const { battery, loads, ev, service } = project;
-  const { wholeHome } = battery;
+  // Saved projects are migrated on load (migrateProject), so every section exists
+  const { wholeHome, loadProfile, derating, surge, pvSystem, runtimeCheck, loadShedding } = battery;
 
   const updateWholeHome = (field, value) => {
     updateProject(prev => ({
@@ -15,12 +31,46 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
     }));
   };
 
+  const updateLoadProfile = (field, value) => {
+    updateProject(prev => ({
+      ...prev,
+      battery: {
+        ...prev.battery,
+        loadProfile: { ...prev.battery.loadProfile, [field]: value },
+      },
+    }));
+  };
+
+  const updatePriceBook = (next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, priceBook: next } }));
+  };
+
+  const updateDerating = (next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, derating: next } }));
+  };
+
+  const updatePVSystem = (next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, pvSystem: next } }));
+  };
+
+  const updateSurge = (next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, surge: next } }));
+  };
+
+  const updateLoadShedding = (next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, loadShedding: next } }));
+  };
+
+  const updateRuntimeCheck = (next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, runtimeCheck: next } }));
+  };
+
   // Rev 8: Derive actual backupDays from backupMode
   const backupMode = wholeHome.backupMode || '1';
-  const effectiveBackupDays = backupMode === 'custom' ? (wholeHome.customDays || 1) : Number(backupMode);
+  const effectiveBackupDays = getEffectiveBackupDays(wholeHome);
 
   const handleModeChange = (mode) => {
-    const days = mode === 'custom' ? (wholeHome.customDays || 1) : Number(mode);
+    const days = getEffectiveBackupDays({ backupMode: mode, customDays: wholeHome.customDays });
     updateProject(prev => ({
       ...prev,
       battery: {
@@ -48,113 +98,60 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
     }));
   };
 
-  // Solar offset only when Custom
-  const solarOffset = (backupMode === 'custom' && wholeHome.solarOffsetEnabled) ? (wholeHome.solarOffsetPercent || 0) : 0;
-
-  // Build proposed EV synthetic loads from Step 4 selection
-  const proposedEVLoads = useMemo(() => {
-    if (!ev.chargerOption || !wholeHome.includeEV) return null;
-    const charger = ev.chargerOption;
-    const contAmps = charger.isCustom ? (ev.customContinuousAmps || 0) : charger.continuousAmps;
-    const watts = contAmps * service.serviceVoltage;
-    const count = ev.chargerCount || 1;
-    const syntheticLoads = [];
-    for (let i = 0; i < count; i++) {
-      syntheticLoads.push({
-        id: `_proposedEV_${i}`,
-        description: `Proposed EV Charger ${count > 1 ? i + 1 : ''}`.trim(),
-        category: 'EV Charger',
-        breaker: { poles: 2, amps: Math.ceil(contAmps * 1.25 / 5) * 5, type: 'Standard' },
-        usage: { assumedWatts: watts, hoursPerDay: 4, includeInBatteryCalc: true },
-        motor: { isMotor: false, lra: null },
-      });
-    }
-    return syntheticLoads;
-  }, [ev, service.serviceVoltage, wholeHome.includeEV]);
+  // Solar offset only when Custom: manual percent or modeled PV production
+  const solarOptions = useMemo(() =>
+    (backupMode === 'custom' ? getSolarSizingOptions(wholeHome, pvSystem) : NO_SOLAR),
+    [backupMode, wholeHome, pvSystem]);
+  const pvProduction = useMemo(() => estimateSolarProduction(pvSystem), [pvSystem]);
+
+  // Proposed EV synthetic loads from Step 4 selection
+  const proposedEVLoads = useMemo(() => buildProposedEVLoads(project), [project]);
+
+  const products = useMemo(() => getBatteryProducts(battery), [battery]);
 
   const batteryResult = useMemo(() =>
     calculateBatterySizing(loads, effectiveBackupDays, {
-      solarOffsetPercent: solarOffset,
+      ...solarOptions,
       proposedEVLoads,
-    }), [loads, effectiveBackupDays, solarOffset, proposedEVLoads]);
-
-  const BatteryCard = ({ title, data, recommended, extra }) => {
-    const isFeasible = !data.notFeasible;
-    return (
-      <div className={`battery-card ${recommended && isFeasible ? 'recommended' : ''}`}
-        style={data.notFeasible ? { opacity: 0.6, borderColor: '#dc2626' } : undefined}
-      >
-        {recommended && isFeasible && <div className="badge-recommended">Recommended</div>}
-        {data.notFeasible && (
-          <div style={{
-            background: '#fee2e2', color: '#dc2626', fontSize: 11, fontWeight: 600,
-            padding: '2px 8px', borderRadius: 4, marginBottom: 8, textAlign: 'center',
-          }}>
-            NOT FEASIBLE
-          </div>
-        )}
-        <h4>{title}</h4>
-        <div className="battery-stat">
-          <span className="stat-label">Units</span>
-          <span className="stat-value">{data.displayUnits || data.count}</span>
-        </div>
-        <div className="battery-stat">
-          <span className="stat-label">Total Energy</span>
-          <span className="stat-value">{data.totalKWh} kWh</span>
-        </div>
-        <div className="battery-stat">
-          <span className="stat-label">Total Power</span>
-          <span className="stat-value">{typeof data.totalKW === 'number' ? data.totalKW.toFixed(1) : data.totalKW} kW</span>
-        </div>
-        {data.limitedBy && (
-          <div className="battery-stat">
-            <span className="stat-label">Limited By</span>
-            <span className="stat-value" style={{ textTransform: 'capitalize' }}>{data.limitedBy}</span>
-          </div>
-        )}
-        {data.forEnergy !== undefined && (
-          <div className="battery-stat">
-            <span className="stat-label">For Energy</span>
-            <span className="stat-value">{data.forEnergy} units</span>
-          </div>
-        )}
-        {data.forPower !== undefined && (
-          <div className="battery-stat">
-            <span className="stat-label">For Power</span>
-            <span className="stat-value">{data.forPower} units</span>
-          </div>
-        )}
-        {data.forMotorStart > 0 && (
-          <div className="battery-stat">
-            <span className="stat-label">For Motor Start</span>
-            <span className="stat-value">{data.forMotorStart} units</span>
-          </div>
-        )}
-        {data.motorStartWarning && (
-          <p className="text-xs text-muted mt-2" style={{ color: '#d97706' }}>
-            {data.motorStartWarning}
-          </p>
-        )}
-        {data.notFeasible && data.reason && (
-          <p className="text-xs mt-2" style={{ color: '#dc2626' }}>
-            {data.reason}
-          </p>
-        )}
-        {extra}
-      </div>
-    );
-  };
+      loadProfile,
+      derating,
+      surge,
+      service,
+      products,
+      priceBook: battery.priceBook || DEFAULT_PRICE_BOOK,
+    }), [loads, effectiveBackupDays, solarOptions, proposedEVLoads, loadProfile, derating, surge, service, products, battery.priceBook]);
+
+  const managedResult = useMemo(() =>
+    (loadShedding.enabled
+      ? calculateManagedBatterySizing(loads, effectiveBackupDays, loadShedding, {
+        ...solarOptions,
+        proposedEVLoads,
+        loadProfile,
+        derating,
+        surge,
+        service,
+        products,
+      })
+      : null), [loadShedding, loads, effectiveBackupDays, solarOptions, proposedEVLoads, loadProfile, derating, surge, service, products]);
 
-  // Determine recommended option (fewest total units, only feasible)
-  const options = [
-    { key: '5P', count: batteryResult.enphase5P.count, feasible: !batteryResult.enphase5P.notFeasible },
-    { key: '10C', count: batteryResult.enphase10C.count, feasible: !batteryResult.enphase10C.notFeasible },
-    { key: 'mixed', count: batteryResult.enphase_mixed.totalUnits, feasible: !batteryResult.enphase_mixed.notFeasible },
-    { key: 'pw3', count: batteryResult.teslaPW3Only.count, feasible: !batteryResult.teslaPW3Only.notFeasible },
-    { key: 'pw3exp', count: batteryResult.teslaPW3WithExpansions.totalUnits, feasible: !batteryResult.teslaPW3WithExpansions.notFeasible },
-  ];
-  const feasibleOptions = options.filter(o => o.feasible);
-  const minUnits = feasibleOptions.length > 0 ? Math.min(...feasibleOptions.map(o => o.count)) : -1;
+  // Runtime mode: any catalog product, including ones hidden from sizing
+  const allProducts = useMemo(() => getBatteryProducts(battery, true), [battery]);
+  const runtimeResult = useMemo(() =>
+    (runtimeCheck.enabled
+      ? calculateBatteryRuntime(loads, effectiveBackupDays, runtimeCheck, {
+        ...solarOptions,
+        proposedEVLoads,
+        loadProfile,
+        derating,
+        surge,
+        service,
+        products: allProducts,
+      })
+      : null), [runtimeCheck, loads, effectiveBackupDays, solarOptions, proposedEVLoads, loadProfile, derating, surge, service, allProducts]);
+
+  // Recommended = cost-optimal product (fewest units when unpriced)
+  const recommendedIds = getRecommendedBatteryIds(batteryResult);
+  const manufacturers = [...new Set(batteryResult.products.map(p => p.manufacturer))];
 
   return (
     <>
@@ -164,6 +161,26 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
           Calculate battery requirements to back up the entire home.
         </p>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label>Mode</label>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              <button
+                className={`btn ${!runtimeCheck.enabled ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => updateRuntimeCheck({ ...runtimeCheck, enabled: false })}
+              >
+                Size for Loads
+              </button>
+              <button
+                className={`btn ${runtimeCheck.enabled ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => updateRuntimeCheck({ ...runtimeCheck, enabled: true })}
+              >
+                Runtime for a Battery
+              </button>
+            </div>
+          </div>
+        </div>
+
         {/* Duration - 1 day, 2 days, Custom only */}
         <div className="form-row">
           <div className="form-group">
@@ -212,10 +229,32 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
         {/* Whole-home assumption note */}
         <div className="hint-panel" style={{ marginBottom: 12 }}>
           <strong>Assumption:</strong> Whole-home sizing includes all loads in the Step 3 load table.
-          Daily energy is calculated as (watts &times; hrs/day) for each load. Peak power = sum of all running watts.
-          This does NOT account for diversity factor — actual simultaneous demand may be lower.
+          {loadProfile.enabled ? (
+            <> Energy and peak power come from an hourly simulation of each load&apos;s hrs/day over a
+              default profile for its category, run for the backup window.</>
+          ) : (
+            <> Daily energy is calculated as (watts &times; hrs/day) for each load. Peak power = sum of all running watts.
+              This does NOT account for diversity factor — actual simultaneous demand may be lower.</>
+          )}
         </div>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={loadProfile.enabled}
+                onChange={e => updateLoadProfile('enabled', e.target.checked)}
+              />
+              Size from hourly load-profile simulation (coincident peak)
+            </label>
+          </div>
+        </div>
+
+        <BatteryDeratingSettings derating={derating} products={products} onChange={updateDerating} />
+
+        <BatterySurgeSettings surge={surge} result={batteryResult.summary.surge} onChange={updateSurge} />
+
         <div className="form-row">
           <div className="form-group" style={{ display: 'flex', alignItems: 'end', paddingBottom: 16 }}>
             <label className="checkbox-label">
@@ -245,6 +284,34 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
                 Apply solar offset to reduce battery energy needs
               </label>
               {wholeHome.solarOffsetEnabled && (
+                <div style={{ display: 'flex', gap: 16 }} className="mb-2">
+                  <label className="checkbox-label">
+                    <input
+                      type="radio"
+                      checked={(wholeHome.solarOffsetSource || 'manual') === 'manual'}
+                      onChange={() => updateWholeHome('solarOffsetSource', 'manual')}
+                    />
+                    Manual percent
+                  </label>
+                  <label className="checkbox-label">
+                    <input
+                      type="radio"
+                      checked={wholeHome.solarOffsetSource === 'pv'}
+                      onChange={() => updateWholeHome('solarOffsetSource', 'pv')}
+                    />
+                    Calculate from PV system
+                  </label>
+                </div>
+              )}
+              {wholeHome.solarOffsetEnabled && wholeHome.solarOffsetSource === 'pv' && (
+                <SolarProductionSettings
+                  pvSystem={pvSystem}
+                  production={pvProduction}
+                  applied={batteryResult.summary.solar}
+                  onChange={updatePVSystem}
+                />
+              )}
+              {wholeHome.solarOffsetEnabled && wholeHome.solarOffsetSource !== 'pv' && (
                 <>
                   <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                     <input
@@ -270,6 +337,22 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
         )}
       </div>
 
+      <div className="card">
+        <h3>Battery Product Catalog</h3>
+        <p className="text-sm text-muted mb-2">
+          Choose which products are sized here and in Step 6, or add a custom product.
+        </p>
+        <BatteryCatalog project={project} updateProject={updateProject} />
+      </div>
+
+      <div className="card">
+        <h3>Battery Price Book</h3>
+        <p className="text-sm text-muted mb-2">
+          Equipment, install labor and gateway/controller pricing used to find the lowest-cost configuration.
+        </p>
+        <PriceBookEditor battery={battery} onChange={updatePriceBook} />
+      </div>
+
       {loads.length > 0 && (
         <>
           {/* Summary stats */}
@@ -281,13 +364,17 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
                 <div className="label">kWh Needed</div>
                 <div className="sub">
                   {effectiveBackupDays} day{effectiveBackupDays !== 1 ? 's' : ''} backup
-                  {solarOffset > 0 ? ` (${solarOffset}% solar offset)` : ''}
+                  {batteryResult.summary.solarOffsetPercent > 0 ? ` (${batteryResult.summary.solarOffsetPercent}% solar offset)` : ''}
                 </div>
               </div>
               <div className="result-item">
                 <div className="value">{batteryResult.summary.peakPowerKW}</div>
                 <div className="label">Peak kW</div>
-                <div className="sub">Total running load</div>
+                <div className="sub">
+                  {batteryResult.summary.profile
+                    ? `Coincident (all running: ${batteryResult.summary.allRunningKW} kW)`
+                    : 'Total running load'}
+                </div>
               </div>
               <div className="result-item">
                 <div className="value">{batteryResult.summary.loadCount}</div>
@@ -304,58 +391,82 @@ export default function Step5BatteryWhole({ project, updateProject, goNext, goPr
             )}
           </div>
 
-          {/* Battery recommendations */}
-          <div className="card">
-            <h3>Enphase Battery Options</h3>
-            <div className="battery-grid">
-              <BatteryCard
-                title="IQ Battery 5P Only"
-                data={batteryResult.enphase5P}
-                recommended={!batteryResult.enphase5P.notFeasible && batteryResult.enphase5P.count === minUnits}
-              />
-              <BatteryCard
-                title="IQ Battery 10C Only"
-                data={batteryResult.enphase10C}
-                recommended={!batteryResult.enphase10C.notFeasible && batteryResult.enphase10C.count === minUnits}
-              />
-              <BatteryCard
-                title="Mixed (10C + 5P)"
-                data={{
-                  ...batteryResult.enphase_mixed,
-                  displayUnits: `${batteryResult.enphase_mixed.count10C}x 10C + ${batteryResult.enphase_mixed.count5P}x 5P`,
-                  count: batteryResult.enphase_mixed.totalUnits,
-                  limitedBy: 'optimized',
-                }}
-                recommended={!batteryResult.enphase_mixed.notFeasible && batteryResult.enphase_mixed.totalUnits === minUnits}
+          {batteryResult.summary.profile && (
+            <div className="card">
+              <LoadProfileChart
+                profile={batteryResult.summary.profile}
+                outageStartHour={loadProfile.outageStartHour}
+                onOutageStartChange={hour => updateLoadProfile('outageStartHour', hour)}
               />
             </div>
-          </div>
+          )}
 
-          <div className="card">
-            <h3>Tesla Battery Options</h3>
-            <div className="battery-grid">
-              <BatteryCard
-                title="Powerwall 3 Only"
-                data={batteryResult.teslaPW3Only}
-                recommended={!batteryResult.teslaPW3Only.notFeasible && batteryResult.teslaPW3Only.count === minUnits}
-              />
-              <BatteryCard
-                title="PW3 + Expansion Packs"
-                data={{
-                  ...batteryResult.teslaPW3WithExpansions,
-                  displayUnits: `${batteryResult.teslaPW3WithExpansions.leaders} PW3 + ${batteryResult.teslaPW3WithExpansions.expansions} Exp`,
-                  count: batteryResult.teslaPW3WithExpansions.totalUnits,
-                  limitedBy: 'energy + power',
-                }}
-                recommended={!batteryResult.teslaPW3WithExpansions.notFeasible && batteryResult.teslaPW3WithExpansions.totalUnits === minUnits}
-              />
+          {runtimeCheck.enabled && (
+            <div className="card">
+              <h3>Runtime for a Chosen Battery</h3>
+              <BatteryRuntimeCheck config={runtimeCheck} products={allProducts} result={runtimeResult} onChange={updateRuntimeCheck} />
             </div>
+          )}
 
-            <div className="hint-panel mt-4">
-              PW3 Expansion packs add energy only (no additional inverter power).
-              Max 3 expansions per PW3 leader. Max 4 PW3 leaders total.
-            </div>
-          </div>
+          {!runtimeCheck.enabled && (
+            <>
+              <div className="card">
+                <OutageSoCChart
+                  products={batteryResult.products}
+                  recommendedIds={recommendedIds}
+                  simulation={batteryResult.summary.outage}
+                />
+              </div>
+
+              {batteryResult.costOptimization && (
+                <div className="card">
+                  <BatteryCostRanking optimization={batteryResult.costOptimization} />
+                </div>
+              )}
+
+              {batteryResult.softStarterSuggestions.length > 0 && (
+                <div className="card">
+                  <SoftStarterSuggestions suggestions={batteryResult.softStarterSuggestions} />
+                </div>
+              )}
+
+              <div className="card">
+                <h3>Smart-Panel Load Shedding</h3>
+                <LoadSheddingPlan
+                  plan={loadShedding}
+                  result={managedResult}
+                  unmanagedProducts={batteryResult.products}
+                  onChange={updateLoadShedding}
+                />
+              </div>
+
+              {/* Battery recommendations, one card per manufacturer */}
+              {manufacturers.map(manufacturer => {
+                const results = batteryResult.products.filter(p => p.manufacturer === manufacturer);
+                const notes = results.map(p => p.note).filter(Boolean);
+                return (
+                  <div className="card" key={manufacturer}>
+                    <h3>{manufacturer} Battery Options</h3>
+                    <div className="battery-grid">
+                      {results.map(p => (
+                        <BatteryProductCard key={p.productId} data={p} recommended={recommendedIds.includes(p.productId)} />
+                      ))}
+                    </div>
+                    {notes.length > 0 && (
+                      <div className="hint-panel mt-4">
+                        {notes.map(note => <div key={note}>{note}</div>)}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+              {batteryResult.products.length === 0 && (
+                <div className="card text-center">
+                  <p className="text-muted">All battery products are disabled. Enable products in the catalog above.</p>
+                </div>
+              )}
+            </>
+          )}
         </>
       )}
 
@@ -1,16 +1,32 @@
 import { useMemo, useCallback } from 'react';
-import { calculateBatterySizing } from '../utils/calculations';
+import { DEFAULT_PRICE_BOOK, BACKUP_PRIORITIES } from '../data/loadLibrary';
+import { calculateBatterySizing, expandTandemLoads, getBatteryProducts, getRecommendedBatteryIds, getSolarSizingOptions, estimateSolarProduction, calculateBatteryRuntime, optimizeCriticalLoads, getBackupPriority, getEffectiveBackupDays } from '../utils/calculations';
+import LoadProfileChart from '../components/LoadProfileChart';
+import OutageSoCChart from '../components/OutageSoCChart';
+import BatteryDeratingSettings from '../components/BatteryDeratingSettings';
+import BatterySurgeSettings from '../components/BatterySurgeSettings';
+import SolarProductionSettings from '../components/SolarProductionSettings';
+import BatteryCostRanking from '../components/BatteryCostRanking';
+import SoftStarterSuggestions from '../components/SoftStarterSuggestions';
+import BatteryRuntimeCheck from '../components/BatteryRuntimeCheck';
+import CriticalLoadOptimizer from '../components/CriticalLoadOptimizer';
+import BatteryProductCard from '../components/BatteryProductCard';
 
 export default function Step6BatteryPartial({ project, updateProject, goNext, goPrev }) {
-  const { battery, loads } = project;
-  const { partialHome } = battery;
+  const { battery, loads, service } = project;
+  // Saved projects are migrated on load (migrateProject), so every section exists
+  const { partialHome, loadProfile, derating, surge, pvSystem, runtimeCheck } = battery;
+  const { optimizer } = partialHome;
+
+  // Tandem Circuit B rows are selectable on their own
+  const circuits = useMemo(() => expandTandemLoads(loads), [loads]);
 
   const togglePartialMode = useCallback((enabled) => {
     updateProject(prev => {
       const selections = { ...prev.battery.partialHome.selections };
       if (enabled) {
         // Initialize selections from existing loads
-        prev.loads.forEach(l => {
+        expandTandemLoads(prev.loads).forEach(l => {
           if (!selections[l.id]) {
             selections[l.id] = {
               include: l.usage.includeInBatteryCalc,
@@ -58,6 +74,54 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
     }));
   }, [updateProject]);
 
+  // Optimizer result replaces every circuit's include tick, keeping hours and priority
+  const applyOptimizedSelection = useCallback((includeIds) => {
+    const included = new Set(includeIds);
+    updateProject(prev => {
+      const selections = { ...prev.battery.partialHome.selections };
+      expandTandemLoads(prev.loads).forEach(l => {
+        selections[l.id] = {
+          hoursPerDay: l.usage.hoursPerDay,
+          ...selections[l.id],
+          include: included.has(l.id),
+        };
+      });
+      return {
+        ...prev,
+        battery: {
+          ...prev.battery,
+          partialHome: { ...prev.battery.partialHome, selections },
+        },
+      };
+    });
+  }, [updateProject]);
+
+  const updateOutageStart = useCallback((hour) => {
+    updateProject(prev => ({
+      ...prev,
+      battery: {
+        ...prev.battery,
+        loadProfile: { ...prev.battery.loadProfile, outageStartHour: hour },
+      },
+    }));
+  }, [updateProject]);
+
+  const updateDerating = useCallback((next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, derating: next } }));
+  }, [updateProject]);
+
+  const updatePVSystem = useCallback((next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, pvSystem: next } }));
+  }, [updateProject]);
+
+  const updateSurge = useCallback((next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, surge: next } }));
+  }, [updateProject]);
+
+  const updateRuntimeCheck = useCallback((next) => {
+    updateProject(prev => ({ ...prev, battery: { ...prev.battery, runtimeCheck: next } }));
+  }, [updateProject]);
+
   // Get selected load IDs
   const selectedIds = useMemo(() =>
     Object.entries(partialHome.selections || {})
@@ -68,10 +132,10 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
 
   // Rev 8: Duration - 1 day, 2 days, Custom only
   const backupMode = partialHome.backupMode || '1';
-  const effectiveBackupDays = backupMode === 'custom' ? (partialHome.customDays || 1) : Number(backupMode);
+  const effectiveBackupDays = getEffectiveBackupDays(partialHome);
 
   const handleModeChange = useCallback((mode) => {
-    const days = mode === 'custom' ? (partialHome.customDays || 1) : Number(mode);
+    const days = getEffectiveBackupDays({ backupMode: mode, customDays: partialHome.customDays });
     updateProject(prev => ({
       ...prev,
       battery: {
@@ -100,7 +164,10 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
   }, [updateProject]);
 
   // Rev 9: Solar offset optional on partial
-  const solarOffset = partialHome.solarOffsetEnabled ? (partialHome.solarOffsetPercent || 0) : 0;
+  const solarOptions = useMemo(() => getSolarSizingOptions(partialHome, pvSystem), [partialHome, pvSystem]);
+  const pvProduction = useMemo(() => estimateSolarProduction(pvSystem), [pvSystem]);
+
+  const products = useMemo(() => getBatteryProducts(battery), [battery]);
 
   // Rev 10: Reactive computation - recalculate whenever selections, days, or solar offset change
   const partialResult = useMemo(() => {
@@ -108,9 +175,44 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
     return calculateBatterySizing(loads, effectiveBackupDays, {
       includeLoadIds: selectedIds,
       partialSelections: partialHome.selections,
-      solarOffsetPercent: solarOffset,
+      ...solarOptions,
+      loadProfile,
+      derating,
+      surge,
+      service,
+      products,
+      priceBook: battery.priceBook || DEFAULT_PRICE_BOOK,
+    });
+  }, [loads, effectiveBackupDays, partialHome.enabled, selectedIds, partialHome.selections, solarOptions, loadProfile, derating, surge, service, products, battery.priceBook]);
+
+  // Runtime mode: any catalog product, including ones hidden from sizing
+  const allProducts = useMemo(() => getBatteryProducts(battery, true), [battery]);
+  const runtimeResult = useMemo(() => {
+    if (!runtimeCheck.enabled || !partialHome.enabled || selectedIds.length === 0) return null;
+    return calculateBatteryRuntime(loads, effectiveBackupDays, runtimeCheck, {
+      includeLoadIds: selectedIds,
+      partialSelections: partialHome.selections,
+      ...solarOptions,
+      loadProfile,
+      derating,
+      surge,
+      service,
+      products: allProducts,
     });
-  }, [loads, effectiveBackupDays, partialHome.enabled, selectedIds, partialHome.selections, solarOffset]);
+  }, [runtimeCheck, loads, effectiveBackupDays, partialHome.enabled, selectedIds, partialHome.selections, solarOptions, loadProfile, derating, surge, service, allProducts]);
+
+  const optimizerResult = useMemo(() => {
+    if (!partialHome.enabled) return null;
+    return optimizeCriticalLoads(loads, optimizer.targetDays || effectiveBackupDays, optimizer, {
+      partialSelections: partialHome.selections,
+      ...solarOptions,
+      loadProfile,
+      derating,
+      surge,
+      service,
+      products: allProducts,
+    });
+  }, [loads, optimizer, effectiveBackupDays, partialHome.enabled, partialHome.selections, solarOptions, loadProfile, derating, surge, service, allProducts]);
 
   return (
     <>
@@ -137,6 +239,23 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
           <>
             {/* Rev 8: Duration buttons */}
             <div className="form-row mb-4">
+              <div className="form-group">
+                <label>Mode</label>
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                  <button
+                    className={`btn ${!runtimeCheck.enabled ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => updateRuntimeCheck({ ...runtimeCheck, enabled: false })}
+                  >
+                    Size for Loads
+                  </button>
+                  <button
+                    className={`btn ${runtimeCheck.enabled ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => updateRuntimeCheck({ ...runtimeCheck, enabled: true })}
+                  >
+                    Runtime for a Battery
+                  </button>
+                </div>
+              </div>
               <div className="form-group">
                 <label>Backup Duration</label>
                 <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
@@ -188,6 +307,34 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
                   Apply solar offset to reduce battery energy needs
                 </label>
                 {partialHome.solarOffsetEnabled && (
+                  <div style={{ display: 'flex', gap: 16 }} className="mb-2">
+                    <label className="checkbox-label">
+                      <input
+                        type="radio"
+                        checked={(partialHome.solarOffsetSource || 'manual') === 'manual'}
+                        onChange={() => updatePartial('solarOffsetSource', 'manual')}
+                      />
+                      Manual percent
+                    </label>
+                    <label className="checkbox-label">
+                      <input
+                        type="radio"
+                        checked={partialHome.solarOffsetSource === 'pv'}
+                        onChange={() => updatePartial('solarOffsetSource', 'pv')}
+                      />
+                      Calculate from PV system
+                    </label>
+                  </div>
+                )}
+                {partialHome.solarOffsetEnabled && partialHome.solarOffsetSource === 'pv' && (
+                  <SolarProductionSettings
+                    pvSystem={pvSystem}
+                    production={pvProduction}
+                    applied={partialResult?.summary.solar}
+                    onChange={updatePVSystem}
+                  />
+                )}
+                {partialHome.solarOffsetEnabled && partialHome.solarOffsetSource !== 'pv' && (
                   <>
                     <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                       <input
@@ -211,6 +358,26 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
               </div>
             </div>
 
+            {/* Shared with Step 5 */}
+            <div className="mb-4">
+              <BatteryDeratingSettings derating={derating} products={products} onChange={updateDerating} />
+            </div>
+            <div className="mb-4">
+              <BatterySurgeSettings surge={surge} result={partialResult?.summary.surge} onChange={updateSurge} />
+            </div>
+
+            <h3>Automatic Critical-Load Selection</h3>
+            <div className="mb-4">
+              <CriticalLoadOptimizer
+                config={optimizer}
+                products={allProducts}
+                result={optimizerResult}
+                backupDays={effectiveBackupDays}
+                onChange={next => updatePartial('optimizer', next)}
+                onApply={applyOptimizedSelection}
+              />
+            </div>
+
             {/* Load selection table */}
             <h3>Select Loads for Partial Backup</h3>
             <div className="table-scroll">
@@ -220,6 +387,7 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
                     <th>Include</th>
                     <th>Load</th>
                     <th>Category</th>
+                    <th>Priority</th>
                     <th>Running Watts</th>
                     <th>Hrs/Day (Backup)</th>
                     <th>Daily kWh</th>
@@ -227,7 +395,7 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
                   </tr>
                 </thead>
                 <tbody>
-                  {loads.map(load => {
+                  {circuits.map(load => {
                     const sel = partialHome.selections[load.id] || { include: false, hoursPerDay: load.usage.hoursPerDay };
                     const dailyKWh = sel.include ? (load.usage.assumedWatts * sel.hoursPerDay / 1000).toFixed(1) : '--';
                     return (
@@ -239,8 +407,19 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
                             onChange={e => updateSelection(load.id, 'include', e.target.checked)}
                           />
                         </td>
-                        <td>{load.description || load.category}</td>
+                        <td style={load.isTandemB ? { paddingLeft: 24, fontStyle: 'italic' } : undefined}>
+                          {load.description || load.category}
+                          {load.isTandemB && <span className="text-xs text-muted"> (tandem B)</span>}
+                        </td>
                         <td className="text-sm text-muted">{load.category}</td>
+                        <td>
+                          <select
+                            value={getBackupPriority(load, sel)}
+                            onChange={e => updateSelection(load.id, 'priority', e.target.value)}
+                          >
+                            {BACKUP_PRIORITIES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                          </select>
+                        </td>
                         <td>{load.usage.assumedWatts.toLocaleString()}W</td>
                         <td>
                           <input
@@ -264,7 +443,7 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
             </div>
 
             <div className="mt-2 text-sm text-muted">
-              {selectedIds.length} of {loads.length} loads selected for partial backup
+              {selectedIds.length} of {circuits.length} loads selected for partial backup
             </div>
 
             {/* Partial results - Rev 10: reactive updates */}
@@ -276,12 +455,15 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
                     <div className="label">kWh Needed</div>
                     <div className="sub">
                       {effectiveBackupDays} day{effectiveBackupDays !== 1 ? 's' : ''} backup
-                      {solarOffset > 0 ? ` (${solarOffset}% solar offset)` : ''}
+                      {partialResult.summary.solarOffsetPercent > 0 ? ` (${partialResult.summary.solarOffsetPercent}% solar offset)` : ''}
                     </div>
                   </div>
                   <div className="result-item">
                     <div className="value">{partialResult.summary.peakPowerKW}</div>
                     <div className="label">Peak kW</div>
+                    {partialResult.summary.profile && (
+                      <div className="sub">Coincident (all running: {partialResult.summary.allRunningKW} kW)</div>
+                    )}
                   </div>
                   <div className="result-item">
                     <div className="value">{selectedIds.length}</div>
@@ -289,37 +471,57 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
                   </div>
                 </div>
 
-                <h3>Partial-Home Battery Options</h3>
-                <div className="battery-grid">
-                  <BatteryCard
-                    title="Enphase IQ 5P"
-                    data={partialResult.enphase5P}
-                  />
-                  <BatteryCard
-                    title="Enphase IQ 10C"
-                    data={partialResult.enphase10C}
-                  />
-                  <BatteryCard
-                    title="Mixed (10C + 5P)"
-                    data={{
-                      ...partialResult.enphase_mixed,
-                      displayUnits: `${partialResult.enphase_mixed.count10C}x 10C + ${partialResult.enphase_mixed.count5P}x 5P`,
-                      count: partialResult.enphase_mixed.totalUnits,
-                    }}
-                  />
-                  <BatteryCard
-                    title="Tesla Powerwall 3"
-                    data={partialResult.teslaPW3Only}
-                  />
-                  <BatteryCard
-                    title="PW3 + Expansions"
-                    data={{
-                      ...partialResult.teslaPW3WithExpansions,
-                      displayUnits: `${partialResult.teslaPW3WithExpansions.leaders} PW3 + ${partialResult.teslaPW3WithExpansions.expansions} Exp`,
-                      count: partialResult.teslaPW3WithExpansions.totalUnits,
-                    }}
-                  />
-                </div>
+                {partialResult.summary.profile && (
+                  <div className="mb-4">
+                    <LoadProfileChart
+                      profile={partialResult.summary.profile}
+                      outageStartHour={loadProfile.outageStartHour}
+                      onOutageStartChange={updateOutageStart}
+                    />
+                  </div>
+                )}
+
+                {runtimeCheck.enabled && (
+                  <div className="mb-4">
+                    <h3>Runtime for a Chosen Battery</h3>
+                    <BatteryRuntimeCheck config={runtimeCheck} products={allProducts} result={runtimeResult} onChange={updateRuntimeCheck} />
+                  </div>
+                )}
+
+                {!runtimeCheck.enabled && (
+                  <>
+                    <div className="mb-4">
+                      <OutageSoCChart
+                        products={partialResult.products}
+                        recommendedIds={getRecommendedBatteryIds(partialResult)}
+                        simulation={partialResult.summary.outage}
+                      />
+                    </div>
+
+                    {partialResult.costOptimization && (
+                      <div className="mb-4">
+                        <BatteryCostRanking optimization={partialResult.costOptimization} />
+                      </div>
+                    )}
+
+                    {partialResult.softStarterSuggestions.length > 0 && (
+                      <div className="mb-4">
+                        <SoftStarterSuggestions suggestions={partialResult.softStarterSuggestions} />
+                      </div>
+                    )}
+
+                    <h3>Partial-Home Battery Options</h3>
+                    <div className="battery-grid">
+                      {partialResult.products.map(p => (
+                        <BatteryProductCard
+                          key={p.productId}
+                          data={p}
+                          recommended={getRecommendedBatteryIds(partialResult).includes(p.productId)}
+                        />
+                      ))}
+                    </div>
+                  </>
+                )}
               </>
             )}
           </>
@@ -337,49 +539,3 @@ export default function Step6BatteryPartial({ project, updateProject, goNext, go
     </>
   );
 }
-
-function BatteryCard({ title, data }) {
-  return (
-    <div className="battery-card"
-      style={data.notFeasible ? { opacity: 0.6, borderColor: '#dc2626' } : undefined}
-    >
-      {data.notFeasible && (
-        <div style={{
-          background: '#fee2e2', color: '#dc2626', fontSize: 11, fontWeight: 600,
-          padding: '2px 8px', borderRadius: 4, marginBottom: 8, textAlign: 'center',
-        }}>
-          NOT FEASIBLE
-        </div>
-      )}
-      <h4>{title}</h4>
-      <div className="battery-stat">
-        <span className="stat-label">Units</span>
-        <span className="stat-value">{data.displayUnits || data.count}</span>
-      </div>
-      <div className="battery-stat">
-        <span className="stat-label">Total Energy</span>
-        <span className="stat-value">{data.totalKWh} kWh</span>
-      </div>
-      <div className="battery-stat">
-        <span className="stat-label">Total Power</span>
-        <span className="stat-value">{typeof data.totalKW === 'number' ? data.totalKW.toFixed(1) : data.totalKW} kW</span>
-      </div>
-      {data.limitedBy && (
-        <div className="battery-stat">
-          <span className="stat-label">Limited By</span>
-          <span className="stat-value" style={{ textTransform: 'capitalize' }}>{data.limitedBy}</span>
-        </div>
-      )}
-      {data.motorStartWarning && (
-        <p className="text-xs mt-2" style={{ color: '#d97706' }}>
-          {data.motorStartWarning}
-        </p>
-      )}
-      {data.notFeasible && data.reason && (
-        <p className="text-xs mt-2" style={{ color: '#dc2626' }}>
-          {data.reason}
-        </p>
-      )}
-    </div>
-  );
-}
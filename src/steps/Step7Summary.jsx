@@ -1,48 +1,55 @@
 import { useMemo, useState } from 'react';
-import { calculateNECOptionalMethod, calculatePracticalLoad, calculateBatterySizing, calculateEVFeasibility, calculateModeledSlots } from '../utils/calculations';
+import { calculateServiceLoad, compareServiceMethods, calculatePracticalLoad, calculateBatterySizing, calculateEVFeasibility, getMainPanelSlots, expandTandemLoads, calculateInterconnection, calculateServiceUpgrade, getServiceType, buildProjectPanelMap, calculateSubpanelChecks, getBatterySystemOptions, getSolarSizingOptions, describeOutageSurvival, calculateBatteryRuntime, describeRuntimeCheck, getBatteryProducts, calculateManagedBatterySizing, calculateElectrificationPlan, compareScenarios, getEffectiveBackupDays, buildProposedEVLoads } from '../utils/calculations';
 import { generatePDF, copySummaryText, copyPromptText } from '../utils/exportUtils';
-
-export default function Step7Summary({ project, goPrev, showToast }) {
+import ServiceMethodComparison from '../components/ServiceMethodComparison';
+import InterconnectionCheck from '../components/InterconnectionCheck';
+import ServiceUpgradeRecommendation from '../components/ServiceUpgradeRecommendation';
+import ElectrificationPlanner from '../components/ElectrificationPlanner';
+import ScenarioManager from '../components/ScenarioManager';
+import ScenarioComparison from '../components/ScenarioComparison';
+
+export default function Step7Summary({ project, updateProject, goPrev, showToast }) {
   const { service, panel, loads, ev, battery } = project;
   const [showHelpPanel, setShowHelpPanel] = useState(false);
 
   const necResult = useMemo(() =>
-    calculateNECOptionalMethod(loads, service), [loads, service]);
+    calculateServiceLoad(loads, service), [loads, service]);
+  const methodComparison = useMemo(() =>
+    compareServiceMethods(loads, service), [loads, service]);
+
+  const setNecMethod = (method) => {
+    updateProject(prev => ({
+      ...prev,
+      service: { ...prev.service, necMethod: method },
+    }));
+  };
   const practical = useMemo(() =>
     calculatePracticalLoad(loads), [loads]);
   const evResult = useMemo(() =>
     calculateEVFeasibility(project), [project]);
+  const serviceUpgrade = useMemo(() =>
+    calculateServiceUpgrade(necResult, service), [necResult, service]);
+  const interconnectionResult = useMemo(() =>
+    calculateInterconnection(project), [project]);
 
   // Rev 8: use effective backup days
   const wholeBackupMode = battery.wholeHome.backupMode || '1';
-  const wholeBackupDays = wholeBackupMode === 'custom' ? (battery.wholeHome.customDays || 1) : Number(wholeBackupMode);
-  const wholeSolarOffset = (wholeBackupMode === 'custom' && battery.wholeHome.solarOffsetEnabled) ? (battery.wholeHome.solarOffsetPercent || 0) : 0;
-
-  // Build proposed EV synthetic loads from Step 4 (mirrors Step 5 logic)
-  const wholeProposedEVLoads = useMemo(() => {
-    if (!ev.chargerOption || !battery.wholeHome.includeEV) return null;
-    const charger = ev.chargerOption;
-    const contAmps = charger.isCustom ? (ev.customContinuousAmps || 0) : charger.continuousAmps;
-    const watts = contAmps * service.serviceVoltage;
-    const count = ev.chargerCount || 1;
-    const synth = [];
-    for (let i = 0; i < count; i++) {
-      synth.push({
-        id: `_proposedEV_${i}`,
-        category: 'EV Charger',
-        breaker: { poles: 2 },
-        usage: { assumedWatts: watts, hoursPerDay: 4, includeInBatteryCalc: true },
-        motor: { isMotor: false, lra: null },
-      });
-    }
-    return synth;
-  }, [ev, service.serviceVoltage, battery.wholeHome.includeEV]);
+  const wholeBackupDays = getEffectiveBackupDays(battery.wholeHome);
+  const wholeSolarOptions = useMemo(() =>
+    (wholeBackupMode === 'custom' ? getSolarSizingOptions(battery.wholeHome, battery.pvSystem) : { solarOffsetPercent: 0 }),
+    [wholeBackupMode, battery.wholeHome, battery.pvSystem]);
+
+  // Proposed EV synthetic loads from Step 4 (same helper as the PDF export)
+  const wholeProposedEVLoads = useMemo(() => buildProposedEVLoads(project), [project]);
+
+  const batterySystemOptions = useMemo(() => getBatterySystemOptions(battery, service), [battery, service]);
 
   const batteryResult = useMemo(() =>
     calculateBatterySizing(loads, wholeBackupDays, {
-      solarOffsetPercent: wholeSolarOffset,
+      ...wholeSolarOptions,
       proposedEVLoads: wholeProposedEVLoads,
-    }), [loads, wholeBackupDays, wholeSolarOffset, wholeProposedEVLoads]);
+      ...batterySystemOptions,
+    }), [loads, wholeBackupDays, wholeSolarOptions, wholeProposedEVLoads, batterySystemOptions]);
 
   const partialIds = useMemo(() =>
     Object.entries(battery.partialHome.selections || {})
@@ -51,23 +58,76 @@ export default function Step7Summary({ project, goPrev, showToast }) {
     [battery.partialHome.selections]
   );
 
-  const partialBackupMode = battery.partialHome.backupMode || '1';
-  const partialBackupDays = partialBackupMode === 'custom' ? (battery.partialHome.customDays || 1) : Number(partialBackupMode);
-  const partialSolarOffset = battery.partialHome.solarOffsetEnabled ? (battery.partialHome.solarOffsetPercent || 0) : 0;
+  const partialBackupDays = getEffectiveBackupDays(battery.partialHome);
+  const partialSolarOptions = useMemo(() =>
+    getSolarSizingOptions(battery.partialHome, battery.pvSystem), [battery.partialHome, battery.pvSystem]);
 
   const partialResult = useMemo(() => {
     if (!battery.partialHome.enabled || partialIds.length === 0) return null;
     return calculateBatterySizing(loads, partialBackupDays, {
       includeLoadIds: partialIds,
       partialSelections: battery.partialHome.selections,
-      solarOffsetPercent: partialSolarOffset,
+      ...partialSolarOptions,
+      ...batterySystemOptions,
+    });
+  }, [loads, battery.partialHome, batterySystemOptions, partialIds, partialBackupDays, partialSolarOptions]);
+
+  // Runtime for the battery chosen in Step 5/6 runtime mode, on both load sets
+  const runtimeCheck = battery.runtimeCheck?.enabled ? battery.runtimeCheck : null;
+  const wholeRuntime = useMemo(() => {
+    if (!runtimeCheck) return null;
+    return calculateBatteryRuntime(loads, wholeBackupDays, runtimeCheck, {
+      ...wholeSolarOptions,
+      proposedEVLoads: wholeProposedEVLoads,
+      ...batterySystemOptions,
+      products: getBatteryProducts(battery, true),
+    });
+  }, [runtimeCheck, loads, wholeBackupDays, wholeSolarOptions, wholeProposedEVLoads, batterySystemOptions, battery]);
+  const managedResult = useMemo(() => {
+    if (!battery.loadShedding?.enabled) return null;
+    return calculateManagedBatterySizing(loads, wholeBackupDays, battery.loadShedding, {
+      ...wholeSolarOptions,
+      proposedEVLoads: wholeProposedEVLoads,
+      ...batterySystemOptions,
+    });
+  }, [battery.loadShedding, loads, wholeBackupDays, wholeSolarOptions, wholeProposedEVLoads, batterySystemOptions]);
+  const partialRuntime = useMemo(() => {
+    if (!runtimeCheck || !partialResult) return null;
+    return calculateBatteryRuntime(loads, partialBackupDays, runtimeCheck, {
+      includeLoadIds: partialIds,
+      partialSelections: battery.partialHome.selections,
+      ...partialSolarOptions,
+      ...batterySystemOptions,
+      products: getBatteryProducts(battery, true),
     });
-  }, [loads, battery.partialHome, partialIds, partialBackupDays, partialSolarOffset]);
+  }, [runtimeCheck, partialResult, loads, partialBackupDays, partialIds, partialSolarOptions, batterySystemOptions, battery]);
+
+  // Electrification what-if on the whole-home battery settings
+  const { conversions } = project.electrification;
+  const electrificationResult = useMemo(() =>
+    calculateElectrificationPlan(project, wholeBackupDays, {
+      ...wholeSolarOptions,
+      proposedEVLoads: wholeProposedEVLoads,
+      ...batterySystemOptions,
+    }), [project, wholeBackupDays, wholeSolarOptions, wholeProposedEVLoads, batterySystemOptions]);
+
+  const scenarioComparison = useMemo(() => compareScenarios(project), [project]);
+
+  const toggleConversion = (id, on) => {
+    updateProject(prev => ({
+      ...prev,
+      electrification: {
+        ...prev.electrification,
+        conversions: { ...prev.electrification.conversions, [id]: on },
+      },
+    }));
+  };
 
-  // Slot validation: compare modeled slots to Page 1 Total Available Panel Slots
-  const modeledSlots = useMemo(() => calculateModeledSlots(loads), [loads]);
-  const totalAvailableSlots = Math.max(0, panel.totalSlots - (panel.usedSlots + (panel.tandemSlotsUsed || 0)));
-  const slotDelta = modeledSlots - totalAvailableSlots;
+  // Slot validation: compare the panel map's used spaces to the Page 1 entry
+  const panelMap = useMemo(() => buildProjectPanelMap(project), [project]);
+  const mainSlots = useMemo(() => getMainPanelSlots(project), [project]);
+  const subpanelChecks = useMemo(() => calculateSubpanelChecks(project), [project]);
+  const slotDelta = mainSlots.usedSlots - mainSlots.enteredUsedSlots;
 
   // A2: Panel configuration warnings
   const panelWarnings = useMemo(() => {
@@ -196,8 +256,8 @@ export default function Step7Summary({ project, goPrev, showToast }) {
         <h3>Service & Panel Configuration</h3>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px 24px', fontSize: 14 }}>
           <div>
-            <span className="text-muted text-sm">Service Voltage</span>
-            <div style={{ fontWeight: 600 }}>{service.serviceVoltage}V</div>
+            <span className="text-muted text-sm">Service Type</span>
+            <div style={{ fontWeight: 600 }}>{getServiceType(service).label}</div>
           </div>
           <div>
             <span className="text-muted text-sm">Main Breaker</span>
@@ -213,7 +273,17 @@ export default function Step7Summary({ project, goPrev, showToast }) {
           </div>
           <div>
             <span className="text-muted text-sm">Used Slots</span>
-            <div style={{ fontWeight: 600 }}>{panel.usedSlots}</div>
+            <div style={{ fontWeight: 600 }}>{mainSlots.usedSlots}</div>
+          </div>
+          <div>
+            <span className="text-muted text-sm">Open Slots</span>
+            <div style={{ fontWeight: 600 }}>{mainSlots.openSlots}</div>
+          </div>
+          <div>
+            <span className="text-muted text-sm">Leg Imbalance</span>
+            <div style={{ fontWeight: 600 }}>
+              {panelMap.imbalancePercent}% {panelMap.imbalanced && <span className="badge badge-warning">Over {panelMap.thresholdPercent}%</span>}
+            </div>
           </div>
           <div>
             <span className="text-muted text-sm">Tandems</span>
@@ -221,15 +291,15 @@ export default function Step7Summary({ project, goPrev, showToast }) {
           </div>
         </div>
 
-        {/* Slot Check: compare modeled slots to Page 1 Total Available Panel Slots */}
+        {/* Slot Check: compare the panel map's used spaces to the Page 1 entry */}
         <div className={`hint-panel mt-4 ${slotDelta !== 0 ? 'warning' : ''}`} style={{ marginBottom: panelWarnings.length > 0 ? 8 : 0 }}>
           {slotDelta === 0 ? (
-            <strong>Slot Check: Matches Page 1 Total Available Panel Slots.</strong>
+            <strong>Slot Check: Panel map matches the Used Spaces entered on Page 1.</strong>
           ) : (
             <>
-              <strong>Slot Check: Does NOT match Page 1 Total Available Panel Slots</strong>
-              {' '}(Modeled: {modeledSlots} | Expected: {totalAvailableSlots} | &Delta; = {Math.abs(slotDelta)}).
-              {' '}Please double check panel info and load entries.
+              <strong>Slot Check: Panel map does NOT match the Used Spaces entered on Page 1</strong>
+              {' '}(Panel map: {mainSlots.usedSlots} | Page 1: {mainSlots.enteredUsedSlots} | &Delta; = {Math.abs(slotDelta)}).
+              {' '}Open slots come from the panel map; check for missing circuits or update Page 1.
             </>
           )}
         </div>
@@ -294,6 +364,7 @@ export default function Step7Summary({ project, goPrev, showToast }) {
           <div className="result-item">
             <div className="value">{necResult.totalDemandKVA.toFixed(1)}</div>
             <div className="label">kVA Demand (NEC)</div>
+            <div className="sub">{necResult.methodLabel}</div>
           </div>
           <div className="result-item">
             <div className="value">{necResult.serviceAmps}A</div>
@@ -306,11 +377,20 @@ export default function Step7Summary({ project, goPrev, showToast }) {
             <div className="sub">{statusBadge(necResult.status)}</div>
           </div>
         </div>
+        <ServiceMethodComparison comparison={methodComparison} onSelect={setNecMethod} />
+        {serviceUpgrade && <ServiceUpgradeRecommendation upgrade={serviceUpgrade} />}
         <div className="hint-panel">
           Estimate for planning; verify per code and site conditions.
         </div>
       </div>
 
+      {interconnectionResult && (
+        <div className="card">
+          <h3>PV / Battery Interconnection</h3>
+          <InterconnectionCheck result={interconnectionResult} />
+        </div>
+      )}
+
       {/* EV Recommendation */}
       {evResult && (
         <div className="card">
@@ -335,19 +415,104 @@ export default function Step7Summary({ project, goPrev, showToast }) {
               <span className="text-muted text-sm">Recommendation</span>
               <div style={{ fontWeight: 600 }}>
                 {evResult.recommendation === 'Add as-is' && <span className="badge badge-ok">Add As-Is</span>}
+                {evResult.recommendation === 'Feasible with load management' && <span className="badge badge-ok">Load Managed ({evResult.loadManagement.allowedAmpsEach}A)</span>}
                 {evResult.recommendation === 'Feasible but borderline capacity' && <span className="badge badge-warning">Borderline</span>}
                 {evResult.recommendation === 'Requires tandems to free space' && <span className="badge badge-warning">Tandems Needed</span>}
                 {evResult.recommendation === 'Subpanel recommended' && <span className="badge badge-warning">Subpanel</span>}
-                {evResult.recommendation === 'Service upgrade recommended' && <span className="badge badge-danger">Service Upgrade</span>}
+                {evResult.recommendation === 'Service upgrade recommended' && <span className="badge badge-danger">Service Upgrade{evResult.serviceUpgrade?.minimum.amps ? ` (${evResult.serviceUpgrade.minimum.amps}A min)` : ''}</span>}
               </div>
             </div>
           </div>
+          {evResult.subpanelProposal && (
+            <p className="text-sm text-muted">
+              {evResult.subpanelProposal.type === 'existing'
+                ? `Install in existing ${evResult.subpanelProposal.name} (${evResult.subpanelProposal.feederBreakerAmps}A feeder, ${evResult.subpanelProposal.feeder.serviceAmps}A with EV).`
+                : `Proposed ${evResult.subpanelProposal.totalSlots}-space ${evResult.subpanelProposal.busRatingAmps}A subpanel on a ${evResult.subpanelProposal.feederBreakerAmps}A feeder (${evResult.subpanelProposal.conductors.copper} Cu), feeder demand ${evResult.subpanelProposal.feeder.serviceAmps}A.`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {subpanelChecks.length > 0 && (
+        <div className="card">
+          <h3>Subpanels &amp; Feeders</h3>
+          <div className="table-scroll">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Subpanel</th>
+                  <th>Fed From</th>
+                  <th>Feeder</th>
+                  <th>Feeder Demand</th>
+                  <th>Bus</th>
+                  <th>Open Spaces</th>
+                </tr>
+              </thead>
+              <tbody>
+                {subpanelChecks.map(c => (
+                  <tr key={c.subpanel.id}>
+                    <td>{c.subpanel.name}</td>
+                    <td>{c.parentName}</td>
+                    <td>{c.subpanel.feederBreakerAmps}A ({c.conductors.copper} Cu)</td>
+                    <td>{c.feeder.serviceAmps}A ({c.feeder.ratio}%) {statusBadge(c.feeder.status)}</td>
+                    <td>{c.subpanel.busRatingAmps}A {!c.busOK && <span className="badge badge-danger">Below feeder</span>}</td>
+                    <td>{c.openSlots} of {c.subpanel.totalSlots}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
       )}
 
       {/* Battery Summary - Whole Home */}
       <div className="card">
-        <h3>Battery Sizing - Whole Home ({wholeBackupDays} Day{wholeBackupDays !== 1 ? 's' : ''} Backup{wholeSolarOffset > 0 ? `, ${wholeSolarOffset}% solar offset` : ''})</h3>
+        <h3>Battery Sizing - Whole Home ({wholeBackupDays} Day{wholeBackupDays !== 1 ? 's' : ''} Backup{batteryResult.summary.solarOffsetPercent > 0 ? `, ${batteryResult.summary.solarOffsetPercent}% solar offset` : ''})</h3>
+        {batteryResult.summary.profile && (
+          <p className="text-sm text-muted mb-2">
+            Load profile: {batteryResult.summary.totalEnergyNeededKWh} kWh needed, coincident peak {batteryResult.summary.peakPowerKW} kW
+            at {String(batteryResult.summary.profile.peakHour).padStart(2, '0')}:00
+            (all loads running: {batteryResult.summary.allRunningKW} kW)
+          </p>
+        )}
+        {batteryResult.summary.solar && (
+          <p className="text-sm text-muted mb-2">
+            Solar: {batteryResult.summary.solar.dailyKWh} kWh/day PV ({batteryResult.summary.solar.monthLabel}) offsets{' '}
+            {batteryResult.summary.solar.offsetKWh} kWh; the battery carries {batteryResult.summary.solar.overnightKWh} kWh overnight
+          </p>
+        )}
+        {batteryResult.summary.surge && (
+          <p className="text-sm text-muted mb-2">
+            Motor-start surge: {batteryResult.summary.surge.surgeKW} kW ({batteryResult.summary.surge.runningKW} kW running
+            + {batteryResult.summary.surge.inrushKW} kW inrush) checked against each battery&apos;s 10-second peak
+          </p>
+        )}
+        {batteryResult.costOptimization?.recommended && (
+          <p className="text-sm mb-2">
+            <strong>Cost-optimal:</strong> {batteryResult.costOptimization.recommended.manufacturer}{' '}
+            {batteryResult.costOptimization.recommended.name} ({batteryResult.costOptimization.recommended.displayUnits}),{' '}
+            ${Math.round(batteryResult.costOptimization.recommended.cost.total).toLocaleString()}
+            {batteryResult.costOptimization.ranked[1] && (
+              <span className="text-muted">
+                {' '}&mdash; next: {batteryResult.costOptimization.ranked[1].manufacturer} {batteryResult.costOptimization.ranked[1].name}{' '}
+                +${Math.round(batteryResult.costOptimization.ranked[1].deltaCost).toLocaleString()}
+              </span>
+            )}
+          </p>
+        )}
+        {wholeRuntime && (
+          <p className="text-sm mb-2">
+            <strong>Runtime check:</strong> {describeRuntimeCheck(wholeRuntime)}
+          </p>
+        )}
+        {managedResult && (
+          <p className="text-sm mb-2">
+            <strong>Managed (load shedding):</strong> {managedResult.summary.totalEnergyNeededKWh} kWh,{' '}
+            {managedResult.summary.peakPowerKW} kW peak ({managedResult.summary.counts.shed} shed at {battery.loadShedding.shedBelowPercent}% SoC,{' '}
+            {managedResult.summary.counts.off} off) &mdash;{' '}
+            {managedResult.products.filter(p => !p.notFeasible).map(p => `${p.name} ${p.displayUnits}`).join('; ')}
+          </p>
+        )}
         <div className="table-scroll">
           <table className="data-table">
             <thead>
@@ -357,50 +522,22 @@ export default function Step7Summary({ project, goPrev, showToast }) {
                 <th>Total kWh</th>
                 <th>Total kW</th>
                 <th>Limited By</th>
+                <th>Outage</th>
                 <th>Status</th>
               </tr>
             </thead>
             <tbody>
-              <tr>
-                <td>Enphase IQ 5P</td>
-                <td style={{ fontWeight: 600 }}>{batteryResult.enphase5P.count}</td>
-                <td>{batteryResult.enphase5P.totalKWh}</td>
-                <td>{batteryResult.enphase5P.totalKW.toFixed(1)}</td>
-                <td>{batteryResult.enphase5P.limitedBy}</td>
-                <td>{batteryResult.enphase5P.notFeasible ? <span className="badge badge-danger">Not Feasible</span> : <span className="badge badge-ok">OK</span>}</td>
-              </tr>
-              <tr>
-                <td>Enphase IQ 10C</td>
-                <td style={{ fontWeight: 600 }}>{batteryResult.enphase10C.count}</td>
-                <td>{batteryResult.enphase10C.totalKWh}</td>
-                <td>{batteryResult.enphase10C.totalKW.toFixed(1)}</td>
-                <td>{batteryResult.enphase10C.limitedBy}</td>
-                <td>{batteryResult.enphase10C.notFeasible ? <span className="badge badge-danger">Not Feasible</span> : <span className="badge badge-ok">OK</span>}</td>
-              </tr>
-              <tr>
-                <td>Enphase Mixed</td>
-                <td style={{ fontWeight: 600 }}>{batteryResult.enphase_mixed.count10C}x 10C + {batteryResult.enphase_mixed.count5P}x 5P</td>
-                <td>{batteryResult.enphase_mixed.totalKWh}</td>
-                <td>{batteryResult.enphase_mixed.totalKW.toFixed(1)}</td>
-                <td>optimized</td>
-                <td>{batteryResult.enphase_mixed.notFeasible ? <span className="badge badge-danger">Not Feasible</span> : <span className="badge badge-ok">OK</span>}</td>
-              </tr>
-              <tr>
-                <td>Tesla PW3</td>
-                <td style={{ fontWeight: 600 }}>{batteryResult.teslaPW3Only.count}</td>
-                <td>{batteryResult.teslaPW3Only.totalKWh}</td>
-                <td>{batteryResult.teslaPW3Only.totalKW.toFixed(1)}</td>
-                <td>{batteryResult.teslaPW3Only.limitedBy}</td>
-                <td>{batteryResult.teslaPW3Only.notFeasible ? <span className="badge badge-danger">Not Feasible</span> : <span className="badge badge-ok">OK</span>}</td>
-              </tr>
-              <tr>
-                <td>Tesla PW3 + Exp</td>
-                <td style={{ fontWeight: 600 }}>{batteryResult.teslaPW3WithExpansions.leaders} PW3 + {batteryResult.teslaPW3WithExpansions.expansions} Exp</td>
-                <td>{batteryResult.teslaPW3WithExpansions.totalKWh}</td>
-                <td>{batteryResult.teslaPW3WithExpansions.totalKW.toFixed(1)}</td>
-                <td>energy + power</td>
-                <td>{batteryResult.teslaPW3WithExpansions.notFeasible ? <span className="badge badge-danger">Not Feasible</span> : <span className="badge badge-ok">OK</span>}</td>
-              </tr>
+              {batteryResult.products.map(p => (
+                <tr key={p.productId}>
+                  <td>{p.manufacturer} {p.name}</td>
+                  <td style={{ fontWeight: 600 }}>{p.displayUnits}</td>
+                  <td>{p.totalKWh}</td>
+                  <td>{p.totalKW.toFixed(1)}</td>
+                  <td>{p.limitedBy}</td>
+                  <td>{p.count > 0 ? describeOutageSurvival(p.outage) : '--'}</td>
+                  <td>{p.notFeasible ? <span className="badge badge-danger">Not Feasible</span> : <span className="badge badge-ok">OK</span>}</td>
+                </tr>
+              ))}
             </tbody>
           </table>
         </div>
@@ -409,7 +546,7 @@ export default function Step7Summary({ project, goPrev, showToast }) {
       {/* Rev 11: Partial Home details in summary */}
       {partialResult && (
         <div className="card">
-          <h3>Battery Sizing - Partial Home ({partialBackupDays} Day{partialBackupDays !== 1 ? 's' : ''} Backup{partialSolarOffset > 0 ? `, ${partialSolarOffset}% solar offset` : ''})</h3>
+          <h3>Battery Sizing - Partial Home ({partialBackupDays} Day{partialBackupDays !== 1 ? 's' : ''} Backup{partialResult.summary.solarOffsetPercent > 0 ? `, ${partialResult.summary.solarOffsetPercent}% solar offset` : ''})</h3>
 
           {/* Show selected loads and their hours/day */}
           <div className="mb-4">
@@ -425,7 +562,7 @@ export default function Step7Summary({ project, goPrev, showToast }) {
                   </tr>
                 </thead>
                 <tbody>
-                  {loads.filter(l => partialIds.includes(l.id)).map(l => {
+                  {expandTandemLoads(loads).filter(l => partialIds.includes(l.id)).map(l => {
                     const sel = battery.partialHome.selections[l.id] || {};
                     return (
                       <tr key={l.id}>
@@ -441,6 +578,12 @@ export default function Step7Summary({ project, goPrev, showToast }) {
             </div>
           </div>
 
+          {partialRuntime && (
+            <p className="text-sm mb-2">
+              <strong>Runtime check:</strong> {describeRuntimeCheck(partialRuntime)}
+            </p>
+          )}
+
           <div className="table-scroll">
             <table className="data-table">
               <thead>
@@ -452,30 +595,39 @@ export default function Step7Summary({ project, goPrev, showToast }) {
                 </tr>
               </thead>
               <tbody>
-                <tr>
-                  <td>Enphase IQ 5P</td>
-                  <td style={{ fontWeight: 600 }}>{partialResult.enphase5P.count}</td>
-                  <td>{partialResult.enphase5P.totalKWh}</td>
-                  <td>{partialResult.enphase5P.totalKW.toFixed(1)}</td>
-                </tr>
-                <tr>
-                  <td>Enphase IQ 10C</td>
-                  <td style={{ fontWeight: 600 }}>{partialResult.enphase10C.count}</td>
-                  <td>{partialResult.enphase10C.totalKWh}</td>
-                  <td>{partialResult.enphase10C.totalKW.toFixed(1)}</td>
-                </tr>
-                <tr>
-                  <td>Tesla PW3</td>
-                  <td style={{ fontWeight: 600 }}>{partialResult.teslaPW3Only.count}</td>
-                  <td>{partialResult.teslaPW3Only.totalKWh}</td>
-                  <td>{partialResult.teslaPW3Only.totalKW.toFixed(1)}</td>
-                </tr>
+                {partialResult.products.map(p => (
+                  <tr key={p.productId}>
+                    <td>{p.manufacturer} {p.name}</td>
+                    <td style={{ fontWeight: 600 }}>{p.displayUnits}</td>
+                    <td>{p.totalKWh}</td>
+                    <td>{p.totalKW.toFixed(1)}</td>
+                  </tr>
+                ))}
               </tbody>
             </table>
           </div>
         </div>
       )}
 
+      {/* Electrification what-if */}
+      <div className="card">
+        <h3>Electrification Planner (Gas to Electric)</h3>
+        <ElectrificationPlanner conversions={conversions} result={electrificationResult} onToggle={toggleConversion} />
+      </div>
+
+      {/* Scenarios */}
+      <div className="card">
+        <h3>Scenarios</h3>
+        <p className="text-sm text-muted mb-2">
+          Each scenario overrides the base project (service size, loads, EV charger, battery settings) and runs
+          the full calculation. Highlighted values differ from the base project.
+        </p>
+        <ScenarioManager project={project} updateProject={updateProject} />
+        <div className="mt-2">
+          <ScenarioComparison comparison={scenarioComparison} />
+        </div>
+      </div>
+
       {/* Disclaimer */}
       <div className="card" style={{ background: '#fefce8', borderLeft: '4px solid #d97706' }}>
         <p className="text-sm" style={{ color: '#92400e' }}>
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject } from '../../data/initialState';
+import { BATTERY_SPECS } from '../../data/loadLibrary';
+import { getEffectiveUsableKWh, getBatteryProducts, sizeBatteryProduct } from '../calculations';
+
+const derating = (overrides = {}) => ({ ...createInitialProject().battery.derating, ...overrides });
+
+// Powerwall 3: 13.5 kWh usable, 89% round trip, 5% reserve, 10% cold derate, 3%/yr fade
+const PW3 = BATTERY_SPECS.teslaPW3;
+
+describe('getEffectiveUsableKWh', () => {
+  it('applies round-trip efficiency and the backup reserve', () => {
+    // 13.5 x 0.89 x 0.95 = 11.41 kWh
+    const result = getEffectiveUsableKWh(PW3, derating());
+    expect(result).toMatchObject({ grossKWh: 13.5, effectiveKWh: 11.41, efficiencyPercent: 89, reservePercent: 5, coldDeratePercent: 0, fadePercent: 0 });
+  });
+
+  it('adds the cold derate for a cold install', () => {
+    // 11.41 x 0.90 = 10.27 kWh
+    expect(getEffectiveUsableKWh(PW3, derating({ coldInstall: true })).effectiveKWh).toBe(10.27);
+  });
+
+  it('sizes for capacity after years of fade', () => {
+    // 10 years x 3% = 30% fade: 13.5 x 0.89 x 0.95 x 0.90 x 0.70 = 7.19 kWh
+    const result = getEffectiveUsableKWh(PW3, derating({ coldInstall: true, sizeForYear: 10 }));
+    expect(result.fadePercent).toBe(30);
+    expect(result.effectiveKWh).toBe(7.19);
+    expect(getEffectiveUsableKWh(PW3, derating({ sizeForYear: 50 })).effectiveKWh).toBe(0);
+  });
+
+  it('uses project overrides in place of the module defaults', () => {
+    // 13.5 x 1.00 x 0.80 = 10.8 kWh
+    const result = getEffectiveUsableKWh(PW3, derating({ efficiencyPercent: 100, reservePercent: 20 }));
+    expect(result.effectiveKWh).toBe(10.8);
+  });
+
+  it('returns the nameplate when derating is off', () => {
+    expect(getEffectiveUsableKWh(PW3, derating({ enabled: false }))).toEqual({ grossKWh: 13.5, effectiveKWh: 13.5, factor: 1 });
+  });
+});
+
+describe('sizeBatteryProduct with derating', () => {
+  it('sizes on effective rather than nameplate energy', () => {
+    const pw3 = getBatteryProducts().find(p => p.id === 'teslaPW3');
+    const need = { energyKWh: 25, peakKW: 5, largestLRA: 0, hasUnknownMotorLRA: false };
+    // 2 x 13.5 = 27 kWh nameplate, but 2 x 11.41 = 22.8 kWh effective
+    expect(sizeBatteryProduct(pw3, need).leaders).toBe(2);
+    const derated = sizeBatteryProduct(pw3, { ...need, derating: derating() });
+    expect(derated).toMatchObject({ leaders: 3, totalKWh: 40.5, effectiveKWh: 34.2 });
+  });
+});
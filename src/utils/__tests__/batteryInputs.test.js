@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject } from '../../data/initialState';
+import { getEffectiveBackupDays, buildProposedEVLoads } from '../calculations';
+
+const withEV = ({ chargerOption, chargerCount = 1, includeEV = true, customContinuousAmps = null }) => {
+  const p = createInitialProject();
+  return {
+    ...p,
+    ev: { ...p.ev, chargerOption, chargerCount, customContinuousAmps },
+    battery: { ...p.battery, wholeHome: { ...p.battery.wholeHome, includeEV } },
+  };
+};
+
+describe('getEffectiveBackupDays', () => {
+  it('reads the preset backup mode as days', () => {
+    expect(getEffectiveBackupDays({ backupMode: '3' })).toBe(3);
+    expect(getEffectiveBackupDays({})).toBe(1);
+  });
+
+  it('uses customDays in custom mode', () => {
+    expect(getEffectiveBackupDays({ backupMode: 'custom', customDays: 5 })).toBe(5);
+    expect(getEffectiveBackupDays({ backupMode: 'custom' })).toBe(1);
+  });
+});
+
+describe('buildProposedEVLoads', () => {
+  it('returns null when no charger is selected or the EV is excluded', () => {
+    expect(buildProposedEVLoads(withEV({ chargerOption: null }))).toBeNull();
+    expect(buildProposedEVLoads(withEV({ chargerOption: { continuousAmps: 32 }, includeEV: false }))).toBeNull();
+  });
+
+  it('adds one 240 V load per charger at the continuous current', () => {
+    // 2 x 32 A chargers: 32 A x 240 V = 7680 W each
+    const loads = buildProposedEVLoads(withEV({ chargerOption: { continuousAmps: 32 }, chargerCount: 2 }));
+    expect(loads.map(l => l.id)).toEqual(['_proposedEV_0', '_proposedEV_1']);
+    expect(loads.map(l => l.description)).toEqual(['Proposed EV Charger 1', 'Proposed EV Charger 2']);
+    // 32 A x 125% = 40 A breaker
+    expect(loads[0].breaker).toEqual({ poles: 2, amps: 40, type: 'Standard' });
+    expect(loads[0].usage).toEqual({ assumedWatts: 7680, hoursPerDay: 4, includeInBatteryCalc: true });
+  });
+
+  it('uses the custom continuous current for a custom charger', () => {
+    const loads = buildProposedEVLoads(withEV({ chargerOption: { isCustom: true }, customContinuousAmps: 24 }));
+    expect(loads).toHaveLength(1);
+    expect(loads[0].description).toBe('Proposed EV Charger');
+    expect(loads[0].usage.assumedWatts).toBe(5760);
+    expect(loads[0].breaker.amps).toBe(30);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PRICE_BOOK } from '../../data/loadLibrary';
+import { getBatteryProducts, sizeBatteryProduct, optimizeBatteryCost } from '../calculations';
+
+const product = (id) => getBatteryProducts().find(p => p.id === id);
+const need = (energyKWh, surgeKW) => ({ energyKWh, peakKW: 5, largestLRA: 0, hasUnknownMotorLRA: false, surgeKW });
+
+// Enphase mixed: 10C leader (10 kWh, 11.5 kW peak) + 5P expansion (5 kWh, 7.68 kW peak)
+describe('sizeBatteryProduct surge with expansion peak', () => {
+  it('counts the expansions toward the 10-second peak before adding leaders', () => {
+    // 1x 10C leaves 15 kWh -> 3x 5P; 11.5 + 3 x 7.68 = 34.5 kW covers a 30 kW surge
+    const result = sizeBatteryProduct(product('enphaseMixed'), need(25, 30));
+    expect(result).toMatchObject({ leaders: 1, expansions: 3, forSurge: 1, peakKW: 34.5, surgePasses: true });
+  });
+
+  it('adds leaders when the energy expansions leave surge short', () => {
+    // 1x 10C + 1x 5P = 19.2 kW; 2x 10C need no 5P = 23 kW; 3x 10C = 34.5 kW
+    const result = sizeBatteryProduct(product('enphaseMixed'), need(15, 30));
+    expect(result).toMatchObject({ leaders: 3, expansions: 0, forSurge: 3, limitedBy: 'Surge', peakKW: 34.5, surgePasses: true });
+  });
+
+  it('reports a surge no configuration can meet', () => {
+    const result = sizeBatteryProduct(product('enphaseMixed'), need(25, 300));
+    expect(result).toMatchObject({ leaders: 20, notFeasible: true, surgePasses: false });
+    expect(result.reason).toBe('Surge 300 kW (running load + motor inrush) exceeds the 10-second peak of 20x 10C (230 kW)');
+  });
+
+  it('does not count energy-only expansions', () => {
+    // PW3 Expansion has no inverter: 2x PW3 (30.8 kW) for surge, 1 expansion for energy
+    const result = sizeBatteryProduct(product('teslaPW3Expansion'), need(40, 30));
+    expect(result).toMatchObject({ leaders: 2, expansions: 1, forSurge: 2, peakKW: 30.8, surgePasses: true });
+  });
+});
+
+describe('optimizeBatteryCost surge with expansion peak', () => {
+  it('trades a leader for a cheaper expansion that covers the surge', () => {
+    // 2x 10C + 1x 5P: 25 kWh, 23 + 7.68 = 30.7 kW peak for $20,700 + controller,
+    // cheaper than the 3x 10C that leader peak alone would need
+    const { recommended } = optimizeBatteryCost([product('enphaseMixed')], need(25, 30), DEFAULT_PRICE_BOOK);
+    expect(recommended).toMatchObject({ leaders: 2, expansions: 1 });
+    expect(recommended.cost.equipment + recommended.cost.labor).toBe(20700);
+  });
+});
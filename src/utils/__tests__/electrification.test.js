@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry } from '../../data/initialState';
+import { applyElectrification, calculateElectrificationPlan } from '../calculations';
+
+const service = createInitialProject().service;
+const load = (category, assumedWatts, isMotor = false) => createLoadEntry({
+  category,
+  usage: { assumedWatts, hoursPerDay: 1, includeInServiceCalc: true, includeInBatteryCalc: true },
+  motor: { ...createLoadEntry().motor, isMotor },
+});
+
+// Gas furnace with central AC, electric dryer and range
+const house = () => [
+  load('Furnace Blower/Boiler', 500, true),
+  load('AC Condenser', 5000, true),
+  load('Electric Dryer', 5000),
+  load('Range/Oven', 12000),
+  load('Dishwasher', 1200),
+];
+
+const summarize = (l) => ({ category: l.category, watts: l.usage.assumedWatts, poles: l.breaker.poles, amps: l.breaker.amps, isNewLoad: l.isNewLoad });
+
+describe('applyElectrification', () => {
+  it('swaps the furnace blower and AC for a heat pump, air handler and heat strips', () => {
+    const loads = house();
+    const result = applyElectrification(loads, ['heatPump'], service);
+    expect(result.removed.map(l => l.category)).toEqual(['Furnace Blower/Boiler', 'AC Condenser']);
+    expect(result.added.map(summarize)).toEqual([
+      { category: 'Heat Pump', watts: 3500, poles: 2, amps: 30, isNewLoad: true },
+      { category: 'Air Handler', watts: 500, poles: 1, amps: 15, isNewLoad: true },
+      { category: 'Electric Heat Strips', watts: 10000, poles: 2, amps: 60, isNewLoad: true },
+    ]);
+    expect(result.added[0].motor).toMatchObject({ isMotor: true, lra: 65 });
+    expect(result.loads.map(l => l.category)).toEqual([
+      'Electric Dryer', 'Range/Oven', 'Dishwasher', 'Heat Pump', 'Air Handler', 'Electric Heat Strips',
+    ]);
+  });
+
+  it('derates resistive heat strips on a 208V service', () => {
+    const network = { ...service, serviceType: '208Y/120-network', serviceVoltage: 208 };
+    const strips = applyElectrification(house(), ['heatPump'], network).added[2];
+    // 10,000 W x (208 / 240)^2 = 7511 W
+    expect(strips.usage.assumedWatts).toBe(7511);
+  });
+
+  it('adds a second EV charger at the EV voltage, outside the battery calculation', () => {
+    const [charger] = applyElectrification(house(), ['secondEV'], service).added;
+    // 40A continuous x 240V on a 50A breaker
+    expect(summarize(charger)).toEqual({ category: 'EV Charger', watts: 9600, poles: 2, amps: 50, isNewLoad: true });
+    expect(charger.usage.includeInBatteryCalc).toBe(false);
+  });
+});
+
+describe('calculateElectrificationPlan', () => {
+  it('sizes the converted house under 220.83(B)', () => {
+    const project = { ...createInitialProject(), loads: house(), electrification: { conversions: { heatPump: true, induction: false } } };
+    const plan = calculateElectrificationPlan(project, 1);
+    expect(plan.conversions.map(c => c.id)).toEqual(['heatPump']);
+    expect(plan.before.service.method).toBe('220.82');
+    expect(plan.after.loadCount).toBe(6);
+    // Other load: 4500 + 3000 + 1500 + 1200 + 5000 + 12,000 = 27,200 VA -> 8000 + 19,200 x 40% = 15,680
+    // plus the 10,000 VA heat strips (heating over 4000 VA cooling) at 100% = 25,680 VA
+    expect(plan.after.service.method).toBe('220.83(B)');
+    expect(plan.after.service.totalDemandVA).toBe(25680);
+    expect(plan.after.service.serviceAmps).toBe(107);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry } from '../../data/initialState';
+import { EV_CHARGER_OPTIONS } from '../../data/loadLibrary';
+import { calculateEVFeasibility } from '../calculations';
+
+const load = (category, assumedWatts) => createLoadEntry({
+  category,
+  usage: { assumedWatts, hoursPerDay: 1, includeInServiceCalc: true, includeInBatteryCalc: true },
+});
+
+// 100A, 240V service; no square footage, so 220.82/220.83 take 4500 VA of lighting.
+// Existing load: 4500 + 3000 + 1500 + 5700 + 12000 + 5000 = 31,700 VA.
+// Two 40A chargers are added, so 220.83(A) applies.
+const project = (loadManagement) => {
+  const p = createInitialProject();
+  return {
+    ...p,
+    service: { ...p.service, mainBreakerAmps: 100, busRatingAmps: 100 },
+    loads: [
+      load('Electric Dryer', 5000),
+      load('Range/Oven', 12000),
+      load('Water Heater (Electric)', 4500),
+      load('Dishwasher', 1200),
+    ],
+    ev: {
+      ...p.ev,
+      chargerOption: EV_CHARGER_OPTIONS.find(c => c.continuousAmps === 40),
+      chargerCount: 2,
+      loadManagement: { ...p.ev.loadManagement, ...loadManagement },
+    },
+  };
+};
+
+describe('calculateEVFeasibility load management', () => {
+  it('is undersized at full charger current without an EVEMS', () => {
+    // 31,700 + 2 x 9600 = 50,900 VA -> 8000 + 42,900 x 40% = 25,160 VA = 104.8 A
+    const result = calculateEVFeasibility(project({ enabled: false }));
+    expect(result.necWithEV.serviceAmps).toBe(104.8);
+    expect(result.necWithEV.status).toBe('Undersized');
+    expect(result.loadManagement).toBeNull();
+    expect(result.recommendation).toBe('Service upgrade recommended');
+  });
+
+  it('sizes a fixed cap by splitting it across the chargers', () => {
+    // 40A cap / 2 = 20A each, 2 x 4800 W -> 8000 + 33,300 x 40% = 21,320 VA = 88.8 A
+    const result = calculateEVFeasibility(project({ enabled: true, mode: 'fixed', fixedCapAmps: 40 }));
+    expect(result.loadManagement).toMatchObject({ mode: 'fixed', allowedAmpsEach: 20, allowedAmpsTotal: 40, managedWattsTotal: 9600, feasible: true });
+    expect(result.loadManagement.necManaged.serviceAmps).toBe(88.8);
+    expect(result.loadManagement.necManaged.status).toBe('Borderline');
+    expect(result.recommendation).toBe('Feasible with load management');
+  });
+
+  it('finds the highest current that keeps a dynamic target', () => {
+    // (17,480 + 192 x amps each) / 240 <= 100 A -> 33A each, 99.2 A
+    const result = calculateEVFeasibility(project({ enabled: true, mode: 'dynamic', targetUtilizationPercent: 100 }));
+    expect(result.loadManagement).toMatchObject({ mode: 'dynamic', allowedAmpsEach: 33, allowedAmpsTotal: 66, feasible: true });
+    expect(result.loadManagement.necManaged.serviceAmps).toBe(99.2);
+  });
+
+  it('is not feasible when the dynamic target leaves less than the minimum charging current', () => {
+    // (17,480 + 192 x amps each) / 240 <= 80 A -> 8A each, under the 12A minimum
+    const result = calculateEVFeasibility(project({ enabled: true, mode: 'dynamic', targetUtilizationPercent: 80 }));
+    expect(result.loadManagement).toMatchObject({ allowedAmpsEach: 8, feasible: false });
+    expect(result.recommendation).toBe('Service upgrade recommended');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry } from '../../data/initialState';
+import { calculateNECExistingDwelling, calculateServiceLoad } from '../calculations';
+
+const service = createInitialProject().service;
+const load = (category, assumedWatts, isNewLoad = false) => createLoadEntry({
+  category,
+  isNewLoad,
+  usage: { assumedWatts, hoursPerDay: 1, includeInServiceCalc: true, includeInBatteryCalc: true },
+});
+
+// 2000 sq ft dwelling, 240V single-phase, 200A service
+const house = () => [
+  load('Electric Dryer', 5000),
+  load('Range/Oven', 12000),
+  load('Water Heater (Electric)', 4500),
+  load('Dishwasher', 1200),
+];
+
+describe('calculateNECExistingDwelling', () => {
+  it('applies 220.83(A) when the new load is not heating or cooling', () => {
+    const loads = [...house(), load('AC Condenser', 5000), load('EV Charger', 7680, true)];
+    const result = calculateNECExistingDwelling(loads, service, 2000);
+    expect(result.method).toBe('220.83(A)');
+    // 6000 + 3000 + 1500 + 5700 + 12000 + 5000 + 7680 + 5000 (existing AC) = 45,880 VA
+    expect(result.breakdown.first8kVA).toBe(8000);
+    // (45,880 - 8000) x 40% = 15,152 VA
+    expect(result.breakdown.remainderAt40).toBe(15152);
+    expect(result.breakdown.hvacAt100).toBe(0);
+    expect(result.totalDemandVA).toBe(23152);
+    expect(result.serviceAmps).toBe(96.5);
+  });
+
+  it('applies 220.83(B) with the new heating or cooling at 100%', () => {
+    const loads = [...house(), load('Heat Pump', 9000, true)];
+    const result = calculateNECExistingDwelling(loads, service, 2000);
+    expect(result.method).toBe('220.83(B)');
+    // Other load: 6000 + 3000 + 1500 + 5700 + 12000 + 5000 = 33,200 VA
+    expect(result.breakdown.first8kVA).toBe(8000);
+    // (33,200 - 8000) x 40% = 10,080 VA
+    expect(result.breakdown.remainderAt40).toBe(10080);
+    expect(result.breakdown.hvacAt100).toBe(9000);
+    expect(result.totalDemandVA).toBe(27080);
+    expect(result.serviceAmps).toBe(112.8);
+  });
+
+  it('takes all load at 100% up to the first 8 kVA', () => {
+    const result = calculateNECExistingDwelling([load('EV Charger', 3000, true)], service, 1000);
+    // 3000 + 3000 + 1500 + 3000 = 10,500 VA -> 8000 + 2500 x 40%
+    expect(result.totalDemandVA).toBe(9000);
+  });
+});
+
+describe('calculateServiceLoad 220.83 pathway', () => {
+  it('uses 220.83 only when a load is flagged as new', () => {
+    expect(calculateServiceLoad([...house(), load('EV Charger', 7680, true)], service, 2000).method).toBe('220.83(A)');
+    expect(calculateServiceLoad([...house(), load('EV Charger', 7680)], service, 2000).method).toBe('220.82');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry, createHVACNameplate } from '../../data/initialState';
+import { calculateHVACNameplate, calculateNECOptionalMethod, getMotorStart, calculateBatterySizing } from '../calculations';
+
+const service = createInitialProject().service;
+
+// 3-ton condenser on a 40A 2-pole breaker; library watts stand in until the nameplate is entered
+const condenser = (hvac, breakerAmps = 40) => createLoadEntry({
+  category: 'AC Condenser',
+  breaker: { poles: 2, amps: breakerAmps, type: 'Standard', voltageOverride: null },
+  usage: { assumedWatts: 5000, hoursPerDay: 8, includeInServiceCalc: true, includeInBatteryCalc: true },
+  motor: { ...createLoadEntry().motor, isMotor: true, lra: 60 },
+  hvac: hvac && createHVACNameplate(hvac),
+});
+
+describe('calculateHVACNameplate', () => {
+  it('runs on compressor RLA plus fan FLA', () => {
+    // (16 + 1.2) A x 240 V = 4128 VA
+    const result = calculateHVACNameplate(condenser({ compressorRLA: 16, fanFLA: 1.2 }), service);
+    expect(result).toMatchObject({ runningAmps: 17.2, va: 4128, basis: 'RLA + fan FLA' });
+  });
+
+  it('backs the running current out of the MCA', () => {
+    // MCA 21.2 = 1.25 x RLA + 1.2 -> RLA 16, running 17.2 A
+    const result = calculateHVACNameplate(condenser({ mca: 21.2, fanFLA: 1.2 }), service);
+    expect(result).toMatchObject({ runningAmps: 17.2, va: 4128, basis: 'MCA' });
+  });
+
+  it('estimates from tonnage and SEER2 without an electrical nameplate', () => {
+    // 36,000 Btu/h / (16 SEER2 x 0.875) = 2571 W / 240 V = 10.7 A
+    const result = calculateHVACNameplate(condenser({ tonnage: 3, seer2: 16 }), service);
+    expect(result).toMatchObject({ runningAmps: 10.7, va: 2571, basis: 'Tonnage / SEER2' });
+  });
+
+  it('checks the breaker against the nameplate MOCP', () => {
+    expect(calculateHVACNameplate(condenser({ compressorRLA: 16, fanFLA: 1.2, mocp: 35 }), service).breakerOK).toBe(false);
+    expect(calculateHVACNameplate(condenser({ compressorRLA: 16, fanFLA: 1.2, mocp: 35 }, 30), service).breakerOK).toBe(true);
+    expect(calculateHVACNameplate(condenser({ compressorRLA: 16, fanFLA: 1.2 }), service).breakerOK).toBeNull();
+  });
+
+  it('returns null without a nameplate or outside the HVAC categories', () => {
+    expect(calculateHVACNameplate(condenser(null), service)).toBeNull();
+    expect(calculateHVACNameplate({ ...condenser({ compressorRLA: 16 }), category: 'Well Pump' }, service)).toBeNull();
+  });
+});
+
+describe('HVAC nameplate in the 220.82 calculation', () => {
+  it('uses the nameplate VA in place of the assumed watts', () => {
+    expect(calculateNECOptionalMethod([condenser(null)], service).breakdown.hvac).toBe(5000);
+    expect(calculateNECOptionalMethod([condenser({ compressorRLA: 16, fanFLA: 1.2 })], service).breakdown.hvac).toBe(4128);
+  });
+});
+
+describe('HVAC nameplate motor start', () => {
+  it('takes the compressor LRA from the nameplate', () => {
+    expect(getMotorStart(condenser({ compressorRLA: 16, compressorLRA: 82 }))).toMatchObject({ lra: 82, startType: 'direct' });
+    expect(getMotorStart(condenser(null)).lra).toBe(60);
+  });
+
+  it('sizes the battery on the nameplate LRA, none for an inverter compressor', () => {
+    const direct = calculateBatterySizing([condenser({ compressorRLA: 16, compressorLRA: 82 })], 1, { service });
+    expect(direct.summary.largestLRA).toBe(82);
+    const inverter = calculateBatterySizing([condenser({ compressorRLA: 16, compressorLRA: 82, inverter: true })], 1, { service });
+    expect(inverter.summary.largestLRA).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry, createSubpanel } from '../../data/initialState';
+import { calculateInterconnection } from '../calculations';
+
+const breaker = (amps, poles = 2) => createLoadEntry({
+  breaker: { poles, amps, type: 'Standard', voltageOverride: null },
+  usage: { assumedWatts: 1000, hoursPerDay: 1, includeInServiceCalc: true, includeInBatteryCalc: true },
+});
+
+const project = ({ mainAmps = 200, busAmps = 200, inverterAmps, loads = [] }) => {
+  const p = createInitialProject();
+  return {
+    ...p,
+    service: { ...p.service, mainBreakerAmps: mainAmps, busRatingAmps: busAmps },
+    interconnection: { ...p.interconnection, enabled: true, inverterOutputAmps: inverterAmps },
+    loads,
+  };
+};
+
+describe('calculateInterconnection', () => {
+  it('returns null when disabled or without inverter output', () => {
+    const p = project({ inverterAmps: 32 });
+    expect(calculateInterconnection({ ...p, interconnection: { ...p.interconnection, enabled: false } })).toBeNull();
+    expect(calculateInterconnection(project({ inverterAmps: 0 }))).toBeNull();
+  });
+
+  it('passes the 120% rule at exactly 120% of the bus', () => {
+    // 32A x 125% = 40A; 200A main + 40A = 240A = 120% of a 200A bus
+    const result = calculateInterconnection(project({ inverterAmps: 32 }));
+    expect(result.backfeedBreakerAmps).toBe(40);
+    expect(result.rule120).toEqual({ total: 240, limit: 240, pass: true });
+    expect(result.recommendation).toBe('Load-side backfed breaker (120% rule)');
+  });
+
+  it('falls back to the sum-of-breakers rule', () => {
+    // 48A x 125% = 60A; 200A + 60A = 260A > 240A. Breakers 40 + 30 + 60 backfeed = 130A <= 200A
+    const result = calculateInterconnection(project({ inverterAmps: 48, loads: [breaker(40), breaker(30)] }));
+    expect(result.rule120.pass).toBe(false);
+    expect(result.backfeedBreakerAmps).toBe(60);
+    expect(result.sumOfBreakers).toEqual({ total: 130, limit: 200, pass: true });
+    expect(result.recommendation).toBe('Load-side backfed breaker (sum of breakers)');
+  });
+
+  it('derates the main when the service calculation still fits', () => {
+    const loads = [breaker(50), breaker(50), breaker(40), breaker(30)];
+    const result = calculateInterconnection(project({ inverterAmps: 48, loads }));
+    expect(result.sumOfBreakers.total).toBe(230);
+    expect(result.sumOfBreakers.pass).toBe(false);
+    // 240A - 60A = 180A -> largest standard main below that is 175A
+    expect(result.derate.mainAmps).toBe(175);
+    expect(result.derate.pass).toBe(true);
+    expect(result.recommendation).toBe('Derate main breaker to 175A');
+  });
+
+  it('recommends a supply-side connection when nothing else fits', () => {
+    // 100A x 125% = 125A leaves 115A for the main, too small for this house
+    const loads = [breaker(50), breaker(50), breaker(40), breaker(30)].map(l => ({ ...l, usage: { ...l.usage, assumedWatts: 12000 } }));
+    const result = calculateInterconnection(project({ inverterAmps: 100, loads }));
+    expect(result.derate.mainAmps).toBe(110);
+    expect(result.derate.pass).toBe(false);
+    expect(result.recommendation).toBe('Supply-side connection (NEC 705.11)');
+  });
+
+  it('honours an entered backfeed breaker', () => {
+    const p = project({ inverterAmps: 32 });
+    const result = calculateInterconnection({ ...p, interconnection: { ...p.interconnection, backfeedBreakerAmps: 50 } });
+    expect(result.backfeedBreakerAmps).toBe(50);
+    // The 120% rule still uses 125% of inverter output, not the breaker
+    expect(result.rule120.total).toBe(240);
+  });
+});
+
+describe('calculateInterconnection with a subpanel', () => {
+  it('sums only main-bus breakers, with the feeder in place of subpanel circuits', () => {
+    const subpanel = createSubpanel({ name: 'Garage', feederBreakerAmps: 60 });
+    const garage = [breaker(50), breaker(40), breaker(30)].map(l => ({ ...l, panelId: subpanel.id }));
+    const p = { ...project({ inverterAmps: 48, loads: [breaker(40), breaker(30), ...garage] }), subpanels: [subpanel] };
+    const result = calculateInterconnection(p);
+    // 40 + 30 + 60 feeder + 60 backfeed = 190A; the garage's 120A of branch breakers stay off the main bus
+    expect(result.sumOfBreakers).toEqual({ total: 190, limit: 200, pass: true });
+    expect(result.recommendation).toBe('Load-side backfed breaker (sum of breakers)');
+  });
+});
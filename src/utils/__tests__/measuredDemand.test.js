@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry } from '../../data/initialState';
+import { calculateNECMeasuredDemand, parseIntervalData } from '../calculations';
+
+const baseService = createInitialProject().service;
+const withMeasured = (measuredDemand) => ({ ...baseService, measuredDemand: { ...baseService.measuredDemand, ...measuredDemand } });
+
+const csv = (minutes, values) => [
+  'Date,Start Time,Usage (kWh)',
+  ...values.map((v, i) => {
+    const t = new Date(2024, 6, 1, 0, i * minutes);
+    const hh = String(t.getHours()).padStart(2, '0');
+    const mm = String(t.getMinutes()).padStart(2, '0');
+    return `2024-07-01,${hh}:${mm},${v}`;
+  }),
+].join('\n');
+
+describe('parseIntervalData', () => {
+  it('converts 15-minute kWh readings to kW', () => {
+    const data = parseIntervalData(csv(15, [0.5, 2.5, 1.0, 0.75]));
+    expect(data.intervalMinutes).toBe(15);
+    expect(data.readingCount).toBe(4);
+    // 2.5 kWh in 15 minutes = 10 kW
+    expect(data.peakKW).toBe(10);
+    expect(data.monthlyPeaks).toEqual([{ month: '2024-07', peakKW: 10 }]);
+  });
+
+  it('detects hourly exports', () => {
+    const data = parseIntervalData(csv(60, [1.2, 4.8, 3.0]));
+    expect(data.intervalMinutes).toBe(60);
+    expect(data.peakKW).toBe(4.8);
+  });
+});
+
+describe('calculateNECMeasuredDemand', () => {
+  const ev = createLoadEntry({
+    category: 'EV Charger',
+    isNewLoad: true,
+    breaker: { poles: 2, amps: 40, type: 'Standard', voltageOverride: null },
+    usage: { assumedWatts: 7680, hoursPerDay: 2, includeInServiceCalc: true, includeInBatteryCalc: false },
+  });
+
+  it('adds new loads to 125% of the 12-month billing peak', () => {
+    const peaks = [6, 7, 8, 10, 9, 8, 7, 6, 5, 5, 6, 7];
+    const result = calculateNECMeasuredDemand([ev], withMeasured({ source: 'billing', monthlyPeakKW: peaks }));
+    // 10 kW x 125% = 12500 VA existing + 7680 VA EV
+    expect(result.breakdown.measuredExisting).toBe(12500);
+    expect(result.breakdown.ev).toBe(7680);
+    expect(result.totalDemandVA).toBe(20180);
+    expect(result.serviceAmps).toBe(84.1);
+    expect(result.dataIncomplete).toBe(false);
+    expect(result.intervalTooLong).toBe(false);
+  });
+
+  it('flags incomplete billing history', () => {
+    const result = calculateNECMeasuredDemand([], withMeasured({ source: 'billing', monthlyPeakKW: [8, 9, '', ''] }));
+    expect(result.monthsOfData).toBe(2);
+    expect(result.dataIncomplete).toBe(true);
+  });
+
+  it('flags interval data longer than 15 minutes', () => {
+    const hourly = parseIntervalData(csv(60, [1.2, 4.8, 3.0]));
+    const result = calculateNECMeasuredDemand([], withMeasured({ source: 'interval', interval: hourly }));
+    expect(result.intervalMinutes).toBe(60);
+    expect(result.intervalTooLong).toBe(true);
+
+    const quarterHour = parseIntervalData(csv(15, [0.5, 2.5]));
+    expect(calculateNECMeasuredDemand([], withMeasured({ source: 'interval', interval: quarterHour })).intervalTooLong).toBe(false);
+  });
+
+  it('returns null without measured data', () => {
+    expect(calculateNECMeasuredDemand([ev], baseService)).toBeNull();
+  });
+});
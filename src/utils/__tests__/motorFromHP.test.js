@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { createLoadEntry } from '../../data/initialState';
+import { lookupMotorFLA, estimateCodeLetterLRA, calculateMotorFromHP } from '../calculations';
+
+const SPLIT_PHASE = { serviceType: '120/240-1ph', serviceVoltage: 240 };
+const THREE_PHASE_208 = { serviceType: '208Y/120-3ph', serviceVoltage: 208 };
+
+const motor = (hp, codeLetter, poles = 2) => createLoadEntry({
+  breaker: { poles, amps: 20, type: 'Standard', voltageOverride: null },
+  motor: { isMotor: true, nameplateKnown: true, hp, codeLetter, lra: null, rla: null, startType: 'direct', softStarterReductionPercent: null, notes: '' },
+});
+
+describe('lookupMotorFLA', () => {
+  it('reads Table 430.248 in the nearest rated voltage column', () => {
+    expect(lookupMotorFLA(1, 240, 1)).toEqual({ amps: 8.0, tableVoltage: 230, table: '430.248' });
+    expect(lookupMotorFLA(1, 120, 1)).toEqual({ amps: 16, tableVoltage: 115, table: '430.248' });
+    expect(lookupMotorFLA(1, 208, 1).amps).toBe(8.8);
+  });
+
+  it('reads Table 430.250 for three-phase motors, skipping blank 115V cells', () => {
+    expect(lookupMotorFLA(5, 208, 3)).toEqual({ amps: 16.7, tableVoltage: 208, table: '430.250' });
+    expect(lookupMotorFLA(5, 480, 3).amps).toBe(7.6);
+    // No 115V rating at 3 HP: the nearest listed column is 200V
+    expect(lookupMotorFLA(3, 120, 3)).toEqual({ amps: 11.0, tableVoltage: 200, table: '430.250' });
+  });
+
+  it('returns null for a horsepower not in the table', () => {
+    expect(lookupMotorFLA(4, 240, 1)).toBeNull();
+  });
+});
+
+describe('estimateCodeLetterLRA', () => {
+  it('uses the top of the code letter band', () => {
+    // 1 HP x 7.99 kVA/HP (J) = 7990 VA / 240 V = 33.3 A
+    expect(estimateCodeLetterLRA(1, 'J', 240, 1)).toBe(33);
+    // 5 HP x 7.09 kVA/HP (H) = 35,450 VA / (208 V x 1.732) = 98.4 A
+    expect(estimateCodeLetterLRA(5, 'H', 208, 3)).toBe(98);
+  });
+
+  it('uses the bottom of the open-ended V band', () => {
+    // 2 HP x 22.4 kVA/HP = 44,800 VA / 240 V = 186.7 A
+    expect(estimateCodeLetterLRA(2, 'V', 240, 1)).toBe(187);
+  });
+
+  it('returns null for an unknown letter or no horsepower', () => {
+    expect(estimateCodeLetterLRA(1, 'Z', 240, 1)).toBeNull();
+    expect(estimateCodeLetterLRA(0, 'J', 240, 1)).toBeNull();
+  });
+});
+
+describe('calculateMotorFromHP', () => {
+  it('sizes a 1 HP, code J, 240V single-phase motor', () => {
+    const result = calculateMotorFromHP(motor(1, 'J'), SPLIT_PHASE);
+    expect(result).toMatchObject({ amps: 8.0, voltage: 240, phases: 1, watts: 1920, lra: 33 });
+  });
+
+  it('runs a 1-pole motor at 120V from the 115V column', () => {
+    const result = calculateMotorFromHP(motor(1, null, 1), SPLIT_PHASE);
+    expect(result).toMatchObject({ amps: 16, voltage: 120, watts: 1920, lra: null });
+  });
+
+  it('sizes a 5 HP, code H, three-phase motor on a 208Y/120 service', () => {
+    // 16.7 A x 208 V x 1.732 = 6016 W
+    const result = calculateMotorFromHP(motor(5, 'H', 3), THREE_PHASE_208);
+    expect(result).toMatchObject({ amps: 16.7, voltage: 208, phases: 3, watts: 6016, lra: 98, table: '430.250' });
+  });
+
+  it('treats a 2-pole motor on a three-phase service as single-phase', () => {
+    const result = calculateMotorFromHP(motor(1, null, 2), THREE_PHASE_208);
+    expect(result).toMatchObject({ amps: 8.8, voltage: 208, phases: 1, table: '430.248' });
+  });
+
+  it('returns null without a listed horsepower', () => {
+    expect(calculateMotorFromHP(motor(null, 'J'), SPLIT_PHASE)).toBeNull();
+    expect(calculateMotorFromHP(motor(4, 'J'), SPLIT_PHASE)).toBeNull();
+  });
+});
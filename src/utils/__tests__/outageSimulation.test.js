@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { simulateOutage, describeOutageSurvival } from '../calculations';
+
+const flat = (kW) => new Array(24).fill(kW);
+const battery = { capacityKWh: 10, powerKW: 5 };
+
+describe('simulateOutage', () => {
+  it('runs a flat load down from a full battery', () => {
+    // 10 kWh at 1 kW: empty at the start of hour 10 of a 24-hour outage
+    const result = simulateOutage(battery, { hourlyLoadKW: flat(1), windowHours: 24 });
+    expect(result.socPercent.slice(0, 3)).toEqual([100, 90, 80]);
+    expect(result).toMatchObject({ survives: false, emptyAtHour: 10, hoursSurvived: 10, daysSurvived: 0.4, unservedKWh: 14, minSoCPercent: 0 });
+    expect(describeOutageSurvival(result)).toBe('Survives 0.4 of 1 days (empty day 1 at 10:00)');
+  });
+
+  it('reports the clock time the battery runs out', () => {
+    // Outage starts at 8 PM: 10 hours later is 6 AM the next day
+    const result = simulateOutage(battery, { hourlyLoadKW: flat(1), windowHours: 24, startHour: 20 });
+    expect(result.emptyAt).toEqual({ day: 2, hour: 6 });
+  });
+
+  it('caps the draw at the continuous rating', () => {
+    const load = flat(0);
+    load[0] = 6;
+    const result = simulateOutage({ capacityKWh: 20, powerKW: 5 }, { hourlyLoadKW: load, windowHours: 24 });
+    expect(result).toMatchObject({ survives: true, powerLimitedHours: 1, unservedKWh: 1, endSoCPercent: 75 });
+  });
+
+  it('recharges from solar surplus with round-trip losses', () => {
+    // From 8 AM: 2 kWh used by 10 AM; 3 kW surplus from 10 AM to 2 PM refills
+    // the 2 kWh (2.2 kWh of solar at 90%) and curtails the other 9.8 kWh
+    const solar = flat(0);
+    [10, 11, 12, 13].forEach(h => { solar[h] = 4; });
+    const result = simulateOutage({ ...battery, efficiency: 0.9 }, { hourlyLoadKW: flat(1), hourlySolarKWh: solar, windowHours: 24, startHour: 8 });
+    expect(result.socPercent.slice(0, 4)).toEqual([100, 90, 80, 100]);
+    expect(result.curtailedKWh).toBe(9.8);
+    // Full at 2 PM, then 10 hours at 1 kW: empty at midnight
+    expect(result).toMatchObject({ survives: false, emptyAtHour: 16, emptyAt: { day: 2, hour: 0 } });
+  });
+
+  it('switches to the shed load below the threshold', () => {
+    // 2 kW until SoC drops under 50% (hour 3), then 0.5 kW: 4 kWh lasts 8 more hours
+    const result = simulateOutage(battery, { hourlyLoadKW: flat(2), windowHours: 24, shedLoadKW: flat(0.5), shedBelowPercent: 50 });
+    expect(result.shedAt).toEqual({ day: 1, hour: 3 });
+    expect(result.shedHours).toBe(21);
+    expect(result).toMatchObject({ emptyAtHour: 11, hoursSurvived: 11 });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry } from '../../data/initialState';
+import { getMainPanelSlots, calculateEVFeasibility } from '../calculations';
+import { EV_CHARGER_OPTIONS } from '../../data/loadLibrary';
+
+const breaker = (poles, circuitNumber = '') => createLoadEntry({
+  circuitNumber,
+  breaker: { poles, amps: 20, type: 'Standard', voltageOverride: null },
+});
+
+// 40-space panel, Step 1 entry: 20 used + 2 tandem slots
+const project = (loads) => {
+  const p = createInitialProject();
+  return { ...p, panel: { ...p.panel, usedSlots: 20, tandemSlotsUsed: 2 }, loads };
+};
+
+describe('getMainPanelSlots', () => {
+  it('uses the Step 1 entry before loads are entered', () => {
+    expect(getMainPanelSlots(project([]))).toEqual({ usedSlots: 22, openSlots: 18, enteredUsedSlots: 22, fromMap: false });
+  });
+
+  it('uses the panel map once loads exist, placed or not', () => {
+    const slots = getMainPanelSlots(project([breaker(2, '1'), breaker(1, '5'), breaker(1)]));
+    expect(slots.fromMap).toBe(true);
+    expect(slots.usedSlots).toBe(4);
+    expect(slots.openSlots).toBe(36);
+    expect(slots.enteredUsedSlots).toBe(22);
+  });
+
+  it('counts subpanel circuits as the feeder breaker only', () => {
+    const p = project([breaker(2, '1'), { ...breaker(1), panelId: 'sp1' }, { ...breaker(1), panelId: 'sp1' }]);
+    p.subpanels = [{ id: 'sp1', name: 'Garage', parentId: 'main', feederBreakerAmps: 60, feederCircuitNumber: '3', totalSlots: 12, busRatingAmps: 100 }];
+    // 2-pole branch + 2-pole feeder
+    expect(getMainPanelSlots(p).usedSlots).toBe(4);
+  });
+
+  it('drives the EV space check', () => {
+    const p = { ...project([breaker(2, '1')]), ev: { ...project([]).ev, chargerOption: EV_CHARGER_OPTIONS.find(o => !o.isCustom) } };
+    expect(calculateEVFeasibility(p).availableSlots).toBe(38);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { calculateServiceUpgrade } from '../calculations';
+
+const service = (mainBreakerAmps, busRatingAmps) => ({ serviceType: '120/240-1ph', serviceVoltage: 240, mainBreakerAmps, busRatingAmps });
+const result = (serviceAmps, status = 'Undersized') => ({ serviceAmps, status });
+
+describe('calculateServiceUpgrade', () => {
+  it('returns null when the service is adequate', () => {
+    expect(calculateServiceUpgrade(result(70, 'OK'), service(100, 100))).toBeNull();
+  });
+
+  it('sizes a full replacement when the bus limits the main', () => {
+    // 130A demand: 150A clears 100%, 200A clears 80% (130 / 0.8 = 162.5A)
+    const upgrade = calculateServiceUpgrade(result(130), service(100, 100));
+    expect(upgrade.minimum).toEqual({ amps: 150, ratio: 86.7, meterMain: false, scope: 'Full panel/service replacement' });
+    expect(upgrade.recommended).toEqual({ amps: 200, ratio: 65, meterMain: false, scope: 'Full panel/service replacement' });
+  });
+
+  it('allows a main breaker swap when the bus is rated for it', () => {
+    const upgrade = calculateServiceUpgrade(result(130), service(100, 200));
+    expect(upgrade.minimum.scope).toBe('Main breaker swap');
+    expect(upgrade.recommended.scope).toBe('Main breaker swap');
+  });
+
+  it('keeps a borderline service as the minimum', () => {
+    // 170A on 200A is 85%: no change for 100%, 225A for 80%
+    const upgrade = calculateServiceUpgrade(result(170, 'Borderline'), service(200, 225));
+    expect(upgrade.minimum.scope).toBe('No change needed');
+    expect(upgrade.recommended).toEqual({ amps: 225, ratio: 75.6, meterMain: false, scope: 'Main breaker swap' });
+  });
+
+  it('steps up to a 320A meter-main', () => {
+    // 250A demand: 320A clears both (80% of 320A = 256A)
+    const upgrade = calculateServiceUpgrade(result(250), service(200, 400));
+    expect(upgrade.minimum).toEqual({ amps: 320, ratio: 78.1, meterMain: true, scope: 'Full panel/service replacement' });
+    expect(upgrade.recommended.amps).toBe(320);
+  });
+
+  it('flags demand beyond a 400A service', () => {
+    // 360A demand fits 400A but not at 80%
+    const upgrade = calculateServiceUpgrade(result(360), service(200, 200));
+    expect(upgrade.minimum.amps).toBe(400);
+    expect(upgrade.recommended).toEqual({ amps: null, ratio: null, scope: 'Exceeds 400A - engineered service required' });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry } from '../../data/initialState';
+import { calculateNECStandardMethod } from '../calculations';
+
+const service = createInitialProject().service;
+const load = (category, assumedWatts, motor = {}) => createLoadEntry({
+  category,
+  usage: { assumedWatts, hoursPerDay: 1, includeInServiceCalc: true, includeInBatteryCalc: true },
+  motor: { ...createLoadEntry().motor, ...motor },
+});
+
+// 2000 sq ft dwelling, 240V single-phase, 200A service
+const house = () => [
+  load('Electric Dryer', 5000),
+  load('Range/Oven', 12000),
+  load('Water Heater (Electric)', 4500),
+  load('Dishwasher', 1200),
+  load('Garbage Disposal', 600, { isMotor: true }),
+  load('AC Condenser', 5000, { isMotor: true }),
+];
+
+describe('calculateNECStandardMethod', () => {
+  it('matches a worked Article 220 Part III example', () => {
+    const result = calculateNECStandardMethod(house(), service, 2000);
+    // 220.42: 6000 + 3000 + 1500 = 10500 VA -> 3000 + 7500 x 35% = 5625
+    expect(result.breakdown.generalAndSmallAppliance).toBe(5625);
+    // 220.53: three appliances fastened in place, no 75% factor
+    expect(result.breakdown.fixedAppliances).toBe(6300);
+    expect(result.breakdown.dryer).toBe(5000);
+    // Table 220.55 Column C, one 12 kW range
+    expect(result.breakdown.cooking).toBe(8000);
+    expect(result.breakdown.hvac).toBe(5000);
+    // 220.50 / 430.24: 25% of the 5000 VA condenser
+    expect(result.breakdown.largestMotor).toBe(1250);
+    expect(result.totalDemandVA).toBe(31175);
+    expect(result.serviceAmps).toBe(129.9);
+    expect(result.status).toBe('OK');
+  });
+
+  it('applies 75% to four or more fastened appliances', () => {
+    const loads = [...house(), load('Microwave', 1500)];
+    const result = calculateNECStandardMethod(loads, service, 2000);
+    expect(result.breakdown.fixedAppliances).toBe(Math.round(7800 * 0.75));
+  });
+
+  it('takes the motor adder from the noncoincident load that is counted', () => {
+    // Heat strips exceed the condenser, so the condenser drops out of 220.60
+    // and the disposal is the largest motor left
+    const loads = [...house(), load('Electric Heat Strips', 10000)];
+    const result = calculateNECStandardMethod(loads, service, 2000);
+    expect(result.breakdown.hvac).toBe(10000);
+    expect(result.breakdown.largestMotor).toBe(150);
+  });
+
+  it('adds nothing without motor loads', () => {
+    const result = calculateNECStandardMethod([load('Electric Dryer', 5000)], service, 2000);
+    expect(result.breakdown.largestMotor).toBe(0);
+    expect(result.totalDemandVA).toBe(5625 + 5000);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { createInitialProject, createLoadEntry, createSubpanel } from '../../data/initialState';
+import { calculateFeederDemand, calculateSubpanelChecks } from '../calculations';
+
+const service = createInitialProject().service;
+const load = (category, assumedWatts, panelId = 'main') => createLoadEntry({
+  category,
+  panelId,
+  breaker: { poles: 2, amps: 30, type: 'Standard', voltageOverride: null },
+  usage: { assumedWatts, hoursPerDay: 1, includeInServiceCalc: true, includeInBatteryCalc: true },
+});
+
+describe('calculateFeederDemand', () => {
+  it('matches a worked 215.2 garage feeder example', () => {
+    const result = calculateFeederDemand([load('Workshop/Garage', 3000), load('EV Charger', 7680)], service, 60);
+    // No lighting or small-appliance circuits on the feeder
+    expect(result.breakdown.generalAndSmallAppliance).toBe(0);
+    expect(result.breakdown.fixedAppliances).toBe(3000);
+    // 220.57: larger of 7200 W or nameplate, plus 25% continuous (215.2(A)(1))
+    expect(result.breakdown.ev).toBe(7680);
+    expect(result.demandVA).toBe(10680);
+    expect(result.continuousAdderVA).toBe(1920);
+    expect(result.serviceAmps).toBe(52.5);
+    expect(result.ratio).toBe(88);
+    expect(result.status).toBe('Borderline');
+  });
+
+  it('counts only the lighting circuits actually on the feeder', () => {
+    const result = calculateFeederDemand([load('General Lighting/Receptacles', 1500), load('Workshop/Garage', 3000)], service, 60);
+    expect(result.breakdown.generalAndSmallAppliance).toBe(1500);
+    expect(result.totalDemandVA).toBe(4500);
+  });
+});
+
+describe('calculateSubpanelChecks', () => {
+  it('includes downstream subpanels in the parent feeder', () => {
+    const garage = createSubpanel({ name: 'Garage', feederBreakerAmps: 100, busRatingAmps: 100 });
+    const adu = createSubpanel({ name: 'ADU', parentId: garage.id, feederBreakerAmps: 125, busRatingAmps: 100 });
+    const project = {
+      ...createInitialProject(),
+      subpanels: [garage, adu],
+      loads: [load('Workshop/Garage', 3000, garage.id), load('Dishwasher', 1200, adu.id)],
+    };
+    const [garageCheck, aduCheck] = calculateSubpanelChecks(project);
+    expect(garageCheck.parentName).toBe('Main Panel');
+    expect(garageCheck.feeder.totalDemandVA).toBe(4200);
+    expect(garageCheck.busOK).toBe(true);
+    expect(garageCheck.conductors).toEqual({ copper: '3 AWG', aluminum: '1 AWG' });
+    expect(aduCheck.parentName).toBe('Garage');
+    expect(aduCheck.feeder.totalDemandVA).toBe(1200);
+    // 125A feeder breaker on a 100A bus
+    expect(aduCheck.busOK).toBe(false);
+  });
+});
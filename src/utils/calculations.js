@@ -1,21 +1,91 @@
-import { BATTERY_SPECS } from '../data/loadLibrary';
+import { BATTERY_SPECS, BATTERY_PRODUCTS, DEFAULT_PRICE_BOOK, DEFAULT_SOFT_STARTER_REDUCTION_PERCENT, LOCKED_ROTOR_POWER_FACTOR, LOAD_PROFILES, CATEGORY_PROFILES, BACKUP_PRIORITIES, CATEGORY_BACKUP_PRIORITY, SHED_ACTIONS, PRIORITY_SHED_ACTION, STANDARD_OCPD_AMPS, MAIN_BREAKER_OPTIONS, METER_MAIN_SIZES, SERVICE_TYPES, RESISTIVE_HEATING_CATEGORIES, CONDUCTOR_AMPACITY_75C, SUBPANEL_SPACE_OPTIONS, SUBPANEL_BUS_OPTIONS, LOAD_LIBRARY, EV_CHARGER_OPTIONS, ELECTRIFICATION_CONVERSIONS, MOTOR_FLA_SINGLE_PHASE, MOTOR_FLA_VOLTAGES_SINGLE_PHASE, MOTOR_FLA_THREE_PHASE, MOTOR_FLA_VOLTAGES_THREE_PHASE, LOCKED_ROTOR_CODE_LETTERS, HVAC_NAMEPLATE_CATEGORIES, SEER2_TO_EER2 } from '../data/loadLibrary';
+import { createLoadEntry } from '../data/initialState';
+import { SOLAR_STATIONS, ZIP3_LOCATIONS, MONTH_NAMES, PV_DEFAULT_LOSSES_PERCENT, PV_INVERTER_EFFICIENCY, GROUND_REFLECTANCE } from '../data/solarResource';
+
+// Resolve the service type; projects saved before serviceType existed fall back on serviceVoltage
+export function getServiceType(service) {
+  const type = SERVICE_TYPES.find(t => t.value === service.serviceType);
+  if (type) return type;
+  return SERVICE_TYPES.find(t => t.lineVoltage === service.serviceVoltage && t.phases === 1) || SERVICE_TYPES[0];
+}
 
 // Calculate voltage for a load based on service and breaker config
-export function getLoadVoltage(load, serviceVoltage) {
+export function getLoadVoltage(load, service) {
   if (load.breaker.voltageOverride) return load.breaker.voltageOverride;
-  return load.breaker.poles === 1 ? 120 : serviceVoltage;
+  const type = getServiceType(service);
+  return load.breaker.poles === 1 ? type.phaseVoltage : type.lineVoltage;
+}
+
+// Watts per amp for a load: 3-pole loads on a 3-phase service carry √3
+export function getLoadVoltsPerAmp(load, service) {
+  const factor = load.breaker.poles === 3 && getServiceType(service).phases === 3 ? Math.sqrt(3) : 1;
+  return getLoadVoltage(load, service) * factor;
 }
 
 // Calculate breaker-based estimated watts
-export function calculateBreakerWatts(load, serviceVoltage, utilizationFactor = 0.5) {
-  const volts = getLoadVoltage(load, serviceVoltage);
-  return Math.round(volts * load.breaker.amps * utilizationFactor);
+export function calculateBreakerWatts(load, service, utilizationFactor = 0.5) {
+  return Math.round(getLoadVoltsPerAmp(load, service) * load.breaker.amps * utilizationFactor);
+}
+
+// Library watts are 240V nameplate; resistive elements on 208V deliver (208/240)²
+export function getLibraryWatts(lib, service) {
+  const type = getServiceType(service);
+  if (lib.poles >= 2 && type.lineVoltage === 208 && RESISTIVE_HEATING_CATEGORIES.includes(lib.category)) {
+    return Math.round(lib.assumedWatts * (208 / 240) ** 2);
+  }
+  return lib.assumedWatts;
+}
+
+// L2 EV chargers run line-to-line on 120/240 and 208Y/120 services; on 480Y/277
+// they are fed through a 240V step-down transformer
+export function getEVVoltage(service) {
+  const type = getServiceType(service);
+  return type.lineVoltage === 208 ? 208 : 240;
+}
+
+// Convert VA to service amps (√3 × line voltage on 3-phase services)
+export function serviceAmpsFromVA(va, service) {
+  const type = getServiceType(service);
+  return va / (type.phases === 3 ? type.lineVoltage * Math.sqrt(3) : type.lineVoltage);
+}
+
+// Flatten tandem breakers so Circuit B is treated as its own load.
+// Circuit B gets id `${parentId}_B` and inherits the parent's battery inclusion.
+// Idempotent: expanded parents have tandemCircuitB cleared.
+export function expandTandemLoads(loads) {
+  const expanded = [];
+  for (const load of loads) {
+    const b = load.tandemCircuitB;
+    if (load.breaker?.type !== 'Tandem' || !b) {
+      expanded.push(load);
+      continue;
+    }
+    expanded.push({ ...load, tandemCircuitB: null });
+    expanded.push({
+      id: `${load.id}_B`,
+      parentId: load.id,
+      isTandemB: true,
+      isNewLoad: !!b.isNewLoad,
+      circuitNumber: load.circuitNumber,
+      description: b.description || 'Tandem Circuit B',
+      category: b.category || 'Other',
+      isNECBaseline: false,
+      breaker: { poles: 1, amps: b.amps || 15, type: 'Tandem', voltageOverride: null },
+      usage: {
+        assumedWatts: b.assumedWatts || 0,
+        hoursPerDay: b.hoursPerDay || 0,
+        includeInServiceCalc: true,
+        includeInBatteryCalc: load.usage.includeInBatteryCalc,
+      },
+      motor: { isMotor: !!b.isMotor, nameplateKnown: false, lra: b.isMotor ? (b.lra || null) : null, notes: '' },
+      sourceTag: b.sourceTag || 'Assumed',
+    });
+  }
+  return expanded;
 }
 
 // Panel slot calculations
 export function calculatePanelSlots(panel) {
-  const availableSlots = panel.totalSlots - panel.usedSlots;
-
   let tandemCapableSlots = 0;
   if (panel.tandemsAllowed === 'Allowed') {
     switch (panel.tandemPolicy.allowedPositions) {
@@ -32,7 +102,6 @@ export function calculatePanelSlots(panel) {
   }
 
   return {
-    availableSlots,
     tandemCapableSlots,
     canFreeSlotsWithTandems: panel.tandemsAllowed === 'Allowed' && tandemCapableSlots > 0,
   };
@@ -45,16 +114,316 @@ export function calculateModeledSlots(loads) {
     if (load.breaker.type === 'Tandem') {
       modeledSlots += 1; // tandem = 1 slot, 2 circuits
     } else {
-      modeledSlots += load.breaker.poles === 2 ? 2 : 1;
+      modeledSlots += load.breaker.poles || 1;
     }
   }
   return modeledSlots;
 }
 
-// NEC Optional Method (simplified) - 220.82/220.83
-// Rev 6: service calc uses ALL loads (no per-row includeInServiceCalc filter)
-export function calculateNECOptionalMethod(loads, service, sqFt = null) {
-  // Step 1: General lighting & receptacles at 3 VA/sq ft
+// Panel slot map. Odd positions are the left column, even the right; each row
+// is one bus stab, so legs alternate by row (L1/L2, or L1/L2/L3 on 3-phase).
+// Multi-pole breakers span consecutive rows in one column; a tandem sits in one
+// position with both circuits on the same leg.
+export const DEFAULT_IMBALANCE_THRESHOLD_PERCENT = 20;
+
+function getPanelLegs(service) {
+  return getServiceType(service).phases === 3 ? ['L1', 'L2', 'L3'] : ['L1', 'L2'];
+}
+
+export function getPositionLeg(position, legs) {
+  return legs[Math.floor((position - 1) / 2) % legs.length];
+}
+
+function breakerPoles(load) {
+  return load.breaker.type === 'Tandem' ? 1 : (load.breaker.poles || 1);
+}
+
+export function getBreakerSpan(start, poles) {
+  return Array.from({ length: poles }, (_, i) => start + i * 2);
+}
+
+// Connected watts on a breaker, including tandem Circuit B
+function breakerConnectedWatts(load) {
+  const b = load.breaker.type === 'Tandem' ? load.tandemCircuitB : null;
+  return (load.usage.assumedWatts || 0) + (b?.assumedWatts || 0);
+}
+
+export function buildPanelMap(loads, panel, service, demandRatio = null) {
+  const legs = getPanelLegs(service);
+  const totalSlots = panel.totalSlots;
+  const positions = Array.from({ length: totalSlots }, (_, i) => ({
+    position: i + 1,
+    leg: getPositionLeg(i + 1, legs),
+    loadId: null,
+  }));
+
+  const breakers = [];
+  const unplaced = [];
+  for (const load of loads) {
+    const start = parseInt(load.circuitNumber, 10);
+    const poles = breakerPoles(load);
+    const span = getBreakerSpan(start, poles);
+    const fits = start >= 1 && span.every(p => p <= totalSlots && !positions[p - 1].loadId);
+    if (!fits) {
+      unplaced.push({ loadId: load.id, poles, conflict: !!load.circuitNumber });
+      continue;
+    }
+    span.forEach(p => { positions[p - 1].loadId = load.id; });
+    breakers.push({ loadId: load.id, start, span, poles, isTandem: load.breaker.type === 'Tandem' });
+  }
+
+  // Per-leg connected load: multi-pole loads split evenly across their legs.
+  // Demand scales connected load by the panel's overall demand ratio.
+  const connected = Object.fromEntries(legs.map(leg => [leg, 0]));
+  for (const b of breakers) {
+    const load = loads.find(l => l.id === b.loadId);
+    const share = breakerConnectedWatts(load) / b.span.length;
+    b.span.forEach(p => { connected[getPositionLeg(p, legs)] += share; });
+  }
+  if (demandRatio === null) {
+    const connectedVA = sumConnectedWatts(loads);
+    demandRatio = connectedVA > 0 ? Math.min(1, calculateServiceLoad(loads, service).totalDemandVA / connectedVA) : 1;
+  }
+  const phaseVoltage = getServiceType(service).phaseVoltage;
+  const legLoads = legs.map(leg => ({
+    leg,
+    connectedVA: Math.round(connected[leg]),
+    demandVA: Math.round(connected[leg] * demandRatio),
+    connectedAmps: Math.round((connected[leg] / phaseVoltage) * 10) / 10,
+    demandAmps: Math.round((connected[leg] * demandRatio / phaseVoltage) * 10) / 10,
+  }));
+
+  // Imbalance: largest deviation from the average leg load, as % of the average
+  const avg = legLoads.reduce((sum, l) => sum + l.connectedVA, 0) / legs.length;
+  const imbalancePercent = avg > 0
+    ? Math.round(Math.max(...legLoads.map(l => Math.abs(l.connectedVA - avg))) / avg * 1000) / 10
+    : 0;
+  const thresholdPercent = panel.imbalanceThresholdPercent ?? DEFAULT_IMBALANCE_THRESHOLD_PERCENT;
+
+  // Unplaced breakers still need space, so they count against open slots
+  const occupiedSlots = positions.filter(p => p.loadId).length;
+  const unplacedSlots = unplaced.reduce((sum, u) => sum + u.poles, 0);
+  const usedSlots = occupiedSlots + unplacedSlots;
+
+  return {
+    legs,
+    positions,
+    breakers,
+    unplaced,
+    occupiedSlots,
+    usedSlots,
+    openSlots: Math.max(0, totalSlots - usedSlots),
+    legLoads,
+    imbalancePercent,
+    thresholdPercent,
+    imbalanced: imbalancePercent > thresholdPercent,
+  };
+}
+
+function sumConnectedWatts(loads) {
+  return expandTandemLoads(loads).reduce((sum, l) => sum + (l.usage.assumedWatts || 0), 0);
+}
+
+// Whether a breaker can start at a position (span free or already its own)
+export function canPlaceBreaker(map, loadId, poles, start) {
+  return getBreakerSpan(start, poles).every(p =>
+    p >= 1 && p <= map.positions.length && (!map.positions[p - 1].loadId || map.positions[p - 1].loadId === loadId));
+}
+
+// Assign circuit numbers to unplaced breakers, largest first, each into the
+// open position that leaves the legs most evenly loaded
+export function autoAssignCircuits(loads, panel, service) {
+  let current = loads;
+  let map = buildPanelMap(current, panel, service);
+  const pending = map.unplaced
+    .map(u => ({ ...u, watts: breakerConnectedWatts(loads.find(l => l.id === u.loadId)) }))
+    .sort((a, b) => b.watts - a.watts);
+
+  for (const u of pending) {
+    let best = null;
+    for (let start = 1; start <= map.positions.length; start++) {
+      if (!canPlaceBreaker(map, u.loadId, u.poles, start)) continue;
+      const legLoad = Object.fromEntries(map.legLoads.map(l => [l.leg, l.connectedVA]));
+      getBreakerSpan(start, u.poles).forEach(p => { legLoad[getPositionLeg(p, map.legs)] += u.watts / u.poles; });
+      const spread = Math.max(...Object.values(legLoad)) - Math.min(...Object.values(legLoad));
+      if (!best || spread < best.spread) best = { start, spread };
+    }
+    if (!best) break; // panel full
+    current = current.map(l => (l.id === u.loadId ? { ...l, circuitNumber: String(best.start) } : l));
+    map = buildPanelMap(current, panel, service);
+  }
+  return current;
+}
+
+// Panel tree: the main panel ('main') feeds subpanels, which may feed further subpanels
+export const MAIN_PANEL_ID = 'main';
+
+// Loads assigned to a panel; loads saved before panelId existed belong to the main panel
+export function getPanelOwnLoads(project, panelId) {
+  return project.loads.filter(l => (l.panelId || MAIN_PANEL_ID) === panelId);
+}
+
+// Ids of a panel and every subpanel downstream of it
+function getPanelSubtreeIds(project, panelId) {
+  const ids = [panelId];
+  for (let i = 0; i < ids.length; i++) {
+    (project.subpanels || []).filter(sp => sp.parentId === ids[i]).forEach(sp => ids.push(sp.id));
+  }
+  return ids;
+}
+
+// All loads served through a panel, including its downstream subpanels
+export function getPanelSubtreeLoads(project, panelId) {
+  const ids = getPanelSubtreeIds(project, panelId);
+  return project.loads.filter(l => ids.includes(l.panelId || MAIN_PANEL_ID));
+}
+
+export function getPanelConfig(project, panelId) {
+  if (panelId === MAIN_PANEL_ID) return project.panel;
+  const sp = (project.subpanels || []).find(p => p.id === panelId);
+  return sp && { ...sp, imbalanceThresholdPercent: project.panel.imbalanceThresholdPercent };
+}
+
+function feederPoles(service) {
+  return getServiceType(service).phases === 3 ? 3 : 2;
+}
+
+// Feeder breakers for the subpanels fed from a panel, shaped as loads for its slot map
+function buildFeederBreakerLoads(project, panelId) {
+  return (project.subpanels || []).filter(sp => sp.parentId === panelId).map(sp => ({
+    id: `feeder_${sp.id}`,
+    feederFor: sp.id,
+    circuitNumber: sp.feederCircuitNumber || '',
+    description: `Feeder: ${sp.name}`,
+    category: 'Subpanel Feeder',
+    breaker: { poles: feederPoles(project.service), amps: sp.feederBreakerAmps, type: 'Standard' },
+    usage: { assumedWatts: sumConnectedWatts(getPanelSubtreeLoads(project, sp.id)), hoursPerDay: 0 },
+    motor: { isMotor: false },
+    tandemCircuitB: null,
+  }));
+}
+
+// Loads placed in a panel's slot map: its own breakers plus feeders to its subpanels
+export function getPanelMapLoads(project, panelId = MAIN_PANEL_ID) {
+  return [...getPanelOwnLoads(project, panelId), ...buildFeederBreakerLoads(project, panelId)];
+}
+
+// Slot map for one panel in the tree. Leg demand uses the service calculation
+// for the main panel and the feeder calculation for subpanels.
+export function buildProjectPanelMap(project, panelId = MAIN_PANEL_ID) {
+  const config = getPanelConfig(project, panelId);
+  const subtree = getPanelSubtreeLoads(project, panelId);
+  const connectedVA = sumConnectedWatts(subtree);
+  const demandVA = panelId === MAIN_PANEL_ID
+    ? calculateServiceLoad(project.loads, project.service).totalDemandVA
+    : calculateFeederDemand(subtree, project.service, config.feederBreakerAmps).totalDemandVA;
+  const demandRatio = connectedVA > 0 ? Math.min(1, demandVA / connectedVA) : 1;
+  return buildPanelMap(getPanelMapLoads(project, panelId), config, project.service, demandRatio);
+}
+
+// Main panel slot usage behind every slot check: the slot map once loads are
+// entered, otherwise the used and tandem spaces entered in Step 1
+export function getMainPanelSlots(project) {
+  const { panel } = project;
+  const enteredUsedSlots = panel.usedSlots + (panel.tandemSlotsUsed || 0);
+  if (project.loads.length === 0) {
+    return { usedSlots: enteredUsedSlots, openSlots: Math.max(0, panel.totalSlots - enteredUsedSlots), enteredUsedSlots, fromMap: false };
+  }
+  const map = buildProjectPanelMap(project);
+  return { usedSlots: map.usedSlots, openSlots: map.openSlots, enteredUsedSlots, fromMap: true };
+}
+
+// Per-subpanel feeder demand, bus and slot checks
+export function calculateSubpanelChecks(project) {
+  return (project.subpanels || []).map(sp => {
+    const feeder = calculateFeederDemand(getPanelSubtreeLoads(project, sp.id), project.service, sp.feederBreakerAmps);
+    const map = buildProjectPanelMap(project, sp.id);
+    const parent = sp.parentId === MAIN_PANEL_ID
+      ? 'Main Panel'
+      : (project.subpanels.find(p => p.id === sp.parentId)?.name || 'Main Panel');
+    return {
+      subpanel: sp,
+      parentName: parent,
+      feeder,
+      busOK: sp.feederBreakerAmps <= sp.busRatingAmps,
+      conductors: selectFeederConductors(sp.feederBreakerAmps),
+      openSlots: map.openSlots,
+      usedSlots: map.usedSlots,
+      unplacedCount: map.unplaced.length,
+    };
+  });
+}
+
+// Where a new load needing `slotsNeeded` spaces can go when the main panel is full:
+// an existing subpanel with room and feeder capacity, otherwise a new subpanel off
+// the main sized for the load. The new feeder breaker needs space in the main, so
+// the smallest 1-pole circuits are relocated into the subpanel to make room.
+export function proposeSubpanel(project, newLoads, slotsNeeded) {
+  const { service } = project;
+  for (const sp of project.subpanels || []) {
+    if (buildProjectPanelMap(project, sp.id).openSlots < slotsNeeded) continue;
+    const feeder = calculateFeederDemand([...getPanelSubtreeLoads(project, sp.id), ...newLoads], service, sp.feederBreakerAmps);
+    if (feeder.status === 'Undersized') continue;
+    return {
+      type: 'existing',
+      subpanelId: sp.id,
+      name: sp.name,
+      feederBreakerAmps: sp.feederBreakerAmps,
+      totalSlots: sp.totalSlots,
+      busRatingAmps: sp.busRatingAmps,
+      relocatedLoadIds: [],
+      mainSlotShortfall: 0,
+      feeder,
+      conductors: selectFeederConductors(sp.feederBreakerAmps),
+    };
+  }
+
+  const poles = feederPoles(service);
+  const mainOpenSlots = buildProjectPanelMap(project).openSlots;
+  const relocateSlots = Math.max(0, poles - mainOpenSlots);
+  const relocated = getPanelOwnLoads(project, MAIN_PANEL_ID)
+    .filter(l => !l.isNECBaseline && l.breaker.poles === 1)
+    .sort((a, b) => sumConnectedWatts([a]) - sumConnectedWatts([b]))
+    .slice(0, relocateSlots);
+  const feederLoads = [...relocated, ...newLoads];
+  const requiredAmps = calculateFeederDemand(feederLoads, service, 1).serviceAmps;
+  const feederBreakerAmps = nextStandardOCPD(requiredAmps);
+  const spacesNeeded = slotsNeeded + relocated.length + 2; // two spare spaces
+
+  return {
+    type: 'new',
+    name: 'New Subpanel',
+    feederBreakerAmps,
+    feederPoles: poles,
+    totalSlots: SUBPANEL_SPACE_OPTIONS.find(n => n >= spacesNeeded) || SUBPANEL_SPACE_OPTIONS[SUBPANEL_SPACE_OPTIONS.length - 1],
+    busRatingAmps: SUBPANEL_BUS_OPTIONS.find(a => a >= feederBreakerAmps) || feederBreakerAmps,
+    relocatedLoadIds: relocated.map(l => l.id),
+    mainSlotShortfall: relocateSlots - relocated.length, // spaces still to free in the main (tandems, consolidation)
+    feeder: calculateFeederDemand(feederLoads, service, feederBreakerAmps),
+    conductors: selectFeederConductors(feederBreakerAmps),
+  };
+}
+
+// Shared NEC bucket categorization used by the 220.82 and 220.83 calculations
+const FIXED_APPLIANCE_CATEGORIES = [
+  'Dishwasher', 'Garbage Disposal', 'Microwave', 'Clothes Washer',
+  'Water Heater (Electric)', 'Dehumidifier',
+];
+
+function isFixedApplianceLoad(l) {
+  return FIXED_APPLIANCE_CATEGORIES.some(c => l.category.includes(c.replace('Electric ', '')));
+}
+
+function isCoolingLoad(l) {
+  return l.category === 'AC Condenser' || l.category === 'Heat Pump' || l.category === 'Air Handler';
+}
+
+function isHeatingLoad(l) {
+  return l.category.includes('Furnace') || l.category.includes('Boiler') || l.category === 'Electric Heat Strips';
+}
+
+function categorizeNECLoads(loads, sqFt, service) {
+  // General lighting & receptacles at 3 VA/sq ft
   let generalLoadVA = 0;
   if (sqFt && sqFt > 0) {
     generalLoadVA = sqFt * 3;
@@ -64,12 +433,72 @@ export function calculateNECOptionalMethod(loads, service, sqFt = null) {
     if (generalLoadVA === 0) generalLoadVA = 4500;
   }
 
-  // Step 2: Small appliance + laundry circuits (NEC 220.52)
-  const smallApplianceVA = 3000;
-  const laundryVA = 1500;
+  const fixedLoads = loads.filter(isFixedApplianceLoad);
+  const cookingLoads = loads.filter(l => l.category === 'Range/Oven' || l.category === 'Cooktop');
+  const dryerLoads = loads.filter(l => l.category === 'Electric Dryer');
+  const coolingLoads = loads.filter(isCoolingLoad);
+  const heatingLoads = loads.filter(isHeatingLoad);
+  const evLoads = loads.filter(l => l.category === 'EV Charger');
+  const otherLargeLoads = loads.filter(l =>
+    !isFixedApplianceLoad(l) &&
+    !cookingLoads.includes(l) &&
+    !dryerLoads.includes(l) &&
+    !coolingLoads.includes(l) &&
+    !heatingLoads.includes(l) &&
+    l.category !== 'General Lighting/Receptacles' &&
+    l.category !== 'EV Charger'
+  );
+
+  const sumWatts = (list) => list.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+  return {
+    generalLoadVA,
+    smallApplianceVA: 3000, // NEC 220.52(A): 2 circuits × 1500 VA
+    laundryVA: 1500, // NEC 220.52(B)
+    fixedLoads,
+    fixedLoadVA: sumWatts(fixedLoads),
+    cookingLoads,
+    cookingVA: sumWatts(cookingLoads),
+    dryerLoads,
+    dryerVA: sumWatts(dryerLoads),
+    coolingLoads,
+    // 220.82(C): AC / heat pump at nameplate when the HVAC nameplate is entered
+    coolingVA: coolingLoads.reduce((sum, l) => sum + (calculateHVACNameplate(l, service)?.va ?? l.usage.assumedWatts), 0),
+    heatingLoads,
+    heatingVA: sumWatts(heatingLoads),
+    otherLargeLoads,
+    otherLargeVA: sumWatts(otherLargeLoads),
+    evLoads,
+    evVA: sumWatts(evLoads),
+  };
+}
+
+// Convert total demand VA to service amps, utilization and status
+function buildServiceResult(totalDemandVA, service, extra) {
+  const serviceAmps = serviceAmpsFromVA(totalDemandVA, service);
+
+  let status = 'OK';
+  const ratio = serviceAmps / service.mainBreakerAmps;
+  if (ratio > 1.0) status = 'Undersized';
+  else if (ratio > 0.8) status = 'Borderline';
+
+  return {
+    totalDemandVA,
+    totalDemandKVA: totalDemandVA / 1000,
+    serviceAmps: Math.round(serviceAmps * 10) / 10,
+    status,
+    ratio: Math.round(ratio * 100),
+    ...extra,
+  };
+}
 
-  // Step 3: Apply demand factor to general + small appliance + laundry
-  const generalTotal = generalLoadVA + smallApplianceVA + laundryVA;
+// NEC Optional Method (simplified) - 220.82
+// Rev 6: service calc uses ALL loads (no per-row includeInServiceCalc filter)
+export function calculateNECOptionalMethod(allLoads, service, sqFt = null) {
+  const loads = expandTandemLoads(allLoads);
+  const buckets = categorizeNECLoads(loads, sqFt, service);
+
+  // General + small appliance + laundry: first 10 kVA at 100%, remainder at 40%
+  const generalTotal = buckets.generalLoadVA + buckets.smallApplianceVA + buckets.laundryVA;
   let demandGeneral;
   if (generalTotal <= 10000) {
     demandGeneral = generalTotal;
@@ -77,100 +506,394 @@ export function calculateNECOptionalMethod(loads, service, sqFt = null) {
     demandGeneral = 10000 + (generalTotal - 10000) * 0.4;
   }
 
-  // Step 4: Fixed appliances (no includeInServiceCalc filter)
-  const fixedCategories = [
-    'Dishwasher', 'Garbage Disposal', 'Microwave', 'Clothes Washer',
-    'Water Heater (Electric)', 'Dehumidifier',
-  ];
-  const fixedLoads = loads.filter(l =>
-    fixedCategories.some(c => l.category.includes(c.replace('Electric ', '')))
-  );
-  let fixedLoadVA = fixedLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
-  if (fixedLoads.length >= 4) {
+  // Fixed appliances (no includeInServiceCalc filter)
+  let fixedLoadVA = buckets.fixedLoadVA;
+  if (buckets.fixedLoads.length >= 4) {
     fixedLoadVA *= 0.75;
   }
 
-  // Step 5: Cooking
-  const cookingLoads = loads.filter(l =>
-    (l.category === 'Range/Oven' || l.category === 'Cooktop')
-  );
+  // Cooking
   let cookingDemand = 0;
-  if (cookingLoads.length > 0) {
-    const totalCookingWatts = cookingLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
-    if (cookingLoads.length === 1 && totalCookingWatts <= 12000) {
+  if (buckets.cookingLoads.length > 0) {
+    if (buckets.cookingLoads.length === 1 && buckets.cookingVA <= 12000) {
       cookingDemand = 8000;
     } else {
-      cookingDemand = totalCookingWatts * 0.65;
+      cookingDemand = buckets.cookingVA * 0.65;
     }
   }
 
-  // Step 6: Dryer
-  const dryerLoads = loads.filter(l => l.category === 'Electric Dryer');
+  // Dryer
   let dryerDemand = 0;
-  if (dryerLoads.length > 0) {
-    dryerDemand = Math.max(5000, dryerLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0));
+  if (buckets.dryerLoads.length > 0) {
+    dryerDemand = Math.max(5000, buckets.dryerVA);
   }
 
-  // Step 7: HVAC
-  const coolingLoads = loads.filter(l =>
-    (l.category === 'AC Condenser' || l.category === 'Heat Pump' || l.category === 'Air Handler')
-  );
-  const coolingVA = coolingLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+  // HVAC: larger of heating or cooling (noncoincident)
+  const hvacDemand = Math.max(buckets.coolingVA, buckets.heatingVA);
 
-  const heatingLoads = loads.filter(l =>
-    l.category.includes('Furnace') || l.category.includes('Boiler')
-  );
-  const heatingVA = heatingLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
-  const hvacDemand = Math.max(coolingVA, heatingVA);
+  const totalDemandVA = demandGeneral + fixedLoadVA + cookingDemand + dryerDemand + hvacDemand + buckets.otherLargeVA + buckets.evVA;
 
-  // Step 8: Other large loads (all remaining)
-  const otherLargeLoads = loads.filter(l =>
-    !fixedCategories.some(c => l.category.includes(c.replace('Electric ', ''))) &&
-    !cookingLoads.includes(l) &&
-    !dryerLoads.includes(l) &&
-    !coolingLoads.includes(l) &&
-    !heatingLoads.includes(l) &&
-    l.category !== 'General Lighting/Receptacles' &&
-    l.category !== 'EV Charger'
-  );
-  const otherLargeVA = otherLargeLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+  return buildServiceResult(totalDemandVA, service, {
+    method: '220.82',
+    methodLabel: 'NEC 220.82 Optional Method',
+    breakdown: {
+      generalAndSmallAppliance: Math.round(demandGeneral),
+      fixedAppliances: Math.round(fixedLoadVA),
+      cooking: Math.round(cookingDemand),
+      dryer: Math.round(dryerDemand),
+      hvac: Math.round(hvacDemand),
+      otherLarge: Math.round(buckets.otherLargeVA),
+      ev: Math.round(buckets.evVA),
+    },
+  });
+}
 
-  // EV load
-  const evLoads = loads.filter(l => l.category === 'EV Charger');
-  const evVA = evLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+// NEC 220.83 - Existing dwelling unit with additional load.
+// Loads flagged isNewLoad are the additions. If any new load is AC/heating
+// equipment, 220.83(B) applies: 100% of the larger of heating/cooling plus
+// 100% of the first 8 kVA of all other load and 40% of the remainder.
+// Otherwise 220.83(A): 100% of the first 8 kVA of all load, 40% of the remainder.
+export function calculateNECExistingDwelling(allLoads, service, sqFt = null) {
+  const loads = expandTandemLoads(allLoads);
+  const buckets = categorizeNECLoads(loads, sqFt, service);
 
-  const totalDemandVA = demandGeneral + fixedLoadVA + cookingDemand + dryerDemand + hvacDemand + otherLargeVA + evVA;
-  const serviceAmps = totalDemandVA / service.serviceVoltage;
+  const addingHVAC = loads.some(l => l.isNewLoad && (isCoolingLoad(l) || isHeatingLoad(l)));
+  const hvacVA = Math.max(buckets.coolingVA, buckets.heatingVA);
 
-  let status = 'OK';
-  const ratio = serviceAmps / service.mainBreakerAmps;
-  if (ratio > 1.0) status = 'Undersized';
-  else if (ratio > 0.8) status = 'Borderline';
+  // All appliances at nameplate (220.83(A)(1)-(3) / (B)(2))
+  const generalTotal = buckets.generalLoadVA + buckets.smallApplianceVA + buckets.laundryVA;
+  const otherLoadVA = generalTotal + buckets.fixedLoadVA + buckets.cookingVA + buckets.dryerVA
+    + buckets.otherLargeVA + buckets.evVA + (addingHVAC ? 0 : hvacVA);
+
+  const first8kVA = Math.min(otherLoadVA, 8000);
+  const remainderAt40 = Math.max(0, otherLoadVA - 8000) * 0.4;
+  const hvacDemand = addingHVAC ? hvacVA : 0;
+  const totalDemandVA = first8kVA + remainderAt40 + hvacDemand;
+
+  const subsection = addingHVAC ? '220.83(B)' : '220.83(A)';
+  return buildServiceResult(totalDemandVA, service, {
+    method: subsection,
+    methodLabel: `NEC ${subsection} Existing Dwelling`,
+    breakdown: {
+      generalAndSmallAppliance: Math.round(generalTotal),
+      fixedAppliances: Math.round(buckets.fixedLoadVA),
+      cooking: Math.round(buckets.cookingVA),
+      dryer: Math.round(buckets.dryerVA),
+      hvac: Math.round(addingHVAC ? hvacDemand : hvacVA),
+      otherLarge: Math.round(buckets.otherLargeVA),
+      ev: Math.round(buckets.evVA),
+      first8kVA: Math.round(first8kVA),
+      remainderAt40: Math.round(remainderAt40),
+      hvacAt100: Math.round(hvacDemand),
+    },
+  });
+}
+
+// NEC Table 220.55 Column C maximum demand (kW) for ranges not over 12 kW, by count
+const RANGE_COLUMN_C_KW = [0, 8, 11, 14, 17, 20, 21, 22, 23, 24, 25];
+// NEC Table 220.55 Column A (< 3.5 kW) and Column B (3.5 - 8.75 kW) demand factors, by count
+const RANGE_COLUMN_A_FACTOR = [0, 0.8, 0.75, 0.7, 0.66, 0.62, 0.59, 0.56, 0.53, 0.51, 0.49];
+const RANGE_COLUMN_B_FACTOR = [0, 0.8, 0.65, 0.55, 0.5, 0.45, 0.43, 0.4, 0.36, 0.35, 0.34];
+
+function tableLookup(table, count) {
+  return table[Math.min(count, table.length - 1)];
+}
+
+// NEC 220.55 cooking demand. Units over 8.75 kW use Column C (Note 1/2:
+// +5% per kW of average rating over 12 kW); smaller units use Columns A/B.
+function calculateCookingDemand220_55(cookingLoads) {
+  const colA = cookingLoads.filter(l => l.usage.assumedWatts < 3500);
+  const colB = cookingLoads.filter(l => l.usage.assumedWatts >= 3500 && l.usage.assumedWatts <= 8750);
+  const colC = cookingLoads.filter(l => l.usage.assumedWatts > 8750);
+
+  let demand = 0;
+  if (colA.length > 0) {
+    demand += colA.reduce((sum, l) => sum + l.usage.assumedWatts, 0) * tableLookup(RANGE_COLUMN_A_FACTOR, colA.length);
+  }
+  if (colB.length > 0) {
+    demand += colB.reduce((sum, l) => sum + l.usage.assumedWatts, 0) * tableLookup(RANGE_COLUMN_B_FACTOR, colB.length);
+  }
+  if (colC.length > 0) {
+    const avgKW = Math.max(12, colC.reduce((sum, l) => sum + l.usage.assumedWatts, 0) / colC.length / 1000);
+    demand += tableLookup(RANGE_COLUMN_C_KW, colC.length) * 1000 * (1 + 0.05 * (avgKW - 12));
+  }
+  return demand;
+}
+
+// NEC Standard Method - Article 220 Part III (220.40 - 220.61)
+// Article 220 Part III demand for bucketed loads; shared by the service and feeder calculations
+function standardMethodDemand(buckets, service) {
+  // 220.42 (Table 220.42) lighting demand, including 220.52 small appliance + laundry:
+  // first 3 kVA at 100%, 3 - 120 kVA at 35%, remainder at 25%
+  const generalTotal = buckets.generalLoadVA + buckets.smallApplianceVA + buckets.laundryVA;
+  const demandGeneral = Math.min(generalTotal, 3000)
+    + Math.max(0, Math.min(generalTotal, 120000) - 3000) * 0.35
+    + Math.max(0, generalTotal - 120000) * 0.25;
+
+  // 220.53 appliances fastened in place: 75% when four or more.
+  // NEC baseline "Other" rows are the 220.52 circuits already counted above.
+  const fastenedLoads = [
+    ...buckets.fixedLoads,
+    ...buckets.otherLargeLoads.filter(l => !l.isNECBaseline),
+  ];
+  let fixedLoadVA = fastenedLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+  if (fastenedLoads.length >= 4) {
+    fixedLoadVA *= 0.75;
+  }
+
+  // 220.54 dryers: 5000 VA or nameplate, whichever is larger (100% for 1-4 dryers)
+  const dryerDemand = buckets.dryerLoads.reduce((sum, l) => sum + Math.max(5000, l.usage.assumedWatts), 0);
+
+  // 220.55 cooking
+  const cookingDemand = calculateCookingDemand220_55(buckets.cookingLoads);
+
+  // 220.60 noncoincident loads: larger of heating or cooling
+  const hvacDemand = Math.max(buckets.coolingVA, buckets.heatingVA);
+
+  // 220.57 EVSE: 7200 W or nameplate, whichever is larger
+  const evDemand = buckets.evLoads.reduce((sum, l) => sum + Math.max(7200, l.usage.assumedWatts), 0);
+
+  // 220.50 / 430.24: 25% of the largest motor among the loads counted above
+  const hvacLoads = buckets.coolingVA >= buckets.heatingVA ? buckets.coolingLoads : buckets.heatingLoads;
+  const largestMotorVA = Math.max(0, ...[...fastenedLoads, ...hvacLoads]
+    .filter(l => l.motor?.isMotor)
+    .map(l => calculateHVACNameplate(l, service)?.va ?? l.usage.assumedWatts));
+  const motorAdder = largestMotorVA * 0.25;
 
   return {
-    totalDemandVA,
-    totalDemandKVA: totalDemandVA / 1000,
-    serviceAmps: Math.round(serviceAmps * 10) / 10,
-    status,
-    ratio: Math.round(ratio * 100),
+    totalDemandVA: demandGeneral + fixedLoadVA + dryerDemand + cookingDemand + hvacDemand + evDemand + motorAdder,
     breakdown: {
       generalAndSmallAppliance: Math.round(demandGeneral),
       fixedAppliances: Math.round(fixedLoadVA),
       cooking: Math.round(cookingDemand),
       dryer: Math.round(dryerDemand),
       hvac: Math.round(hvacDemand),
-      otherLarge: Math.round(otherLargeVA),
+      otherLarge: 0, // included in 220.53 fixed appliances
+      ev: Math.round(evDemand),
+      largestMotor: Math.round(motorAdder),
+    },
+  };
+}
+
+export function calculateNECStandardMethod(allLoads, service, sqFt = null) {
+  const loads = expandTandemLoads(allLoads);
+  const { totalDemandVA, breakdown } = standardMethodDemand(categorizeNECLoads(loads, sqFt, service), service);
+
+  return buildServiceResult(totalDemandVA, service, {
+    method: 'standard',
+    methodLabel: 'NEC Standard Method (Art. 220 Part III)',
+    breakdown,
+  });
+}
+
+// NEC 215.2 feeder demand for the loads a subpanel serves, using Article 220
+// Part III. Only the general, small-appliance and laundry circuits actually on
+// the feeder count, and continuous EV load is sized at 125% (215.2(A)(1)).
+// Status compares required amps to the feeder breaker.
+export function calculateFeederDemand(allLoads, service, feederBreakerAmps) {
+  const loads = expandTandemLoads(allLoads);
+  const sumWatts = (list) => list.reduce((sum, l) => sum + (l.usage.assumedWatts || 0), 0);
+  const buckets = {
+    ...categorizeNECLoads(loads, null, service),
+    generalLoadVA: sumWatts(loads.filter(l => l.category === 'General Lighting/Receptacles')),
+    smallApplianceVA: sumWatts(loads.filter(l => l.isNECBaseline && l.category !== 'General Lighting/Receptacles')),
+    laundryVA: 0,
+  };
+  const { totalDemandVA, breakdown } = standardMethodDemand(buckets, service);
+  const continuousVA = breakdown.ev * 0.25;
+
+  return buildServiceResult(totalDemandVA + continuousVA, { ...service, mainBreakerAmps: feederBreakerAmps }, {
+    method: 'feeder',
+    methodLabel: 'NEC 215.2 Feeder (Art. 220 Part III)',
+    demandVA: Math.round(totalDemandVA),
+    continuousAdderVA: Math.round(continuousVA),
+    breakdown,
+  });
+}
+
+// Smallest 75°C copper and aluminum conductors rated for a feeder breaker
+export function selectFeederConductors(breakerAmps) {
+  const copper = CONDUCTOR_AMPACITY_75C.find(c => c.copper >= breakerAmps);
+  const aluminum = CONDUCTOR_AMPACITY_75C.find(c => c.aluminum >= breakerAmps);
+  return { copper: copper?.size || null, aluminum: aluminum?.size || null };
+}
+
+// NEC 220.87 measures demand over 15-minute intervals
+export const MEASURED_DEMAND_INTERVAL_MINUTES = 15;
+
+// Peak kW from 220.87 measured data: 12 monthly billing peaks or parsed interval data
+export function getMeasuredPeak(measuredDemand) {
+  if (!measuredDemand) return null;
+  if (measuredDemand.source === 'interval') {
+    const interval = measuredDemand.interval;
+    if (!interval || !(interval.peakKW > 0)) return null;
+    return {
+      peakKW: interval.peakKW,
+      months: interval.monthlyPeaks.length,
+      source: 'interval',
+      intervalMinutes: interval.intervalMinutes,
+      intervalTooLong: interval.intervalMinutes > MEASURED_DEMAND_INTERVAL_MINUTES,
+    };
+  }
+  const peaks = (measuredDemand.monthlyPeakKW || []).map(Number).filter(kw => kw > 0);
+  if (peaks.length === 0) return null;
+  return { peakKW: Math.max(...peaks), months: peaks.length, source: 'billing' };
+}
+
+// NEC 220.87 - Determining existing loads from measured maximum demand.
+// Existing demand = highest demand over 12 months × 125%; loads flagged
+// isNewLoad (including a proposed EV charger) are added at nameplate.
+export function calculateNECMeasuredDemand(allLoads, service) {
+  const measured = getMeasuredPeak(service.measuredDemand);
+  if (!measured) return null;
+
+  const loads = expandTandemLoads(allLoads);
+  const newLoads = loads.filter(l => l.isNewLoad);
+  const existingVA = measured.peakKW * 1000 * 1.25;
+  const newLoadVA = newLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+  const evVA = newLoads.filter(l => l.category === 'EV Charger').reduce((sum, l) => sum + l.usage.assumedWatts, 0);
+
+  return buildServiceResult(existingVA + newLoadVA, service, {
+    method: '220.87',
+    methodLabel: 'NEC 220.87 Measured Demand',
+    monthsOfData: measured.months,
+    dataIncomplete: measured.months < 12,
+    intervalMinutes: measured.intervalMinutes || null,
+    intervalTooLong: !!measured.intervalTooLong,
+    breakdown: {
+      measuredPeak: Math.round(measured.peakKW * 1000),
+      measuredExisting: Math.round(existingVA),
+      newLoad: Math.round(newLoadVA - evVA),
       ev: Math.round(evVA),
     },
+  });
+}
+
+// Warning for interval data coarser than 220.87's 15-minute demand: averaging
+// over longer intervals flattens short peaks
+export function describeIntervalLengthWarning(intervalMinutes) {
+  return `Interval data is ${intervalMinutes}-minute; NEC 220.87 uses 15-minute demand, `
+    + `so this peak may understate the existing load.`;
+}
+
+// Parse a utility interval-data CSV (e.g. Green Button 15-minute export).
+// Accepts kWh-per-interval or kW columns; returns overall and monthly peaks.
+export function parseIntervalData(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length === 0) throw new Error('CSV file is empty');
+
+  const delimiter = lines[0].includes('\t') ? '\t' : (lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',');
+  const split = (line) => line.split(delimiter).map(c => c.replace(/^"|"$/g, '').trim());
+  const isNumeric = (v) => v !== '' && !isNaN(Number(v));
+
+  // Header row: last row before the first row with a parseable date and a number
+  let headerIdx = -1;
+  for (let i = 0; i < lines.length; i++) {
+    const cells = split(lines[i]);
+    if (cells.some(isNumeric) && cells.some(c => !isNumeric(c) && !isNaN(Date.parse(c)))) break;
+    headerIdx = i;
+  }
+  const header = headerIdx >= 0 ? split(lines[headerIdx]).map(h => h.toLowerCase()) : [];
+  const dataLines = lines.slice(headerIdx + 1).map(split);
+  if (dataLines.length === 0) throw new Error('No interval readings found');
+
+  let valueCol = header.findIndex(h => /kw|usage|demand|consumption|value/.test(h) && !/cost|\$/.test(h));
+  if (valueCol < 0) {
+    const first = dataLines[0];
+    for (let c = first.length - 1; c >= 0; c--) {
+      if (isNumeric(first[c])) { valueCol = c; break; }
+    }
+  }
+  let dateCol = header.findIndex(h => /date/.test(h));
+  if (dateCol < 0) dateCol = dataLines[0].findIndex(c => !isNumeric(c) && !isNaN(Date.parse(c)));
+  const timeCol = header.findIndex((h, i) => i !== dateCol && /start|time/.test(h) && !/end/.test(h));
+  const isKWh = valueCol < 0 || !header[valueCol] || /kwh|usage|consumption/.test(header[valueCol]) || !/kw/.test(header[valueCol]);
+
+  const readings = [];
+  for (const cells of dataLines) {
+    const raw = cells[valueCol];
+    if (!isNumeric(raw)) continue;
+    const stamp = timeCol >= 0 && !cells[dateCol]?.includes(':') ? `${cells[dateCol]} ${cells[timeCol]}` : cells[dateCol];
+    const t = new Date(stamp);
+    if (isNaN(t.getTime())) continue;
+    readings.push({ t, v: Number(raw) });
+  }
+  if (readings.length === 0) throw new Error('No interval readings found');
+  readings.sort((a, b) => a.t - b.t);
+
+  // Interval length from the most common spacing between readings (default 15 min)
+  const gaps = {};
+  for (let i = 1; i < readings.length; i++) {
+    const mins = Math.round((readings[i].t - readings[i - 1].t) / 60000);
+    if (mins > 0) gaps[mins] = (gaps[mins] || 0) + 1;
+  }
+  const intervalMinutes = Number(Object.entries(gaps).sort((a, b) => b[1] - a[1])[0]?.[0]) || 15;
+
+  let peakKW = 0;
+  let peakAt = null;
+  const monthly = {};
+  for (const r of readings) {
+    const kw = isKWh ? r.v * 60 / intervalMinutes : r.v;
+    const month = `${r.t.getFullYear()}-${String(r.t.getMonth() + 1).padStart(2, '0')}`;
+    monthly[month] = Math.max(monthly[month] || 0, kw);
+    if (kw > peakKW) {
+      peakKW = kw;
+      peakAt = r.t.toISOString();
+    }
+  }
+
+  return {
+    peakKW: Math.round(peakKW * 100) / 100,
+    peakAt,
+    intervalMinutes,
+    readingCount: readings.length,
+    monthlyPeaks: Object.entries(monthly).map(([month, kw]) => ({ month, peakKW: Math.round(kw * 100) / 100 })),
+  };
+}
+
+// Optional method pathway: 220.83 when any load is flagged as new, otherwise 220.82
+function calculateOptionalPathway(loads, service, sqFt) {
+  const hasNewLoads = expandTandemLoads(loads).some(l => l.isNewLoad);
+  return hasNewLoads
+    ? calculateNECExistingDwelling(loads, service, sqFt)
+    : calculateNECOptionalMethod(loads, service, sqFt);
+}
+
+// Service calculation that drives adequacy status.
+// service.necMethod: 'optional' (220.82/220.83, default), 'standard' (Part III)
+// or 'measured' (220.87, falls back to optional until measured data is entered)
+export function calculateServiceLoad(loads, service, sqFt = null) {
+  if (service.necMethod === 'standard') {
+    return calculateNECStandardMethod(loads, service, sqFt);
+  }
+  if (service.necMethod === 'measured') {
+    const measured = calculateNECMeasuredDemand(loads, service);
+    if (measured) return measured;
+  }
+  return calculateOptionalPathway(loads, service, sqFt);
+}
+
+// All methods side by side for comparison views (measured is null without data)
+export function compareServiceMethods(loads, service, sqFt = null) {
+  const measured = calculateNECMeasuredDemand(loads, service);
+  let selected = 'optional';
+  if (service.necMethod === 'standard') selected = 'standard';
+  else if (service.necMethod === 'measured' && measured) selected = 'measured';
+  return {
+    optional: calculateOptionalPathway(loads, service, sqFt),
+    standard: calculateNECStandardMethod(loads, service, sqFt),
+    measured,
+    selected,
   };
 }
 
 // Practical summed model (for battery sizing)
 // Rev 6: no includeInServiceCalc filter when includeLoadIds is null
 export function calculatePracticalLoad(loads, includeLoadIds = null) {
+  const expanded = expandTandemLoads(loads);
   let filteredLoads = includeLoadIds
-    ? loads.filter(l => includeLoadIds.includes(l.id))
-    : loads;
+    ? expanded.filter(l => includeLoadIds.includes(l.id))
+    : expanded;
 
   const totalRunningWatts = filteredLoads.reduce((sum, l) => sum + l.usage.assumedWatts, 0);
   const totalDailyWh = filteredLoads.reduce((sum, l) =>
@@ -178,7 +901,7 @@ export function calculatePracticalLoad(loads, includeLoadIds = null) {
 
   const motorLoads = filteredLoads.filter(l => l.motor.isMotor);
   const largestMotorWatts = motorLoads.reduce((max, l) => Math.max(max, l.usage.assumedWatts), 0);
-  const largestMotorLRA = motorLoads.reduce((max, l) => Math.max(max, l.motor.lra || 0), 0);
+  const largestMotorLRA = motorLoads.reduce((max, l) => Math.max(max, getEffectiveStartLRA(l)), 0);
 
   return {
     totalRunningWatts,
@@ -191,182 +914,1368 @@ export function calculatePracticalLoad(loads, includeLoadIds = null) {
   };
 }
 
-// Battery sizing calculation - Rev 10: fix scaling, max config, notFeasible
-// Rev 9: solar offset support
-export function calculateBatterySizing(loads, backupDays, options = {}) {
-  const { includeLoadIds = null, solarOffsetPercent = 0, proposedEVLoads = null } = options;
+const isSoftStarted = (motor) => motor.startType === 'softStarterInstalled' || motor.startType === 'softStarterProposed';
 
-  let filteredLoads = loads.filter(l => {
-    if (includeLoadIds) return includeLoadIds.includes(l.id);
-    if (!l.usage.includeInBatteryCalc) return false;
-    // Existing EV charger loads in Step 3 are always included in whole-home sizing
-    return true;
+// Motor supply for the NEC FLA tables: three-phase only for a 3-pole breaker
+// on a 3-phase service
+function getMotorSupply(load, service) {
+  const phases = load.breaker.poles === 3 && getServiceType(service).phases === 3 ? 3 : 1;
+  return { voltage: getLoadVoltage(load, service), phases };
+}
+
+// Horsepower rows of the FLA table that applies to a load's supply
+export function getMotorHPOptions(load, service) {
+  return getMotorSupply(load, service).phases === 3 ? MOTOR_FLA_THREE_PHASE : MOTOR_FLA_SINGLE_PHASE;
+}
+
+// Full-load current from NEC Table 430.248 (single-phase) or 430.250
+// (three-phase), read in the column of the nearest rated motor voltage
+// (120V -> 115V, 240V -> 230V, 480V -> 460V). Null when the HP is not listed.
+export function lookupMotorFLA(hp, voltage, phases) {
+  const threePhase = phases === 3;
+  const voltages = threePhase ? MOTOR_FLA_VOLTAGES_THREE_PHASE : MOTOR_FLA_VOLTAGES_SINGLE_PHASE;
+  const row = (threePhase ? MOTOR_FLA_THREE_PHASE : MOTOR_FLA_SINGLE_PHASE).find(r => Math.abs(r.hp - hp) < 0.001);
+  if (!row) return null;
+  let col = -1;
+  voltages.forEach((v, i) => {
+    if (row.amps[i] === null) return;
+    if (col < 0 || Math.abs(v - voltage) < Math.abs(voltages[col] - voltage)) col = i;
   });
+  return { amps: row.amps[col], tableVoltage: voltages[col], table: threePhase ? '430.250' : '430.248' };
+}
 
-  // Append proposed EV charger(s) from Step 4 when toggle is ON
-  if (proposedEVLoads && proposedEVLoads.length > 0) {
-    filteredLoads = [...filteredLoads, ...proposedEVLoads];
-  }
+// Locked-rotor amps from the NEC 430.7(B) code letter, at the top of the
+// letter's kVA/HP band (bottom of the open-ended V band) to stay conservative
+export function estimateCodeLetterLRA(hp, codeLetter, voltage, phases) {
+  const band = LOCKED_ROTOR_CODE_LETTERS.find(c => c.letter === codeLetter);
+  if (!band || !(hp > 0)) return null;
+  const kva = hp * (band.maxKVAPerHP ?? band.minKVAPerHP);
+  return Math.round((kva * 1000) / (voltage * (phases === 3 ? Math.sqrt(3) : 1)));
+}
 
-  // Apply partial home custom hours
-  if (options.partialSelections) {
-    filteredLoads = filteredLoads.map(l => {
-      const sel = options.partialSelections[l.id];
-      if (sel) {
-        return { ...l, usage: { ...l.usage, hoursPerDay: sel.hoursPerDay } };
-      }
+// HP-based motor entry: table FLA, running VA at the load's supply voltage and
+// (with a code letter) the estimated LRA. Null without a listed horsepower.
+export function calculateMotorFromHP(load, service) {
+  if (!load.motor?.hp) return null;
+  const { voltage, phases } = getMotorSupply(load, service);
+  const fla = lookupMotorFLA(load.motor.hp, voltage, phases);
+  if (!fla) return null;
+  return {
+    ...fla,
+    voltage,
+    phases,
+    watts: Math.round(fla.amps * voltage * (phases === 3 ? Math.sqrt(3) : 1)),
+    lra: load.motor.codeLetter ? estimateCodeLetterLRA(load.motor.hp, load.motor.codeLetter, voltage, phases) : null,
+  };
+}
+
+// HVAC nameplate of an AC condenser or heat pump row; null when not entered
+export function getHVACNameplate(load) {
+  return load.hvac && HVAC_NAMEPLATE_CATEGORIES.includes(load.category) ? load.hvac : null;
+}
+
+// Running amps and VA from an HVAC nameplate: compressor RLA + fan FLA, else
+// backed out of the MCA (1.25 x RLA + FLA), else tonnage over an EER2
+// estimated from SEER2. The VA is the row's running watts and its 220.82 HVAC
+// nameplate load; the breaker may not exceed the MOCP.
+export function calculateHVACNameplate(load, service) {
+  const hvac = getHVACNameplate(load);
+  if (!hvac) return null;
+  const voltsPerAmp = getLoadVoltsPerAmp(load, service);
+  const fanFLA = hvac.fanFLA || 0;
+  let amps = null;
+  let basis = null;
+  if (hvac.compressorRLA > 0) {
+    amps = hvac.compressorRLA + fanFLA;
+    basis = 'RLA + fan FLA';
+  } else if (hvac.mca > 0) {
+    amps = (hvac.mca - fanFLA) / 1.25 + fanFLA;
+    basis = 'MCA';
+  } else if (hvac.tonnage > 0 && hvac.seer2 > 0) {
+    amps = (hvac.tonnage * 12000) / (hvac.seer2 * SEER2_TO_EER2) / voltsPerAmp;
+    basis = 'Tonnage / SEER2';
+  }
+  return {
+    runningAmps: amps === null ? null : Math.round(amps * 10) / 10,
+    va: amps === null ? null : Math.round(amps * voltsPerAmp),
+    basis,
+    mocp: hvac.mocp || null,
+    breakerOK: hvac.mocp ? load.breaker.amps <= hvac.mocp : null,
+  };
+}
+
+// Start data for a motor row: an entered HVAC nameplate supplies the compressor
+// LRA and inverter drive, otherwise the row's own motor fields
+export function getMotorStart(load) {
+  const hvac = getHVACNameplate(load);
+  if (!hvac) return load.motor;
+  return {
+    ...load.motor,
+    lra: hvac.compressorLRA || load.motor.lra,
+    startType: hvac.inverter ? 'inverter' : load.motor.startType,
+  };
+}
+
+// Inrush a motor load presents to the battery inverter: full LRA direct-on-line,
+// reduced with a soft starter, none for inverter-driven compressors
+export function getEffectiveStartLRA(load) {
+  const motor = load.motor && getMotorStart(load);
+  if (!motor?.isMotor || motor.startType === 'inverter') return 0;
+  if (!motor.lra) return 0;
+  if (isSoftStarted(motor)) {
+    const reduction = motor.softStarterReductionPercent ?? DEFAULT_SOFT_STARTER_REDUCTION_PERCENT;
+    return Math.round(motor.lra * (1 - reduction / 100));
+  }
+  return motor.lra;
+}
+
+// Motor loads whose start current still needs an LRA (inverter compressors do not)
+function needsStartLRA(load) {
+  return load.motor?.isMotor && getMotorStart(load).startType !== 'inverter';
+}
+
+// Short-duration surge while motors start: the running load at the worst hour
+// plus the inrush of the largest motor (or the N largest starting together).
+// Inrush kVA = start LRA x volts; the locked-rotor power factor turns it into the
+// kW that a battery's 10-second peak rating is stated in.
+export function calculateMotorSurge(motorLoads, runningKW, simultaneousStarts = 1, service = {}) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const starting = motorLoads
+    .map(l => ({ load: l, kVA: getEffectiveStartLRA(l) * getLoadVoltsPerAmp(l, service) / 1000 }))
+    .filter(m => m.kVA > 0)
+    .sort((a, b) => b.kVA - a.kVA)
+    .slice(0, simultaneousStarts);
+  const inrushKVA = starting.reduce((sum, m) => sum + m.kVA, 0);
+  const inrushKW = inrushKVA * LOCKED_ROTOR_POWER_FACTOR;
+  return {
+    runningKW: round1(runningKW),
+    inrushKVA: round1(inrushKVA),
+    inrushKW: round1(inrushKW),
+    surgeKW: round1(runningKW + inrushKW),
+    simultaneousStarts,
+    startingLoads: starting.map(m => m.load.description || m.load.category),
+  };
+}
+
+// Spread a load's daily run hours across the day in proportion to its profile
+// shape, capping any hour at full duty and pushing the excess to other hours
+function distributeRunHours(hoursPerDay, shape) {
+  const duty = new Array(24).fill(0);
+  let remaining = Math.min(24, Math.max(0, hoursPerDay));
+  let open = shape.map((w, h) => (w > 0 ? h : null)).filter(h => h !== null);
+  while (remaining > 1e-9 && open.length > 0) {
+    const weight = open.reduce((sum, h) => sum + shape[h], 0);
+    const scale = remaining / weight;
+    const full = open.filter(h => duty[h] + shape[h] * scale >= 1);
+    if (full.length === 0) {
+      open.forEach(h => { duty[h] += shape[h] * scale; });
+      remaining = 0;
+    } else {
+      full.forEach(h => { remaining -= 1 - duty[h]; duty[h] = 1; });
+      open = open.filter(h => duty[h] < 1);
+    }
+  }
+  // Shape has no room left (e.g. 20 h/day on a 7-hour profile): fill the off hours evenly
+  if (remaining > 1e-9) {
+    const idle = duty.map((d, h) => (d < 1 ? h : null)).filter(h => h !== null);
+    const spare = idle.reduce((sum, h) => sum + (1 - duty[h]), 0);
+    idle.forEach(h => { duty[h] += (1 - duty[h]) * Math.min(1, remaining / spare); });
+  }
+  return duty;
+}
+
+export function getLoadProfileShape(load) {
+  return LOAD_PROFILES[CATEGORY_PROFILES[load.category]] || LOAD_PROFILES.daytime;
+}
+
+// Hourly load-profile simulation over the backup window. Each load runs its
+// hoursPerDay on the category's default shape; the coincident peak is the worst
+// hourly average plus the largest load cycling on for the rest of that hour.
+// isLoadOn(load, hour), when given, switches a load off in the hours it returns false.
+export function simulateLoadProfile(loads, backupDays, outageStartHour = 0, isLoadOn = null) {
+  const hourlyW = new Array(24).fill(0);
+  const cyclingW = new Array(24).fill(0);
+  loads.forEach(l => {
+    const watts = l.usage.assumedWatts || 0;
+    if (watts <= 0) return;
+    const duty = distributeRunHours(l.usage.hoursPerDay || 0, getLoadProfileShape(l));
+    duty.forEach((d, h) => {
+      if (d <= 0 || (isLoadOn && !isLoadOn(l, h))) return;
+      hourlyW[h] += watts * d;
+      cyclingW[h] = Math.max(cyclingW[h], watts * (1 - d));
+    });
+  });
+
+  const hourlyKW = hourlyW.map(w => Math.round(w / 10) / 100);
+  const peakByHourKW = hourlyW.map((w, h) => (w + cyclingW[h]) / 1000);
+  // Ties (common when one large load dominates) go to the hour with the higher average
+  const peakHour = peakByHourKW.reduce((best, kw, h) => {
+    const diff = kw - peakByHourKW[best];
+    return diff > 1e-6 || (Math.abs(diff) <= 1e-6 && hourlyW[h] > hourlyW[best]) ? h : best;
+  }, 0);
+  const worstHour = hourlyW.reduce((best, w, h) => (w > hourlyW[best] ? h : best), 0);
+
+  const windowHours = Math.round(backupDays * 24);
+  const start = ((Math.round(outageStartHour) % 24) + 24) % 24;
+  let windowWh = 0;
+  for (let i = 0; i < windowHours; i++) windowWh += hourlyW[(start + i) % 24];
+
+  return {
+    hourlyKW,
+    dailyKWh: Math.round(hourlyW.reduce((a, b) => a + b, 0) / 100) / 10,
+    windowKWh: Math.round(windowWh / 100) / 10,
+    windowHours,
+    outageStartHour: start,
+    coincidentPeakKW: Math.round(peakByHourKW[peakHour] * 10) / 10,
+    peakHour,
+    worstHour,
+    worstHourKWh: Math.round(hourlyW[worstHour] / 100) / 10,
+  };
+}
+
+// Site coordinates for the PV model: explicit lat/long wins over the ZIP prefix
+export function resolveSolarLocation(pv) {
+  if (Number.isFinite(pv.latitude) && Number.isFinite(pv.longitude)) {
+    return { latitude: pv.latitude, longitude: pv.longitude, source: 'Lat/long' };
+  }
+  const zip3 = parseInt(String(pv.zip || '').trim().slice(0, 3), 10);
+  if (String(pv.zip || '').trim().length < 3 || !Number.isFinite(zip3)) return null;
+  const row = ZIP3_LOCATIONS.find(([from, to]) => zip3 >= from && zip3 <= to);
+  return row ? { latitude: row[2], longitude: row[3], source: `ZIP ${String(pv.zip).trim().slice(0, 3)}xx` } : null;
+}
+
+function nearestSolarStation(latitude, longitude) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const distance = (st) => {
+    const dLat = rad(st.lat - latitude);
+    const dLon = rad(st.lon - longitude) * Math.cos(rad((st.lat + latitude) / 2));
+    return dLat * dLat + dLon * dLon;
+  };
+  return SOLAR_STATIONS.reduce((best, st) => (distance(st) < distance(best) ? st : best));
+}
+
+// Average-day plane-of-array irradiance by hour (kWh/m²) for one month: daily
+// GHI split into beam and diffuse (Erbs), spread over the day (Collares-Pereira &
+// Rabl / Liu & Jordan) and transposed to the array tilt and azimuth (isotropic sky)
+function monthlyPOAByHour(ghi, latitude, tiltDeg, azimuthDeg, month) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const day = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344][month];
+  const phi = rad(latitude);
+  const beta = rad(tiltDeg);
+  const gamma = rad(azimuthDeg - 180); // from south, west positive
+  const delta = rad(23.45 * Math.sin(rad((360 * (284 + day)) / 365)));
+  const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+  const hourly = new Array(24).fill(0);
+  if (ws <= 0 || ghi <= 0) return hourly;
+
+  const h0 = (24 / Math.PI) * 1.367 * (1 + 0.033 * Math.cos(rad((360 * day) / 365)))
+    * (Math.cos(phi) * Math.cos(delta) * Math.sin(ws) + ws * Math.sin(phi) * Math.sin(delta));
+  const kt = Math.min(0.8, ghi / h0);
+  const diffuseFraction = ws <= rad(81.4)
+    ? (kt < 0.715 ? 1.391 - 3.56 * kt + 4.189 * kt ** 2 - 2.137 * kt ** 3 : 0.2)
+    : (kt < 0.722 ? 1.311 - 3.022 * kt + 3.427 * kt ** 2 - 1.821 * kt ** 3 : 0.175);
+  const diffuse = ghi * diffuseFraction;
+
+  const a = 0.409 + 0.5016 * Math.sin(ws - rad(60));
+  const b = 0.6609 - 0.4767 * Math.sin(ws - rad(60));
+  const denom = Math.sin(ws) - ws * Math.cos(ws);
+  for (let h = 0; h < 24; h++) {
+    const w = rad(15 * (h + 0.5 - 12)); // solar time, hour centers
+    if (Math.abs(w) >= ws) continue;
+    const rd = (Math.PI / 24) * (Math.cos(w) - Math.cos(ws)) / denom;
+    const rt = rd * (a + b * Math.cos(w));
+    const total = rt * ghi;
+    const dif = Math.min(total, rd * diffuse);
+    const cosZenith = Math.cos(phi) * Math.cos(delta) * Math.cos(w) + Math.sin(phi) * Math.sin(delta);
+    if (cosZenith <= 0.01) continue;
+    const cosIncidence = Math.sin(delta) * Math.sin(phi) * Math.cos(beta)
+      - Math.sin(delta) * Math.cos(phi) * Math.sin(beta) * Math.cos(gamma)
+      + Math.cos(delta) * Math.cos(phi) * Math.cos(beta) * Math.cos(w)
+      + Math.cos(delta) * Math.sin(phi) * Math.sin(beta) * Math.cos(gamma) * Math.cos(w)
+      + Math.cos(delta) * Math.sin(beta) * Math.sin(gamma) * Math.sin(w);
+    const rb = Math.min(5, Math.max(0, cosIncidence) / cosZenith);
+    hourly[h] = (total - dif) * rb + dif * (1 + Math.cos(beta)) / 2 + total * GROUND_REFLECTANCE * (1 - Math.cos(beta)) / 2;
+  }
+  return hourly;
+}
+
+// Offline PV production estimate for an average day of the chosen month, or the
+// lowest-production month ('worst', the default). Returns null until the array
+// size and a location are entered.
+export function estimateSolarProduction(pv) {
+  if (!pv || !(pv.systemKWdc > 0)) return null;
+  const location = resolveSolarLocation(pv);
+  if (!location) return null;
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const station = nearestSolarStation(location.latitude, location.longitude);
+  const lossesPercent = pv.lossesPercent ?? PV_DEFAULT_LOSSES_PERCENT;
+  const kWhPerPOA = pv.systemKWdc * (1 - lossesPercent / 100) * PV_INVERTER_EFFICIENCY;
+
+  const months = station.ghi.map((ghi, m) => {
+    const poaByHour = monthlyPOAByHour(ghi, location.latitude, pv.tiltDeg ?? 20, pv.azimuthDeg ?? 180, m);
+    return { hourlyKWh: poaByHour.map(poa => poa * kWhPerPOA), poa: poaByHour.reduce((x, y) => x + y, 0) };
+  });
+  const monthlyKWh = months.map(m => m.hourlyKWh.reduce((x, y) => x + y, 0));
+  const month = pv.month === 'worst' || pv.month === undefined || pv.month === null
+    ? monthlyKWh.indexOf(Math.min(...monthlyKWh))
+    : Number(pv.month);
+
+  return {
+    location,
+    station: station.name,
+    month,
+    monthLabel: `${MONTH_NAMES[month]}${pv.month === 'worst' || pv.month === undefined || pv.month === null ? ' (worst month)' : ''}`,
+    poaKWhPerM2: round1(months[month].poa),
+    dailyKWh: round1(monthlyKWh[month]),
+    hourlyKWh: months[month].hourlyKWh.map(v => Math.round(v * 100) / 100),
+    monthlyKWh: monthlyKWh.map(round1),
+  };
+}
+
+// Solar inputs for a backup section (wholeHome / partialHome): the manual offset
+// percent, or the modeled PV production when the section uses the PV model
+export function getSolarSizingOptions(section, pvSystem) {
+  if (!section.solarOffsetEnabled) return { solarOffsetPercent: 0 };
+  if (section.solarOffsetSource === 'pv') {
+    return { solarOffsetPercent: 0, solarProduction: estimateSolarProduction(pvSystem) };
+  }
+  return { solarOffsetPercent: section.solarOffsetPercent || 0 };
+}
+
+// Battery energy still needed when PV recharges the battery each day of the
+// outage: the per-day shortfall over the window, but never less than the load
+// the battery carries alone from sunset to sunrise
+function applySolarProduction(windowKWh, backupDays, production, profile) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const dailyLoadKWh = backupDays > 0 ? windowKWh / backupDays : 0;
+  const darkHours = production.hourlyKWh.map((kWh, h) => (kWh <= 0 ? h : null)).filter(h => h !== null);
+  const overnightKWh = profile
+    ? darkHours.reduce((sum, h) => sum + profile.hourlyKW[h], 0)
+    : dailyLoadKWh * (darkHours.length / 24);
+  const shortfallKWh = Math.max(0, dailyLoadKWh - production.dailyKWh) * backupDays;
+  const requiredKWh = Math.max(shortfallKWh, Math.min(windowKWh, overnightKWh));
+  return {
+    requiredKWh,
+    solar: {
+      ...production,
+      offsetKWh: round1(windowKWh - requiredKWh),
+      overnightKWh: round1(overnightKWh),
+      offsetPercent: windowKWh > 0 ? Math.round((1 - requiredKWh / windowKWh) * 100) : 0,
+    },
+  };
+}
+
+// Clear-day PV shape (07:00-18:00 half-sine) for a manual solar offset percent,
+// which has no modeled array to take an hourly production curve from
+function manualSolarByHour(dailyKWh) {
+  const weights = Array.from({ length: 24 }, (_, h) => (h >= 7 && h < 18 ? Math.sin((Math.PI * (h + 0.5 - 7)) / 11) : 0));
+  const total = weights.reduce((a, b) => a + b, 0);
+  return weights.map(w => (dailyKWh * w) / total);
+}
+
+// Hour-by-hour state of charge through an outage, starting full. Solar serves
+// the load first and charges the battery with its surplus; the battery covers
+// the rest up to its continuous kW (also its charge limit). capacityKWh is the
+// effective energy deliverable to loads, so charging applies round-trip losses.
+// With shedLoadKW, the load switches to that curve while SoC is below shedBelowPercent.
+export function simulateOutage({ capacityKWh, powerKW, efficiency = 1 }, { hourlyLoadKW, hourlySolarKWh = null, windowHours, startHour = 0, shedLoadKW = null, shedBelowPercent = 0 }) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  let soc = capacityKWh;
+  const socKWh = [soc];
+  let emptyAtHour = null;
+  let hoursSurvived = windowHours;
+  let unservedKWh = 0;
+  let powerLimitedHours = 0;
+  let curtailedKWh = 0;
+  let shedAtHour = null;
+  let shedHours = 0;
+
+  for (let i = 0; i < windowHours; i++) {
+    const h = (startHour + i) % 24;
+    const shedding = shedLoadKW && soc < (capacityKWh * shedBelowPercent) / 100;
+    if (shedding) {
+      shedHours++;
+      if (shedAtHour === null) shedAtHour = i;
+    }
+    const net = (shedding ? shedLoadKW : hourlyLoadKW)[h] - (hourlySolarKWh ? hourlySolarKWh[h] : 0);
+    if (net > 0) {
+      const want = Math.min(net, powerKW);
+      const draw = Math.min(want, soc);
+      if (net > powerKW) powerLimitedHours++;
+      if (draw < want - 1e-9 && emptyAtHour === null) {
+        emptyAtHour = i;
+        hoursSurvived = i + (want > 0 ? draw / want : 0);
+      }
+      unservedKWh += net - draw;
+      soc -= draw;
+    } else {
+      const surplus = -net;
+      const stored = Math.min(Math.min(surplus, powerKW) * efficiency, capacityKWh - soc);
+      curtailedKWh += surplus - stored / efficiency;
+      soc += stored;
+    }
+    socKWh.push(soc);
+  }
+
+  const socPercent = socKWh.map(k => (capacityKWh > 0 ? Math.round((k / capacityKWh) * 1000) / 10 : 0));
+  const clockTime = (i) => ({ day: Math.floor((startHour + i) / 24) + 1, hour: (startHour + i) % 24 });
+  return {
+    socPercent,
+    survives: emptyAtHour === null,
+    hoursSurvived: round1(hoursSurvived),
+    daysSurvived: round1(hoursSurvived / 24),
+    windowDays: round1(windowHours / 24),
+    emptyAtHour,
+    // Clock time the battery runs out: outage day (1-based) and hour of day
+    emptyAt: emptyAtHour === null ? null : clockTime(emptyAtHour),
+    minSoCPercent: Math.min(...socPercent),
+    endSoCPercent: socPercent[socPercent.length - 1],
+    powerLimitedHours,
+    unservedKWh: round1(unservedKWh),
+    curtailedKWh: round1(curtailedKWh),
+    shedAt: shedAtHour === null ? null : clockTime(shedAtHour),
+    shedHours,
+  };
+}
+
+// "Survives X of Y days" summary of a simulateOutage result
+export function describeOutageSurvival(outage) {
+  if (outage.survives) return `Survives ${outage.windowDays} of ${outage.windowDays} days`;
+  const at = `${String(outage.emptyAt.hour).padStart(2, '0')}:00`;
+  return `Survives ${outage.daysSurvived} of ${outage.windowDays} days (empty day ${outage.emptyAt.day} at ${at})`;
+}
+
+// Effective energy one battery unit can deliver to loads: usable kWh less
+// round-trip losses, the backup reserve it holds back, cold derate and fade.
+// A null override uses the spec default.
+export function getEffectiveUsableKWh(spec, derating) {
+  if (!derating?.enabled) {
+    return { grossKWh: spec.usableKWh, effectiveKWh: spec.usableKWh, factor: 1 };
+  }
+  const pick = (override, fallback) => (override === null || override === undefined || override === '' ? fallback : Number(override));
+  const efficiencyPercent = pick(derating.efficiencyPercent, Math.round((spec.roundTripEfficiency ?? 1) * 1000) / 10);
+  const reservePercent = pick(derating.reservePercent, spec.minReservePercent ?? 0);
+  const coldDeratePercent = derating.coldInstall ? pick(derating.coldDeratePercent, spec.coldDeratePercent ?? 0) : 0;
+  const fadePercent = Math.min(100, (spec.annualFadePercent ?? 0) * (Number(derating.sizeForYear) || 0));
+  const factor = Math.max(0, (Math.max(efficiencyPercent, 1) / 100)
+    * (1 - reservePercent / 100)
+    * (1 - coldDeratePercent / 100)
+    * (1 - fadePercent / 100));
+  return {
+    grossKWh: spec.usableKWh,
+    effectiveKWh: Math.round(spec.usableKWh * factor * 100) / 100,
+    factor,
+    efficiencyPercent,
+    reservePercent,
+    coldDeratePercent,
+    fadePercent,
+  };
+}
+
+// Custom products carry their own module fields; fill in the derating defaults
+function customBatteryModule(product) {
+  return {
+    key: product.id,
+    name: product.name,
+    shortName: product.name,
+    usableKWh: Number(product.usableKWh) || 0,
+    continuousKW: Number(product.continuousKW) || 0,
+    peakKW: Number(product.peakKW) || 0,
+    motorStartLRA: Number(product.motorStartLRA) || null,
+    roundTripEfficiency: Number(product.roundTripEfficiency) || 0.9,
+    minReservePercent: 10,
+    coldDeratePercent: 10,
+    annualFadePercent: 2.0,
+  };
+}
+
+// Built-in registry plus the project's custom products, with modules resolved.
+// Disabled products are dropped unless includeDisabled is set.
+export function getBatteryProducts(battery = {}, includeDisabled = false) {
+  const disabled = battery.disabledProducts || [];
+  const builtIn = BATTERY_PRODUCTS.map(p => ({
+    ...p,
+    leader: { key: p.leader, ...BATTERY_SPECS[p.leader] },
+    expansion: p.expansion ? { key: p.expansion, ...BATTERY_SPECS[p.expansion] } : null,
+    isCustom: false,
+  }));
+  const custom = (battery.customProducts || []).map(p => ({
+    id: p.id,
+    manufacturer: p.manufacturer || 'Custom',
+    name: p.name,
+    leader: customBatteryModule(p),
+    expansion: null,
+    maxLeaders: Math.max(1, Number(p.maxLeaders) || 1),
+    isCustom: true,
+  }));
+  const all = [...builtIn, ...custom];
+  return includeDisabled ? all : all.filter(p => !disabled.includes(p.id));
+}
+
+// Each distinct module (leader or expansion) across a list of products
+export function getBatteryModules(products) {
+  const modules = new Map();
+  products.forEach(p => [p.leader, p.expansion].filter(Boolean).forEach(m => modules.set(m.key, m)));
+  return [...modules.values()];
+}
+
+// Size one product: leaders for power and motor start (and energy when there is
+// no expansion module), then expansion units for the remaining energy. Surge is
+// met by the 10-second peak of leaders and expansions together (5P expansions
+// carry their own inverters), adding leaders for any shortfall.
+export function sizeBatteryProduct(product, need) {
+  const { leader, expansion } = product;
+  const { energyKWh, peakKW, largestLRA, hasUnknownMotorLRA, derating, surgeKW = 0 } = need;
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const leaderKWh = getEffectiveUsableKWh(leader, derating).effectiveKWh;
+
+  const forEnergy = leaderKWh > 0 ? Math.ceil(energyKWh / leaderKWh) : Infinity;
+  const forPower = leader.continuousKW > 0 ? Math.ceil(peakKW / leader.continuousKW) : Infinity;
+  const forMotorStart = largestLRA > 0 && leader.motorStartLRA ? Math.ceil(largestLRA / leader.motorStartLRA) : 0;
+  const peakOf = (leaders, expansions) => round1(leaders * (leader.peakKW || 0) + expansions * (expansion?.peakKW || 0));
+  // Leaders needed for surge once the expansions' peak is counted
+  const surgeLeadersFor = (expansions) => (surgeKW > 0 && leader.peakKW > 0
+    ? Math.ceil(Math.max(0, surgeKW - expansions * (expansion?.peakKW || 0)) / leader.peakKW)
+    : 0);
+  let forSurge = surgeLeadersFor(0);
+  // First requirement needing the most leaders (ties keep the order listed)
+  const limitingOf = (drivers) => drivers.reduce((best, d) => (d[1] > best[1] ? d : best))[0];
+  const surgeLimited = (...others) => forSurge > Math.max(...others);
+  const surgeReason = (expansions = 0) => `Surge ${surgeKW} kW (running load + motor inrush) exceeds the 10-second peak of ${product.maxLeaders}x ${leader.shortName}${expansions ? ` + ${expansions}x ${expansion.shortName}` : ''} (${peakOf(product.maxLeaders, expansions)} kW)`;
+
+  const surgeWarning = surgeKW > 0 && !leader.peakKW
+    ? `No 10-second peak rating for ${leader.shortName}; surge not checked.`
+    : null;
+
+  let motorStartWarning = null;
+  if (!leader.motorStartLRA && (largestLRA > 0 || hasUnknownMotorLRA)) {
+    motorStartWarning = `Motor start capability not rated for ${leader.shortName}. Verify with ${product.manufacturer}.`;
+  } else if (hasUnknownMotorLRA) {
+    motorStartWarning = 'Some motor loads have unknown LRA. Conservative estimates applied.';
+  }
+
+  let leaders;
+  let expansions = 0;
+  let limitedBy;
+  let reason;
+  let notFeasible = false;
+
+  if (!expansion) {
+    leaders = Math.max(forEnergy, forPower, forMotorStart, forSurge, 1);
+    limitedBy = limitingOf([['Energy', forEnergy], ['Power', forPower], ['Motor Start', forMotorStart], ['Surge', forSurge]]);
+    if (leaders > product.maxLeaders) {
+      notFeasible = true;
+      reason = surgeLimited(forEnergy, forPower, forMotorStart)
+        ? surgeReason()
+        : `Exceeds maximum configuration (${product.maxLeaders} ${leader.shortName} max)`;
+    }
+  } else {
+    const expansionKWh = getEffectiveUsableKWh(expansion, derating).effectiveKWh;
+    const maxExpansionsFor = (n) => (product.maxExpansionsPerLeader ? n * product.maxExpansionsPerLeader : product.maxExpansions);
+    const expansionsNeededFor = (n) => {
+      const remaining = Math.max(0, energyKWh - n * leaderKWh);
+      return remaining > 0 ? Math.ceil(remaining / expansionKWh) : 0;
+    };
+    const installableFor = (n) => Math.min(expansionsNeededFor(n), maxExpansionsFor(Math.min(n, product.maxLeaders)));
+    // More leaders leave fewer expansions (and less expansion peak), so step up to a count that covers surge
+    let leadersNeeded = Math.max(forPower, forMotorStart, 1);
+    while (leadersNeeded < surgeLeadersFor(installableFor(leadersNeeded))) leadersNeeded++;
+    forSurge = surgeLeadersFor(installableFor(leadersNeeded));
+    leaders = Math.min(leadersNeeded, product.maxLeaders);
+    const expansionsNeeded = expansionsNeededFor(leaders);
+    const maxExpansions = maxExpansionsFor(leaders);
+    expansions = Math.min(expansionsNeeded, maxExpansions);
+    limitedBy = expansionsNeeded > 0 ? 'Energy + Power'
+      : limitingOf([['Power', forPower], ['Motor Start', forMotorStart], ['Surge', forSurge]]);
+    if (leadersNeeded > product.maxLeaders) {
+      notFeasible = true;
+      reason = surgeLimited(forPower, forMotorStart)
+        ? surgeReason(expansions)
+        : `Needs ${leadersNeeded} ${leader.shortName} but max is ${product.maxLeaders}`;
+    } else if (expansionsNeeded > maxExpansions) {
+      notFeasible = true;
+      reason = product.maxExpansionsPerLeader
+        ? `Needs ${expansionsNeeded} ${expansion.shortName} but max is ${maxExpansions} (${product.maxExpansionsPerLeader} per leader)`
+        : `Needs ${expansionsNeeded} ${expansion.shortName} but max is ${maxExpansions}`;
+    }
+  }
+
+  if (!Number.isFinite(leaders)) {
+    leaders = 0;
+    expansions = 0;
+    notFeasible = true;
+    reason = `${leader.shortName} has no usable energy or power rating`;
+  }
+
+  // Not-feasible configurations report the full count needed; totals use what can be installed
+  const installedLeaders = Math.min(leaders, product.maxLeaders);
+  const expansionKWhEach = expansion ? getEffectiveUsableKWh(expansion, derating).effectiveKWh : 0;
+  const displayUnits = expansion
+    ? `${leaders}x ${leader.shortName} + ${expansions}x ${expansion.shortName}`
+    : `${leaders}x ${leader.shortName}`;
+  const configPeakKW = peakOf(installedLeaders, expansions);
+
+  return {
+    productId: product.id,
+    manufacturer: product.manufacturer,
+    name: product.name,
+    note: product.note,
+    isCustom: product.isCustom,
+    leaders,
+    expansions,
+    count: leaders + expansions,
+    displayUnits,
+    forEnergy: expansion || !Number.isFinite(forEnergy) ? undefined : forEnergy,
+    forPower: Number.isFinite(forPower) ? forPower : undefined,
+    forMotorStart,
+    forSurge,
+    totalKWh: round1(installedLeaders * leader.usableKWh + expansions * (expansion?.usableKWh || 0)),
+    effectiveKWh: round1(installedLeaders * leaderKWh + expansions * expansionKWhEach),
+    totalKW: round1(installedLeaders * leader.continuousKW + expansions * (expansion?.continuousKW || 0)),
+    peakKW: configPeakKW,
+    surgeKW,
+    surgePasses: surgeKW > 0 && leader.peakKW > 0 ? configPeakKW >= surgeKW : null,
+    limitedBy,
+    motorStartWarning,
+    surgeWarning,
+    notFeasible,
+    reason,
+  };
+}
+
+// Installed cost of one configuration from the price book. Returns null when a
+// module has no price (e.g. a custom product that has not been priced yet).
+export function priceBatteryConfig(product, leaders, expansions, priceBook = DEFAULT_PRICE_BOOK) {
+  const modulePrice = (module) => priceBook.modules?.[module.key];
+  const leaderPrice = modulePrice(product.leader);
+  const expansionPrice = product.expansion ? modulePrice(product.expansion) : null;
+  if (!leaderPrice || !(leaderPrice.equipment > 0) || (expansions > 0 && !expansionPrice)) return null;
+
+  const equipment = leaders * leaderPrice.equipment + expansions * (expansionPrice?.equipment || 0);
+  const labor = leaders * (leaderPrice.labor || 0) + expansions * (expansionPrice?.labor || 0);
+  const adders = (priceBook.adders?.[product.id] || []).map(a => {
+    const qty = a.groupSize ? Math.ceil(leaders / a.groupSize) : 1;
+    return { label: a.label, qty, amount: qty * (a.amount || 0) };
+  });
+  const addersTotal = adders.reduce((sum, a) => sum + a.amount, 0);
+  return { equipment, labor, adders, addersTotal, total: equipment + labor + addersTotal };
+}
+
+// Cheapest configuration of one product that meets energy, continuous power,
+// motor start and surge. Leader counts are searched from the minimum up to the
+// max, so mixed products can trade leaders for expansions (and expansion power
+// and peak count).
+function cheapestProductConfig(product, need, priceBook) {
+  const { leader, expansion } = product;
+  const leaderKWh = getEffectiveUsableKWh(leader, need.derating).effectiveKWh;
+  const expansionKWh = expansion ? getEffectiveUsableKWh(expansion, need.derating).effectiveKWh : 0;
+  // A leader with no motor-start rating cannot be shown to start the largest motor
+  if (need.largestLRA > 0 && !leader.motorStartLRA) return { unratedMotorStart: true };
+  const minForMotor = need.largestLRA > 0 ? Math.ceil(need.largestLRA / leader.motorStartLRA) : 1;
+  // Surge is checked against leader plus expansion peak, as in sizeBatteryProduct
+  const checksSurge = need.surgeKW > 0 && leader.peakKW > 0;
+
+  let best = null;
+  for (let leaders = Math.max(1, minForMotor); leaders <= product.maxLeaders; leaders++) {
+    const energyShort = Math.max(0, need.energyKWh - leaders * leaderKWh);
+    const powerShort = Math.max(0, need.peakKW - leaders * leader.continuousKW);
+    const surgeShort = checksSurge ? Math.max(0, need.surgeKW - leaders * leader.peakKW) : 0;
+    let expansions = 0;
+    if (energyShort > 0 || powerShort > 0 || surgeShort > 0) {
+      if (!expansion) continue;
+      const forEnergy = energyShort > 0 ? (expansionKWh > 0 ? Math.ceil(energyShort / expansionKWh) : Infinity) : 0;
+      const forPower = powerShort > 0 ? (expansion.continuousKW > 0 ? Math.ceil(powerShort / expansion.continuousKW) : Infinity) : 0;
+      const forSurge = surgeShort > 0 ? (expansion.peakKW > 0 ? Math.ceil(surgeShort / expansion.peakKW) : Infinity) : 0;
+      expansions = Math.max(forEnergy, forPower, forSurge);
+      const maxExpansions = product.maxExpansionsPerLeader ? leaders * product.maxExpansionsPerLeader : product.maxExpansions;
+      if (!Number.isFinite(expansions) || expansions > maxExpansions) continue;
+    }
+    const cost = priceBatteryConfig(product, leaders, expansions, priceBook);
+    if (!cost) return { unpriced: true };
+    if (!best || cost.total < best.cost.total) {
+      best = { leaders, expansions, cost, leaderKWh, expansionKWh };
+    }
+    // Without expansions, more leaders only add cost
+    if (!expansion) break;
+  }
+  return best;
+}
+
+// Lowest-cost configuration across the catalog. Returns every product's cheapest
+// feasible configuration sorted by total cost, with deltas to the recommended one.
+export function optimizeBatteryCost(products, need, priceBook = DEFAULT_PRICE_BOOK) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const ranked = [];
+  const unpriced = [];
+  const infeasible = [];
+  const unratedMotorStart = [];
+  products.forEach(product => {
+    const best = cheapestProductConfig(product, need, priceBook);
+    if (best?.unpriced) { unpriced.push(product.name); return; }
+    if (best?.unratedMotorStart) { unratedMotorStart.push(product.name); return; }
+    if (!best) { infeasible.push(product.name); return; }
+    const { leader, expansion } = product;
+    ranked.push({
+      productId: product.id,
+      manufacturer: product.manufacturer,
+      name: product.name,
+      leaders: best.leaders,
+      expansions: best.expansions,
+      displayUnits: expansion
+        ? `${best.leaders}x ${leader.shortName} + ${best.expansions}x ${expansion.shortName}`
+        : `${best.leaders}x ${leader.shortName}`,
+      totalKWh: round1(best.leaders * leader.usableKWh + best.expansions * (expansion?.usableKWh || 0)),
+      effectiveKWh: round1(best.leaders * best.leaderKWh + best.expansions * best.expansionKWh),
+      totalKW: round1(best.leaders * leader.continuousKW + best.expansions * (expansion?.continuousKW || 0)),
+      cost: best.cost,
+    });
+  });
+  ranked.sort((a, b) => a.cost.total - b.cost.total);
+  const bestTotal = ranked[0]?.cost.total || 0;
+  ranked.forEach(r => { r.deltaCost = r.cost.total - bestTotal; });
+  return { recommended: ranked[0] || null, ranked, unpriced, infeasible, unratedMotorStart };
+}
+
+// Project-level battery settings shared by whole- and partial-home sizing
+export function getBatterySystemOptions(battery, service) {
+  return {
+    service,
+    loadProfile: battery.loadProfile,
+    derating: battery.derating,
+    surge: battery.surge,
+    products: getBatteryProducts(battery),
+    priceBook: battery.priceBook || DEFAULT_PRICE_BOOK,
+  };
+}
+
+// Cost-optimal product when priced; otherwise fewest total units among
+// feasible configurations (ties all marked recommended)
+export function getRecommendedBatteryIds(batteryResult) {
+  if (batteryResult.costOptimization?.recommended) return [batteryResult.costOptimization.recommended.productId];
+  const feasible = batteryResult.products.filter(p => !p.notFeasible);
+  if (feasible.length === 0) return [];
+  const minUnits = Math.min(...feasible.map(p => p.count));
+  return feasible.filter(p => p.count === minUnits).map(p => p.productId);
+}
+
+// "Add a soft starter to X" suggestions: soft-start the direct-on-line motors
+// from the largest LRA down (each step keeps the previous ones) and report the
+// battery units - and cost, when priced - saved against the current sizing
+function suggestSoftStarters(motorLoads, need, products, sized, priceBook, costOptimization, surgeFor) {
+  const candidates = motorLoads
+    .filter(l => getMotorStart(l).lra > 0 && (getMotorStart(l).startType || 'direct') === 'direct')
+    .sort((a, b) => getMotorStart(b).lra - getMotorStart(a).lra);
+  const softStarted = new Set();
+  const suggestions = [];
+
+  for (const load of candidates.slice(0, 3)) {
+    softStarted.add(load.id);
+    const whatIfLoads = motorLoads.map(l => (softStarted.has(l.id)
+      ? { ...l, motor: { ...l.motor, startType: 'softStarterProposed' } }
+      : l));
+    const largestLRA = whatIfLoads.reduce((max, l) => Math.max(max, getEffectiveStartLRA(l)), 0);
+    if (largestLRA >= need.largestLRA) break;
+    const whatIf = { ...need, largestLRA, surgeKW: surgeFor(whatIfLoads) };
+
+    const savings = products.map((p, i) => {
+      const after = sizeBatteryProduct(p, whatIf);
+      const before = sized[i];
+      return {
+        productId: p.id,
+        name: `${p.manufacturer} ${p.name}`,
+        unitsSaved: before.count - after.count,
+        becomesFeasible: before.notFeasible && !after.notFeasible,
+      };
+    }).filter(x => x.unitsSaved > 0 || x.becomesFeasible);
+    if (savings.length === 0) continue;
+
+    let costSaved = null;
+    if (priceBook && costOptimization?.recommended) {
+      const optimizedAfter = optimizeBatteryCost(products, whatIf, priceBook);
+      if (optimizedAfter.recommended) costSaved = costOptimization.recommended.cost.total - optimizedAfter.recommended.cost.total;
+    }
+
+    const loads = candidates.filter(l => softStarted.has(l.id));
+    suggestions.push({
+      loadIds: loads.map(l => l.id),
+      loadNames: loads.map(l => l.description || l.category),
+      largestLRABefore: need.largestLRA,
+      largestLRAAfter: largestLRA,
+      savings,
+      maxUnitsSaved: Math.max(...savings.map(x => x.unitsSaved)),
+      costSaved,
+    });
+  }
+  return suggestions;
+}
+
+// Loads the battery carries: included loads (or the partial-home selection)
+// plus proposed EV chargers, with partial-home custom hours applied
+function selectBatteryLoads(loads, options) {
+  const { includeLoadIds = null, proposedEVLoads = null } = options;
+
+  let filteredLoads = expandTandemLoads(loads).filter(l => {
+    if (includeLoadIds) return includeLoadIds.includes(l.id);
+    if (!l.usage.includeInBatteryCalc) return false;
+    // Existing EV charger loads in Step 3 are always included in whole-home sizing
+    return true;
+  });
+
+  // Append proposed EV charger(s) from Step 4 when toggle is ON
+  if (proposedEVLoads && proposedEVLoads.length > 0) {
+    filteredLoads = [...filteredLoads, ...proposedEVLoads];
+  }
+
+  // Apply partial home custom hours
+  if (options.partialSelections) {
+    filteredLoads = filteredLoads.map(l => {
+      const sel = options.partialSelections[l.id];
+      if (sel) {
+        return { ...l, usage: { ...l.usage, hoursPerDay: sel.hoursPerDay } };
+      }
       return l;
     });
   }
+  return filteredLoads;
+}
 
+// Energy, power, motor-start and surge demand of a set of battery loads over
+// the backup window, plus the hourly inputs for the outage simulation
+function calculateBatteryDemand(filteredLoads, backupDays, options) {
+  const { solarOffsetPercent = 0 } = options;
   const practicalLoad = calculatePracticalLoad(filteredLoads);
-  let totalEnergyNeededKWh = practicalLoad.totalDailyKWh * backupDays;
+  const profile = options.loadProfile?.enabled
+    ? simulateLoadProfile(filteredLoads, backupDays, options.loadProfile.outageStartHour, options.isLoadOn)
+    : null;
+  let totalEnergyNeededKWh = profile ? profile.windowKWh : practicalLoad.totalDailyKWh * backupDays;
 
-  // Apply solar offset
-  if (solarOffsetPercent > 0) {
+  // Apply solar offset: modeled PV production, or the manual percent
+  let solar = null;
+  if (options.solarProduction) {
+    const applied = applySolarProduction(totalEnergyNeededKWh, backupDays, options.solarProduction, profile);
+    totalEnergyNeededKWh = applied.requiredKWh;
+    solar = applied.solar;
+  } else if (solarOffsetPercent > 0) {
     totalEnergyNeededKWh = totalEnergyNeededKWh * (1 - solarOffsetPercent / 100);
   }
   totalEnergyNeededKWh = Math.max(0, totalEnergyNeededKWh);
 
-  const peakPowerKW = practicalLoad.totalRunningKW;
+  const peakPowerKW = profile ? profile.coincidentPeakKW : practicalLoad.totalRunningKW;
 
-  const motorLoads = filteredLoads.filter(l => l.motor.isMotor);
-  const largestLRA = motorLoads.reduce((max, l) => Math.max(max, l.motor.lra || 0), 0);
-  const hasUnknownMotorLRA = motorLoads.some(l => !l.motor.lra && l.motor.isMotor);
+  const motorLoads = filteredLoads.filter(needsStartLRA);
+  const largestLRA = motorLoads.reduce((max, l) => Math.max(max, getEffectiveStartLRA(l)), 0);
+  const hasUnknownMotorLRA = motorLoads.some(l => !getMotorStart(l).lra);
+
+  const surgeFor = (starting) => (options.surge?.enabled
+    ? calculateMotorSurge(starting, peakPowerKW, options.surge.simultaneousStarts, options.service)
+    : null);
+  const surge = surgeFor(motorLoads);
+
+  // Outage simulation inputs: hourly load from the profile (flat without one) and
+  // hourly solar from the PV model, or the manual percent on a clear-day shape
+  const dailyLoadKWh = profile ? profile.dailyKWh : practicalLoad.totalDailyKWh;
+  const outage = {
+    hourlyLoadKW: profile ? profile.hourlyKW : new Array(24).fill(dailyLoadKWh / 24),
+    hourlySolarKWh: options.solarProduction?.hourlyKWh
+      || (solarOffsetPercent > 0 ? manualSolarByHour((dailyLoadKWh * solarOffsetPercent) / 100) : null),
+    windowHours: Math.round(backupDays * 24),
+    startHour: profile ? profile.outageStartHour : 0,
+  };
+
+  return {
+    practicalLoad,
+    profile,
+    solar,
+    motorLoads,
+    surge,
+    surgeFor,
+    outage,
+    need: {
+      energyKWh: totalEnergyNeededKWh,
+      peakKW: peakPowerKW,
+      largestLRA,
+      hasUnknownMotorLRA,
+      derating: options.derating,
+      surgeKW: surge?.surgeKW || 0,
+    },
+  };
+}
+
+// Round-trip efficiency applied to solar recharge in the outage simulation
+function outageChargeEfficiency(leader, derating) {
+  const eff = getEffectiveUsableKWh(leader, derating);
+  return eff.efficiencyPercent ? eff.efficiencyPercent / 100 : (leader.roundTripEfficiency ?? 1);
+}
+
+// Battery sizing calculation - Rev 10: fix scaling, max config, notFeasible
+// Load-profile simulation (options.loadProfile) replaces flat energy and all-on peak
+// options.derating sizes on effective rather than nameplate usable kWh
+// options.products (from getBatteryProducts) is the catalog to size; defaults to all built-ins
+// options.priceBook adds the cost-optimal configuration search (costOptimization)
+// options.solarProduction (from estimateSolarProduction) replaces the manual solarOffsetPercent
+// options.surge adds the motor-start surge check against each product's 10-second peak
+// (options.service sets the motor voltages)
+// Each product result carries an hour-by-hour outage state-of-charge simulation (outage)
+// Rev 9: solar offset support
+export function calculateBatterySizing(loads, backupDays, options = {}) {
+  const filteredLoads = selectBatteryLoads(loads, options);
+  const { practicalLoad, profile, solar, motorLoads, surge, surgeFor, outage, need } = calculateBatteryDemand(filteredLoads, backupDays, options);
+
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const products = options.products || getBatteryProducts();
+
+  const derating = {};
+  if (options.derating?.enabled) {
+    getBatteryModules(products).forEach(m => {
+      derating[m.key] = { name: m.shortName, ...getEffectiveUsableKWh(m, options.derating) };
+    });
+  }
+
+  const sized = products.map(p => {
+    const result = sizeBatteryProduct(p, need);
+    const battery = {
+      capacityKWh: result.effectiveKWh,
+      powerKW: result.totalKW,
+      efficiency: outageChargeEfficiency(p.leader, options.derating),
+    };
+    return { ...result, outage: simulateOutage(battery, outage) };
+  });
+  const costOptimization = options.priceBook ? optimizeBatteryCost(products, need, options.priceBook) : null;
+
+  return {
+    products: sized,
+    costOptimization,
+    softStarterSuggestions: suggestSoftStarters(motorLoads, need, products, sized, options.priceBook, costOptimization,
+      (starting) => surgeFor(starting)?.surgeKW || 0),
+    summary: {
+      totalEnergyNeededKWh: round1(need.energyKWh),
+      peakPowerKW: round1(need.peakKW),
+      backupDays,
+      solarOffsetPercent: solar ? solar.offsetPercent : (options.solarOffsetPercent || 0),
+      solar,
+      outage: { windowHours: outage.windowHours, startHour: outage.startHour, hasSolar: !!outage.hourlySolarKWh },
+      loadCount: filteredLoads.length,
+      largestLRA: need.largestLRA,
+      hasUnknownMotorLRA: need.hasUnknownMotorLRA,
+      allRunningKW: round1(practicalLoad.totalRunningKW),
+      profile,
+      derating: options.derating?.enabled ? derating : null,
+      surge,
+    },
+  };
+}
+
+// Energy, power and motor-start capability of a chosen configuration
+// (config: {leaders, expansions}), clamped to what the product allows
+function getBatteryConfigCapacity(product, config, derating) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const { leader, expansion } = product;
+  const leaders = Math.min(product.maxLeaders, Math.max(1, Math.round(config.leaders) || 1));
+  const maxExpansions = !expansion ? 0
+    : product.maxExpansionsPerLeader ? leaders * product.maxExpansionsPerLeader : product.maxExpansions;
+  const expansions = Math.min(maxExpansions, Math.max(0, Math.round(config.expansions) || 0));
+  const leaderKWh = getEffectiveUsableKWh(leader, derating).effectiveKWh;
+  const expansionKWh = expansion ? getEffectiveUsableKWh(expansion, derating).effectiveKWh : 0;
+  return {
+    productId: product.id,
+    manufacturer: product.manufacturer,
+    name: product.name,
+    leaders,
+    expansions,
+    displayUnits: expansion
+      ? `${leaders}x ${leader.shortName} + ${expansions}x ${expansion.shortName}`
+      : `${leaders}x ${leader.shortName}`,
+    maxLeaders: product.maxLeaders,
+    maxExpansions,
+    totalKWh: round1(leaders * leader.usableKWh + expansions * (expansion?.usableKWh || 0)),
+    effectiveKWh: leaders * leaderKWh + expansions * expansionKWh,
+    totalKW: round1(leaders * leader.continuousKW + expansions * (expansion?.continuousKW || 0)),
+    peakKW: round1(leaders * (leader.peakKW || 0) + expansions * (expansion?.peakKW || 0)),
+    motorStartLRA: leader.motorStartLRA ? leaders * leader.motorStartLRA : null,
+    efficiency: outageChargeEfficiency(leader, derating),
+  };
+}
+
+// Longest outage the runtime calculation simulates; longer runtimes report "7+ days"
+export const RUNTIME_HORIZON_HOURS = 7 * 24;
+
+// Inverse of calculateBatterySizing: expected backup runtime of a chosen
+// configuration (config: {productId, leaders, expansions}) with and without
+// solar, whether it meets continuous power, motor start and surge, and the loads
+// to drop (largest daily energy first) to last the backupDays target
+export function calculateBatteryRuntime(loads, backupDays, config, options = {}) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const products = options.products || getBatteryProducts();
+  const product = products.find(p => p.id === config.productId);
+  if (!product) return null;
+  const capacity = getBatteryConfigCapacity(product, config, options.derating);
+  const battery = { capacityKWh: capacity.effectiveKWh, powerKW: capacity.totalKW, efficiency: capacity.efficiency };
+
+  const filteredLoads = selectBatteryLoads(loads, options);
+  const demand = calculateBatteryDemand(filteredLoads, backupDays, options);
+  const { need, surge } = demand;
+  const targetHours = Math.round(backupDays * 24);
+  const horizonHours = Math.max(RUNTIME_HORIZON_HOURS, targetHours);
+  const hasSolar = !!demand.outage.hourlySolarKWh;
+  const runtimeOf = (d, withSolar) => simulateOutage(battery, {
+    ...d.outage,
+    hourlySolarKWh: withSolar ? d.outage.hourlySolarKWh : null,
+    windowHours: horizonHours,
+  });
+  const withoutSolar = runtimeOf(demand, false);
+  const withSolar = hasSolar ? runtimeOf(demand, true) : null;
+
+  // Drop the biggest daily energy users until the runtime (with solar when
+  // configured) reaches the target
+  const dailyKWh = (l) => (l.usage.assumedWatts * l.usage.hoursPerDay) / 1000;
+  const dropLoads = [];
+  let remaining = filteredLoads;
+  let current = withSolar || withoutSolar;
+  const byEnergy = filteredLoads.filter(l => dailyKWh(l) > 0).sort((a, b) => dailyKWh(b) - dailyKWh(a));
+  for (const load of byEnergy) {
+    if (current.hoursSurvived >= targetHours) break;
+    remaining = remaining.filter(l => l !== load);
+    current = runtimeOf(calculateBatteryDemand(remaining, backupDays, options), hasSolar);
+    dropLoads.push({
+      loadId: load.id,
+      name: load.description || load.category,
+      dailyKWh: round1(dailyKWh(load)),
+      runtimeHours: current.hoursSurvived,
+    });
+  }
 
-  const results = {};
+  return {
+    ...capacity,
+    effectiveKWh: round1(capacity.effectiveKWh),
+    loadCount: filteredLoads.length,
+    dailyLoadKWh: round1(demand.profile ? demand.profile.dailyKWh : demand.practicalLoad.totalDailyKWh),
+    withoutSolar,
+    withSolar,
+    startHour: demand.outage.startHour,
+    horizonHours,
+    targetHours,
+    meetsTarget: (withSolar || withoutSolar).hoursSurvived >= targetHours,
+    power: { neededKW: round1(need.peakKW), availableKW: battery.powerKW, passes: battery.powerKW >= need.peakKW },
+    // Motor start passes is null when the leader has no motor-start rating
+    motorStart: {
+      largestLRA: need.largestLRA,
+      ratedLRA: capacity.motorStartLRA,
+      passes: need.largestLRA <= 0 ? true : capacity.motorStartLRA ? capacity.motorStartLRA >= need.largestLRA : null,
+    },
+    surge: surge ? { surgeKW: surge.surgeKW, peakKW: capacity.peakKW, passes: capacity.peakKW > 0 ? capacity.peakKW >= surge.surgeKW : null } : null,
+    dropLoads,
+    dropReachesTarget: current.hoursSurvived >= targetHours,
+  };
+}
+
+// Runtime from a simulateOutage result over the runtime horizon, e.g. "31.5 h (1.3 days)"
+export function describeRuntime(outage) {
+  if (outage.survives) return `${outage.windowDays}+ days`;
+  return `${outage.hoursSurvived} h (${outage.daysSurvived} days)`;
+}
+
+// One-line summary of a calculateBatteryRuntime result for the summary and exports
+export function describeRuntimeCheck(r) {
+  const status = (passes) => (passes === null ? 'not rated' : passes ? 'OK' : 'FAILS');
+  const runtime = `${r.manufacturer} ${r.name} (${r.displayUnits}): ${describeRuntime(r.withoutSolar)} without solar`
+    + (r.withSolar ? `, ${describeRuntime(r.withSolar)} with solar` : '');
+  const checks = `power ${status(r.power.passes)} (${r.power.availableKW} of ${r.power.neededKW} kW), motor start ${status(r.motorStart.passes)}`
+    + (r.surge ? `, surge ${status(r.surge.passes)}` : '');
+  const drops = !r.meetsTarget && r.dropLoads.length > 0
+    ? `. To reach ${r.targetHours} h drop: ${r.dropLoads.map(d => d.name).join(', ')}${r.dropReachesTarget ? '' : ' (still short)'}`
+    : '';
+  return `${runtime}; ${checks}${drops}`;
+}
+
+// Backup tier of one circuit: its Step 6 priority, else the category default
+export function getBackupPriority(load, selection) {
+  return selection?.priority || CATEGORY_BACKUP_PRIORITY[load.category] || 'niceToHave';
+}
+
+// Automatic critical-load selection for a chosen configuration (config:
+// {productId, leaders, expansions}) over backupDays. Tiers fill in order -
+// Essential, Important, then Nice-to-have, smallest daily kWh first within a
+// tier - and a load is only added while the set still fits the configuration's
+// effective energy, continuous kW, motor-start LRA and (when checked) surge.
+// options.partialSelections supplies each circuit's backup hours and priority.
+export function optimizeCriticalLoads(loads, backupDays, config, options = {}) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const products = options.products || getBatteryProducts();
+  const product = products.find(p => p.id === config.productId);
+  if (!product) return null;
+  const capacity = getBatteryConfigCapacity(product, config, options.derating);
+  const selections = options.partialSelections || {};
+  const sizingOptions = { ...options, includeLoadIds: null, partialSelections: null };
+
+  const tierRank = Object.fromEntries(BACKUP_PRIORITIES.map((t, i) => [t.value, i]));
+  const candidates = expandTandemLoads(loads)
+    .map(l => {
+      const hoursPerDay = selections[l.id]?.hoursPerDay ?? l.usage.hoursPerDay;
+      return {
+        load: { ...l, usage: { ...l.usage, hoursPerDay } },
+        priority: getBackupPriority(l, selections[l.id]),
+        dailyKWh: (l.usage.assumedWatts * hoursPerDay) / 1000,
+      };
+    })
+    .sort((a, b) => tierRank[a.priority] - tierRank[b.priority] || a.dailyKWh - b.dailyKWh);
 
-  // Helper: check if exceeds max config
-  const checkFeasibility = (count, maxUnits, label) => {
-    if (count > maxUnits) {
-      return { notFeasible: true, reason: `Exceeds maximum configuration (${maxUnits} ${label} max)` };
+  const limitsExceeded = (need) => [
+    need.energyKWh > capacity.effectiveKWh && 'energy',
+    need.peakKW > capacity.totalKW && 'continuous kW',
+    need.largestLRA > 0 && capacity.motorStartLRA && need.largestLRA > capacity.motorStartLRA && 'motor-start LRA',
+    need.surgeKW > 0 && capacity.peakKW > 0 && need.surgeKW > capacity.peakKW && 'surge',
+  ].filter(Boolean);
+
+  let chosen = [];
+  let need = calculateBatteryDemand([], backupDays, sizingOptions).need;
+  const skipped = [];
+  candidates.forEach(c => {
+    const trial = calculateBatteryDemand([...chosen.map(x => x.load), c.load], backupDays, sizingOptions).need;
+    const exceeded = limitsExceeded(trial);
+    if (exceeded.length === 0) {
+      chosen = [...chosen, c];
+      need = trial;
+    } else {
+      skipped.push({ ...c, exceeded });
     }
-    return { notFeasible: false };
-  };
-
-  // Enphase 5P
-  const e5p = BATTERY_SPECS.enphase5P;
-  const e5pForEnergy = Math.ceil(totalEnergyNeededKWh / e5p.usableKWh);
-  const e5pForPower = Math.ceil(peakPowerKW / e5p.continuousKW);
-  const e5pCount = Math.max(e5pForEnergy, e5pForPower, 1);
-  const e5pFeasibility = checkFeasibility(e5pCount, e5p.maxUnits, 'units');
-  results.enphase5P = {
-    count: e5pFeasibility.notFeasible ? e5pCount : Math.min(e5pCount, e5p.maxUnits),
-    forEnergy: e5pForEnergy,
-    forPower: e5pForPower,
-    totalKWh: Math.min(e5pCount, e5p.maxUnits) * e5p.usableKWh,
-    totalKW: Math.min(e5pCount, e5p.maxUnits) * e5p.continuousKW,
-    limitedBy: e5pForEnergy >= e5pForPower ? 'Energy' : 'Power',
-    motorStartWarning: hasUnknownMotorLRA ? 'Motor start capability not rated for 5P. Verify with Enphase.' : null,
-    ...e5pFeasibility,
-  };
-
-  // Enphase 10C
-  const e10c = BATTERY_SPECS.enphase10C;
-  const e10cForEnergy = Math.ceil(totalEnergyNeededKWh / e10c.usableKWh);
-  const e10cForPower = Math.ceil(peakPowerKW / e10c.continuousKW);
-  let e10cForMotor = 0;
-  if (largestLRA > 0) {
-    e10cForMotor = Math.ceil(largestLRA / e10c.motorStartLRA);
-  }
-  const e10cCount = Math.max(e10cForEnergy, e10cForPower, e10cForMotor, 1);
-  const e10cFeasibility = checkFeasibility(e10cCount, e10c.maxUnits, 'units');
-  const e10cLimitedBy = e10cForEnergy >= e10cForPower && e10cForEnergy >= e10cForMotor ? 'Energy'
-    : e10cForPower >= e10cForMotor ? 'Power' : 'Motor Start';
-  results.enphase10C = {
-    count: e10cFeasibility.notFeasible ? e10cCount : Math.min(e10cCount, e10c.maxUnits),
-    forEnergy: e10cForEnergy,
-    forPower: e10cForPower,
-    forMotorStart: e10cForMotor,
-    totalKWh: Math.min(e10cCount, e10c.maxUnits) * e10c.usableKWh,
-    totalKW: Math.min(e10cCount, e10c.maxUnits) * e10c.continuousKW,
-    limitedBy: e10cLimitedBy,
-    motorStartWarning: hasUnknownMotorLRA ? 'Some motor loads have unknown LRA. Conservative estimates applied.' : null,
-    ...e10cFeasibility,
-  };
-
-  // Enphase Mixed
-  const mixedPowerUnits10C = Math.max(e10cForPower, e10cForMotor, 1);
-  const mixedEnergyFrom10C = mixedPowerUnits10C * e10c.usableKWh;
-  const remainingEnergy = Math.max(0, totalEnergyNeededKWh - mixedEnergyFrom10C);
-  const additional5P = remainingEnergy > 0 ? Math.ceil(remainingEnergy / e5p.usableKWh) : 0;
-  const mixedTotal = mixedPowerUnits10C + additional5P;
-  const mixedFeasible = mixedTotal <= e10c.maxUnits + e5p.maxUnits;
-  results.enphase_mixed = {
-    count10C: mixedPowerUnits10C,
-    count5P: additional5P,
-    totalUnits: mixedTotal,
-    totalKWh: mixedPowerUnits10C * e10c.usableKWh + additional5P * e5p.usableKWh,
-    totalKW: mixedPowerUnits10C * e10c.continuousKW + additional5P * e5p.continuousKW,
-    notFeasible: !mixedFeasible,
-    reason: !mixedFeasible ? 'Exceeds maximum combined unit count' : undefined,
-  };
-
-  // Tesla Powerwall 3
-  const pw3 = BATTERY_SPECS.teslaPW3;
-  const pw3exp = BATTERY_SPECS.teslaPW3Expansion;
-
-  const pw3ForPower = Math.ceil(peakPowerKW / pw3.continuousKW);
-  let pw3ForMotor = 0;
-  if (largestLRA > 0) {
-    pw3ForMotor = Math.ceil(largestLRA / pw3.motorStartLRA);
-  }
-  const pw3Leaders = Math.max(pw3ForPower, pw3ForMotor, 1);
-  const pw3LeadersCapped = Math.min(pw3Leaders, pw3.maxLeaders);
-
-  // PW3 only (no expansions) - Rev 10: don't cap at maxLeaders if energy needs more
-  const pw3OnlyForEnergy = Math.ceil(totalEnergyNeededKWh / pw3.usableKWh);
-  const pw3OnlyCount = Math.max(pw3OnlyForEnergy, pw3LeadersCapped);
-  const pw3OnlyFeasibility = checkFeasibility(pw3OnlyCount, pw3.maxLeaders, 'PW3');
-  const pw3OnlyCapped = Math.min(pw3OnlyCount, pw3.maxLeaders);
-  const pw3OnlyLimitedBy = pw3OnlyForEnergy >= pw3ForPower && pw3OnlyForEnergy >= pw3ForMotor ? 'Energy'
-    : pw3ForPower >= pw3ForMotor ? 'Power' : 'Motor Start';
-  results.teslaPW3Only = {
-    count: pw3OnlyFeasibility.notFeasible ? pw3OnlyCount : pw3OnlyCapped,
-    forEnergy: pw3OnlyForEnergy,
-    forPower: pw3ForPower,
-    forMotorStart: pw3ForMotor,
-    totalKWh: pw3OnlyCapped * pw3.usableKWh,
-    totalKW: pw3OnlyCapped * pw3.continuousKW,
-    limitedBy: pw3OnlyLimitedBy,
-    motorStartWarning: hasUnknownMotorLRA ? 'Some motor loads have unknown LRA. Conservative estimates applied.' : null,
-    ...pw3OnlyFeasibility,
-  };
-
-  // Tesla PW3 + Expansions - Rev 10: properly scale
-  const leaderEnergyKWh = pw3LeadersCapped * pw3.usableKWh;
-  const remainingEnergyTesla = Math.max(0, totalEnergyNeededKWh - leaderEnergyKWh);
-  const expansionsNeeded = remainingEnergyTesla > 0 ? Math.ceil(remainingEnergyTesla / pw3exp.usableKWh) : 0;
-  const maxExpansions = pw3LeadersCapped * pw3exp.maxPerLeader;
-  const expansionsCapped = Math.min(expansionsNeeded, maxExpansions);
-  const totalTeslaUnits = pw3LeadersCapped + expansionsCapped;
-  const teslaExceedsMax = expansionsNeeded > maxExpansions;
-
-  results.teslaPW3WithExpansions = {
-    leaders: pw3LeadersCapped,
-    expansions: expansionsCapped,
-    totalUnits: totalTeslaUnits,
-    totalKWh: pw3LeadersCapped * pw3.usableKWh + expansionsCapped * pw3exp.usableKWh,
-    totalKW: pw3LeadersCapped * pw3.continuousKW,
-    exceedsMax: teslaExceedsMax,
-    notFeasible: teslaExceedsMax,
-    reason: teslaExceedsMax ? `Needs ${expansionsNeeded} expansions but max is ${maxExpansions} (${pw3exp.maxPerLeader} per leader)` : undefined,
-  };
-
-  results.summary = {
-    totalEnergyNeededKWh: Math.round(totalEnergyNeededKWh * 10) / 10,
-    peakPowerKW: Math.round(peakPowerKW * 10) / 10,
+  });
+
+  const describe = (c) => ({
+    loadId: c.load.id,
+    name: c.load.description || c.load.category,
+    priority: c.priority,
+    dailyKWh: round1(c.dailyKWh),
+  });
+  return {
+    ...capacity,
+    effectiveKWh: round1(capacity.effectiveKWh),
     backupDays,
-    solarOffsetPercent,
-    loadCount: filteredLoads.length,
-    largestLRA,
-    hasUnknownMotorLRA,
+    includeIds: chosen.map(c => c.load.id),
+    included: chosen.map(describe),
+    skipped: skipped.map(c => ({ ...describe(c), exceeded: c.exceeded })),
+    tiers: BACKUP_PRIORITIES.map(t => ({
+      ...t,
+      included: chosen.filter(c => c.priority === t.value).length,
+      total: candidates.filter(c => c.priority === t.value).length,
+    })),
+    energyKWh: round1(need.energyKWh),
+    peakKW: round1(need.peakKW),
+    largestLRA: need.largestLRA,
+    surgeKW: need.surgeKW,
+    // The leader has no motor-start rating, so the LRA limit could not be applied
+    motorStartUnrated: !capacity.motorStartLRA && need.largestLRA > 0,
   };
+}
+
+// Shed action of one load under a load-shedding plan: its own setting, else
+// the default for its backup priority tier
+export function getShedAction(load, plan) {
+  return plan.actions?.[load.id] || PRIORITY_SHED_ACTION[getBackupPriority(load)];
+}
+
+// HVAC allowed-hours window; an end hour before the start wraps past midnight
+function hvacHourAllowed(plan, hour) {
+  const { hvacStartHour: start, hvacEndHour: end } = plan;
+  return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+}
 
-  return results;
+// "Shed below 50% SoC, HVAC 08:00-22:00 only" for one calculateManagedBatterySizing schedule row
+export function describeShedAction(row, plan) {
+  const hh = (h) => `${String(h).padStart(2, '0')}:00`;
+  const action = row.action === 'shed'
+    ? `Shed below ${plan.shedBelowPercent}% SoC`
+    : SHED_ACTIONS.find(a => a.value === row.action)?.label;
+  return row.hvacLimited ? `${action}, HVAC ${hh(plan.hvacStartHour)}-${hh(plan.hvacEndHour)} only` : action;
 }
 
+// Whole-home sizing under a smart-panel load-shedding plan: 'off' loads never
+// run, HVAC only runs in the allowed hours, and 'shed' loads drop out while SoC
+// is below plan.shedBelowPercent. Energy is the smallest effective capacity that
+// lasts the window in the hour-by-hour simulation (always on the hourly profile);
+// peak power, motor start and surge come from the loads that can still run.
+export function calculateManagedBatterySizing(loads, backupDays, plan, options = {}) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const filteredLoads = selectBatteryLoads(loads, options);
+  const isHVAC = (l) => isCoolingLoad(l) || isHeatingLoad(l);
+  const running = filteredLoads.filter(l => getShedAction(l, plan) !== 'off');
+  const kept = running.filter(l => getShedAction(l, plan) === 'keep');
+
+  const managedOptions = {
+    ...options,
+    loadProfile: { enabled: true, outageStartHour: options.loadProfile?.outageStartHour || 0 },
+    isLoadOn: plan.hvacRestricted ? (l, h) => !isHVAC(l) || hvacHourAllowed(plan, h) : null,
+  };
+  const demand = calculateBatteryDemand(running, backupDays, managedOptions);
+  const keptDemand = calculateBatteryDemand(kept, backupDays, managedOptions);
+  const outage = {
+    ...demand.outage,
+    shedLoadKW: keptDemand.outage.hourlyLoadKW,
+    shedBelowPercent: plan.shedBelowPercent,
+  };
+
+  // Smallest capacity that lasts the window, by bisection (more capacity never
+  // runs out sooner); charge efficiency only matters when solar recharges
+  const requiredByEfficiency = new Map();
+  const requiredKWh = (efficiency) => {
+    if (!requiredByEfficiency.has(efficiency)) {
+      const lasts = (capacityKWh) => simulateOutage({ capacityKWh, powerKW: Infinity, efficiency }, outage).survives;
+      let lo = 0;
+      let hi = demand.profile.windowKWh * 1.001 + 0.01;
+      for (let i = 0; i < 30 && hi - lo > 0.01; i++) {
+        const mid = (lo + hi) / 2;
+        if (lasts(mid)) hi = mid;
+        else lo = mid;
+      }
+      requiredByEfficiency.set(efficiency, lasts(0) ? 0 : hi);
+    }
+    return requiredByEfficiency.get(efficiency);
+  };
+
+  const products = options.products || getBatteryProducts();
+  const sized = products.map(p => {
+    const efficiency = outageChargeEfficiency(p.leader, options.derating);
+    const result = sizeBatteryProduct(p, { ...demand.need, energyKWh: requiredKWh(efficiency) });
+    const battery = { capacityKWh: result.effectiveKWh, powerKW: result.totalKW, efficiency };
+    return { ...result, energyNeededKWh: round1(requiredKWh(efficiency)), outage: simulateOutage(battery, outage) };
+  });
+
+  const schedule = filteredLoads.map(l => {
+    const action = getShedAction(l, plan);
+    return {
+      loadId: l.id,
+      name: l.description || l.category,
+      action,
+      hvacLimited: plan.hvacRestricted && action !== 'off' && isHVAC(l),
+    };
+  });
+
+  return {
+    products: sized,
+    schedule,
+    summary: {
+      totalEnergyNeededKWh: round1(Math.max(0, ...sized.map(p => p.energyNeededKWh))),
+      unmanagedWindowKWh: round1(calculateBatteryDemand(filteredLoads, backupDays, { ...managedOptions, isLoadOn: null }).profile.windowKWh),
+      managedWindowKWh: demand.profile.windowKWh,
+      peakPowerKW: round1(demand.need.peakKW),
+      largestLRA: demand.need.largestLRA,
+      surge: demand.surge,
+      backupDays,
+      outage: { windowHours: outage.windowHours, startHour: outage.startHour, hasSolar: !!outage.hourlySolarKWh },
+      counts: Object.fromEntries(SHED_ACTIONS.map(a => [a.value, schedule.filter(r => r.action === a.value).length])),
+    },
+  };
+}
+
+// Upgrade scope for moving the main to a given size: a breaker swap is only
+// possible when the existing bus is rated for it
+function serviceUpgradeOption(targetAmps, demandAmps, service) {
+  if (!targetAmps) {
+    return { amps: null, ratio: null, scope: 'Exceeds 400A - engineered service required' };
+  }
+  let scope;
+  if (targetAmps <= service.mainBreakerAmps) scope = 'No change needed';
+  else if (targetAmps <= service.busRatingAmps && !METER_MAIN_SIZES.includes(targetAmps)) scope = 'Main breaker swap';
+  else scope = 'Full panel/service replacement';
+  return {
+    amps: targetAmps,
+    ratio: Math.round((demandAmps / targetAmps) * 1000) / 10,
+    meterMain: METER_MAIN_SIZES.includes(targetAmps),
+    scope,
+  };
+}
+
+// Smallest standard service size that brings a service result under 100%
+// (minimum) and 80% (recommended). Null when the current service is OK.
+export function calculateServiceUpgrade(necResult, service) {
+  if (necResult.status === 'OK') return null;
+  const demandAmps = necResult.serviceAmps;
+  const sizeFor = (limit) => MAIN_BREAKER_OPTIONS.find(a => demandAmps <= a * limit) || null;
+  return {
+    currentAmps: service.mainBreakerAmps,
+    busRatingAmps: service.busRatingAmps,
+    demandAmps,
+    minimum: serviceUpgradeOption(sizeFor(1), demandAmps, service),
+    recommended: serviceUpgradeOption(sizeFor(0.8), demandAmps, service),
+  };
+}
+
+// Smallest standard OCPD rating at or above the given amps
+export function nextStandardOCPD(amps) {
+  return STANDARD_OCPD_AMPS.find(a => a >= amps) || Math.ceil(amps / 5) * 5;
+}
+
+// PV / battery interconnection - NEC 705.12(B) load-side busbar checks.
+// Evaluates the 120% rule, the sum-of-breakers rule and a main breaker derate,
+// then recommends a connection method (falls back to 705.11 supply-side).
+export function calculateInterconnection(project) {
+  const { service, loads } = project;
+  const ic = project.interconnection;
+  if (!ic?.enabled || !(ic.inverterOutputAmps > 0)) return null;
+
+  const inverterAmps = ic.inverterOutputAmps;
+  const backfeedBreakerAmps = ic.backfeedBreakerAmps || nextStandardOCPD(inverterAmps * 1.25);
+  const busAmps = service.busRatingAmps;
+  const mainAmps = service.mainBreakerAmps;
+  const inverterContribution = inverterAmps * 1.25;
+
+  // 705.12(B)(3)(2): main OCPD + 125% of inverter output ≤ 120% of busbar
+  const rule120Limit = busAmps * 1.2;
+  const rule120Total = mainAmps + inverterContribution;
+  const rule120 = {
+    total: Math.round(rule120Total * 10) / 10,
+    limit: Math.round(rule120Limit * 10) / 10,
+    pass: rule120Total <= rule120Limit,
+  };
+
+  // 705.12(B)(3)(3): sum of all load + supply breakers (excluding main) ≤ busbar.
+  // Only the main bus counts: subpanel circuits appear as their feeder breaker.
+  const loadBreakerAmps = expandTandemLoads(getPanelMapLoads(project, MAIN_PANEL_ID))
+    .reduce((sum, l) => sum + (l.breaker.amps || 0), 0);
+  const sumTotal = loadBreakerAmps + backfeedBreakerAmps;
+  const sumOfBreakers = { total: sumTotal, limit: busAmps, pass: sumTotal <= busAmps };
+
+  // Derate main: largest standard main that satisfies the 120% rule, if the
+  // service calculation still fits under it
+  const maxMainAmps = rule120Limit - inverterContribution;
+  const derateMainAmps = [...STANDARD_OCPD_AMPS].reverse().find(a => a <= maxMainAmps && a < mainAmps) || null;
+  let derate = { mainAmps: derateMainAmps, serviceResult: null, pass: false };
+  if (derateMainAmps) {
+    const serviceResult = calculateServiceLoad(loads, { ...service, mainBreakerAmps: derateMainAmps });
+    derate = { mainAmps: derateMainAmps, serviceResult, pass: serviceResult.status !== 'Undersized' };
+  }
+
+  let recommendation;
+  if (rule120.pass) {
+    recommendation = 'Load-side backfed breaker (120% rule)';
+  } else if (sumOfBreakers.pass) {
+    recommendation = 'Load-side backfed breaker (sum of breakers)';
+  } else if (derate.pass) {
+    recommendation = `Derate main breaker to ${derate.mainAmps}A`;
+  } else {
+    recommendation = 'Supply-side connection (NEC 705.11)';
+  }
+
+  return {
+    inverterOutputAmps: inverterAmps,
+    backfeedBreakerAmps,
+    busRatingAmps: busAmps,
+    mainBreakerAmps: mainAmps,
+    rule120,
+    sumOfBreakers,
+    derate,
+    positionNote: ic.centerFed
+      ? 'Center-fed panelboard: backfed breaker may be at either end, but not both (705.12(B)(3)(6)).'
+      : 'Backfed breaker must be at the opposite end of the busbar from the main (705.12(B)(3)(2)).',
+    recommendation,
+  };
+}
+
+// Lowest per-charger current considered useful when an EVEMS throttles charging
+export const EVEMS_MIN_CHARGING_AMPS = 12;
+
 // EV feasibility check - Rev 7: support chargerCount
+// EVEMS (NEC 625.42 / 750.30): when ev.loadManagement is enabled the EV load is
+// the managed setpoint — a fixed current cap or a dynamic limit from service headroom
 export function calculateEVFeasibility(project) {
   const { service, panel, ev, loads } = project;
   if (!ev.chargerOption) return null;
@@ -379,38 +2288,81 @@ export function calculateEVFeasibility(project) {
   const count = ev.chargerCount || 1;
 
   // Watts per charger
-  const evWattsEach = continuousAmps * service.serviceVoltage;
+  const evWattsEach = continuousAmps * getEVVoltage(service);
   const evWattsTotal = evWattsEach * count;
 
   // Service capacity check (all loads + EV)
-  const necResult = calculateNECOptionalMethod(loads, service);
+  const necResult = calculateServiceLoad(loads, service);
 
   // Add EV as synthetic loads
-  const evSyntheticLoads = [];
-  for (let i = 0; i < count; i++) {
-    evSyntheticLoads.push({
-      category: 'EV Charger',
-      usage: { assumedWatts: evWattsEach, includeInServiceCalc: true },
-      breaker: { poles: 2 },
-      motor: { isMotor: false },
-    });
+  const buildEVLoads = (wattsEach) => {
+    const evSyntheticLoads = [];
+    for (let i = 0; i < count; i++) {
+      evSyntheticLoads.push({
+        category: 'EV Charger',
+        isNewLoad: true, // proposed charger is an addition — NEC 220.83
+        usage: { assumedWatts: wattsEach, includeInServiceCalc: true },
+        breaker: { poles: 2 },
+        motor: { isMotor: false },
+      });
+    }
+    return evSyntheticLoads;
+  };
+  const necWithEV = calculateServiceLoad([...loads, ...buildEVLoads(evWattsEach)], service);
+
+  // EVEMS: managed EV load
+  let loadManagement = null;
+  const lm = ev.loadManagement;
+  if (lm?.enabled) {
+    const necAtAmps = (ampsEach) =>
+      calculateServiceLoad([...loads, ...buildEVLoads(ampsEach * getEVVoltage(service))], service);
+    let allowedAmpsEach;
+    let necManaged;
+    if (lm.mode === 'fixed') {
+      allowedAmpsEach = Math.min(continuousAmps, Math.floor(Math.max(0, lm.fixedCapAmps || 0) / count));
+      necManaged = necAtAmps(allowedAmpsEach);
+    } else {
+      // Highest per-charger current that keeps computed demand under the target
+      const targetAmps = service.mainBreakerAmps * (lm.targetUtilizationPercent || 100) / 100;
+      allowedAmpsEach = continuousAmps;
+      necManaged = necAtAmps(allowedAmpsEach);
+      // Unrounded amps: the displayed 0.1 A rounding could otherwise pass a current over the target
+      while (allowedAmpsEach > 0 && serviceAmpsFromVA(necManaged.totalDemandVA, service) > targetAmps) {
+        allowedAmpsEach -= 1;
+        necManaged = necAtAmps(allowedAmpsEach);
+      }
+    }
+    const managedWattsEach = allowedAmpsEach * getEVVoltage(service);
+    loadManagement = {
+      mode: lm.mode,
+      allowedAmpsEach,
+      allowedAmpsTotal: allowedAmpsEach * count,
+      managedWattsTotal: managedWattsEach * count,
+      necManaged,
+      feasible: necManaged.status !== 'Undersized' && allowedAmpsEach >= EVEMS_MIN_CHARGING_AMPS,
+    };
   }
-  const necWithEV = calculateNECOptionalMethod([...loads, ...evSyntheticLoads], service);
 
-  // D2: Space check — derive used spaces from actual loads if available
-  const modeledUsedSlots = loads.length > 0 ? calculateModeledSlots(loads) : panel.usedSlots;
-  const computedAvailableSlots = Math.max(0, panel.totalSlots - modeledUsedSlots);
+  // D2: Space check — open slots come from the main panel's slot map once loads exist
+  const computedAvailableSlots = getMainPanelSlots(project).openSlots;
   const panelSlots = calculatePanelSlots(panel);
   const slotsNeeded = 2 * count; // each EV is 2-pole
   const hasSpace = computedAvailableSlots >= slotsNeeded;
 
+  const managedFeasible = !!loadManagement?.feasible;
   let recommendation;
-  if (necWithEV.status === 'Undersized') {
+  let serviceUpgrade = null;
+  let subpanelProposal = null;
+  if (necWithEV.status === 'Undersized' && !managedFeasible) {
+    serviceUpgrade = calculateServiceUpgrade(necWithEV, service);
     recommendation = 'Service upgrade recommended';
   } else if (!hasSpace && !panelSlots.canFreeSlotsWithTandems) {
     recommendation = 'Subpanel recommended';
+    subpanelProposal = proposeSubpanel(project, buildEVLoads(evWattsEach), slotsNeeded);
   } else if (!hasSpace && panelSlots.canFreeSlotsWithTandems) {
     recommendation = 'Requires tandems to free space';
+  } else if (necWithEV.status === 'Undersized') {
+    recommendation = 'Feasible with load management';
   } else if (necWithEV.status === 'Borderline') {
     recommendation = 'Feasible but borderline capacity';
   } else {
@@ -429,7 +2381,251 @@ export function calculateEVFeasibility(project) {
     canUseTandems: panelSlots.canFreeSlotsWithTandems,
     necWithoutEV: necResult,
     necWithEV: necWithEV,
+    loadManagement,
     recommendation,
+    serviceUpgrade,
+    subpanelProposal,
     availableSlots: computedAvailableSlots,
   };
 }
+
+// New (220.83) main-panel load from the library defaults for spec.category,
+// overridden by spec; spec.evCharger (an EV_CHARGER_OPTIONS label) takes the
+// watts from the charger's continuous amps
+export function buildLibraryLoad(spec, service) {
+  const lib = LOAD_LIBRARY.find(l => l.category === spec.category) || {};
+  const charger = spec.evCharger ? EV_CHARGER_OPTIONS.find(o => o.label === spec.evCharger) : null;
+  const entry = { ...lib, ...spec };
+  return createLoadEntry({
+    description: entry.description,
+    category: entry.category,
+    isNewLoad: true,
+    breaker: {
+      poles: charger ? charger.poles : entry.poles,
+      amps: charger ? charger.recommendedBreakerAmps : entry.amps,
+      type: 'Standard',
+      voltageOverride: null,
+    },
+    usage: {
+      assumedWatts: charger ? charger.continuousAmps * getEVVoltage(service) : getLibraryWatts(entry, service),
+      hoursPerDay: entry.hoursPerDay ?? 4,
+      includeInServiceCalc: true,
+      includeInBatteryCalc: entry.category !== 'EV Charger',
+    },
+    motor: {
+      isMotor: !!entry.isMotor,
+      nameplateKnown: false,
+      lra: entry.defaultLRA || null,
+      rla: null,
+      startType: 'direct',
+      softStarterReductionPercent: null,
+      notes: '',
+    },
+    sourceTag: 'Assumed',
+  });
+}
+
+// Loads after the chosen ELECTRIFICATION_CONVERSIONS: loads in the replaced
+// categories are removed and the conversion's loads added as new (220.83) loads
+// on the main panel
+export function applyElectrification(loads, conversionIds, service) {
+  const conversions = ELECTRIFICATION_CONVERSIONS
+    .filter(c => conversionIds.includes(c.id))
+    .map(c => ({
+      id: c.id,
+      label: c.label,
+      removed: loads.filter(l => c.replaces.includes(l.category)),
+      added: c.adds.map(add => buildLibraryLoad(add, service)),
+    }));
+  const removedIds = new Set(conversions.flatMap(c => c.removed.map(l => l.id)));
+  const added = conversions.flatMap(c => c.added);
+  return {
+    loads: [...loads.filter(l => !removedIds.has(l.id)), ...added],
+    removed: loads.filter(l => removedIds.has(l.id)),
+    added,
+    conversions,
+  };
+}
+
+// Service adequacy, main-panel slots and whole-home battery sizing for one load set
+function summarizeElectrificationState(project, loads, backupDays, sizingOptions) {
+  const service = calculateServiceLoad(loads, project.service);
+  const battery = calculateBatterySizing(loads, backupDays, sizingOptions);
+  const recommendedIds = getRecommendedBatteryIds(battery);
+  const panelMap = buildProjectPanelMap({ ...project, loads });
+  return {
+    loadCount: loads.length,
+    service,
+    serviceUpgrade: calculateServiceUpgrade(service, project.service),
+    modeledSlots: calculateModeledSlots(loads),
+    openSlots: getMainPanelSlots({ ...project, loads }).openSlots,
+    slotShortfall: Math.max(0, panelMap.usedSlots - panelMap.positions.length),
+    battery: {
+      totalEnergyNeededKWh: battery.summary.totalEnergyNeededKWh,
+      peakPowerKW: battery.summary.peakPowerKW,
+      largestLRA: battery.summary.largestLRA,
+      recommended: battery.products.filter(p => recommendedIds.includes(p.productId)),
+    },
+  };
+}
+
+// Electrification what-if: the project as it is next to the project after the
+// conversions toggled in project.electrification (sizingOptions as for the
+// whole-home calculateBatterySizing)
+export function calculateElectrificationPlan(project, backupDays, sizingOptions = {}) {
+  const conversionIds = Object.entries(project.electrification?.conversions || {})
+    .filter(([, on]) => on)
+    .map(([id]) => id);
+  const electrified = applyElectrification(project.loads, conversionIds, project.service);
+  return {
+    conversions: electrified.conversions,
+    removed: electrified.removed,
+    added: electrified.added,
+    before: summarizeElectrificationState(project, project.loads, backupDays, sizingOptions),
+    after: summarizeElectrificationState(project, electrified.loads, backupDays, sizingOptions),
+  };
+}
+
+// Scenario: a named set of overrides on the base project. Service and EV fields
+// replace the base values, loads are removed by id or added as full load
+// entries, and battery overrides merge into the whole/partial-home sections.
+export function applyScenario(project, scenario) {
+  const overrides = scenario.overrides || {};
+  const removedIds = overrides.removedLoadIds || [];
+  const battery = overrides.battery || {};
+  return {
+    ...project,
+    service: { ...project.service, ...overrides.service },
+    loads: [...project.loads.filter(l => !removedIds.includes(l.id)), ...(overrides.addedLoads || [])],
+    ev: { ...project.ev, ...overrides.ev },
+    battery: {
+      ...project.battery,
+      wholeHome: { ...project.battery.wholeHome, ...battery.wholeHome },
+      partialHome: { ...project.battery.partialHome, ...battery.partialHome },
+      loadShedding: battery.loadShedding
+        ? { ...project.battery.loadShedding, ...battery.loadShedding }
+        : project.battery.loadShedding,
+    },
+  };
+}
+
+// Effective backup days of a whole- or partial-home section (Step 5/6 backupMode)
+export function getEffectiveBackupDays(section) {
+  const mode = section.backupMode || '1';
+  return mode === 'custom' ? (section.customDays || 1) : Number(mode);
+}
+
+// Step 4 chargers as synthetic loads when the whole-home sizing includes the EV
+export function buildProposedEVLoads(project) {
+  const { ev, service, battery } = project;
+  if (!ev.chargerOption || !battery.wholeHome.includeEV) return null;
+  const charger = ev.chargerOption;
+  const contAmps = charger.isCustom ? (ev.customContinuousAmps || 0) : charger.continuousAmps;
+  const count = ev.chargerCount || 1;
+  return Array.from({ length: count }, (_, i) => ({
+    id: `_proposedEV_${i}`,
+    description: `Proposed EV Charger ${count > 1 ? i + 1 : ''}`.trim(),
+    category: 'EV Charger',
+    breaker: { poles: 2, amps: Math.ceil(contAmps * 1.25 / 5) * 5, type: 'Standard' },
+    usage: { assumedWatts: contAmps * getEVVoltage(service), hoursPerDay: 4, includeInBatteryCalc: true },
+    motor: { isMotor: false, lra: null },
+  }));
+}
+
+// Headline results of the full calculation stack (service, panel, EV,
+// interconnection, whole/managed/partial battery) for one project
+function calculateScenarioOutcome(project) {
+  const { battery } = project;
+  const service = calculateServiceLoad(project.loads, project.service);
+  const systemOptions = getBatterySystemOptions(battery, project.service);
+  const wholeDays = getEffectiveBackupDays(battery.wholeHome);
+  const wholeOptions = {
+    ...((battery.wholeHome.backupMode || '1') === 'custom'
+      ? getSolarSizingOptions(battery.wholeHome, battery.pvSystem)
+      : { solarOffsetPercent: 0 }),
+    proposedEVLoads: buildProposedEVLoads(project),
+    ...systemOptions,
+  };
+  const partialIds = Object.entries(battery.partialHome.selections || {})
+    .filter(([, v]) => v.include)
+    .map(([id]) => id);
+  const partialDays = getEffectiveBackupDays(battery.partialHome);
+  return {
+    project,
+    service,
+    serviceUpgrade: calculateServiceUpgrade(service, project.service),
+    openSlots: getMainPanelSlots(project).openSlots,
+    ev: calculateEVFeasibility(project),
+    interconnection: calculateInterconnection(project),
+    wholeDays,
+    whole: calculateBatterySizing(project.loads, wholeDays, wholeOptions),
+    managed: battery.loadShedding?.enabled
+      ? calculateManagedBatterySizing(project.loads, wholeDays, battery.loadShedding, wholeOptions)
+      : null,
+    partialDays,
+    partial: battery.partialHome.enabled && partialIds.length > 0
+      ? calculateBatterySizing(project.loads, partialDays, {
+        includeLoadIds: partialIds,
+        partialSelections: battery.partialHome.selections,
+        ...getSolarSizingOptions(battery.partialHome, battery.pvSystem),
+        ...systemOptions,
+      })
+      : null,
+  };
+}
+
+const recommendedUnits = (result) => {
+  const ids = getRecommendedBatteryIds(result);
+  const picks = result.products.filter(p => ids.includes(p.productId));
+  if (picks.length === 0) return 'None feasible';
+  return `${picks[0].displayUnits}${picks.length > 1 ? ` (+${picks.length - 1} tied)` : ''}`;
+};
+const batteryNeed = (result, days) =>
+  `${result.summary.totalEnergyNeededKWh} kWh, ${result.summary.peakPowerKW} kW (${days} day${days !== 1 ? 's' : ''})`;
+
+// Comparison rows: label and a formatter; null means "not applicable"
+const SCENARIO_ROWS = [
+  ['Main Breaker / Bus', o => `${o.project.service.mainBreakerAmps}A / ${o.project.service.busRatingAmps}A`],
+  ['Loads', o => String(o.project.loads.length)],
+  ['NEC Method', o => o.service.methodLabel],
+  ['Service Demand', o => `${o.service.serviceAmps}A (${o.service.ratio}%) ${o.service.status}`],
+  ['Service Upgrade', o => {
+    if (!o.serviceUpgrade) return 'None needed';
+    const { amps, scope } = o.serviceUpgrade.recommended;
+    return amps ? `${amps}A (${scope})` : scope;
+  }],
+  ['Open Slots (Main Panel)', o => String(o.openSlots)],
+  ['EV Charger', o => (o.ev
+    ? `${o.ev.chargerCount}x ${o.project.ev.chargerOption.label}${o.project.ev.loadManagement?.enabled ? ' + EVEMS' : ''}: ${o.ev.recommendation}`
+    : 'None')],
+  ['PV Interconnection', o => (o.interconnection ? o.interconnection.recommendation : null)],
+  ['Whole-Home Need', o => batteryNeed(o.whole, o.wholeDays)],
+  ['Whole-Home Battery', o => recommendedUnits(o.whole)],
+  ['Managed Whole-Home', o => (o.managed ? `${o.managed.summary.totalEnergyNeededKWh} kWh, ${recommendedUnits(o.managed)}` : null)],
+  ['Partial-Home Need', o => (o.partial ? batteryNeed(o.partial, o.partialDays) : null)],
+  ['Partial-Home Battery', o => (o.partial ? recommendedUnits(o.partial) : null)],
+];
+
+// Base project and each of project.scenarios run through the full calculation
+// stack. Rows that apply to no column are dropped; `changed` flags values that
+// differ from the base column.
+export function compareScenarios(project) {
+  const columns = [
+    { id: 'base', name: 'Base Project', outcome: calculateScenarioOutcome(project) },
+    ...(project.scenarios || []).map(s => ({
+      id: s.id,
+      name: s.name,
+      outcome: calculateScenarioOutcome(applyScenario(project, s)),
+    })),
+  ];
+  const rows = SCENARIO_ROWS
+    .map(([label, format]) => {
+      const values = columns.map(c => format(c.outcome));
+      return { label, values, changed: values.map(v => v !== values[0]) };
+    })
+    .filter(row => row.values.some(v => v !== null));
+  return {
+    columns: columns.map(({ id, name }) => ({ id, name })),
+    rows,
+  };
+}
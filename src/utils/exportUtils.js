@@ -1,6 +1,7 @@
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
-import { calculateNECOptionalMethod, calculatePracticalLoad, calculateBatterySizing, calculateEVFeasibility, calculateModeledSlots } from './calculations';
+import { migrateProject } from '../data/initialState';
+import { calculateServiceLoad, compareServiceMethods, calculatePracticalLoad, calculateBatterySizing, calculateEVFeasibility, getMainPanelSlots, expandTandemLoads, parseIntervalData, calculateInterconnection, calculateServiceUpgrade, getServiceType, buildProjectPanelMap, calculateSubpanelChecks, getBatterySystemOptions, getRecommendedBatteryIds, getSolarSizingOptions, describeOutageSurvival, calculateBatteryRuntime, describeRuntimeCheck, getBatteryProducts, calculateManagedBatterySizing, describeShedAction, compareScenarios, describeIntervalLengthWarning, getEffectiveBackupDays, buildProposedEVLoads } from './calculations';
 
 // Save project to localStorage (legacy single-project key)
 const STORAGE_KEY = 'electrical-load-calc-project';
@@ -22,7 +23,7 @@ export function loadProjectFromLocalStorage() {
   try {
     const data = localStorage.getItem(STORAGE_KEY);
     if (!data) return null;
-    return JSON.parse(data);
+    return migrateProject(JSON.parse(data));
   } catch (err) {
     console.error('Failed to load from localStorage:', err);
     return null;
@@ -75,7 +76,7 @@ export function saveNamedProject(project) {
 export function loadNamedProject(id) {
   const list = getSavedProjectsList();
   const entry = list.find(p => p.id === id);
-  return entry ? entry.data : null;
+  return entry ? migrateProject(entry.data) : null;
 }
 
 export function deleteNamedProject(id) {
@@ -107,7 +108,7 @@ export function importJSON(file) {
     reader.onload = (e) => {
       try {
         const data = JSON.parse(e.target.result);
-        resolve(data);
+        resolve(migrateProject(data));
       } catch (err) {
         reject(new Error('Invalid JSON file'));
       }
@@ -117,53 +118,131 @@ export function importJSON(file) {
   });
 }
 
-// Helper: get effective backup days from battery config
-function getEffectiveBackupDays(batterySection) {
-  const mode = batterySection.backupMode || '1';
-  return mode === 'custom' ? (batterySection.customDays || 1) : Number(mode);
+// NEC 220.87: import a utility interval-data CSV and summarize its peaks
+export function importIntervalCSV(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve({ ...parseIntervalData(e.target.result), fileName: file.name });
+      } catch (err) {
+        reject(new Error(err.message || 'Invalid interval CSV'));
+      }
+    };
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
 }
 
-function getSolarOffset(batterySection, requireCustom = false) {
-  if (requireCustom && (batterySection.backupMode || '1') !== 'custom') return 0;
-  return batterySection.solarOffsetEnabled ? (batterySection.solarOffsetPercent || 0) : 0;
+function getSolarOptions(project, batterySection, requireCustom = false) {
+  if (requireCustom && (batterySection.backupMode || '1') !== 'custom') return { solarOffsetPercent: 0 };
+  return getSolarSizingOptions(batterySection, project.battery.pvSystem);
 }
 
-// Build proposed EV synthetic loads from Step 4 when toggle is ON
-function buildProposedEVLoads(project) {
-  const { ev, service, battery } = project;
-  if (!ev.chargerOption || !battery.wholeHome.includeEV) return null;
-  const charger = ev.chargerOption;
-  const contAmps = charger.isCustom ? (ev.customContinuousAmps || 0) : charger.continuousAmps;
-  const watts = contAmps * service.serviceVoltage;
-  const count = ev.chargerCount || 1;
-  const synth = [];
-  for (let i = 0; i < count; i++) {
-    synth.push({
-      id: `_proposedEV_${i}`,
-      category: 'EV Charger',
-      breaker: { poles: 2 },
-      usage: { assumedWatts: watts, hoursPerDay: 4, includeInBatteryCalc: true },
-      motor: { isMotor: false, lra: null },
-    });
-  }
-  return synth;
+// Runtime of the configuration chosen in Step 5/6 runtime mode (null when off)
+function getRuntimeCheck(project, backupDays, sizingOptions) {
+  const config = project.battery.runtimeCheck;
+  if (!config?.enabled) return null;
+  return calculateBatteryRuntime(project.loads, backupDays, config, {
+    ...sizingOptions,
+    products: getBatteryProducts(project.battery, true),
+  });
+}
+
+// Whole-home sizing under the Step 5 load-shedding plan (null when off)
+function getManagedSizing(project, backupDays, sizingOptions) {
+  const plan = project.battery.loadShedding;
+  if (!plan?.enabled) return null;
+  return calculateManagedBatterySizing(project.loads, backupDays, plan, sizingOptions);
+}
+
+// Unmanaged vs. managed units for one product, e.g. "17x PW3 -> 2x PW3"
+function formatManagedUnits(p, unmanagedProducts) {
+  const unmanaged = unmanagedProducts.find(u => u.productId === p.productId);
+  return `${unmanaged ? unmanaged.displayUnits : '--'} -> ${p.displayUnits}${p.notFeasible ? ' (NOT FEASIBLE)' : ''}`;
 }
 
 // Copy summary text
+function formatSubpanelProposal(proposal) {
+  if (proposal.type === 'existing') {
+    return `Install in existing ${proposal.name} (${proposal.feederBreakerAmps}A feeder, ${proposal.feeder.serviceAmps}A with EV)`;
+  }
+  let text = `New ${proposal.totalSlots}-space ${proposal.busRatingAmps}A subpanel, ${proposal.feederBreakerAmps}A ${proposal.feederPoles}-pole feeder`;
+  text += ` (${proposal.conductors.copper} Cu / ${proposal.conductors.aluminum} Al), feeder demand ${proposal.feeder.serviceAmps}A`;
+  if (proposal.relocatedLoadIds.length > 0) text += `, relocate ${proposal.relocatedLoadIds.length} circuit(s) from main`;
+  return text;
+}
+
+// Cost-ranked configuration with its delta to the cheapest option
+function formatCostRank(r) {
+  const usd = (v) => `$${Math.round(v).toLocaleString()}`;
+  return `${r.manufacturer} ${r.name}: ${r.displayUnits}, ${usd(r.cost.total)}${r.deltaCost > 0 ? ` (+${usd(r.deltaCost)})` : ' (lowest cost)'}`;
+}
+
+// Soft-starter suggestion as a summary line
+function formatSoftStarterSuggestion(s) {
+  let text = `Soft starter on ${s.loadNames.join(' + ')} (LRA ${s.largestLRABefore}A -> ${s.largestLRAAfter}A)`;
+  if (s.maxUnitsSaved > 0) text += `: saves up to ${s.maxUnitsSaved} unit(s)`;
+  if (s.costSaved > 0) text += `, ~$${Math.round(s.costSaved).toLocaleString()} lower cost`;
+  return text;
+}
+
+// Days a configuration lasts in the outage simulation, e.g. "2.4 of 3 days"
+function formatOutageDays(outage) {
+  if (!outage) return '--';
+  return `${outage.survives ? outage.windowDays : outage.daysSurvived} of ${outage.windowDays} days`;
+}
+
+// One sized battery product as a summary line
+function formatBatteryProduct(p) {
+  const survival = p.outage && p.count > 0 ? `, ${describeOutageSurvival(p.outage).toLowerCase()}` : '';
+  return `${p.manufacturer} ${p.name}: ${p.displayUnits} (${p.totalKWh} kWh / ${p.totalKW.toFixed(1)} kW)${survival}${p.notFeasible ? ` [NOT FEASIBLE${p.reason ? `: ${p.reason}` : ''}]` : ''}`;
+}
+
+// Derating basis behind effective-energy sizing, per battery model
+function formatDerating(derating) {
+  return Object.entries(derating)
+    .map(([, d]) => `${d.name} ${d.effectiveKWh}/${d.grossKWh} kWh`)
+    .join(', ');
+}
+
+// One-line description of the hourly load-profile simulation behind battery sizing
+function formatLoadProfile(profile) {
+  const hour = (h) => `${String(h).padStart(2, '0')}:00`;
+  return `${profile.windowKWh} kWh over ${profile.windowHours} h from ${hour(profile.outageStartHour)}, coincident peak ${profile.coincidentPeakKW} kW at ${hour(profile.peakHour)}, worst hour ${hour(profile.worstHour)} (${profile.worstHourKWh} kWh)`;
+}
+
+// Modeled PV production and the battery energy it offsets
+function formatSolar(solar) {
+  return `${solar.dailyKWh} kWh/day PV in ${solar.monthLabel} near ${solar.station}, offsets ${solar.offsetKWh} kWh; battery carries ${solar.overnightKWh} kWh overnight`;
+}
+
+// Motor-start surge demand behind the 10-second peak check
+function formatSurge(surge) {
+  const starting = surge.startingLoads.length > 0 ? ` (${surge.startingLoads.join(' + ')} starting)` : '';
+  return `${surge.surgeKW} kW = ${surge.runningKW} kW running + ${surge.inrushKW} kW inrush from ${surge.inrushKVA} kVA${starting}`;
+}
+
+function formatUpgradeOption(option) {
+  if (!option.amps) return option.scope;
+  return `${option.amps}A${option.meterMain ? ' meter-main' : ''} (${option.ratio}%) - ${option.scope}`;
+}
+
 export function copySummaryText(project) {
-  const necResult = calculateNECOptionalMethod(project.loads, project.service);
+  const necResult = calculateServiceLoad(project.loads, project.service);
   const practical = calculatePracticalLoad(project.loads);
   const evResult = calculateEVFeasibility(project);
-  const modeledSlots = calculateModeledSlots(project.loads);
+  const interconnection = calculateInterconnection(project);
+  const panelMap = buildProjectPanelMap(project);
+  const mainSlots = getMainPanelSlots(project);
 
   const wholeBackupDays = getEffectiveBackupDays(project.battery.wholeHome);
-  const wholeSolarOffset = getSolarOffset(project.battery.wholeHome, true);
+  const wholeSolarOptions = getSolarOptions(project, project.battery.wholeHome, true);
 
-  const batteryResult = calculateBatterySizing(
-    project.loads,
-    wholeBackupDays,
-    { solarOffsetPercent: wholeSolarOffset, proposedEVLoads: buildProposedEVLoads(project) }
-  );
+  const wholeSizingOptions = { ...wholeSolarOptions, proposedEVLoads: buildProposedEVLoads(project), ...getBatterySystemOptions(project.battery, project.service) };
+  const batteryResult = calculateBatterySizing(project.loads, wholeBackupDays, wholeSizingOptions);
+  const wholeRuntime = getRuntimeCheck(project, wholeBackupDays, wholeSizingOptions);
+  const managedResult = getManagedSizing(project, wholeBackupDays, wholeSizingOptions);
 
   let text = `ELECTRICAL LOAD CALCULATOR SUMMARY\n`;
   text += `${'='.repeat(45)}\n\n`;
@@ -175,12 +254,18 @@ export function copySummaryText(project) {
 
   text += `SERVICE & PANEL\n`;
   text += `-`.repeat(30) + `\n`;
-  text += `Service Voltage: ${project.service.serviceVoltage}V\n`;
+  text += `Service Type: ${getServiceType(project.service).label}\n`;
   text += `Main Breaker: ${project.service.mainBreakerAmps}A\n`;
   text += `Bus Rating: ${project.service.busRatingAmps}A\n`;
-  text += `Panel Slots: ${project.panel.usedSlots} used / ${project.panel.totalSlots} total\n`;
-  text += `Modeled Slots: ${modeledSlots} (delta: ${modeledSlots - project.panel.usedSlots})\n`;
-  text += `Tandems: ${project.panel.tandemsAllowed}\n\n`;
+  text += `Panel Slots: ${mainSlots.usedSlots} used / ${project.panel.totalSlots} total${mainSlots.fromMap ? ' (panel map)' : ''}\n`;
+  if (mainSlots.fromMap) text += `Used Spaces Entered: ${mainSlots.enteredUsedSlots} (delta: ${mainSlots.usedSlots - mainSlots.enteredUsedSlots})\n`;
+  text += `Open Slots: ${mainSlots.openSlots}\n`;
+  text += `Leg Demand: ${panelMap.legLoads.map(l => `${l.leg} ${l.demandAmps}A`).join(', ')} (imbalance ${panelMap.imbalancePercent}%${panelMap.imbalanced ? ', over threshold' : ''})\n`;
+  text += `Tandems: ${project.panel.tandemsAllowed}\n`;
+  calculateSubpanelChecks(project).forEach(c => {
+    text += `Subpanel ${c.subpanel.name} (from ${c.parentName}): ${c.subpanel.feederBreakerAmps}A feeder, demand ${c.feeder.serviceAmps}A (${c.feeder.status}), ${c.openSlots} open of ${c.subpanel.totalSlots}${c.busOK ? '' : ', feeder exceeds bus'}\n`;
+  });
+  text += `\n`;
 
   text += `LOAD SUMMARY\n`;
   text += `-`.repeat(30) + `\n`;
@@ -188,11 +273,37 @@ export function copySummaryText(project) {
   text += `Total Running Watts: ${practical.totalRunningWatts.toLocaleString()}W (${practical.totalRunningKW.toFixed(1)} kW)\n`;
   text += `Total Daily Energy: ${practical.totalDailyKWh.toFixed(1)} kWh/day\n\n`;
 
-  text += `SERVICE ADEQUACY (NEC Optional Method)\n`;
+  text += `SERVICE ADEQUACY (${necResult.methodLabel})\n`;
   text += `-`.repeat(30) + `\n`;
   text += `Estimated Demand: ${necResult.totalDemandKVA.toFixed(1)} kVA\n`;
   text += `Estimated Service Amps: ${necResult.serviceAmps}A\n`;
-  text += `Status: ${necResult.status} (${necResult.ratio}% of main breaker)\n\n`;
+  text += `Status: ${necResult.status} (${necResult.ratio}% of main breaker)\n`;
+  const methods = compareServiceMethods(project.loads, project.service);
+  ['optional', 'standard', 'measured']
+    .filter(key => key !== methods.selected && methods[key])
+    .forEach(key => {
+      const alt = methods[key];
+      text += `Comparison (${alt.methodLabel}): ${alt.totalDemandKVA.toFixed(1)} kVA, ${alt.serviceAmps}A (${alt.status})\n`;
+    });
+  if (necResult.dataIncomplete) text += `Note: measured demand uses only ${necResult.monthsOfData} month(s) of data (220.87 requires 12)\n`;
+  if (methods.measured?.intervalTooLong) text += `Note: ${describeIntervalLengthWarning(methods.measured.intervalMinutes)}\n`;
+  const serviceUpgrade = calculateServiceUpgrade(necResult, project.service);
+  if (serviceUpgrade) {
+    text += `Upgrade (min, <100%): ${formatUpgradeOption(serviceUpgrade.minimum)}\n`;
+    text += `Upgrade (recommended, <80%): ${formatUpgradeOption(serviceUpgrade.recommended)}\n`;
+  }
+  text += `\n`;
+
+  if (interconnection) {
+    const { rule120, sumOfBreakers, derate } = interconnection;
+    text += `PV / BATTERY INTERCONNECTION (NEC 705.12)\n`;
+    text += `-`.repeat(30) + `\n`;
+    text += `Inverter Output: ${interconnection.inverterOutputAmps}A, Backfeed Breaker: ${interconnection.backfeedBreakerAmps}A\n`;
+    text += `120% Rule: ${rule120.total}A vs ${rule120.limit}A (${rule120.pass ? 'Pass' : 'Fail'})\n`;
+    text += `Sum of Breakers: ${sumOfBreakers.total}A vs ${sumOfBreakers.limit}A (${sumOfBreakers.pass ? 'Pass' : 'Fail'})\n`;
+    if (derate.mainAmps) text += `Derate Main to ${derate.mainAmps}A: service ${derate.serviceResult.serviceAmps}A (${derate.serviceResult.status})\n`;
+    text += `Recommendation: ${interconnection.recommendation}\n\n`;
+  }
 
   if (evResult) {
     text += `EV CHARGER\n`;
@@ -202,20 +313,49 @@ export function copySummaryText(project) {
     text += `\n`;
     text += `Total EV Load: ${(evResult.evWattsTotal / 1000).toFixed(1)} kW\n`;
     text += `Required Breaker: ${evResult.breakerAmps}A 2-pole\n`;
-    text += `Recommendation: ${evResult.recommendation}\n\n`;
+    text += `Service w/ EV: ${evResult.necWithEV.serviceAmps}A (${evResult.necWithEV.status}, ${evResult.necWithEV.methodLabel})\n`;
+    if (evResult.loadManagement) {
+      text += `Load Management (EVEMS, ${evResult.loadManagement.mode}): ${evResult.loadManagement.allowedAmpsEach}A allowed per charger, service ${evResult.loadManagement.necManaged.serviceAmps}A (${evResult.loadManagement.necManaged.status})\n`;
+    }
+    text += `Recommendation: ${evResult.recommendation}\n`;
+    if (evResult.serviceUpgrade) text += `Service Upgrade w/ EV: ${formatUpgradeOption(evResult.serviceUpgrade.minimum)}\n`;
+    if (evResult.subpanelProposal) text += `Subpanel: ${formatSubpanelProposal(evResult.subpanelProposal)}\n`;
+    text += `\n`;
   }
 
   text += `BATTERY SIZING (Whole Home - ${wholeBackupDays} day backup`;
-  if (wholeSolarOffset > 0) text += `, ${wholeSolarOffset}% solar offset`;
+  if (batteryResult.summary.solarOffsetPercent > 0) text += `, ${batteryResult.summary.solarOffsetPercent}% solar offset`;
   text += `)\n`;
   text += `-`.repeat(30) + `\n`;
   text += `Energy Needed: ${batteryResult.summary.totalEnergyNeededKWh} kWh\n`;
   text += `Peak Power: ${batteryResult.summary.peakPowerKW} kW\n`;
-  text += `Enphase 5P: ${batteryResult.enphase5P.count} units (${batteryResult.enphase5P.totalKWh} kWh / ${batteryResult.enphase5P.totalKW.toFixed(1)} kW)${batteryResult.enphase5P.notFeasible ? ' [NOT FEASIBLE]' : ''}\n`;
-  text += `Enphase 10C: ${batteryResult.enphase10C.count} units (${batteryResult.enphase10C.totalKWh} kWh / ${batteryResult.enphase10C.totalKW.toFixed(1)} kW)${batteryResult.enphase10C.notFeasible ? ' [NOT FEASIBLE]' : ''}\n`;
-  text += `Tesla PW3: ${batteryResult.teslaPW3Only.count} units (${batteryResult.teslaPW3Only.totalKWh} kWh / ${batteryResult.teslaPW3Only.totalKW.toFixed(1)} kW)${batteryResult.teslaPW3Only.notFeasible ? ' [NOT FEASIBLE]' : ''}\n`;
-  if (batteryResult.teslaPW3WithExpansions.expansions > 0) {
-    text += `Tesla PW3 + Exp: ${batteryResult.teslaPW3WithExpansions.leaders} leaders + ${batteryResult.teslaPW3WithExpansions.expansions} expansions (${batteryResult.teslaPW3WithExpansions.totalKWh} kWh)${batteryResult.teslaPW3WithExpansions.notFeasible ? ' [NOT FEASIBLE]' : ''}\n`;
+  if (batteryResult.summary.profile) text += `Load Profile: ${formatLoadProfile(batteryResult.summary.profile)}\n`;
+  if (batteryResult.summary.derating) text += `Effective/Usable per Unit: ${formatDerating(batteryResult.summary.derating)}\n`;
+  if (batteryResult.summary.surge) text += `Surge (10 s): ${formatSurge(batteryResult.summary.surge)}\n`;
+  if (batteryResult.summary.solar) text += `Solar: ${formatSolar(batteryResult.summary.solar)}\n`;
+  const recommendedIds = getRecommendedBatteryIds(batteryResult);
+  batteryResult.products.forEach(p => {
+    text += `${formatBatteryProduct(p)}${recommendedIds.includes(p.productId) ? ' [RECOMMENDED]' : ''}\n`;
+  });
+  if (wholeRuntime) text += `Runtime Check: ${describeRuntimeCheck(wholeRuntime)}\n`;
+  if (managedResult) {
+    const plan = project.battery.loadShedding;
+    text += `\nManaged whole home (load shedding): ${managedResult.summary.totalEnergyNeededKWh} kWh, ${managedResult.summary.peakPowerKW} kW peak\n`;
+    managedResult.products.forEach(p => {
+      text += `  ${p.manufacturer} ${p.name}: ${formatManagedUnits(p, batteryResult.products)}\n`;
+    });
+    text += `Shed schedule:\n`;
+    managedResult.schedule.forEach(row => { text += `  - ${row.name}: ${describeShedAction(row, plan)}\n`; });
+  }
+  if (batteryResult.costOptimization?.recommended) {
+    text += `\nCost ranking:\n`;
+    batteryResult.costOptimization.ranked.forEach((r, i) => {
+      text += `  ${i + 1}. ${formatCostRank(r)}\n`;
+    });
+  }
+  if (batteryResult.softStarterSuggestions.length > 0) {
+    text += `\nSoft starter opportunities:\n`;
+    batteryResult.softStarterSuggestions.forEach(sg => { text += `  - ${formatSoftStarterSuggestion(sg)}\n`; });
   }
 
   // Rev 11: Partial home details
@@ -226,19 +366,22 @@ export function copySummaryText(project) {
 
     if (partialIds.length > 0) {
       const partialBackupDays = getEffectiveBackupDays(project.battery.partialHome);
-      const partialSolarOffset = getSolarOffset(project.battery.partialHome);
-      const partialResult = calculateBatterySizing(
-        project.loads,
-        partialBackupDays,
-        { includeLoadIds: partialIds, partialSelections: project.battery.partialHome.selections, solarOffsetPercent: partialSolarOffset }
-      );
+      const partialSolarOptions = getSolarOptions(project, project.battery.partialHome);
+      const partialSizingOptions = {
+        includeLoadIds: partialIds,
+        partialSelections: project.battery.partialHome.selections,
+        ...partialSolarOptions,
+        ...getBatterySystemOptions(project.battery, project.service),
+      };
+      const partialResult = calculateBatterySizing(project.loads, partialBackupDays, partialSizingOptions);
+      const partialRuntime = getRuntimeCheck(project, partialBackupDays, partialSizingOptions);
 
       text += `\nBATTERY SIZING (Partial Home - ${partialBackupDays} day backup`;
-      if (partialSolarOffset > 0) text += `, ${partialSolarOffset}% solar offset`;
+      if (partialResult.summary.solarOffsetPercent > 0) text += `, ${partialResult.summary.solarOffsetPercent}% solar offset`;
       text += `)\n`;
       text += `-`.repeat(30) + `\n`;
 
-      const partialLoads = project.loads.filter(l => partialIds.includes(l.id));
+      const partialLoads = expandTandemLoads(project.loads).filter(l => partialIds.includes(l.id));
       text += `Included loads (${partialLoads.length}):\n`;
       partialLoads.forEach(l => {
         const sel = project.battery.partialHome.selections[l.id] || {};
@@ -247,9 +390,13 @@ export function copySummaryText(project) {
 
       text += `Energy Needed: ${partialResult.summary.totalEnergyNeededKWh} kWh\n`;
       text += `Peak Power: ${partialResult.summary.peakPowerKW} kW\n`;
-      text += `Enphase 5P: ${partialResult.enphase5P.count} units\n`;
-      text += `Enphase 10C: ${partialResult.enphase10C.count} units\n`;
-      text += `Tesla PW3: ${partialResult.teslaPW3Only.count} units\n`;
+      if (partialResult.summary.profile) text += `Load Profile: ${formatLoadProfile(partialResult.summary.profile)}\n`;
+      if (partialResult.summary.surge) text += `Surge (10 s): ${formatSurge(partialResult.summary.surge)}\n`;
+      if (partialResult.summary.solar) text += `Solar: ${formatSolar(partialResult.summary.solar)}\n`;
+      partialResult.products.forEach(p => {
+        text += `${formatBatteryProduct(p)}\n`;
+      });
+      if (partialRuntime) text += `Runtime Check: ${describeRuntimeCheck(partialRuntime)}\n`;
     }
   }
 
@@ -265,8 +412,8 @@ export function copyPromptText(project) {
   let prompt = `I have the following electrical load calculator data for a residential project. Please analyze and help me write a proposal.\n\n`;
   prompt += summary;
   prompt += `\n\nFull load details:\n`;
-  project.loads.forEach(l => {
-    prompt += `- ${l.description || l.category}: ${l.usage.assumedWatts}W, ${l.breaker.poles}P/${l.breaker.amps}A, ${l.usage.hoursPerDay}h/day, ${l.sourceTag}${l.motor.isMotor ? ', motor' : ''}${l.isNECBaseline ? ' [NEC baseline]' : ''}\n`;
+  expandTandemLoads(project.loads).forEach(l => {
+    prompt += `- ${l.description || l.category}: ${l.usage.assumedWatts}W, ${l.breaker.poles}P/${l.breaker.amps}A, ${l.usage.hoursPerDay}h/day, ${l.sourceTag}${l.motor.isMotor ? ', motor' : ''}${l.isNECBaseline ? ' [NEC baseline]' : ''}${l.isTandemB ? ' [tandem circuit B]' : ''}${l.isNewLoad ? ' [new load]' : ''}\n`;
   });
   prompt += `\nPlease provide a summary suitable for a solar + battery proposal.`;
   return prompt;
@@ -278,18 +425,19 @@ export function generatePDF(project) {
   const pageWidth = doc.internal.pageSize.width;
   let y = 20;
 
-  const necResult = calculateNECOptionalMethod(project.loads, project.service);
+  const necResult = calculateServiceLoad(project.loads, project.service);
   const practical = calculatePracticalLoad(project.loads);
   const evResult = calculateEVFeasibility(project);
-  const modeledSlots = calculateModeledSlots(project.loads);
+  const interconnection = calculateInterconnection(project);
+  const panelMap = buildProjectPanelMap(project);
+  const mainSlots = getMainPanelSlots(project);
 
   const wholeBackupDays = getEffectiveBackupDays(project.battery.wholeHome);
-  const wholeSolarOffset = getSolarOffset(project.battery.wholeHome, true);
-  const batteryResult = calculateBatterySizing(
-    project.loads,
-    wholeBackupDays,
-    { solarOffsetPercent: wholeSolarOffset, proposedEVLoads: buildProposedEVLoads(project) }
-  );
+  const wholeSolarOptions = getSolarOptions(project, project.battery.wholeHome, true);
+  const wholeSizingOptions = { ...wholeSolarOptions, proposedEVLoads: buildProposedEVLoads(project), ...getBatterySystemOptions(project.battery, project.service) };
+  const batteryResult = calculateBatterySizing(project.loads, wholeBackupDays, wholeSizingOptions);
+  const wholeRuntime = getRuntimeCheck(project, wholeBackupDays, wholeSizingOptions);
+  const managedResult = getManagedSizing(project, wholeBackupDays, wholeSizingOptions);
 
   // Header
   doc.setFillColor(20, 40, 80);
@@ -338,11 +486,13 @@ export function generatePDF(project) {
     startY: y,
     head: [['Parameter', 'Value']],
     body: [
-      ['Service Voltage', `${project.service.serviceVoltage}V`],
+      ['Service Type', getServiceType(project.service).label],
       ['Main Breaker', `${project.service.mainBreakerAmps}A`],
       ['Bus Rating', `${project.service.busRatingAmps}A`],
-      ['Panel Slots', `${project.panel.usedSlots} used / ${project.panel.totalSlots} total`],
-      ['Modeled Slots', `${modeledSlots} (delta: ${modeledSlots - project.panel.usedSlots})`],
+      ['Panel Slots', `${mainSlots.usedSlots} used / ${project.panel.totalSlots} total${mainSlots.fromMap ? ' (panel map)' : ''}`],
+      ...(mainSlots.fromMap ? [['Used Spaces Entered', `${mainSlots.enteredUsedSlots} (delta: ${mainSlots.usedSlots - mainSlots.enteredUsedSlots})`]] : []),
+      ['Open Slots', `${mainSlots.openSlots}`],
+      ['Leg Demand', `${panelMap.legLoads.map(l => `${l.leg} ${l.demandAmps}A`).join(', ')} (imbalance ${panelMap.imbalancePercent}%)`],
       ['Tandems', project.panel.tandemsAllowed],
     ],
     theme: 'striped',
@@ -352,15 +502,43 @@ export function generatePDF(project) {
   });
   y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
 
+  // Subpanels & feeders
+  const subpanelChecks = calculateSubpanelChecks(project);
+  if (subpanelChecks.length > 0) {
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('Subpanels & Feeders', 14, y);
+    y += 3;
+
+    autoTable(doc, {
+      startY: y,
+      head: [['Subpanel', 'Fed From', 'Feeder', 'Feeder Demand', 'Bus', 'Open Spaces']],
+      body: subpanelChecks.map(c => [
+        c.subpanel.name,
+        c.parentName,
+        `${c.subpanel.feederBreakerAmps}A (${c.conductors.copper} Cu / ${c.conductors.aluminum} Al)`,
+        `${c.feeder.serviceAmps}A (${c.feeder.status})`,
+        `${c.subpanel.busRatingAmps}A${c.busOK ? '' : ' - below feeder'}`,
+        `${c.openSlots} of ${c.subpanel.totalSlots}`,
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+      styles: { fontSize: 8 },
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+  }
+
   // Load Table
   doc.setFontSize(12);
   doc.setFont(undefined, 'bold');
   doc.text('Load Schedule', 14, y);
   y += 3;
 
-  const loadRows = project.loads.map(l => [
-    l.description || l.category,
-    `${l.breaker.poles}P / ${l.breaker.amps}A${l.breaker.type === 'Tandem' ? ' (T)' : ''}`,
+  const loadRows = expandTandemLoads(project.loads).map(l => [
+    `${l.isTandemB ? '   B: ' : ''}${l.description || l.category}${l.isNewLoad ? ' (new)' : ''}`,
+    `${l.breaker.poles}P / ${l.breaker.amps}A${l.breaker.type === 'Tandem' ? (l.isTandemB ? ' (T-B)' : ' (T-A)') : ''}`,
     `${l.usage.assumedWatts.toLocaleString()}W`,
     `${l.usage.hoursPerDay}h`,
     `${(l.usage.assumedWatts * l.usage.hoursPerDay / 1000).toFixed(1)} kWh`,
@@ -401,7 +579,8 @@ export function generatePDF(project) {
     startY: y,
     head: [['Metric', 'Value']],
     body: [
-      ['NEC Optional Method Demand', `${necResult.totalDemandKVA.toFixed(1)} kVA`],
+      ['Calculation Method', necResult.methodLabel],
+      ['NEC Demand', `${necResult.totalDemandKVA.toFixed(1)} kVA`],
       ['Estimated Service Amps', `${necResult.serviceAmps}A`],
       ['Main Breaker Capacity', `${project.service.mainBreakerAmps}A`],
       ['Utilization', `${necResult.ratio}%`],
@@ -412,7 +591,7 @@ export function generatePDF(project) {
     margin: { left: 14 },
     tableWidth: pageWidth - 28,
     didParseCell: function(data) {
-      if (data.row.index === 4 && data.column.index === 1) {
+      if (data.row.index === 5 && data.column.index === 1) {
         const statusColor = necResult.status === 'OK' ? [0, 128, 0]
           : necResult.status === 'Borderline' ? [200, 150, 0]
           : [200, 0, 0];
@@ -421,7 +600,86 @@ export function generatePDF(project) {
       }
     },
   });
+  y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 5;
+
+  // Optional vs Standard method side by side
+  const methods = compareServiceMethods(project.loads, project.service);
+  const kva = (va) => `${(va / 1000).toFixed(1)} kVA`;
+  const methodCols = [
+    { key: 'optional', result: methods.optional },
+    { key: 'standard', result: methods.standard },
+    ...(methods.measured ? [{ key: 'measured', result: methods.measured }] : []),
+  ].map(col => ({ ...col.result, selected: col.key === methods.selected }));
+  const kvaOrDash = (va) => (va === undefined ? '--' : kva(va));
+  const measuredRows = methods.measured ? [
+    ['12-Month Measured Peak', ...methodCols.map(r => kvaOrDash(r.breakdown.measuredPeak))],
+    ['Existing Demand (peak x 125%)', ...methodCols.map(r => kvaOrDash(r.breakdown.measuredExisting))],
+    ['New Loads', ...methodCols.map(r => kvaOrDash(r.breakdown.newLoad))],
+  ] : [];
+  autoTable(doc, {
+    startY: y,
+    head: [['NEC Method Comparison', ...methodCols.map(r => `${r.methodLabel}${r.selected ? ' (drives status)' : ''}`)]],
+    body: [
+      ...measuredRows,
+      ['General + Small Appliance', ...methodCols.map(r => kvaOrDash(r.breakdown.generalAndSmallAppliance))],
+      ['Fixed Appliances', ...methodCols.map(r => kvaOrDash(r.breakdown.fixedAppliances))],
+      ['Cooking', ...methodCols.map(r => kvaOrDash(r.breakdown.cooking))],
+      ['Dryer', ...methodCols.map(r => kvaOrDash(r.breakdown.dryer))],
+      ['HVAC (largest)', ...methodCols.map(r => kvaOrDash(r.breakdown.hvac))],
+      ['Other Large Loads', ...methodCols.map(r => kvaOrDash(r.breakdown.otherLarge))],
+      ['EV Chargers', ...methodCols.map(r => kvaOrDash(r.breakdown.ev))],
+      ['25% of Largest Motor', ...methodCols.map(r => kvaOrDash(r.breakdown.largestMotor))],
+      ['Total Demand', ...methodCols.map(r => kva(r.totalDemandVA))],
+      ['Service Amps', ...methodCols.map(r => `${r.serviceAmps}A (${r.ratio}%)`)],
+      ['Status', ...methodCols.map(r => r.status)],
+    ],
+    theme: 'striped',
+    headStyles: { fillColor: [20, 40, 80] },
+    margin: { left: 14 },
+    tableWidth: pageWidth - 28,
+    styles: { fontSize: 8 },
+  });
   y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+  if (methods.measured?.intervalTooLong) {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    const intervalLines = doc.splitTextToSize(`Note: ${describeIntervalLengthWarning(methods.measured.intervalMinutes)}`, pageWidth - 28);
+    doc.text(intervalLines, 14, y - 4);
+    y += intervalLines.length * 4;
+  }
+
+  // Service upgrade sizing
+  const serviceUpgrade = calculateServiceUpgrade(necResult, project.service);
+  if (serviceUpgrade) {
+    if (y > 230) { doc.addPage(); y = 20; }
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('Service Upgrade Recommendation', 14, y);
+    y += 3;
+
+    autoTable(doc, {
+      startY: y,
+      head: [['Target', 'Service Size', 'Utilization', 'Scope']],
+      body: [
+        ['Minimum (under 100%)', serviceUpgrade.minimum],
+        ['Recommended (under 80%)', serviceUpgrade.recommended],
+      ].map(([label, option]) => [
+        label,
+        option.amps ? `${option.amps}A${option.meterMain ? ' (meter-main, 400A class)' : ''}` : 'Over 400A',
+        option.ratio !== null ? `${option.ratio}%` : '--',
+        option.scope,
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 4;
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    doc.text(`Demand ${serviceUpgrade.demandAmps}A on existing ${serviceUpgrade.currentAmps}A main / ${serviceUpgrade.busRatingAmps}A bus. A breaker swap also requires rated service conductors and meter base.`, 14, y);
+    y += 10;
+  }
 
   // EV Charger
   if (evResult) {
@@ -439,8 +697,48 @@ export function generatePDF(project) {
         ['Continuous Amps', `${evResult.continuousAmps}A`],
         ['Required Breaker', `${evResult.breakerAmps}A 2-pole`],
         ['Total EV Load', `${(evResult.evWattsTotal / 1000).toFixed(1)} kW`],
+        ['Service w/ EV', `${evResult.necWithEV.serviceAmps}A (${evResult.necWithEV.status})`],
+        ['Service Calc Method', evResult.necWithEV.methodLabel],
+        ...(evResult.loadManagement ? [
+          ['Load Management (EVEMS)', evResult.loadManagement.mode === 'fixed' ? 'Fixed current cap' : 'Dynamic limit'],
+          ['Allowed Charging Amps', `${evResult.loadManagement.allowedAmpsEach}A${(project.ev.chargerCount || 1) > 1 ? ' per charger' : ''}`],
+          ['Service w/ Managed EV', `${evResult.loadManagement.necManaged.serviceAmps}A (${evResult.loadManagement.necManaged.status})`],
+        ] : []),
         ['Panel Space', evResult.hasSpace ? 'Available' : 'Not available'],
         ['Recommendation', evResult.recommendation],
+        ...(evResult.serviceUpgrade ? [
+          ['Service Upgrade w/ EV', formatUpgradeOption(evResult.serviceUpgrade.minimum)],
+        ] : []),
+        ...(evResult.subpanelProposal ? [
+          ['Subpanel Proposal', formatSubpanelProposal(evResult.subpanelProposal)],
+        ] : []),
+      ],
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+  }
+
+  // PV / Battery Interconnection
+  if (interconnection) {
+    const { rule120, sumOfBreakers, derate } = interconnection;
+    if (y > 220) { doc.addPage(); y = 20; }
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('PV / Battery Interconnection (NEC 705.12)', 14, y);
+    y += 3;
+
+    autoTable(doc, {
+      startY: y,
+      head: [['Check', 'Value', 'Result']],
+      body: [
+        ['Inverter Output / Backfeed Breaker', `${interconnection.inverterOutputAmps}A / ${interconnection.backfeedBreakerAmps}A`, ''],
+        ['120% Rule (main + 125% inverter)', `${rule120.total}A vs ${rule120.limit}A`, rule120.pass ? 'Pass' : 'Fail'],
+        ['Sum of Breakers (excl. main)', `${sumOfBreakers.total}A vs ${sumOfBreakers.limit}A`, sumOfBreakers.pass ? 'Pass' : 'Fail'],
+        ['Derate Main Breaker', derate.mainAmps ? `${derate.mainAmps}A main, service ${derate.serviceResult.serviceAmps}A (${derate.serviceResult.status})` : 'Not possible', derate.pass ? 'Pass' : 'Fail'],
+        ['Recommended Connection', interconnection.recommendation, ''],
       ],
       theme: 'striped',
       headStyles: { fillColor: [20, 40, 80] },
@@ -455,56 +753,23 @@ export function generatePDF(project) {
   doc.setFontSize(12);
   doc.setFont(undefined, 'bold');
   let batteryTitle = `Battery Sizing - Whole Home (${wholeBackupDays} Day Backup`;
-  if (wholeSolarOffset > 0) batteryTitle += `, ${wholeSolarOffset}% solar`;
+  if (batteryResult.summary.solarOffsetPercent > 0) batteryTitle += `, ${batteryResult.summary.solarOffsetPercent}% solar`;
   batteryTitle += ')';
   doc.text(batteryTitle, 14, y);
   y += 3;
 
   autoTable(doc, {
     startY: y,
-    head: [['System', 'Units', 'Total kWh', 'Total kW', 'Limited By', 'Status']],
-    body: [
-      [
-        'Enphase IQ 5P',
-        batteryResult.enphase5P.count,
-        batteryResult.enphase5P.totalKWh,
-        batteryResult.enphase5P.totalKW.toFixed(1),
-        batteryResult.enphase5P.limitedBy,
-        batteryResult.enphase5P.notFeasible ? 'NOT FEASIBLE' : 'OK',
-      ],
-      [
-        'Enphase IQ 10C',
-        batteryResult.enphase10C.count,
-        batteryResult.enphase10C.totalKWh,
-        batteryResult.enphase10C.totalKW.toFixed(1),
-        batteryResult.enphase10C.limitedBy,
-        batteryResult.enphase10C.notFeasible ? 'NOT FEASIBLE' : 'OK',
-      ],
-      [
-        'Enphase Mixed',
-        `${batteryResult.enphase_mixed.count10C}x 10C + ${batteryResult.enphase_mixed.count5P}x 5P`,
-        batteryResult.enphase_mixed.totalKWh,
-        batteryResult.enphase_mixed.totalKW.toFixed(1),
-        'optimized',
-        batteryResult.enphase_mixed.notFeasible ? 'NOT FEASIBLE' : 'OK',
-      ],
-      [
-        'Tesla PW3 Only',
-        batteryResult.teslaPW3Only.count,
-        batteryResult.teslaPW3Only.totalKWh,
-        batteryResult.teslaPW3Only.totalKW.toFixed(1),
-        batteryResult.teslaPW3Only.limitedBy,
-        batteryResult.teslaPW3Only.notFeasible ? 'NOT FEASIBLE' : 'OK',
-      ],
-      [
-        'Tesla PW3 + Exp',
-        `${batteryResult.teslaPW3WithExpansions.leaders} PW3 + ${batteryResult.teslaPW3WithExpansions.expansions} Exp`,
-        batteryResult.teslaPW3WithExpansions.totalKWh,
-        batteryResult.teslaPW3WithExpansions.totalKW.toFixed(1),
-        'energy + power',
-        batteryResult.teslaPW3WithExpansions.notFeasible ? 'NOT FEASIBLE' : 'OK',
-      ],
-    ],
+    head: [['System', 'Units', 'Total kWh', 'Total kW', 'Limited By', 'Outage', 'Status']],
+    body: batteryResult.products.map(p => [
+      `${p.manufacturer} ${p.name}`,
+      p.displayUnits,
+      p.totalKWh,
+      p.totalKW.toFixed(1),
+      p.limitedBy,
+      formatOutageDays(p.count > 0 ? p.outage : null),
+      p.notFeasible ? 'NOT FEASIBLE' : 'OK',
+    ]),
     theme: 'striped',
     headStyles: { fillColor: [20, 40, 80] },
     margin: { left: 14 },
@@ -512,6 +777,111 @@ export function generatePDF(project) {
     styles: { fontSize: 9 },
   });
   y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+  if (batteryResult.summary.profile) {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    const profileLines = doc.splitTextToSize(`Load profile: ${formatLoadProfile(batteryResult.summary.profile)}`, pageWidth - 28);
+    doc.text(profileLines, 14, y - 4);
+    y += profileLines.length * 4;
+  }
+  if (batteryResult.summary.surge) {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    const surgeLines = doc.splitTextToSize(`Surge (10 s): ${formatSurge(batteryResult.summary.surge)}`, pageWidth - 28);
+    doc.text(surgeLines, 14, y - 4);
+    y += surgeLines.length * 4;
+  }
+  if (batteryResult.summary.solar) {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    const solarLines = doc.splitTextToSize(`Solar: ${formatSolar(batteryResult.summary.solar)}`, pageWidth - 28);
+    doc.text(solarLines, 14, y - 4);
+    y += solarLines.length * 4;
+  }
+  if (wholeRuntime) {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    const runtimeLines = doc.splitTextToSize(`Runtime check: ${describeRuntimeCheck(wholeRuntime)}`, pageWidth - 28);
+    doc.text(runtimeLines, 14, y - 4);
+    y += runtimeLines.length * 4;
+  }
+
+  if (managedResult) {
+    const plan = project.battery.loadShedding;
+    if (y > 200) { doc.addPage(); y = 20; }
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(`Managed Whole Home - Load Shedding (${managedResult.summary.totalEnergyNeededKWh} kWh, ${managedResult.summary.peakPowerKW} kW peak)`, 14, y);
+    y += 3;
+    autoTable(doc, {
+      startY: y,
+      head: [['System', 'Unmanaged', 'Managed', 'Outage']],
+      body: managedResult.products.map(p => {
+        const unmanaged = batteryResult.products.find(u => u.productId === p.productId);
+        return [
+          `${p.manufacturer} ${p.name}`,
+          unmanaged ? unmanaged.displayUnits : '--',
+          `${p.displayUnits}${p.notFeasible ? ' (NOT FEASIBLE)' : ''}`,
+          formatOutageDays(p.count > 0 ? p.outage : null),
+        ];
+      }),
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+      styles: { fontSize: 9 },
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 5;
+    autoTable(doc, {
+      startY: y,
+      head: [['Load', 'Shed Schedule']],
+      body: managedResult.schedule.map(row => [row.name, describeShedAction(row, plan)]),
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+      styles: { fontSize: 8 },
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+  }
+
+  if (batteryResult.costOptimization?.recommended) {
+    if (y > 220) { doc.addPage(); y = 20; }
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('Battery Cost Ranking', 14, y);
+    y += 3;
+    autoTable(doc, {
+      startY: y,
+      head: [['Rank', 'System', 'Configuration', 'Effective kWh', 'Total Cost', 'vs. Best']],
+      body: batteryResult.costOptimization.ranked.map((r, i) => [
+        i === 0 ? 'Best' : i + 1,
+        `${r.manufacturer} ${r.name}`,
+        r.displayUnits,
+        r.effectiveKWh,
+        `$${Math.round(r.cost.total).toLocaleString()}`,
+        i === 0 ? '--' : `+$${Math.round(r.deltaCost).toLocaleString()}`,
+      ]),
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+      styles: { fontSize: 8 },
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+  }
+
+  if (batteryResult.softStarterSuggestions.length > 0) {
+    if (y > 250) { doc.addPage(); y = 20; }
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    batteryResult.softStarterSuggestions.forEach(sg => {
+      const lines = doc.splitTextToSize(formatSoftStarterSuggestion(sg), pageWidth - 28);
+      doc.text(lines, 14, y);
+      y += lines.length * 4 + 1;
+    });
+    y += 6;
+  }
 
   // Rev 11: Partial home details in PDF
   if (project.battery.partialHome.enabled) {
@@ -521,28 +891,27 @@ export function generatePDF(project) {
 
     if (partialIds.length > 0) {
       const partialBackupDays = getEffectiveBackupDays(project.battery.partialHome);
-      const partialSolarOffset = getSolarOffset(project.battery.partialHome);
-      const partialResult = calculateBatterySizing(
-        project.loads,
-        partialBackupDays,
-        {
-          includeLoadIds: partialIds,
-          partialSelections: project.battery.partialHome.selections,
-          solarOffsetPercent: partialSolarOffset,
-        }
-      );
+      const partialSolarOptions = getSolarOptions(project, project.battery.partialHome);
+      const partialSizingOptions = {
+        includeLoadIds: partialIds,
+        partialSelections: project.battery.partialHome.selections,
+        ...partialSolarOptions,
+        ...getBatterySystemOptions(project.battery, project.service),
+      };
+      const partialResult = calculateBatterySizing(project.loads, partialBackupDays, partialSizingOptions);
+      const partialRuntime = getRuntimeCheck(project, partialBackupDays, partialSizingOptions);
 
       if (y > 200) { doc.addPage(); y = 20; }
       doc.setFontSize(12);
       doc.setFont(undefined, 'bold');
       let partialTitle = `Battery Sizing - Partial Home (${partialBackupDays} Day Backup`;
-      if (partialSolarOffset > 0) partialTitle += `, ${partialSolarOffset}% solar`;
+      if (partialResult.summary.solarOffsetPercent > 0) partialTitle += `, ${partialResult.summary.solarOffsetPercent}% solar`;
       partialTitle += ')';
       doc.text(partialTitle, 14, y);
       y += 5;
 
       // Included loads detail table
-      const partialLoads = project.loads.filter(l => partialIds.includes(l.id));
+      const partialLoads = expandTandemLoads(project.loads).filter(l => partialIds.includes(l.id));
       const partialLoadRows = partialLoads.map(l => {
         const sel = project.battery.partialHome.selections[l.id] || {};
         const hrs = sel.hoursPerDay || l.usage.hoursPerDay;
@@ -563,21 +932,56 @@ export function generatePDF(project) {
 
       autoTable(doc, {
         startY: y,
-        head: [['System', 'Units', 'Total kWh', 'Total kW']],
-        body: [
-          ['Enphase IQ 5P', partialResult.enphase5P.count, partialResult.enphase5P.totalKWh, partialResult.enphase5P.totalKW.toFixed(1)],
-          ['Enphase IQ 10C', partialResult.enphase10C.count, partialResult.enphase10C.totalKWh, partialResult.enphase10C.totalKW.toFixed(1)],
-          ['Tesla PW3', partialResult.teslaPW3Only.count, partialResult.teslaPW3Only.totalKWh, partialResult.teslaPW3Only.totalKW.toFixed(1)],
-        ],
+        head: [['System', 'Units', 'Total kWh', 'Total kW', 'Outage']],
+        body: partialResult.products.map(p => [`${p.manufacturer} ${p.name}`, p.displayUnits, p.totalKWh, p.totalKW.toFixed(1), formatOutageDays(p.count > 0 ? p.outage : null)]),
         theme: 'striped',
         headStyles: { fillColor: [20, 40, 80] },
         margin: { left: 14 },
         tableWidth: pageWidth - 28,
       });
       y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+      if (partialRuntime) {
+        doc.setFontSize(8);
+        doc.setFont(undefined, 'normal');
+        const runtimeLines = doc.splitTextToSize(`Runtime check: ${describeRuntimeCheck(partialRuntime)}`, pageWidth - 28);
+        doc.text(runtimeLines, 14, y - 4);
+        y += runtimeLines.length * 4;
+      }
     }
   }
 
+  // Scenario comparison: base project and each scenario side by side
+  if ((project.scenarios || []).length > 0) {
+    const comparison = compareScenarios(project);
+    if (y > 200) { doc.addPage(); y = 20; }
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('Scenario Comparison', 14, y);
+    y += 3;
+
+    autoTable(doc, {
+      startY: y,
+      head: [['', ...comparison.columns.map(c => c.name)]],
+      body: comparison.rows.map(row => [row.label, ...row.values.map(v => v ?? '--')]),
+      theme: 'striped',
+      headStyles: { fillColor: [20, 40, 80] },
+      margin: { left: 14 },
+      tableWidth: pageWidth - 28,
+      styles: { fontSize: 8 },
+      didParseCell: function(data) {
+        if (data.section === 'body' && data.column.index > 0 && comparison.rows[data.row.index].changed[data.column.index - 1]) {
+          data.cell.styles.fontStyle = 'bold';
+          data.cell.styles.fillColor = [254, 243, 199];
+        }
+      },
+    });
+    y = (doc.lastAutoTable || doc.previousAutoTable).finalY + 10;
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    doc.text('Highlighted values differ from the base project.', 14, y - 4);
+    y += 4;
+  }
+
   // Confidence Legend
   if (y > 250) { doc.addPage(); y = 20; }
   doc.setFontSize(10);